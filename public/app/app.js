@@ -16,9 +16,14 @@
     lastDownCount: 0,
     emailAlert: { enabled: false, cooldownMinutes: 30, to: [] },
     smsAlert: { enabled: false, cooldownMinutes: 30, to: '', storeOverrides: {} },
+    alertRoutes: [],
+    chatProvider: 'slack',
+    chatAlert: { enabled: false, cooldownMinutes: 30, webhookUrl: '', storeOverrides: {} },
 
     // Premium-only: manual refresh cooldown (ms since epoch)
     refreshCooldownUntil: 0,
+    // Device ids queued by the last refresh-all that have no result yet
+    refreshPending: new Set(),
   };
 
 
@@ -248,7 +253,7 @@ function ensureLineChart(canvasId, label, points, existing) {
     if (state.user?.manual_refresh_last_at) {
       const last = new Date(state.user.manual_refresh_last_at);
       if (!Number.isNaN(last.getTime())) {
-        state.refreshCooldownUntil = last.getTime() + 60 * 1000;
+        state.refreshCooldownUntil = last.getTime() + Number(state.user.manual_refresh_cooldown_seconds || 60) * 1000;
       }
     }
     return true;
@@ -366,6 +371,24 @@ function ensureLineChart(canvasId, label, points, existing) {
       else smsBtn.classList.add('hidden');
     }
 
+    const chatBtn = $('chatAlertsBtn');
+    if (chatBtn && state.user) {
+      if (state.user.plan === 'premium') chatBtn.classList.remove('hidden');
+      else chatBtn.classList.add('hidden');
+    }
+
+    const webhookBtn = $('webhookAlertsBtn');
+    if (webhookBtn && state.user) {
+      if (state.user.plan === 'premium') webhookBtn.classList.remove('hidden');
+      else webhookBtn.classList.add('hidden');
+    }
+
+    const schedulesBtn = $('alertSchedulesBtn');
+    if (schedulesBtn && state.user) {
+      if (state.user.plan === 'premium') schedulesBtn.classList.remove('hidden');
+      else schedulesBtn.classList.add('hidden');
+    }
+
 
     // Billing / Upgrade entry point in navbar
     const upgradeBtn = $('upgradePageBtn');
@@ -412,6 +435,7 @@ function ensureLineChart(canvasId, label, points, existing) {
     try {
       await loadEmailAlertConfig();
       openModal('emailAlertsModal');
+      loadAlertRoutes();
     } catch (e) {
       alert(e?.message || 'Failed to load alert settings');
     }
@@ -442,6 +466,168 @@ function ensureLineChart(canvasId, label, points, existing) {
   }
 
 
+  // --- Alert routing rules (Premium) ---
+  const ROUTE_DEVICE_TYPES = [
+    ['fortigate', 'FortiGate'], ['server', 'Server'], ['hypervisor', 'Hypervisor'], ['bmc', 'BMC'],
+    ['posserver', 'POSServer'], ['nxwitness', 'NXServer'], ['other', 'Other']
+  ];
+  const ROUTE_TRANSITIONS = [['down', 'Goes DOWN'], ['up', 'Recovers (UP)'], ['cert_expiring', 'Certificate expiring']];
+  const ROUTE_CHANNELS = [
+    ['email', 'Email'], ['sms', 'SMS'], ['slack', 'Slack'], ['teams', 'Teams'], ['discord', 'Discord'], ['webhook', 'Webhook']
+  ];
+  const ROUTE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  function renderCheckboxGroup(wrapId, cls, items, selected) {
+    const wrap = $(wrapId);
+    if (!wrap) return;
+    const sel = new Set((selected || []).map(String));
+    wrap.innerHTML = items.map(([value, label]) => `
+      <label class="flex items-center gap-1"><input type="checkbox" class="h-4 w-4 ${cls}" value="${escapeHtml(value)}" ${sel.has(String(value)) ? 'checked' : ''}/> ${escapeHtml(label)}</label>
+    `).join('');
+  }
+
+  function checkedValues(cls) {
+    return Array.from(document.querySelectorAll(`.${cls}:checked`)).map((el) => el.value);
+  }
+
+  function describeAlertRoute(r) {
+    const m = r.match || {};
+    const parts = [];
+    parts.push(m.projectIds?.length ? `${m.projectIds.length} project(s)` : 'all projects');
+    if (m.deviceTypes?.length) parts.push(m.deviceTypes.join('/'));
+    if (m.transitions?.length) parts.push(m.transitions.join('/'));
+    if (m.timeWindow) {
+      const days = m.timeWindow.days?.length ? ' ' + m.timeWindow.days.map((d) => ROUTE_DAYS[d]).join(',') : '';
+      parts.push(`${m.timeWindow.start}–${m.timeWindow.end}${days}`);
+    }
+    const targets = (r.targets || []).map((t) => t.to ? `${t.channel} (${t.to})` : t.channel).join(', ');
+    return `${parts.join(' • ')} → ${targets}${r.stop ? ' • stop' : ''}`;
+  }
+
+  async function loadAlertRoutes() {
+    const premium = state.user?.plan === 'premium';
+    $('alertRoutesUpgradeHint')?.classList.toggle('hidden', premium);
+    $('alertRouteAddBtn')?.classList.toggle('hidden', !premium);
+    $('alertRouteForm')?.classList.add('hidden');
+    const wrap = $('alertRoutesList');
+    if (!wrap) return;
+    if (!premium) { wrap.innerHTML = ''; return; }
+
+    const res = await apiFetch('/api/alert-routes');
+    if (!res.ok) {
+      wrap.innerHTML = '<div class="text-sm text-red-500">Failed to load routing rules</div>';
+      return;
+    }
+    state.alertRoutes = (await res.json()).routes || [];
+    if (!state.alertRoutes.length) {
+      wrap.innerHTML = '<div class="text-sm text-gray-500">No routing rules yet.</div>';
+      return;
+    }
+    wrap.innerHTML = state.alertRoutes.map((r) => `
+      <div class="flex items-start gap-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 ${r.enabled ? '' : 'opacity-60'}">
+        <div class="flex-1 min-w-0">
+          <div class="font-medium text-sm">${r.position}. ${escapeHtml(r.name)}${r.enabled ? '' : ' <span class="text-xs text-gray-500">(disabled)</span>'}</div>
+          <div class="text-xs text-gray-500 break-words">${escapeHtml(describeAlertRoute(r))}</div>
+        </div>
+        <button type="button" class="alert-route-edit text-sm text-blue-600 hover:text-blue-500" data-route-id="${r.id}"><i class="fas fa-pen"></i></button>
+        <button type="button" class="alert-route-delete text-sm text-red-500 hover:text-red-600" data-route-id="${r.id}"><i class="fas fa-trash"></i></button>
+      </div>
+    `).join('');
+    wrap.querySelectorAll('.alert-route-edit').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const r = state.alertRoutes.find((x) => String(x.id) === btn.getAttribute('data-route-id'));
+        if (r) openAlertRouteEditor(r);
+      });
+    });
+    wrap.querySelectorAll('.alert-route-delete').forEach((btn) => {
+      btn.addEventListener('click', () => deleteAlertRoute(btn.getAttribute('data-route-id')));
+    });
+  }
+
+  function addAlertRouteTargetRow(t) {
+    const target = t || { channel: 'email', to: '' };
+    const row = document.createElement('div');
+    row.className = 'alert-route-target flex gap-2';
+    row.innerHTML = `
+      <select class="route-target-channel p-2 border rounded-lg dark:bg-gray-800 dark:border-gray-700 text-gray-900 dark:text-gray-100 text-sm">
+        ${ROUTE_CHANNELS.map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+      </select>
+      <input type="text" class="route-target-to flex-1 p-2 border rounded-lg dark:bg-gray-800 dark:border-gray-700 text-gray-900 dark:text-gray-100 text-sm" placeholder="Default recipient" value="${escapeHtml(target.to || '')}"/>
+      <button type="button" class="route-target-remove text-gray-400 hover:text-red-500" title="Remove target"><i class="fas fa-times"></i></button>
+    `;
+    row.querySelector('.route-target-channel').value = target.channel;
+    row.querySelector('.route-target-remove').addEventListener('click', () => row.remove());
+    $('alertRouteTargets')?.appendChild(row);
+  }
+
+  function openAlertRouteEditor(r) {
+    const route = r || { id: '', name: '', enabled: true, stop: false, position: state.alertRoutes.length, match: {}, targets: [] };
+    const m = route.match || {};
+    $('alertRouteId').value = route.id || '';
+    $('alertRouteName').value = route.name || '';
+    $('alertRoutePosition').value = Number(route.position || 0);
+    $('alertRouteEnabled').checked = route.enabled !== false;
+    $('alertRouteStop').checked = !!route.stop;
+
+    const projects = [...(state.projects || [])].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+    renderCheckboxGroup('alertRouteProjects', 'route-project', projects.map((p) => [String(p.id), p.name || String(p.id)]), m.projectIds);
+    renderCheckboxGroup('alertRouteDeviceTypes', 'route-device-type', ROUTE_DEVICE_TYPES, m.deviceTypes);
+    renderCheckboxGroup('alertRouteTransitions', 'route-transition', ROUTE_TRANSITIONS, m.transitions);
+    renderCheckboxGroup('alertRouteDays', 'route-day', ROUTE_DAYS.map((d, i) => [String(i), d]), (m.timeWindow?.days || []).map(String));
+    $('alertRouteTimeEnabled').checked = !!m.timeWindow;
+    $('alertRouteTimeStart').value = m.timeWindow?.start || '09:00';
+    $('alertRouteTimeEnd').value = m.timeWindow?.end || '17:00';
+
+    $('alertRouteTargets').innerHTML = '';
+    (route.targets?.length ? route.targets : [{ channel: 'email', to: '' }]).forEach(addAlertRouteTargetRow);
+    $('alertRouteForm').classList.remove('hidden');
+    $('alertRouteName').focus();
+  }
+
+  async function saveAlertRoute(e) {
+    e.preventDefault();
+    const id = $('alertRouteId').value;
+    const body = {
+      name: $('alertRouteName').value.trim(),
+      position: Number($('alertRoutePosition').value || 0),
+      enabled: $('alertRouteEnabled').checked,
+      stop: $('alertRouteStop').checked,
+      match: {
+        projectIds: checkedValues('route-project'),
+        deviceTypes: checkedValues('route-device-type'),
+        transitions: checkedValues('route-transition'),
+        timeWindow: $('alertRouteTimeEnabled').checked
+          ? { start: $('alertRouteTimeStart').value, end: $('alertRouteTimeEnd').value, days: checkedValues('route-day').map(Number) }
+          : null
+      },
+      targets: Array.from(document.querySelectorAll('.alert-route-target')).map((row) => ({
+        channel: row.querySelector('.route-target-channel').value,
+        to: row.querySelector('.route-target-to').value.trim()
+      }))
+    };
+
+    const res = id
+      ? await apiFetch(`/api/alert-routes/${encodeURIComponent(id)}`, { method: 'PUT', body })
+      : await apiFetch('/api/alert-routes', { method: 'POST', body });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    await loadAlertRoutes();
+  }
+
+  async function deleteAlertRoute(id) {
+    if (!confirm('Delete this routing rule?')) return;
+    const res = await apiFetch(`/api/alert-routes/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    await loadAlertRoutes();
+  }
+
   // --- SMS Alerts (Premium) ---
   function isValidE164(v) {
     return /^\+\d{8,15}$/.test(String(v || '').trim());
@@ -617,6 +803,399 @@ function ensureLineChart(canvasId, label, points, existing) {
     alert(`Test SMS sent. Provider=${payload.provider || 'twilio'}${payload.testMode ? ' (test mode)' : ''}`);
   }
 
+  // --- Chat alerts: Slack / Teams / Discord (Premium) ---
+  const CHAT_PROVIDER_LABELS = { slack: 'Slack', teams: 'Microsoft Teams', discord: 'Discord' };
+  const CHAT_URL_PLACEHOLDERS = {
+    slack: 'https://hooks.slack.com/services/…',
+    teams: 'https://example.webhook.office.com/webhookb2/…',
+    discord: 'https://discord.com/api/webhooks/…'
+  };
+
+  function isValidHttpUrl(v) {
+    try {
+      const u = new URL(String(v || '').trim());
+      return u.protocol === 'https:' || u.protocol === 'http:';
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function renderChatOverridesList() {
+    const wrap = $('chatOverridesList');
+    if (!wrap) return;
+    const overrides = state.chatAlert.storeOverrides || {};
+    const projects = Array.isArray(state.projects) ? state.projects : [];
+    const sorted = [...projects].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+    wrap.innerHTML = '';
+    for (const p of sorted) {
+      const storeId = String(p.id);
+      const ov = overrides[storeId] || { enabled: false, webhookUrl: '' };
+
+      const row = document.createElement('div');
+      row.className = 'flex flex-col sm:flex-row sm:items-center gap-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700';
+      row.innerHTML = `
+        <div class="flex items-center gap-3">
+          <input type="checkbox" class="h-4 w-4 chat-ov-enabled" data-store-id="${escapeHtml(storeId)}" ${ov.enabled ? 'checked' : ''}/>
+          <div class="text-sm font-medium">${escapeHtml(p.name || storeId)} <span class="text-xs text-gray-500">(${escapeHtml(storeId)})</span></div>
+        </div>
+        <div class="flex-1"></div>
+        <input type="url" class="w-full sm:w-80 p-2 border rounded-lg dark:bg-gray-900 dark:border-gray-600 text-gray-900 dark:text-gray-100 chat-ov-url" data-store-id="${escapeHtml(storeId)}" placeholder="${escapeHtml(CHAT_URL_PLACEHOLDERS[state.chatProvider])}" value="${escapeHtml(ov.webhookUrl || '')}"/>
+      `;
+      wrap.appendChild(row);
+    }
+  }
+
+  function collectChatOverridesFromUi() {
+    const out = {};
+    for (const el of Array.from(document.querySelectorAll('.chat-ov-enabled'))) {
+      const sid = el.getAttribute('data-store-id');
+      if (!sid) continue;
+      const urlEl = document.querySelector(`.chat-ov-url[data-store-id="${CSS.escape(sid)}"]`);
+      out[sid] = { enabled: !!el.checked, webhookUrl: String(urlEl?.value || '').trim() };
+    }
+    return out;
+  }
+
+  async function loadChatAlertConfig(provider) {
+    const res = await apiFetch(`/api/alerts/${provider}`);
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      throw new Error(msg);
+    }
+    const payload = await res.json();
+    state.chatProvider = provider;
+    state.chatAlert = {
+      enabled: !!payload.enabled,
+      webhookUrl: String(payload.webhookUrl || '').trim(),
+      cooldownMinutes: Number(payload.cooldownMinutes || 30),
+      storeOverrides: payload.storeOverrides || {}
+    };
+
+    document.querySelectorAll('.chat-provider-tab').forEach((tab) => {
+      const active = tab.getAttribute('data-provider') === provider;
+      tab.classList.toggle('bg-sky-600', active);
+      tab.classList.toggle('text-white', active);
+    });
+    if ($('chatProviderLabel')) $('chatProviderLabel').textContent = CHAT_PROVIDER_LABELS[provider];
+    if ($('chatAlertsEnabled')) $('chatAlertsEnabled').checked = state.chatAlert.enabled;
+    if ($('chatAlertsWebhookUrl')) {
+      $('chatAlertsWebhookUrl').value = state.chatAlert.webhookUrl;
+      $('chatAlertsWebhookUrl').placeholder = CHAT_URL_PLACEHOLDERS[provider];
+    }
+    if ($('chatAlertsCooldown')) $('chatAlertsCooldown').value = state.chatAlert.cooldownMinutes;
+    renderChatOverridesList();
+  }
+
+  async function openChatAlertsModal() {
+    if (state.user?.plan !== 'premium') {
+      alert('Chat Alerts are Premium only.');
+      return;
+    }
+    try {
+      await loadChatAlertConfig(state.chatProvider);
+      openModal('chatAlertsModal');
+    } catch (e) {
+      alert(e?.message || 'Failed to load chat alert settings');
+    }
+  }
+
+  async function saveChatAlerts(e) {
+    e.preventDefault();
+    const provider = state.chatProvider;
+    const enabled = !!$('chatAlertsEnabled')?.checked;
+    const webhookUrl = String($('chatAlertsWebhookUrl')?.value || '').trim();
+    const cooldownMinutes = Number($('chatAlertsCooldown')?.value || 30);
+    const storeOverrides = collectChatOverridesFromUi();
+
+    if (webhookUrl && !isValidHttpUrl(webhookUrl)) {
+      alert(`${CHAT_PROVIDER_LABELS[provider]} webhook URL must be an http(s) URL`);
+      return;
+    }
+
+    const res = await apiFetch(`/api/alerts/${provider}`, {
+      method: 'PUT',
+      body: { enabled, webhookUrl, cooldownMinutes, storeOverrides }
+    });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+
+    state.chatAlert = { enabled, webhookUrl, cooldownMinutes, storeOverrides };
+    closeModal('chatAlertsModal');
+    alert(`${CHAT_PROVIDER_LABELS[provider]} alert settings saved.`);
+  }
+
+  async function sendChatTest() {
+    const provider = state.chatProvider;
+    const webhookUrl = String($('chatAlertsWebhookUrl')?.value || '').trim();
+    if (!isValidHttpUrl(webhookUrl)) {
+      alert(`Enter the ${CHAT_PROVIDER_LABELS[provider]} webhook URL first.`);
+      return;
+    }
+    // The test goes to the saved URL only
+    if (webhookUrl !== state.chatAlert.webhookUrl) {
+      alert(`Save the ${CHAT_PROVIDER_LABELS[provider]} settings first, then send a test.`);
+      return;
+    }
+    const res = await apiFetch(`/api/alerts/${provider}/test`, {
+      method: 'POST',
+      body: {}
+    });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    alert(`Test message sent to ${CHAT_PROVIDER_LABELS[provider]}.`);
+  }
+
+  // --- Webhook alerts (Premium) ---
+  function addWebhookEndpointRow(ep) {
+    const e = ep || { id: '', name: '', url: '', hasSecret: false, enabled: true };
+    const row = document.createElement('div');
+    row.className = 'webhook-endpoint p-3 rounded-lg bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 space-y-2';
+    row.dataset.endpointId = e.id || '';
+    row.innerHTML = `
+      <div class="flex flex-col sm:flex-row gap-2">
+        <input type="text" class="webhook-name w-full sm:w-40 p-2 border rounded-lg dark:bg-gray-900 dark:border-gray-600 text-gray-900 dark:text-gray-100" placeholder="Name" value="${escapeHtml(e.name || '')}"/>
+        <input type="url" class="webhook-url flex-1 p-2 border rounded-lg dark:bg-gray-900 dark:border-gray-600 text-gray-900 dark:text-gray-100" placeholder="https://tickets.example.com/hooks/dashmon" value="${escapeHtml(e.url || '')}"/>
+      </div>
+      <div class="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+        <label class="flex items-center gap-1"><input type="checkbox" class="webhook-enabled h-4 w-4" ${e.enabled !== false ? 'checked' : ''}/> Enabled</label>
+        ${e.secret
+          ? `<span>Secret: <code class="select-all">${escapeHtml(e.secret)}</code> (copy it now, it is not shown again)</span>`
+          : e.hasSecret
+            ? `<span>Secret: <code>••••${escapeHtml(e.secretHint || '')}</code></span>
+               <label class="flex items-center gap-1"><input type="checkbox" class="webhook-rotate h-4 w-4"/> Rotate on save</label>`
+            : '<span>A signing secret is generated on save.</span>'}
+        <div class="flex-1"></div>
+        <button type="button" class="webhook-remove text-red-500 hover:text-red-600"><i class="fas fa-trash mr-1"></i>Remove</button>
+      </div>
+    `;
+    row.querySelector('.webhook-remove').addEventListener('click', () => row.remove());
+    $('webhookEndpointsList')?.appendChild(row);
+  }
+
+  function renderWebhookEndpoints(endpoints) {
+    const wrap = $('webhookEndpointsList');
+    if (!wrap) return;
+    wrap.innerHTML = '';
+    (endpoints || []).forEach(addWebhookEndpointRow);
+    if (!endpoints || !endpoints.length) addWebhookEndpointRow();
+  }
+
+  function collectWebhookEndpointsFromUi() {
+    return Array.from(document.querySelectorAll('.webhook-endpoint'))
+      .map((row) => ({
+        id: row.dataset.endpointId || undefined,
+        name: String(row.querySelector('.webhook-name')?.value || '').trim(),
+        url: String(row.querySelector('.webhook-url')?.value || '').trim(),
+        enabled: !!row.querySelector('.webhook-enabled')?.checked,
+        rotateSecret: !!row.querySelector('.webhook-rotate')?.checked
+      }))
+      .filter((e) => e.url);
+  }
+
+  async function loadWebhookDeliveries() {
+    const wrap = $('webhookDeliveriesList');
+    if (!wrap) return;
+    const res = await apiFetch('/api/alerts/webhook/deliveries?limit=50');
+    if (!res.ok) {
+      wrap.innerHTML = '<div class="text-red-500">Failed to load delivery log</div>';
+      return;
+    }
+    const deliveries = (await res.json()).deliveries || [];
+    if (!deliveries.length) {
+      wrap.innerHTML = '<div class="text-gray-500">No deliveries yet.</div>';
+      return;
+    }
+    const badge = {
+      delivered: 'bg-green-100 text-green-800',
+      pending: 'bg-yellow-100 text-yellow-800',
+      failed: 'bg-red-100 text-red-800'
+    };
+    wrap.innerHTML = deliveries.map((d) => `
+      <div class="flex items-center gap-2 p-2 rounded bg-gray-50 dark:bg-gray-800">
+        <span class="px-2 py-0.5 rounded text-xs font-semibold ${badge[d.status] || ''}">${escapeHtml(d.status)}</span>
+        <div class="flex-1 min-w-0">
+          <div class="truncate">${escapeHtml(d.event)}${d.device_name ? ` • ${escapeHtml(d.device_name)}` : ''}</div>
+          <div class="text-xs text-gray-500 truncate">${escapeHtml(formatTs(d.created_at))} • ${d.attempts} attempt(s)${d.response_status ? ` • HTTP ${d.response_status}` : ''}${d.last_error ? ` • ${escapeHtml(d.last_error)}` : ''}${d.status === 'pending' && d.attempts ? ` • next ${escapeHtml(formatTs(d.next_attempt_at))}` : ''}</div>
+        </div>
+        ${d.status === 'failed' ? `<button type="button" class="webhook-retry text-xs px-2 py-1 border rounded hover:bg-gray-100 dark:hover:bg-gray-700" data-delivery-id="${d.id}">Retry</button>` : ''}
+      </div>
+    `).join('');
+    wrap.querySelectorAll('.webhook-retry').forEach((btn) => {
+      btn.addEventListener('click', () => retryWebhookDelivery(btn.getAttribute('data-delivery-id')));
+    });
+  }
+
+  async function openWebhookAlertsModal() {
+    if (state.user?.plan !== 'premium') {
+      alert('Webhook Alerts are Premium only.');
+      return;
+    }
+    const res = await apiFetch('/api/alerts/webhook');
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    const payload = await res.json();
+    if ($('webhookAlertsEnabled')) $('webhookAlertsEnabled').checked = !!payload.enabled;
+    renderWebhookEndpoints(payload.endpoints || []);
+    openModal('webhookAlertsModal');
+    loadWebhookDeliveries();
+  }
+
+  async function saveWebhookAlerts(e) {
+    e.preventDefault();
+    const enabled = !!$('webhookAlertsEnabled')?.checked;
+    const endpoints = collectWebhookEndpointsFromUi();
+    const res = await apiFetch('/api/alerts/webhook', {
+      method: 'PUT',
+      body: { enabled, endpoints }
+    });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    const payload = await res.json();
+    renderWebhookEndpoints(payload.endpoints || []);
+    alert('Webhook alert settings saved.');
+  }
+
+  async function sendWebhookTest() {
+    const res = await apiFetch('/api/alerts/webhook/test', { method: 'POST', body: {} });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    const payload = await res.json();
+    alert(`Test event queued for ${payload.queued} endpoint(s). The worker delivers it within a minute.`);
+    loadWebhookDeliveries();
+  }
+
+  async function retryWebhookDelivery(id) {
+    const res = await apiFetch(`/api/alerts/webhook/deliveries/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    loadWebhookDeliveries();
+  }
+
+  // --- Alert schedules / quiet hours (Premium) ---
+  const SCHEDULE_CHANNEL_LABELS = { email: 'Email', sms: 'SMS', slack: 'Slack', teams: 'Microsoft Teams', discord: 'Discord' };
+  const SCHEDULE_DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const SCHEDULE_AGGREGATE_OPTIONS = [[0, 'Off'], [30, '30 s'], [60, '1 min'], [120, '2 min'], [300, '5 min'], [600, '10 min'], [900, '15 min']];
+
+  function addScheduleWindowRow(container, w) {
+    const win = w || { start: '22:00', end: '07:00', days: [] };
+    const days = new Set((win.days || []).map(Number));
+    const row = document.createElement('div');
+    row.className = 'schedule-window flex flex-wrap items-center gap-2 text-sm';
+    row.innerHTML = `
+      <input type="time" class="schedule-start p-1 border rounded dark:bg-gray-900 dark:border-gray-600" value="${escapeHtml(win.start)}"/>
+      <span>to</span>
+      <input type="time" class="schedule-end p-1 border rounded dark:bg-gray-900 dark:border-gray-600" value="${escapeHtml(win.end)}"/>
+      ${SCHEDULE_DAY_LABELS.map((d, i) => `<label class="flex items-center gap-1"><input type="checkbox" class="schedule-day h-3 w-3" value="${i}" ${days.has(i) ? 'checked' : ''}/>${d}</label>`).join('')}
+      <button type="button" class="schedule-window-remove text-red-500 hover:text-red-600"><i class="fas fa-trash"></i></button>
+    `;
+    row.querySelector('.schedule-window-remove').addEventListener('click', () => row.remove());
+    container.appendChild(row);
+  }
+
+  function renderAlertSchedule(schedule) {
+    const card = document.createElement('div');
+    card.className = 'alert-schedule p-3 rounded-lg bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 space-y-2';
+    card.dataset.channel = schedule.channel;
+    card.innerHTML = `
+      <div class="flex flex-wrap items-center gap-3">
+        <h3 class="font-semibold w-32">${escapeHtml(SCHEDULE_CHANNEL_LABELS[schedule.channel] || schedule.channel)}</h3>
+        <select class="schedule-mode p-2 border rounded-lg dark:bg-gray-900 dark:border-gray-600 text-sm">
+          <option value="always">Always send</option>
+          <option value="quiet">Quiet hours</option>
+          <option value="active">Business hours</option>
+        </select>
+        <label class="flex items-center gap-1 text-sm"><input type="checkbox" class="schedule-digest h-4 w-4" ${schedule.digest ? 'checked' : ''}/> Digest</label>
+        <label class="flex items-center gap-1 text-sm" title="Batch UP/DOWN alerts into one message per project">Group alerts
+          <select class="schedule-aggregate p-1 border rounded dark:bg-gray-900 dark:border-gray-600 text-sm">
+            ${SCHEDULE_AGGREGATE_OPTIONS.map(([v, label]) => `<option value="${v}">${label}</option>`).join('')}
+          </select>
+        </label>
+        <div class="flex-1"></div>
+        <button type="button" class="schedule-add-window px-2 py-1 border rounded text-xs hover:bg-gray-100 dark:hover:bg-gray-700"><i class="fas fa-plus mr-1"></i>Window</button>
+        <button type="button" class="schedule-save px-3 py-1 bg-slate-600 text-white rounded text-sm hover:bg-slate-700">Save</button>
+      </div>
+      <div class="schedule-windows space-y-2"></div>
+    `;
+    card.querySelector('.schedule-mode').value = schedule.mode || 'always';
+    const aggregate = card.querySelector('.schedule-aggregate');
+    const aggregateSeconds = String(Number(schedule.aggregate_seconds) || 0);
+    if (!SCHEDULE_AGGREGATE_OPTIONS.some(([v]) => String(v) === aggregateSeconds)) {
+      aggregate.insertAdjacentHTML('beforeend', `<option value="${aggregateSeconds}">${aggregateSeconds}s</option>`);
+    }
+    aggregate.value = aggregateSeconds;
+    const windows = card.querySelector('.schedule-windows');
+    (schedule.windows || []).forEach((w) => addScheduleWindowRow(windows, w));
+    card.querySelector('.schedule-add-window').addEventListener('click', () => addScheduleWindowRow(windows));
+    card.querySelector('.schedule-save').addEventListener('click', () => saveAlertSchedule(card));
+    return card;
+  }
+
+  async function openAlertSchedulesModal() {
+    if (state.user?.plan !== 'premium') {
+      alert('Quiet Hours are Premium only.');
+      return;
+    }
+    const res = await apiFetch('/api/alerts/schedules');
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    const payload = await res.json();
+    if ($('alertSchedulesTimezone')) $('alertSchedulesTimezone').textContent = payload.timezone || 'UTC';
+    const list = $('alertSchedulesList');
+    if (list) {
+      list.innerHTML = '';
+      (payload.schedules || []).forEach((s) => list.appendChild(renderAlertSchedule(s)));
+    }
+    openModal('alertSchedulesModal');
+  }
+
+  async function saveAlertSchedule(card) {
+    const channel = card.dataset.channel;
+    const windows = Array.from(card.querySelectorAll('.schedule-window')).map((row) => ({
+      start: String(row.querySelector('.schedule-start')?.value || ''),
+      end: String(row.querySelector('.schedule-end')?.value || ''),
+      days: Array.from(row.querySelectorAll('.schedule-day:checked')).map((x) => Number(x.value))
+    }));
+    const res = await apiFetch(`/api/alerts/schedules/${encodeURIComponent(channel)}`, {
+      method: 'PUT',
+      body: {
+        mode: card.querySelector('.schedule-mode')?.value || 'always',
+        digest: !!card.querySelector('.schedule-digest')?.checked,
+        aggregateSeconds: Number(card.querySelector('.schedule-aggregate')?.value || 0),
+        windows
+      }
+    });
+    if (!res.ok) {
+      const msg = (await res.json().catch(() => null))?.error || `Failed (${res.status})`;
+      alert(msg);
+      return;
+    }
+    const payload = await res.json();
+    card.replaceWith(renderAlertSchedule(payload.schedule));
+    alert(`${SCHEDULE_CHANNEL_LABELS[channel] || channel} schedule saved.`);
+  }
+
   const scrollLock = typeof createScrollLock === 'function' ? createScrollLock(window, document) : null;
 
   function openModal(id) {
@@ -704,6 +1283,8 @@ function statusClass(status) {
     renderProjects();
     updateSummaryUI();
     updateMainGraphs().catch(()=>{});
+    loadOpenIncidents().catch(() => {});
+    loadWorkerHealth().catch(() => {});
 
     const sum = computeSummary(state.projects);
     if (state.lastDownCount && sum.down > state.lastDownCount) {
@@ -718,6 +1299,77 @@ function statusClass(status) {
     if (dashboardLastUpdated) dashboardLastUpdated.textContent = now;
   }
 
+  function formatDuration(seconds) {
+    const s = Math.max(0, Number(seconds || 0));
+    if (s < 60) return `${s}s`;
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${m}m`;
+    const h = Math.floor(m / 60);
+    if (h < 24) return `${h}h ${m % 60}m`;
+    return `${Math.floor(h / 24)}d ${h % 24}h`;
+  }
+
+  // Worker heartbeat from /api/health: banner when no worker is ticking, lag under "Last Updated".
+  async function loadWorkerHealth() {
+    const res = await apiFetch('/api/health');
+    if (!res.ok) return;
+    const worker = (await res.json()).worker || {};
+    const banner = $('workerDownBanner');
+    const down = worker.status === 'stale' || worker.status === 'none';
+    if (banner) banner.classList.toggle('hidden', !down);
+    if (down && $('workerDownText')) {
+      $('workerDownText').textContent = worker.lastTickAt
+        ? `Monitoring worker has not reported since ${formatTs(worker.lastTickAt)}. Device statuses may be stale.`
+        : 'No monitoring worker has reported yet. Device statuses may be stale.';
+    }
+    const info = $('workerHealth');
+    if (info) {
+      info.textContent = worker.status === 'ok'
+        ? `Worker OK${worker.alive > 1 ? ` (${worker.alive})` : ''}${worker.maxLagMs != null ? ` • max lag ${(worker.maxLagMs / 1000).toFixed(1)}s` : ''}`
+        : '';
+    }
+  }
+
+  async function loadOpenIncidents() {
+    const list = $('openIncidentsList');
+    if (!list) return;
+    const res = await apiFetch('/api/incidents?state=open&limit=50');
+    if (!res.ok) return;
+    const incidents = (await res.json()).incidents || [];
+    if ($('openIncidentsCount')) $('openIncidentsCount').textContent = `${incidents.length} open`;
+    if (!incidents.length) {
+      list.innerHTML = '<div class="text-gray-500">No open incidents.</div>';
+      return;
+    }
+    list.innerHTML = incidents.map((i) => {
+      const acked = i.acknowledged_at
+        ? `<span class="text-xs text-green-500" title="${escapeHtml(i.ack_note || '')}"><i class="fas fa-check mr-1"></i>Acknowledged</span>`
+        : `<button class="text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white" data-ack-incident="${i.id}">Acknowledge</button>`;
+      return `<div class="flex flex-wrap items-center justify-between gap-2 py-2 border-b border-gray-700/40">
+        <div>
+          <div class="font-semibold">${escapeHtml(i.device_name)} <span class="text-gray-500 font-normal">• ${escapeHtml(i.project_name || i.store_id)}</span></div>
+          <div class="text-xs text-gray-500">Since ${escapeHtml(formatTs(i.started_at))} • ${formatDuration(i.duration_seconds)}${i.cause ? ` • ${escapeHtml(i.cause)}` : ''}</div>
+        </div>
+        ${acked}
+      </div>`;
+    }).join('');
+    list.querySelectorAll('[data-ack-incident]').forEach((btn) => {
+      btn.addEventListener('click', () => acknowledgeIncident(btn.getAttribute('data-ack-incident')));
+    });
+  }
+
+  async function acknowledgeIncident(id) {
+    const note = window.prompt('Acknowledge incident — optional note:', '');
+    if (note === null) return;
+    const res = await apiFetch(`/api/incidents/${encodeURIComponent(id)}/ack`, { method: 'POST', body: { note } });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert(payload.error || 'Failed to acknowledge incident');
+      return;
+    }
+    await loadOpenIncidents();
+  }
+
   function updateSummaryUI() {
     const s = computeSummary(state.projects);
     if ($('totalProjects')) $('totalProjects').textContent = s.totalStores;
@@ -990,7 +1642,7 @@ function renderProjects() {
       card.dataset.storeId = p.id;
 
       const devicesHtml = (p.devices || []).map(d => {
-        const dotClass = statusClass(d.status || 'unknown');
+        const dotClass = statusClass(d.stale ? 'unknown' : (d.status || 'unknown'));
         const ip = d.ip ? `<span class="text-xs text-gray-400">${escapeHtml(d.ip)}</span>` : '';
         return `
           <div class="device-item flex items-center justify-between p-3 rounded-lg bg-black/20 hover:bg-black/30 cursor-pointer"
@@ -1004,7 +1656,11 @@ function renderProjects() {
             </div>
             <div class="flex items-center gap-3">
               <div class="w-24 h-7"><canvas id="spark_${d.id}" height="28"></canvas></div>
-              <div class="text-xs text-gray-400">${escapeHtml(d.status || 'unknown')}</div>
+              ${state.refreshPending.has(d.id)
+                ? '<div class="text-xs text-blue-300"><i class="fas fa-spinner fa-spin mr-1"></i>queued</div>'
+                : d.stale
+                  ? `<div class="text-xs text-gray-500" title="No result since ${escapeHtml(formatTs(d.last_check))} (last status: ${escapeHtml(d.status || 'unknown')})">stale</div>`
+                  : `<div class="text-xs text-gray-400">${escapeHtml(d.status || 'unknown')}</div>`}
             </div>
           </div>
         `;
@@ -1141,12 +1797,13 @@ function renderProjects() {
     const port = $('devicePort').value.trim();
     const url = $('deviceUrl').value.trim();
     const notes = $('deviceNotes').value.trim();
+    const checkType = $('deviceCheckType')?.value || 'auto';
 
     if (!storeId || !name || !type || !ip) return alert('Device Name, Type and IP are required');
 
     const res = await apiFetch(`/api/projects/${encodeURIComponent(storeId)}/devices`, {
       method: 'POST',
-      body: { name, type, ip, port: port ? Number(port) : null, url: url || null, notes: notes || null }
+      body: { name, type, ip, port: port ? Number(port) : null, url: url || null, notes: notes || null, checkType }
     });
 
     if (!res.ok) {
@@ -1221,9 +1878,20 @@ function renderProjects() {
   async function testCurrentDevice() {
     const deviceId = $('testDeviceNow').dataset.deviceId;
     if (!deviceId) return;
-    const res = await apiFetch(`/api/devices/${encodeURIComponent(deviceId)}/test-now`, { method: 'POST' });
-    if (!res.ok) alert('Failed to queue test');
-    else alert('Test queued. Refresh in ~20 seconds.');
+    const res = await apiFetch(`/api/devices/${encodeURIComponent(deviceId)}/test-now?wait=15`, { method: 'POST' });
+    if (!res.ok) {
+      alert('Failed to queue test');
+      return;
+    }
+    const payload = await res.json().catch(() => ({}));
+    const r = payload.result;
+    if (!r) {
+      alert('Test queued. The result will appear shortly.');
+      return;
+    }
+    const detail = r.latency != null ? ` (${r.latency}ms)` : (r.error ? ` (${r.error})` : '');
+    alert(`Test result: ${String(r.observed || r.status).toUpperCase()}${detail}`);
+    loadProjects().catch(() => {});
   }
 
   function openDeviceUrl() {
@@ -1323,15 +1991,55 @@ function toggleDownAlertSound() {
       const payload = await res.json().catch(() => ({}));
       setRefreshCooldown(Number(payload.cooldownSeconds || 60));
 
-      // Load immediately, then again shortly (worker checks every ~20s)
-      await loadProjects();
-      setTimeout(() => loadProjects().catch(() => {}), 25 * 1000);
+      state.refreshPending = new Set((payload.devices || []).filter((d) => d.state === 'queued').map((d) => d.id));
+      renderProjects();
+      watchRefreshProgress();
     } catch (e) {
       alert(e?.message || 'Refresh failed');
       updateRefreshBtnState();
     }
   }
 
+  // Polls refresh-all progress and applies each device's result as the worker writes it.
+  let refreshProgressTimer = null;
+  function watchRefreshProgress() {
+    if (refreshProgressTimer) clearTimeout(refreshProgressTimer);
+    const startedAt = Date.now();
+    const poll = async () => {
+      refreshProgressTimer = null;
+      try {
+        const res = await apiFetch('/api/devices/refresh-all');
+        if (!res.ok) throw new Error(`Failed (${res.status})`);
+        const payload = await res.json();
+        let changed = false;
+        for (const d of payload.devices || []) {
+          if (d.state !== 'checked' || !state.refreshPending.has(d.id)) continue;
+          state.refreshPending.delete(d.id);
+          const device = (state.projects || []).flatMap((p) => p.devices || []).find((x) => x.id === d.id);
+          if (device) {
+            device.status = d.status;
+            device.last_check = d.lastCheck;
+          }
+          changed = true;
+        }
+        if (changed) {
+          renderProjects();
+          updateSummaryUI();
+        }
+      } catch (e) {
+        console.warn('Refresh progress failed:', e);
+      }
+      // Give up after 3 minutes; the regular reload picks up anything still outstanding.
+      if (state.refreshPending.size && Date.now() - startedAt < 3 * 60 * 1000) {
+        refreshProgressTimer = setTimeout(poll, 5000);
+        return;
+      }
+      state.refreshPending = new Set();
+      loadProjects().catch(() => {});
+    };
+    refreshProgressTimer = setTimeout(poll, 3000);
+  }
+
   function openTimezoneModal() {
     if (!isPremiumUser()) {
       window.location.href = '/app/pricing.html';
@@ -1446,6 +2154,10 @@ function toggleDownAlertSound() {
     $('closeEmailAlertsModal')?.addEventListener('click', () => closeModal('emailAlertsModal'));
     $('cancelEmailAlerts')?.addEventListener('click', () => closeModal('emailAlertsModal'));
     $('emailAlertsForm')?.addEventListener('submit', saveEmailAlerts);
+    $('alertRouteAddBtn')?.addEventListener('click', () => openAlertRouteEditor());
+    $('alertRouteAddTarget')?.addEventListener('click', () => addAlertRouteTargetRow());
+    $('alertRouteCancel')?.addEventListener('click', () => $('alertRouteForm')?.classList.add('hidden'));
+    $('alertRouteForm')?.addEventListener('submit', saveAlertRoute);
 
     $('smsAlertsBtn')?.addEventListener('click', openSmsAlertsModal);
     $('closeSmsAlertsModal')?.addEventListener('click', () => closeModal('smsAlertsModal'));
@@ -1453,6 +2165,29 @@ function toggleDownAlertSound() {
     $('smsAlertsForm')?.addEventListener('submit', saveSmsAlerts);
     $('smsTestBtn')?.addEventListener('click', sendSmsTest);
 
+    $('chatAlertsBtn')?.addEventListener('click', openChatAlertsModal);
+    $('closeChatAlertsModal')?.addEventListener('click', () => closeModal('chatAlertsModal'));
+    $('cancelChatAlerts')?.addEventListener('click', () => closeModal('chatAlertsModal'));
+    $('chatAlertsForm')?.addEventListener('submit', saveChatAlerts);
+    $('chatTestBtn')?.addEventListener('click', sendChatTest);
+    document.querySelectorAll('.chat-provider-tab').forEach((tab) => {
+      tab.addEventListener('click', () => {
+        loadChatAlertConfig(tab.getAttribute('data-provider')).catch((e) => alert(e?.message || 'Failed to load chat alert settings'));
+      });
+    });
+
+    $('webhookAlertsBtn')?.addEventListener('click', openWebhookAlertsModal);
+    $('closeWebhookAlertsModal')?.addEventListener('click', () => closeModal('webhookAlertsModal'));
+    $('cancelWebhookAlerts')?.addEventListener('click', () => closeModal('webhookAlertsModal'));
+    $('webhookAlertsForm')?.addEventListener('submit', saveWebhookAlerts);
+    $('webhookAddEndpoint')?.addEventListener('click', () => addWebhookEndpointRow());
+    $('webhookTestBtn')?.addEventListener('click', sendWebhookTest);
+    $('webhookRefreshLog')?.addEventListener('click', loadWebhookDeliveries);
+
+    $('alertSchedulesBtn')?.addEventListener('click', openAlertSchedulesModal);
+    $('closeAlertSchedulesModal')?.addEventListener('click', () => closeModal('alertSchedulesModal'));
+    $('cancelAlertSchedules')?.addEventListener('click', () => closeModal('alertSchedulesModal'));
+
     $('totalDevicesCard')?.addEventListener('click', () => openSummaryDevicesModal('all'));
     $('upDevicesCard')?.addEventListener('click', () => openSummaryDevicesModal('up'));
     $('downDevicesCard')?.addEventListener('click', () => openSummaryDevicesModal('down'));
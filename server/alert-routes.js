@@ -0,0 +1,128 @@
+// Alert routing rule validation (evaluated by worker/routing.js)
+
+const { isValidChatWebhookUrl, chatUrlError } = require('./chat-alerts');
+
+const ROUTE_CHANNELS = ['email', 'sms', 'slack', 'teams', 'discord', 'webhook'];
+const ROUTE_TRANSITIONS = ['down', 'up', 'cert_expiring'];
+const MAX_ROUTE_TARGETS = 10;
+
+function isValidEmail(v) {
+  return /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/.test(v);
+}
+
+function isValidE164(v) {
+  return /^\+\d{8,15}$/.test(v);
+}
+
+function stringList(v, label, max) {
+  if (v == null) return { value: [] };
+  if (!Array.isArray(v)) return { error: `${label} must be an array` };
+  const out = [...new Set(v.map((x) => String(x ?? '').trim()).filter(Boolean))];
+  if (out.length > max) return { error: `${label} allows at most ${max} entries` };
+  if (out.some((x) => x.length > 100)) return { error: `${label} entries must be at most 100 characters` };
+  return { value: out };
+}
+
+function normalizeTimeWindow(raw) {
+  if (raw == null || raw === '') return { value: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'timeWindow must be an object' };
+  const hhmm = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const start = String(raw.start || '').trim();
+  const end = String(raw.end || '').trim();
+  if (!hhmm.test(start) || !hhmm.test(end)) return { error: 'timeWindow.start and timeWindow.end must be HH:MM' };
+  if (start === end) return { error: 'timeWindow.start and timeWindow.end must differ' };
+
+  let days = [];
+  if (raw.days != null) {
+    if (!Array.isArray(raw.days)) return { error: 'timeWindow.days must be an array' };
+    days = [...new Set(raw.days.map(Number))].sort((a, b) => a - b);
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'timeWindow.days must be weekdays 0 (Sunday) to 6 (Saturday)' };
+    }
+  }
+  return { value: { start, end, days } };
+}
+
+// target.to is optional: empty means the channel's configured default.
+// email: comma list; sms: E.164; slack/teams/discord: incoming-webhook URL on the provider's hosts
+// (as for the channel's own URL, chat-alerts.js); webhook: endpoint id.
+function normalizeTarget(raw, index) {
+  const label = `targets[${index}]`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `${label} must be an object` };
+  const channel = String(raw.channel || '').trim().toLowerCase();
+  if (!ROUTE_CHANNELS.includes(channel)) {
+    return { error: `${label}.channel must be one of: ${ROUTE_CHANNELS.join(', ')}` };
+  }
+
+  const to = String(raw.to ?? '').trim();
+  if (!to) return { value: { channel, to: null } };
+  if (to.length > 2000) return { error: `${label}.to must be at most 2000 characters` };
+  if (channel === 'email') {
+    const list = to.split(',').map((x) => x.trim()).filter(Boolean);
+    if (!list.length || list.length > 10 || !list.every(isValidEmail)) {
+      return { error: `${label}.to must be up to 10 comma separated email addresses` };
+    }
+    return { value: { channel, to: list.join(', ') } };
+  }
+  if (channel === 'sms' && !isValidE164(to)) return { error: `${label}.to must be an E.164 number (e.g. +61412345678)` };
+  if (['slack', 'teams', 'discord'].includes(channel) && !isValidChatWebhookUrl(channel, to)) {
+    return { error: `${label}.to must be an incoming-webhook URL: ${chatUrlError(channel)}` };
+  }
+  return { value: { channel, to } };
+}
+
+// Returns { error } or { name, enabled, position, stop, match, targets }.
+function normalizeAlertRouteInput(body) {
+  const b = body || {};
+  const name = String(b.name || '').trim();
+  if (!name) return { error: 'Rule name is required' };
+  if (name.length > 100) return { error: 'Rule name must be at most 100 characters' };
+
+  const m = (b.match && typeof b.match === 'object') ? b.match : {};
+  const projectIds = stringList(m.projectIds, 'match.projectIds', 100);
+  if (projectIds.error) return { error: projectIds.error };
+  const deviceTypes = stringList(m.deviceTypes, 'match.deviceTypes', 20);
+  if (deviceTypes.error) return { error: deviceTypes.error };
+  const transitions = stringList(m.transitions, 'match.transitions', ROUTE_TRANSITIONS.length);
+  if (transitions.error) return { error: transitions.error };
+  if (transitions.value.some((t) => !ROUTE_TRANSITIONS.includes(t))) {
+    return { error: `match.transitions must be among: ${ROUTE_TRANSITIONS.join(', ')}` };
+  }
+  const timeWindow = normalizeTimeWindow(m.timeWindow);
+  if (timeWindow.error) return { error: `match.${timeWindow.error}` };
+
+  if (!Array.isArray(b.targets) || !b.targets.length) return { error: 'At least one target is required' };
+  if (b.targets.length > MAX_ROUTE_TARGETS) return { error: `A rule allows at most ${MAX_ROUTE_TARGETS} targets` };
+  const targets = [];
+  for (let i = 0; i < b.targets.length; i += 1) {
+    const t = normalizeTarget(b.targets[i], i);
+    if (t.error) return { error: t.error };
+    targets.push(t.value);
+  }
+
+  const position = Number(b.position ?? 0);
+  if (!Number.isInteger(position) || position < 0 || position > 1000) {
+    return { error: 'position must be between 0 and 1000' };
+  }
+
+  return {
+    name,
+    enabled: b.enabled !== false,
+    position,
+    stop: b.stop === true,
+    match: {
+      projectIds: projectIds.value,
+      deviceTypes: deviceTypes.value.map((x) => x.toLowerCase()),
+      transitions: transitions.value,
+      timeWindow: timeWindow.value
+    },
+    targets
+  };
+}
+
+module.exports = {
+  ROUTE_CHANNELS,
+  ROUTE_TRANSITIONS,
+  normalizeTimeWindow,
+  normalizeAlertRouteInput
+};
@@ -0,0 +1,43 @@
+// Per-channel alert schedule validation (evaluated by worker/schedules.js)
+
+const { normalizeTimeWindow } = require('./alert-routes');
+
+const SCHEDULE_CHANNELS = ['email', 'sms', 'slack', 'teams', 'discord'];
+const SCHEDULE_MODES = ['always', 'quiet', 'active'];
+const MAX_SCHEDULE_WINDOWS = 7;
+// Alert storm aggregation window (0 = off): UP/DOWN alerts are batched per project.
+const MIN_AGGREGATE_SECONDS = 30;
+const MAX_AGGREGATE_SECONDS = 900;
+
+// Returns { error } or { mode, windows, digest, aggregateSeconds }.
+function normalizeAlertScheduleInput(body) {
+  const b = body || {};
+  const mode = String(b.mode || 'always').trim().toLowerCase();
+  if (!SCHEDULE_MODES.includes(mode)) return { error: `mode must be one of: ${SCHEDULE_MODES.join(', ')}` };
+
+  const raw = b.windows == null ? [] : b.windows;
+  if (!Array.isArray(raw)) return { error: 'windows must be an array' };
+  if (raw.length > MAX_SCHEDULE_WINDOWS) return { error: `A schedule allows at most ${MAX_SCHEDULE_WINDOWS} windows` };
+  const windows = [];
+  for (let i = 0; i < raw.length; i += 1) {
+    const w = normalizeTimeWindow(raw[i]);
+    if (w.error) return { error: `windows[${i}]: ${w.error.replace(/timeWindow\./g, '')}` };
+    if (w.value) windows.push(w.value);
+  }
+  if (mode !== 'always' && !windows.length) return { error: 'At least one window is required for quiet or active mode' };
+
+  const aggregateSeconds = b.aggregateSeconds == null || b.aggregateSeconds === '' ? 0 : Number(b.aggregateSeconds);
+  if (!Number.isInteger(aggregateSeconds) || (aggregateSeconds !== 0 && (aggregateSeconds < MIN_AGGREGATE_SECONDS || aggregateSeconds > MAX_AGGREGATE_SECONDS))) {
+    return { error: `aggregateSeconds must be 0 (off) or ${MIN_AGGREGATE_SECONDS}-${MAX_AGGREGATE_SECONDS} seconds` };
+  }
+
+  return { mode, windows: mode === 'always' ? [] : windows, digest: mode !== 'always' && b.digest === true, aggregateSeconds };
+}
+
+module.exports = {
+  SCHEDULE_CHANNELS,
+  SCHEDULE_MODES,
+  MIN_AGGREGATE_SECONDS,
+  MAX_AGGREGATE_SECONDS,
+  normalizeAlertScheduleInput
+};
@@ -0,0 +1,85 @@
+// Slack / Microsoft Teams / Discord alert configuration (alerts rows type=<provider>;
+// messages are formatted and sent by worker/chat.js).
+
+const CHAT_PROVIDERS = ['slack', 'teams', 'discord'];
+const CHAT_PROVIDER_LABELS = { slack: 'Slack', teams: 'Microsoft Teams', discord: 'Discord' };
+// Incoming-webhook hosts per provider (and their subdomains). Chat URLs must be https on one of
+// these, so a saved URL can never point the server or the worker at an internal address.
+const CHAT_WEBHOOK_HOSTS = {
+  slack: ['hooks.slack.com'],
+  teams: ['webhook.office.com', 'outlook.office.com', 'logic.azure.com', 'api.powerplatform.com'],
+  discord: ['discord.com', 'discordapp.com']
+};
+
+function isValidChatWebhookUrl(provider, v) {
+  let u;
+  try { u = new URL(String(v || '')); } catch (_) { return false; }
+  if (u.protocol !== 'https:' || u.username || u.password || u.port) return false;
+  const host = u.hostname.toLowerCase();
+  return (CHAT_WEBHOOK_HOSTS[provider] || []).some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+function chatUrlError(provider) {
+  return `${CHAT_PROVIDER_LABELS[provider] || provider} webhook URL must be an https URL on ${CHAT_WEBHOOK_HOSTS[provider].join(' or ')}`;
+}
+
+// Returns { error } or { enabled, webhookUrl, cooldownMinutes, storeOverrides }.
+function normalizeChatAlertInput(provider, body) {
+  const b = body || {};
+  const label = CHAT_PROVIDER_LABELS[provider] || provider;
+  const enabled = !!b.enabled;
+  const webhookUrl = String(b.webhookUrl || '').trim();
+  const cooldownMinutesRaw = Number(b.cooldownMinutes ?? 30);
+  const cooldownMinutes = Number.isFinite(cooldownMinutesRaw)
+    ? Math.min(10080, Math.max(1, Math.round(cooldownMinutesRaw)))
+    : 30;
+
+  if (webhookUrl && !isValidChatWebhookUrl(provider, webhookUrl)) {
+    return { error: chatUrlError(provider) };
+  }
+
+  const storeOverridesIn = (b.storeOverrides && typeof b.storeOverrides === 'object') ? b.storeOverrides : {};
+  const storeOverrides = {};
+  for (const [storeId, ov] of Object.entries(storeOverridesIn)) {
+    if (!ov || typeof ov !== 'object') continue;
+    const ovUrl = String(ov.webhookUrl || '').trim();
+    if (ov.enabled && ovUrl && !isValidChatWebhookUrl(provider, ovUrl)) {
+      return { error: `Invalid ${label} webhook URL for project ${storeId}: ${chatUrlError(provider)}` };
+    }
+    storeOverrides[storeId] = { enabled: !!ov.enabled, webhookUrl: ovUrl };
+  }
+
+  if (enabled && !webhookUrl && !Object.values(storeOverrides).some((ov) => ov.enabled && ov.webhookUrl)) {
+    return { error: `${label} webhook URL is required` };
+  }
+  return { enabled, webhookUrl, cooldownMinutes, storeOverrides };
+}
+
+function buildChatTestMessage(provider) {
+  const text = `Dashmon test message (${new Date().toISOString()})`;
+  if (provider === 'slack') return { text };
+  if (provider === 'discord') return { username: 'Dashmon', content: text };
+  return { '@type': 'MessageCard', '@context': 'https://schema.org/extensions', summary: text, text };
+}
+
+async function sendChatTestMessage(provider, webhookUrl) {
+  const r = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildChatTestMessage(provider)),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!r.ok) throw new Error(`${CHAT_PROVIDER_LABELS[provider]} responded with HTTP ${r.status}`);
+  return { status: r.status };
+}
+
+module.exports = {
+  CHAT_PROVIDERS,
+  CHAT_PROVIDER_LABELS,
+  CHAT_WEBHOOK_HOSTS,
+  isValidChatWebhookUrl,
+  chatUrlError,
+  normalizeChatAlertInput,
+  buildChatTestMessage,
+  sendChatTestMessage
+};
@@ -0,0 +1,94 @@
+// Write-only check credentials (SNMPv3 authKey / privKey). They are kept out of check_config, which
+// API responses return, and stored in devices.check_secrets as one AES-256-GCM value per field,
+// keyed by CHECK_SECRETS_KEY (the worker needs the same key, see worker/check-secrets.js).
+// Responses show SECRET_MASK instead; a config sent back with the mask keeps the stored secret.
+
+const crypto = require('crypto');
+
+const SECRET_FIELDS = ['authKey', 'privKey'];
+const SECRET_MASK = '********';
+
+function getCheckSecretsKey() {
+  const raw = String(process.env.CHECK_SECRETS_KEY || '');
+  return raw ? crypto.createHash('sha256').update(raw).digest() : null;
+}
+
+function encryptSecret(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+function decryptSecret(text, key) {
+  const [version, iv, tag, data] = String(text).split(':');
+  if (version !== 'v1' || data === undefined) throw new Error('Unsupported check secret format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Moves the secret fields out of a normalized check config, encrypting new values. A masked value
+// keeps the secret in `stored` (check_secrets of the device being edited).
+// Returns { error } or { checkConfig, checkSecrets } (checkSecrets null when there are none).
+function splitCheckSecrets(checkConfig, stored = null, key = getCheckSecretsKey()) {
+  const cfg = { ...checkConfig };
+  const secrets = {};
+  for (const field of SECRET_FIELDS) {
+    if (cfg[field] === undefined) continue;
+    const value = cfg[field];
+    delete cfg[field];
+    if (value === SECRET_MASK) {
+      if (!stored?.[field]) return { error: `checkConfig.${field} must be at least 8 characters` };
+      secrets[field] = stored[field];
+    } else if (!key) {
+      return { error: 'SNMPv3 keys cannot be saved: CHECK_SECRETS_KEY is not set on the server' };
+    } else {
+      secrets[field] = encryptSecret(value, key);
+    }
+  }
+  return { checkConfig: cfg, checkSecrets: Object.keys(secrets).length ? secrets : null };
+}
+
+function hasMaskedSecrets(checkConfig) {
+  return SECRET_FIELDS.some((field) => checkConfig?.[field] === SECRET_MASK);
+}
+
+// The check config with its secrets decrypted, for probe agents, which run the check themselves.
+// A secret that cannot be decrypted (no or another key) is left out and the check fails to authenticate.
+function revealCheckSecrets(checkConfig, stored, key = getCheckSecretsKey()) {
+  const cfg = { ...(checkConfig || {}) };
+  for (const field of SECRET_FIELDS) {
+    if (!stored?.[field] || !key) continue;
+    try {
+      cfg[field] = decryptSecret(stored[field], key);
+    } catch (_) {
+      delete cfg[field];
+    }
+  }
+  return cfg;
+}
+
+// A device row as the API returns it: without check_secrets, with SECRET_MASK for each stored secret.
+function maskDeviceSecrets(device) {
+  if (!device) return device;
+  const { check_secrets: secrets, ...rest } = device;
+  if (!rest.check_config || typeof rest.check_config !== 'object') return rest;
+  const cfg = { ...rest.check_config };
+  for (const field of SECRET_FIELDS) {
+    if (secrets?.[field] || cfg[field]) cfg[field] = SECRET_MASK;
+  }
+  return { ...rest, check_config: cfg };
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  SECRET_MASK,
+  getCheckSecretsKey,
+  encryptSecret,
+  decryptSecret,
+  splitCheckSecrets,
+  hasMaskedSecrets,
+  revealCheckSecrets,
+  maskDeviceSecrets
+};
@@ -0,0 +1,336 @@
+// Device check type validation (mirrors worker/checks.js registry)
+
+const CHECK_TYPES = ['auto', 'http', 'tcp', 'icmp', 'dns', 'tls-cert', 'heartbeat', 'snmp'];
+
+// Heartbeat (push) monitors: expected ping period and grace time, in seconds.
+const HEARTBEAT_DEFAULT_PERIOD_SECONDS = 24 * 60 * 60;
+const HEARTBEAT_DEFAULT_GRACE_SECONDS = 60 * 60;
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'TXT'];
+
+// SNMP (worker/snmp.js): v2c community or v3 USM credentials, plus the metrics to poll.
+const SNMP_VERSIONS = ['2c', '3'];
+const SNMP_SECURITY_LEVELS = ['noAuthNoPriv', 'authNoPriv', 'authPriv'];
+const SNMP_AUTH_PROTOCOLS = ['md5', 'sha', 'sha224', 'sha256', 'sha384', 'sha512'];
+const SNMP_PRIV_PROTOCOLS = ['des', 'aes', 'aes256b', 'aes256r'];
+const SNMP_METRIC_TYPES = ['sysUpTime', 'ifOperStatus', 'cpu', 'memory', 'supply', 'custom'];
+const SNMP_THRESHOLD_KEYS = ['warnAbove', 'downAbove', 'warnBelow', 'downBelow'];
+const SNMP_MAX_METRICS = 20;
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+}
+
+function optionalPort(v, label) {
+  if (v == null || v === '') return { value: undefined };
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > 65535) return { error: `${label} must be between 1 and 65535` };
+  return { value: n };
+}
+
+function boundedSeconds(v, fallback, min, max, label) {
+  if (v == null || v === '') return { value: fallback };
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) return { error: `${label} must be between ${min} and ${max} seconds` };
+  return { value: n };
+}
+
+function optionalString(v, max) {
+  if (v == null) return undefined;
+  const s = String(v).trim();
+  return s ? s.slice(0, max) : undefined;
+}
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'OPTIONS'];
+
+function parseExpectedStatus(v) {
+  const list = Array.isArray(v) ? v : typeof v === 'string' ? v.split(',') : [v];
+  const out = [];
+  for (const raw of list) {
+    const entry = String(raw ?? '').trim();
+    if (!entry) continue;
+    const m = entry.match(/^(\d{3})(?:\s*-\s*(\d{3}))?$/);
+    const lo = m ? Number(m[1]) : NaN;
+    const hi = m && m[2] ? Number(m[2]) : lo;
+    if (!m || lo < 100 || hi > 599 || hi < lo) {
+      return { error: `Invalid expected status "${entry}" (use codes like 200 or ranges like 200-299)` };
+    }
+    out.push(m[2] ? `${lo}-${hi}` : lo);
+  }
+  if (out.length > 20) return { error: 'expectedStatus allows at most 20 entries' };
+  return { value: out };
+}
+
+// Days-before-expiry thresholds for cert_expiring alerts (http, auto and tls-cert checks).
+function parseCertExpiryDays(v) {
+  const list = Array.isArray(v) ? v : String(v).split(',');
+  const out = [];
+  for (const raw of list) {
+    const entry = String(raw ?? '').trim();
+    if (!entry) continue;
+    const n = Number(entry);
+    if (!Number.isInteger(n) || n < 1 || n > 365) return { error: 'checkConfig.certExpiryDays entries must be between 1 and 365' };
+    if (!out.includes(n)) out.push(n);
+  }
+  if (out.length > 5) return { error: 'checkConfig.certExpiryDays allows at most 5 thresholds' };
+  return { value: out.sort((a, b) => b - a) };
+}
+
+// HTTP assertions apply to 'http' checks and to 'auto' checks that probe a URL.
+function normalizeHttpAssertions(raw, cfg) {
+  if (raw.expectedStatus != null && raw.expectedStatus !== '') {
+    const parsed = parseExpectedStatus(raw.expectedStatus);
+    if (parsed.error) return parsed.error;
+    if (parsed.value.length) cfg.expectedStatus = parsed.value;
+  }
+
+  const bodyRegex = raw.bodyRegex === true;
+  for (const key of ['bodyContains', 'bodyNotContains']) {
+    const v = optionalString(raw[key], 500);
+    if (!v) continue;
+    if (bodyRegex) {
+      try { new RegExp(v); } catch (_) { return `checkConfig.${key} is not a valid regular expression`; }
+    }
+    cfg[key] = v;
+  }
+  if (bodyRegex && (cfg.bodyContains || cfg.bodyNotContains)) cfg.bodyRegex = true;
+
+  if (raw.maxResponseMs != null && raw.maxResponseMs !== '') {
+    const n = Number(raw.maxResponseMs);
+    if (!Number.isInteger(n) || n < 1 || n > 60000) return 'checkConfig.maxResponseMs must be between 1 and 60000';
+    cfg.maxResponseMs = n;
+  }
+
+  if (raw.method != null && raw.method !== '') {
+    const method = String(raw.method).trim().toUpperCase();
+    if (!HTTP_METHODS.includes(method)) return `checkConfig.method must be one of: ${HTTP_METHODS.join(', ')}`;
+    if (method !== 'GET') cfg.method = method;
+  }
+  // HEAD responses have no body, so body assertions could never pass
+  if (cfg.method === 'HEAD' && (cfg.bodyContains || cfg.bodyNotContains)) {
+    return 'checkConfig.bodyContains/bodyNotContains cannot be used with the HEAD method';
+  }
+
+  if (raw.headers != null) {
+    if (!isPlainObject(raw.headers)) return 'checkConfig.headers must be an object';
+    const entries = Object.entries(raw.headers);
+    if (entries.length > 20) return 'checkConfig.headers allows at most 20 headers';
+    const headers = {};
+    for (const [name, value] of entries) {
+      if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) return `Invalid header name: ${name}`;
+      const v = String(value ?? '');
+      if (/[\r\n]/.test(v) || v.length > 1000) return `Invalid value for header ${name}`;
+      headers[name] = v;
+    }
+    if (entries.length) cfg.headers = headers;
+  }
+
+  if (raw.followRedirects === true) cfg.followRedirects = true;
+  return null;
+}
+
+function pickOption(v, options, fallback, label) {
+  if (v == null || v === '') return { value: fallback };
+  const found = options.find((o) => o.toLowerCase() === String(v).trim().toLowerCase());
+  return found ? { value: found } : { error: `${label} must be one of: ${options.join(', ')}` };
+}
+
+function normalizeSnmpMetric(raw, i) {
+  const label = `checkConfig.metrics[${i}]`;
+  if (!isPlainObject(raw)) return { error: `${label} must be an object` };
+  const type = pickOption(raw.type, SNMP_METRIC_TYPES, null, `${label}.type`);
+  if (type.error || !type.value) return { error: type.error || `${label}.type is required` };
+  const m = { type: type.value };
+
+  if (raw.index != null && raw.index !== '') {
+    const n = Number(raw.index);
+    if (!Number.isInteger(n) || n < 0) return { error: `${label}.index must be a non-negative integer` };
+    m.index = n;
+  }
+  const oid = optionalString(raw.oid, 128);
+  if (oid) {
+    const clean = oid.replace(/^\./, '');
+    if (!/^\d+(\.\d+)+$/.test(clean)) return { error: `${label}.oid must be a numeric OID like 1.3.6.1.2.1.1.3.0` };
+    m.oid = clean;
+  }
+  if ((m.type === 'ifOperStatus' || m.type === 'supply') && m.index == null) {
+    return { error: `${label}.index is required for ${m.type}` };
+  }
+  if ((m.type === 'cpu' || m.type === 'memory') && m.index == null && !m.oid) {
+    return { error: `${label} needs an index (HOST-RESOURCES-MIB) or an oid` };
+  }
+  if (m.type === 'custom' && !m.oid) return { error: `${label}.oid is required for custom metrics` };
+
+  const name = optionalString(raw.label, 40);
+  if (name) m.label = name;
+  for (const key of SNMP_THRESHOLD_KEYS) {
+    if (raw[key] == null || raw[key] === '') continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n)) return { error: `${label}.${key} must be a number` };
+    m[key] = n;
+  }
+  if (m.type === 'ifOperStatus' && raw.severity != null && raw.severity !== '') {
+    const severity = pickOption(raw.severity, ['warning', 'down'], 'down', `${label}.severity`);
+    if (severity.error) return { error: severity.error };
+    if (severity.value === 'warning') m.severity = 'warning';
+  }
+  return { value: m };
+}
+
+function normalizeSnmpConfig(raw, cfg) {
+  const version = pickOption(String(raw.version ?? '').replace(/^v/i, ''), SNMP_VERSIONS, '2c', 'checkConfig.version');
+  if (version.error) return version.error;
+  cfg.version = version.value;
+
+  const port = optionalPort(raw.port, 'checkConfig.port');
+  if (port.error) return port.error;
+  if (port.value) cfg.port = port.value;
+
+  if (cfg.version === '2c') {
+    cfg.community = optionalString(raw.community, 64) || 'public';
+  } else {
+    const username = optionalString(raw.username, 32);
+    if (!username) return 'checkConfig.username is required for SNMPv3';
+    cfg.username = username;
+    const level = pickOption(raw.securityLevel, SNMP_SECURITY_LEVELS, 'authPriv', 'checkConfig.securityLevel');
+    if (level.error) return level.error;
+    cfg.securityLevel = level.value;
+    if (level.value !== 'noAuthNoPriv') {
+      const auth = pickOption(raw.authProtocol, SNMP_AUTH_PROTOCOLS, 'sha', 'checkConfig.authProtocol');
+      if (auth.error) return auth.error;
+      const authKey = optionalString(raw.authKey, 128);
+      if (!authKey || authKey.length < 8) return 'checkConfig.authKey must be at least 8 characters';
+      cfg.authProtocol = auth.value;
+      cfg.authKey = authKey;
+    }
+    if (level.value === 'authPriv') {
+      const priv = pickOption(raw.privProtocol, SNMP_PRIV_PROTOCOLS, 'aes', 'checkConfig.privProtocol');
+      if (priv.error) return priv.error;
+      const privKey = optionalString(raw.privKey, 128);
+      if (!privKey || privKey.length < 8) return 'checkConfig.privKey must be at least 8 characters';
+      cfg.privProtocol = priv.value;
+      cfg.privKey = privKey;
+    }
+  }
+
+  if (raw.metrics != null) {
+    if (!Array.isArray(raw.metrics)) return 'checkConfig.metrics must be an array';
+    if (raw.metrics.length > SNMP_MAX_METRICS) return `checkConfig.metrics allows at most ${SNMP_MAX_METRICS} entries`;
+    const metrics = [];
+    for (let i = 0; i < raw.metrics.length; i += 1) {
+      const m = normalizeSnmpMetric(raw.metrics[i], i);
+      if (m.error) return m.error;
+      metrics.push(m.value);
+    }
+    if (metrics.length) cfg.metrics = metrics;
+  }
+  return null;
+}
+
+// Returns { error } or { checkType, checkConfig }.
+// checkType/checkConfig are undefined when the body does not mention them (PUT keeps stored values).
+function normalizeDeviceCheckInput(body) {
+  const b = body || {};
+  if (b.checkType === undefined && b.checkConfig === undefined) return { checkType: undefined, checkConfig: undefined };
+
+  const checkType = String(b.checkType || 'auto').trim().toLowerCase();
+  if (!CHECK_TYPES.includes(checkType)) {
+    return { error: `checkType must be one of: ${CHECK_TYPES.join(', ')}` };
+  }
+
+  const raw = b.checkConfig == null ? {} : b.checkConfig;
+  if (!isPlainObject(raw)) return { error: 'checkConfig must be an object' };
+
+  const cfg = {};
+  if (checkType === 'http' || checkType === 'auto') {
+    if (checkType === 'http') {
+      const url = optionalString(raw.url, 2048);
+      if (url && !/^https?:\/\//i.test(url)) return { error: 'checkConfig.url must start with http:// or https://' };
+      if (url) cfg.url = url;
+    }
+    const err = normalizeHttpAssertions(raw, cfg);
+    if (err) return { error: err };
+  } else if (checkType === 'tcp' || checkType === 'tls-cert') {
+    const port = optionalPort(raw.port, 'checkConfig.port');
+    if (port.error) return { error: port.error };
+    if (port.value) cfg.port = port.value;
+    if (checkType === 'tls-cert') {
+      const servername = optionalString(raw.servername, 255);
+      if (servername) cfg.servername = servername;
+    }
+  } else if (checkType === 'icmp') {
+    if (raw.packets != null && raw.packets !== '') {
+      const n = Number(raw.packets);
+      if (!Number.isInteger(n) || n < 1 || n > 20) return { error: 'checkConfig.packets must be between 1 and 20' };
+      cfg.packets = n;
+    }
+  } else if (checkType === 'dns') {
+    const hostname = optionalString(raw.hostname, 253);
+    if (hostname) cfg.hostname = hostname;
+    const recordType = String(raw.recordType || 'A').trim().toUpperCase();
+    if (!DNS_RECORD_TYPES.includes(recordType)) {
+      return { error: `checkConfig.recordType must be one of: ${DNS_RECORD_TYPES.join(', ')}` };
+    }
+    cfg.recordType = recordType;
+    const expected = optionalString(raw.expected, 255);
+    if (expected) cfg.expected = expected;
+    const server = optionalString(raw.server, 64);
+    if (server) cfg.server = server;
+  } else if (checkType === 'heartbeat') {
+    const period = boundedSeconds(raw.periodSeconds, HEARTBEAT_DEFAULT_PERIOD_SECONDS, 60, 31 * 24 * 60 * 60, 'checkConfig.periodSeconds');
+    if (period.error) return { error: period.error };
+    const grace = boundedSeconds(raw.graceSeconds, HEARTBEAT_DEFAULT_GRACE_SECONDS, 0, 7 * 24 * 60 * 60, 'checkConfig.graceSeconds');
+    if (grace.error) return { error: grace.error };
+    cfg.periodSeconds = period.value;
+    cfg.graceSeconds = grace.value;
+  } else if (checkType === 'snmp') {
+    const err = normalizeSnmpConfig(raw, cfg);
+    if (err) return { error: err };
+  }
+
+  if (['auto', 'http', 'tls-cert'].includes(checkType) && raw.certExpiryDays != null && raw.certExpiryDays !== '') {
+    const days = parseCertExpiryDays(raw.certExpiryDays);
+    if (days.error) return { error: days.error };
+    if (days.value.length) cfg.certExpiryDays = days.value;
+  }
+
+  return { checkType, checkConfig: cfg };
+}
+
+// Flap damping: consecutive failures before DOWN / successes before UP.
+// Per device (null = use the account default) and per user.
+const CONFIRMATION_MAX = 10;
+
+function parseConfirmationCount(v, label) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > CONFIRMATION_MAX) {
+    return { error: `${label} must be between 1 and ${CONFIRMATION_MAX}` };
+  }
+  return { value: n };
+}
+
+// Returns { error } or { failThreshold, recoverThreshold } where each is
+// undefined (not sent, keep stored value), null (inherit account default) or a count.
+function normalizeConfirmationInput(body) {
+  const b = body || {};
+  const out = {};
+  for (const key of ['failThreshold', 'recoverThreshold']) {
+    const v = b[key];
+    if (v === undefined) { out[key] = undefined; continue; }
+    if (v === null || v === '') { out[key] = null; continue; }
+    const parsed = parseConfirmationCount(v, key);
+    if (parsed.error) return { error: parsed.error };
+    out[key] = parsed.value;
+  }
+  return out;
+}
+
+module.exports = {
+  CHECK_TYPES,
+  DNS_RECORD_TYPES,
+  HTTP_METHODS,
+  SNMP_METRIC_TYPES,
+  CONFIRMATION_MAX,
+  normalizeDeviceCheckInput,
+  parseConfirmationCount,
+  normalizeConfirmationInput
+};
@@ -0,0 +1,99 @@
+// Worker wakeups over Postgres LISTEN/NOTIFY (see worker/wakeup.js).
+// The API notifies DEVICE_CHECK_CHANNEL so the worker checks devices within a second instead of
+// on its next 20s loop; the worker reports woken checks on DEVICE_RESULT_CHANNEL.
+
+const DEVICE_CHECK_CHANNEL = 'dashmon_device_check';
+const DEVICE_RESULT_CHANNEL = 'dashmon_device_result';
+const DEFAULT_TEST_NOW_WAIT_SECONDS = 15;
+const MAX_TEST_NOW_WAIT_SECONDS = 25;
+
+// payload: { deviceIds: [...] } or { due: true }. Returns false when the NOTIFY failed.
+async function notifyDeviceCheck(pool, payload) {
+  try {
+    await pool.query('SELECT pg_notify($1, $2)', [DEVICE_CHECK_CHANNEL, JSON.stringify(payload)]);
+    return true;
+  } catch (e) {
+    console.error('Error notifying worker:', e);
+    return false;
+  }
+}
+
+// ?wait=<seconds> (or wait=true) on test-now; 0 = return immediately.
+function parseTestNowWait(query) {
+  const raw = String(query?.wait ?? '').trim().toLowerCase();
+  if (!raw || raw === 'false') return 0;
+  if (raw === 'true') return DEFAULT_TEST_NOW_WAIT_SECONDS;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.min(Math.ceil(n), MAX_TEST_NOW_WAIT_SECONDS);
+}
+
+// One shared LISTEN connection for test-now long-polls, opened on first use.
+// Call ready() before sending the wakeup so a fast result cannot be missed.
+function createDeviceResultListener(pool) {
+  const waiters = new Map(); // deviceId -> Set<resolve>
+  let connecting = null;
+
+  function dispatch(msg) {
+    if (msg.channel !== DEVICE_RESULT_CHANNEL) return;
+    let result;
+    try {
+      result = JSON.parse(msg.payload);
+    } catch (_) {
+      return;
+    }
+    for (const resolve of [...(waiters.get(String(result?.deviceId)) || [])]) resolve(result);
+  }
+
+  function ready() {
+    if (!connecting) {
+      connecting = (async () => {
+        const client = await pool.connect();
+        client.on('notification', dispatch);
+        client.on('error', (e) => {
+          console.error('Device result listener error:', e);
+          connecting = null;
+          client.release(e);
+        });
+        try {
+          await client.query(`LISTEN ${DEVICE_RESULT_CHANNEL}`);
+        } catch (e) {
+          client.release(e);
+          throw e;
+        }
+      })().catch((e) => {
+        connecting = null;
+        throw e;
+      });
+    }
+    return connecting;
+  }
+
+  // Resolves with the next result for deviceId, or null after timeoutMs.
+  function waitFor(deviceId, timeoutMs) {
+    const key = String(deviceId);
+    return new Promise((resolve) => {
+      const done = (result) => {
+        clearTimeout(timer);
+        const set = waiters.get(key);
+        set?.delete(done);
+        if (set && !set.size) waiters.delete(key);
+        resolve(result);
+      };
+      const timer = setTimeout(() => done(null), timeoutMs);
+      if (!waiters.has(key)) waiters.set(key, new Set());
+      waiters.get(key).add(done);
+    });
+  }
+
+  return { ready, waitFor };
+}
+
+module.exports = {
+  DEVICE_CHECK_CHANNEL,
+  DEVICE_RESULT_CHANNEL,
+  MAX_TEST_NOW_WAIT_SECONDS,
+  notifyDeviceCheck,
+  parseTestNowWait,
+  createDeviceResultListener
+};
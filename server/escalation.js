@@ -0,0 +1,72 @@
+// Escalation policy validation (evaluated by worker/escalation.js)
+
+const ESCALATION_CHANNELS = ['email', 'sms'];
+const MAX_ESCALATION_STEPS = 5;
+
+function isValidEmail(v) {
+  return /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/.test(v);
+}
+
+function isValidE164(v) {
+  return /^\+\d{8,15}$/.test(v);
+}
+
+// step.to is optional: empty means "the project's default recipient"
+// (email alert recipients / SMS number incl. per-project override).
+function normalizeStep(raw, index) {
+  const label = `steps[${index}]`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `${label} must be an object` };
+
+  const afterMinutes = Number(raw.afterMinutes ?? 0);
+  if (!Number.isInteger(afterMinutes) || afterMinutes < 0 || afterMinutes > 1440) {
+    return { error: `${label}.afterMinutes must be between 0 and 1440` };
+  }
+
+  const channel = String(raw.channel || '').trim().toLowerCase();
+  if (!ESCALATION_CHANNELS.includes(channel)) {
+    return { error: `${label}.channel must be one of: ${ESCALATION_CHANNELS.join(', ')}` };
+  }
+
+  const to = String(raw.to ?? '').trim();
+  if (to) {
+    if (channel === 'sms' && !isValidE164(to)) {
+      return { error: `${label}.to must be an E.164 number (e.g. +61412345678)` };
+    }
+    if (channel === 'email') {
+      const list = to.split(',').map((x) => x.trim()).filter(Boolean);
+      if (!list.length || list.length > 10 || !list.every(isValidEmail)) {
+        return { error: `${label}.to must be up to 10 comma separated email addresses` };
+      }
+      return { value: { afterMinutes, channel, to: list.join(', ') } };
+    }
+  }
+  return { value: { afterMinutes, channel, to: to || null } };
+}
+
+// Returns { error } or { name, steps } with steps sorted by afterMinutes.
+function normalizeEscalationPolicyInput(body) {
+  const b = body || {};
+  const name = String(b.name || '').trim();
+  if (!name) return { error: 'Policy name is required' };
+  if (name.length > 100) return { error: 'Policy name must be at most 100 characters' };
+
+  if (!Array.isArray(b.steps) || !b.steps.length) return { error: 'At least one step is required' };
+  if (b.steps.length > MAX_ESCALATION_STEPS) {
+    return { error: `A policy allows at most ${MAX_ESCALATION_STEPS} steps` };
+  }
+
+  const steps = [];
+  for (let i = 0; i < b.steps.length; i += 1) {
+    const step = normalizeStep(b.steps[i], i);
+    if (step.error) return { error: step.error };
+    steps.push(step.value);
+  }
+  steps.sort((a, b2) => a.afterMinutes - b2.afterMinutes);
+  return { name: name.slice(0, 100), steps };
+}
+
+module.exports = {
+  ESCALATION_CHANNELS,
+  MAX_ESCALATION_STEPS,
+  normalizeEscalationPolicyInput
+};
@@ -0,0 +1,42 @@
+// Heartbeat (push / dead-man's-switch) monitors: devices with check_type 'heartbeat' are not probed;
+// the job pings its secret URL instead:
+//   GET|POST /api/heartbeat/:token           success (also /success)
+//   GET|POST /api/heartbeat/:token/start     the run started
+//   GET|POST /api/heartbeat/:token/fail      the run failed
+// A POST body (e.g. the tail of a log) is kept as a short excerpt. Each ping wakes the worker,
+// which evaluates the device (worker/checks.js) and records the result like any other check.
+
+const crypto = require('crypto');
+
+const PING_KINDS = ['success', 'start', 'fail'];
+const PING_BODY_MAX_CHARS = 1000;
+
+function generateHeartbeatToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// undefined (plain ping) -> 'success'; unknown sub-paths -> null.
+function parsePingKind(v) {
+  if (v == null || v === '') return 'success';
+  const kind = String(v).trim().toLowerCase();
+  return PING_KINDS.includes(kind) ? kind : null;
+}
+
+// The ping's body as short text: raw bodies arrive as a Buffer, JSON bodies already parsed.
+function pingBodyText(body) {
+  let text = '';
+  if (Buffer.isBuffer(body)) text = body.toString('utf8');
+  else if (typeof body === 'string') text = body;
+  else if (body && typeof body === 'object' && Object.keys(body).length) text = JSON.stringify(body);
+  text = text.trim();
+  if (!text) return null;
+  return text.length > PING_BODY_MAX_CHARS ? `${text.slice(0, PING_BODY_MAX_CHARS)}…` : text;
+}
+
+module.exports = {
+  PING_KINDS,
+  PING_BODY_MAX_CHARS,
+  generateHeartbeatToken,
+  parsePingKind,
+  pingBodyText
+};
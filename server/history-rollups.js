@@ -0,0 +1,81 @@
+// Reads of the device_history rollups the worker maintains (worker/rollups.js). Ranges up to 24h
+// still use raw rows; up to 7 days read hourly buckets, longer ranges daily buckets.
+
+const HISTORY_RANGES = { '24h': 1, '7d': 7, '30d': 30 };
+const RAW_MAX_DAYS = 1;
+
+// { table, resolution, sinceSql } for a range of `days`, or null when raw rows should be used.
+// Buckets are whole UTC hours / days, starting with the one the range begins in.
+function rollupSource(days) {
+  const n = Math.floor(Number(days));
+  if (!(n > RAW_MAX_DAYS)) return null;
+  const resolution = n <= 7 ? 'hour' : 'day';
+  return {
+    table: resolution === 'hour' ? 'device_history_hourly' : 'device_history_daily',
+    resolution,
+    sinceSql: `date_trunc('${resolution}', now() - interval '${n} days')`
+  };
+}
+
+function num(v) {
+  return v == null ? null : Number(v);
+}
+
+// Same shape as computeAnalyticsFromHistory() in routes.js, from rollup buckets.
+function summarizeRollups(rows) {
+  let samples = 0;
+  let upSamples = 0;
+  let outages = 0;
+  let downtimeSeconds = 0;
+  let latencySum = 0;
+  let latencyCount = 0;
+  for (const r of Array.isArray(rows) ? rows : []) {
+    samples += Number(r.samples) || 0;
+    upSamples += Number(r.up_samples) || 0;
+    outages += Number(r.outages) || 0;
+    downtimeSeconds += Number(r.downtime_seconds) || 0;
+    const n = Number(r.latency_samples) || 0;
+    if (n && r.latency_avg != null) {
+      latencySum += Number(r.latency_avg) * n;
+      latencyCount += n;
+    }
+  }
+  return {
+    samples,
+    uptime_pct: samples ? (upSamples / samples) * 100 : null,
+    avg_response_ms: latencyCount ? latencySum / latencyCount : null,
+    incident_count: outages,
+    downtime_minutes: Math.round(downtimeSeconds / 60)
+  };
+}
+
+// A rollup bucket as a history point for charts: the raw row fields (status is 'down' when every
+// sample was down, 'warning' when some were) plus the bucket's stats.
+function rollupPoint(r) {
+  const samples = Number(r.samples) || 0;
+  const up = Number(r.up_samples) || 0;
+  const down = Number(r.down_samples) || 0;
+  let status = 'up';
+  if (samples && down === samples) status = 'down';
+  else if (up < samples) status = 'warning';
+  return {
+    ts: r.bucket,
+    status,
+    latency_ms: r.latency_avg == null ? null : Math.round(Number(r.latency_avg)),
+    status_code: null,
+    detail: null,
+    samples,
+    uptime_pct: samples ? (up / samples) * 100 : null,
+    latency_min: num(r.latency_min),
+    latency_max: num(r.latency_max),
+    latency_p95: r.latency_p95 == null ? null : Math.round(Number(r.latency_p95)),
+    downtime_seconds: Number(r.downtime_seconds) || 0
+  };
+}
+
+module.exports = {
+  HISTORY_RANGES,
+  rollupSource,
+  summarizeRollups,
+  rollupPoint
+};
@@ -0,0 +1,73 @@
+// Incident list filters (GET /api/incidents)
+
+const INCIDENT_STATES = ['open', 'closed', 'all'];
+
+function parseOptionalDate(v, label) {
+  if (v == null || v === '') return { value: null };
+  const d = new Date(String(v));
+  if (Number.isNaN(d.getTime())) return { error: `${label} must be an ISO date` };
+  return { value: d.toISOString() };
+}
+
+// Returns { error } or { projectId, deviceId, state, from, to, limit }.
+function parseIncidentFilters(query) {
+  const q = query || {};
+  const state = String(q.state || 'all').trim().toLowerCase();
+  if (!INCIDENT_STATES.includes(state)) {
+    return { error: `state must be one of: ${INCIDENT_STATES.join(', ')}` };
+  }
+
+  const from = parseOptionalDate(q.from, 'from');
+  if (from.error) return { error: from.error };
+  const to = parseOptionalDate(q.to, 'to');
+  if (to.error) return { error: to.error };
+  if (from.value && to.value && from.value > to.value) return { error: 'from must be before to' };
+
+  const requestedLimit = Number(q.limit || 100);
+  const limit = Number.isFinite(requestedLimit) ? Math.min(Math.max(Math.floor(requestedLimit), 1), 500) : 100;
+
+  return {
+    projectId: q.projectId ? String(q.projectId) : null,
+    deviceId: q.deviceId ? String(q.deviceId) : null,
+    state,
+    from: from.value,
+    to: to.value,
+    limit
+  };
+}
+
+// Builds the incidents query for a user. from/to select incidents overlapping the range.
+function buildIncidentsQuery(userId, filters) {
+  const where = ['i.user_id=$1'];
+  const params = [userId];
+  const add = (clause, value) => {
+    params.push(value);
+    where.push(clause.replace('?', `$${params.length}`));
+  };
+
+  if (filters.projectId) add('i.store_id=?', filters.projectId);
+  if (filters.deviceId) add('i.device_id=?', filters.deviceId);
+  if (filters.state === 'open') where.push('i.ended_at IS NULL');
+  if (filters.state === 'closed') where.push('i.ended_at IS NOT NULL');
+  if (filters.from) add('COALESCE(i.ended_at, now()) >= ?::timestamptz', filters.from);
+  if (filters.to) add('i.started_at <= ?::timestamptz', filters.to);
+  params.push(filters.limit);
+
+  const sql = `SELECT i.id, i.device_id, i.store_id, i.started_at, i.ended_at,
+            COALESCE(i.duration_seconds, GREATEST(0, EXTRACT(EPOCH FROM (now() - i.started_at)))::int) AS duration_seconds,
+            i.cause, i.acknowledged_at, i.acknowledged_by, i.ack_note,
+            d.name AS device_name, d.type AS device_type, s.name AS project_name
+     FROM incidents i
+     JOIN devices d ON d.id = i.device_id
+     LEFT JOIN stores s ON s.id = i.store_id AND s.user_id = i.user_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY i.started_at DESC
+     LIMIT $${params.length}`;
+  return { sql, params };
+}
+
+module.exports = {
+  INCIDENT_STATES,
+  parseIncidentFilters,
+  buildIncidentsQuery
+};
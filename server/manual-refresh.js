@@ -0,0 +1,39 @@
+// Premium "Refresh" button: POST /api/devices/refresh-all queues an immediate check of every
+// device (or one project's) by back-dating last_check, at most once per cooldown window.
+// users.manual_refresh_last_at records the last accepted refresh.
+
+const MANUAL_REFRESH_COOLDOWN_SECONDS = 60;
+
+// Seconds until another refresh is allowed (0 = now).
+function refreshRetryAfterSeconds(lastAt, now = new Date(), cooldownSeconds = MANUAL_REFRESH_COOLDOWN_SECONDS) {
+  if (!lastAt) return 0;
+  const last = new Date(lastAt).getTime();
+  if (!Number.isFinite(last)) return 0;
+  const remainingMs = last + cooldownSeconds * 1000 - new Date(now).getTime();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+// 'checked' once the worker has written a result after the refresh was queued, else 'queued'.
+function refreshDeviceState(device, queuedAt) {
+  if (!queuedAt || !device.last_check) return 'queued';
+  return new Date(device.last_check).getTime() >= new Date(queuedAt).getTime() ? 'checked' : 'queued';
+}
+
+function refreshDeviceView(device, queuedAt) {
+  const state = refreshDeviceState(device, queuedAt);
+  return {
+    id: device.id,
+    projectId: device.store_id,
+    name: device.name,
+    state,
+    status: device.status,
+    lastCheck: state === 'checked' ? device.last_check : null
+  };
+}
+
+module.exports = {
+  MANUAL_REFRESH_COOLDOWN_SECONDS,
+  refreshRetryAfterSeconds,
+  refreshDeviceState,
+  refreshDeviceView
+};
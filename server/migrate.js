@@ -0,0 +1,35 @@
+// `npm run migrate -- up` applies pending migrations, `npm run migrate -- status` lists them,
+// `npm run migrate -- manifest` rewrites worker/schema-manifest.json after adding a migration.
+require('dotenv').config();
+const { pool } = require('./db');
+const { migrateUp, migrationStatus, writeWorkerManifest } = require('./migrator');
+
+async function run(command) {
+  if (command === 'up') {
+    const applied = await migrateUp(pool, undefined, (msg) => console.log(msg));
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    return 0;
+  }
+  if (command === 'status') {
+    const status = await migrationStatus(pool);
+    for (const m of status.applied) console.log(`applied   ${m.file}`);
+    for (const m of status.changed) console.log(`CHANGED   ${m.file}`);
+    for (const m of status.pending) console.log(`pending   ${m.file}`);
+    for (const m of status.unknown) console.log(`unknown   ${m.version}_${m.name} (no file)`);
+    return status.pending.length || status.changed.length ? 1 : 0;
+  }
+  if (command === 'manifest') {
+    console.log(`Wrote ${writeWorkerManifest()}`);
+    return 0;
+  }
+  console.error('Usage: node migrate.js <up|status|manifest>');
+  return 2;
+}
+
+run(process.argv[2])
+  .then((code) => { process.exitCode = code; })
+  .catch((e) => {
+    console.error('Migration failed:', e.message || e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,433 @@
+-- Baseline: the schema as of the switch to versioned migrations (formerly sql/schema.sql, the
+-- app's ensureLocalAuthSchema() and the worker's ensureAlertEventsTable()). Every statement is
+-- idempotent so it applies both to an empty database and to one created by those.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Users (Google + Local)
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email TEXT UNIQUE NOT NULL,
+    username TEXT UNIQUE,
+    password_hash TEXT,
+    name TEXT,
+    provider TEXT NOT NULL DEFAULT 'google',
+    plan TEXT NOT NULL DEFAULT 'free', -- free | premium
+    plan_status TEXT NOT NULL DEFAULT 'active', -- active | pending | canceled
+    plan_source TEXT, -- paypal | bank_transfer | demo | admin
+    premium_until TIMESTAMPTZ,
+    paypal_subscription_id TEXT,
+    bank_transfer_reference TEXT,
+    pending_since TIMESTAMPTZ,
+    demo_used_at TIMESTAMPTZ,
+    demo_expires_at TIMESTAMPTZ,
+    timezone TEXT,
+    default_fail_threshold INT NOT NULL DEFAULT 2, -- consecutive failures before DOWN
+    default_recover_threshold INT NOT NULL DEFAULT 1, -- consecutive successes before UP
+    manual_refresh_last_at TIMESTAMPTZ, -- last accepted Refresh (refresh-all cooldown)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Columns added since the first release (databases created before them)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS username TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan TEXT NOT NULL DEFAULT 'free';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_source TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS premium_until TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS paypal_subscription_id TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bank_transfer_reference TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_since TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS demo_used_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS demo_expires_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS manual_refresh_last_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS default_fail_threshold INT NOT NULL DEFAULT 2;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS default_recover_threshold INT NOT NULL DEFAULT 1;
+UPDATE users SET plan='free' WHERE plan IS NULL;
+
+-- Bank transfer requests (manual payment)
+CREATE TABLE IF NOT EXISTS bank_transfer_requests (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reference_code TEXT NOT NULL UNIQUE,
+    amount_cents INT NOT NULL,
+    currency TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_transfer_requests_user ON bank_transfer_requests(user_id);
+
+-- PayPal subscriptions (idempotent webhook processing)
+CREATE TABLE IF NOT EXISTS paypal_subscriptions (
+    id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL,
+    raw JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_paypal_subscriptions_user ON paypal_subscriptions(user_id);
+
+-- Escalation policies (multi-step DOWN notification chains, attached per store)
+-- steps: [{ "afterMinutes": 0, "channel": "email", "to": "manager@example.com" }, ...]
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    steps JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_escalation_policies_user ON escalation_policies(user_id);
+
+-- Stores (formerly projects)
+CREATE TABLE IF NOT EXISTS stores (
+    id TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    location TEXT,
+    notes TEXT,
+    maintenance_start TIMESTAMPTZ,
+    maintenance_end TIMESTAMPTZ,
+    escalation_policy_id BIGINT REFERENCES escalation_policies(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (id, user_id)
+);
+
+-- Columns added since the first release (databases created before them)
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS maintenance_start TIMESTAMPTZ;
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS maintenance_end TIMESTAMPTZ;
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS escalation_policy_id BIGINT REFERENCES escalation_policies(id) ON DELETE SET NULL;
+
+-- Devices (checks)
+CREATE TABLE IF NOT EXISTS devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    store_id TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL, -- fortigate, server, hypervisor, bmc, posserver, nxwitness, other
+    ip TEXT NOT NULL,
+    port INT,
+    url TEXT,
+    ping_interval INT NOT NULL DEFAULT 60, -- seconds
+    ping_packets INT NOT NULL DEFAULT 10,
+    check_type TEXT NOT NULL DEFAULT 'auto', -- auto, http, tcp, icmp, dns, tls-cert
+    check_config JSONB NOT NULL DEFAULT '{}',
+    cert_info JSONB, -- last seen TLS certificate: subject, issuer, sans, valid_to, days_remaining
+    fail_threshold INT, -- NULL = users.default_fail_threshold
+    recover_threshold INT, -- NULL = users.default_recover_threshold
+    consecutive_failures INT NOT NULL DEFAULT 0,
+    consecutive_successes INT NOT NULL DEFAULT 0,
+    notes TEXT,
+    maintenance_start TIMESTAMPTZ,
+    maintenance_end TIMESTAMPTZ,
+    status TEXT NOT NULL DEFAULT 'unknown', -- up, down, warning, maintenance, unknown, unreachable (parent down)
+    packet_loss INT,
+    last_check TIMESTAMPTZ,
+    lease_owner TEXT, -- worker currently checking this device
+    lease_expires_at TIMESTAMPTZ, -- lease lapses if that worker dies mid-check
+    probe TEXT NOT NULL DEFAULT 'worker', -- worker (central) | agent (the project's probe agent)
+    status_before_silence TEXT, -- status when the probe agent went silent (status is then 'unknown')
+    heartbeat_token TEXT, -- secret ping URL token (check_type 'heartbeat')
+    last_ping_at TIMESTAMPTZ, -- last success/fail ping
+    last_ping_kind TEXT, -- success | fail
+    ping_started_at TIMESTAMPTZ, -- last /start ping
+    last_ping_body TEXT, -- short excerpt of the last ping's body
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    FOREIGN KEY (store_id, user_id) REFERENCES stores(id, user_id) ON DELETE CASCADE
+);
+
+-- Columns added since the first release (databases created before them)
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS maintenance_start TIMESTAMPTZ;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS maintenance_end TIMESTAMPTZ;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS check_type TEXT NOT NULL DEFAULT 'auto';
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS check_config JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS cert_info JSONB;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS fail_threshold INT;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS recover_threshold INT;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS consecutive_failures INT NOT NULL DEFAULT 0;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS consecutive_successes INT NOT NULL DEFAULT 0;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS lease_owner TEXT;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS probe TEXT NOT NULL DEFAULT 'worker';
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS status_before_silence TEXT;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS heartbeat_token TEXT;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS last_ping_at TIMESTAMPTZ;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS last_ping_kind TEXT;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS ping_started_at TIMESTAMPTZ;
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS last_ping_body TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_devices_heartbeat_token ON devices(heartbeat_token) WHERE heartbeat_token IS NOT NULL;
+
+-- Device history (check results)
+CREATE TABLE IF NOT EXISTS device_history (
+    id BIGSERIAL PRIMARY KEY,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    status TEXT NOT NULL, -- up, down, warning, maintenance
+    packet_loss INT,
+    latency INT, -- milliseconds
+    detail JSONB,
+    schedule_lag_ms BIGINT, -- how late the check started vs. its due time (NULL for manual checks)
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Columns added since the first release (databases created before them)
+ALTER TABLE device_history ADD COLUMN IF NOT EXISTS schedule_lag_ms BIGINT;
+
+-- Alerts
+CREATE TABLE IF NOT EXISTS alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL, -- email, sms, webhook, slack, teams, discord
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    rules JSONB NOT NULL DEFAULT '{}',
+    cooldown_minutes INT NOT NULL DEFAULT 30,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_stores_user_id ON stores(user_id);
+CREATE INDEX IF NOT EXISTS idx_devices_store_id ON devices(store_id);
+CREATE INDEX IF NOT EXISTS idx_devices_user_id ON devices(user_id);
+CREATE INDEX IF NOT EXISTS idx_device_history_device_id ON device_history(device_id);
+CREATE INDEX IF NOT EXISTS idx_alerts_user_id ON alerts(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_user_type ON alerts(user_id, type);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Triggers for updated_at
+CREATE OR REPLACE TRIGGER update_stores_updated_at 
+    BEFORE UPDATE ON stores 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_devices_updated_at 
+    BEFORE UPDATE ON devices 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+
+-- Alert event tracking (cooldown / dedupe)
+CREATE TABLE IF NOT EXISTS alert_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL, -- email_down, email_up, etc
+  last_sent TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, device_id, event_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_user_device ON alert_events(user_id, device_id);
+
+-- Maintenance window indexes
+CREATE INDEX IF NOT EXISTS idx_devices_maintenance ON devices(user_id, maintenance_start, maintenance_end);
+CREATE INDEX IF NOT EXISTS idx_stores_maintenance ON stores(user_id, maintenance_start, maintenance_end);
+
+-- Incidents (one row per outage; opened on up->down, closed on down->up by the worker)
+CREATE TABLE IF NOT EXISTS incidents (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  store_id TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ended_at TIMESTAMPTZ,
+  duration_seconds INT,
+  cause TEXT,
+  escalation_step INT NOT NULL DEFAULT 0, -- escalation steps already notified
+  acknowledged_at TIMESTAMPTZ,
+  acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ack_note TEXT
+);
+
+-- Columns added since the first release (databases created before them)
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS escalation_step INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_user_started ON incidents(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incidents_device_started ON incidents(device_id, started_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_device_open ON incidents(device_id) WHERE ended_at IS NULL;
+
+-- Webhook alert delivery queue / log (one row per event per endpoint; retried with backoff by the worker)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint_id TEXT NOT NULL, -- alerts.rules.endpoints[].id (type='webhook')
+  device_id UUID REFERENCES devices(id) ON DELETE SET NULL,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, delivered, failed
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INT,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user_created ON webhook_deliveries(user_id, created_at DESC);
+
+-- Alert routing rules (evaluated by the worker in position order; no match = per-channel alerts config)
+CREATE TABLE IF NOT EXISTS alert_routes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  position INT NOT NULL DEFAULT 0,
+  stop BOOLEAN NOT NULL DEFAULT false, -- stop evaluating later rules when this one matches
+  match JSONB NOT NULL DEFAULT '{}', -- { projectIds, deviceTypes, transitions, timeWindow }
+  targets JSONB NOT NULL DEFAULT '[]', -- [{ channel, to }]
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_routes_user_position ON alert_routes(user_id, position);
+
+-- Per-channel alert schedules (quiet hours / business hours in the user's timezone)
+CREATE TABLE IF NOT EXISTS alert_schedules (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL, -- email | sms | slack | teams | discord
+  mode TEXT NOT NULL DEFAULT 'always', -- always | quiet (suppress inside windows) | active (send only inside windows)
+  windows JSONB NOT NULL DEFAULT '[]', -- [{ start: 'HH:MM', end: 'HH:MM', days: [0..6] }]
+  digest BOOLEAN NOT NULL DEFAULT false, -- queue suppressed alerts and send one summary afterwards
+  aggregate_seconds INT NOT NULL DEFAULT 0, -- >0: batch UP/DOWN alerts into one message per project
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, channel)
+);
+
+-- Columns added since the first release (databases created before them)
+ALTER TABLE alert_schedules ADD COLUMN IF NOT EXISTS aggregate_seconds INT NOT NULL DEFAULT 0;
+
+-- Alerts held back by a schedule with digest enabled
+CREATE TABLE IF NOT EXISTS alert_digest_queue (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  device_id UUID REFERENCES devices(id) ON DELETE SET NULL,
+  summary TEXT NOT NULL,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_digest_queue_user ON alert_digest_queue(user_id, channel);
+
+-- Worker heartbeats (one row per worker process, upserted every loop; reported by /api/health)
+CREATE TABLE IF NOT EXISTS worker_heartbeats (
+  worker_id TEXT PRIMARY KEY,
+  version TEXT,
+  started_at TIMESTAMPTZ NOT NULL,
+  last_tick_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  devices_checked INT NOT NULL DEFAULT 0, -- since the previous heartbeat
+  max_lag_ms BIGINT -- worst scheduling lag since the previous heartbeat
+);
+
+-- Remote probe agents (one per project; checks the project's devices with probe = 'agent' from inside its LAN)
+CREATE TABLE IF NOT EXISTS probe_agents (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  store_id TEXT NOT NULL,
+  name TEXT,
+  token_hash TEXT NOT NULL UNIQUE, -- sha256 of the agent token (the token is shown once)
+  token_prefix TEXT NOT NULL,
+  version TEXT,
+  hostname TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_seen_at TIMESTAMPTZ,
+  UNIQUE (store_id, user_id),
+  FOREIGN KEY (store_id, user_id) REFERENCES stores(id, user_id) ON DELETE CASCADE
+);
+
+-- Results pushed by probe agents; the worker applies them like its own checks and deletes them
+CREATE TABLE IF NOT EXISTS agent_results (
+  id BIGSERIAL PRIMARY KEY,
+  agent_id BIGINT NOT NULL REFERENCES probe_agents(id) ON DELETE CASCADE,
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  status TEXT NOT NULL, -- up, down, warning
+  latency INT,
+  packet_loss INT,
+  detail JSONB NOT NULL DEFAULT '{}',
+  checked_at TIMESTAMPTZ NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_results_device ON agent_results(device_id);
+
+-- Upstream parents within a project (FortiGate, WAN link, switch). A device whose parents are all
+-- down is shown as 'unreachable' and its alerts are suppressed.
+CREATE TABLE IF NOT EXISTS device_parents (
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  parent_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  PRIMARY KEY (device_id, parent_id),
+  CHECK (device_id <> parent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_parents_parent ON device_parents(parent_id);
+
+-- UP/DOWN alerts waiting out their channel's aggregation window (alert_schedules.aggregate_seconds)
+CREATE TABLE IF NOT EXISTS alert_batch_queue (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  store_id TEXT NOT NULL,
+  store_name TEXT,
+  device_id UUID REFERENCES devices(id) ON DELETE SET NULL,
+  device_name TEXT NOT NULL,
+  status TEXT NOT NULL,
+  aggregate_seconds INT NOT NULL,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_batch_queue_device ON alert_batch_queue(device_id);
+
+-- Hourly / daily rollups of device_history, maintained by the worker (worker/rollups.js). Reports and
+-- charts over more than 24h read these; they are kept much longer than raw rows.
+CREATE TABLE IF NOT EXISTS device_history_hourly (
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  bucket TIMESTAMPTZ NOT NULL, -- start of the UTC hour
+  samples INT NOT NULL,
+  up_samples INT NOT NULL,
+  down_samples INT NOT NULL,
+  outages INT NOT NULL, -- transitions into down
+  latency_samples INT NOT NULL,
+  latency_min INT,
+  latency_avg REAL,
+  latency_max INT,
+  latency_p95 REAL,
+  downtime_seconds INT NOT NULL,
+  PRIMARY KEY (device_id, bucket)
+);
+
+CREATE TABLE IF NOT EXISTS device_history_daily (
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  bucket TIMESTAMPTZ NOT NULL, -- start of the UTC day
+  samples INT NOT NULL,
+  up_samples INT NOT NULL,
+  down_samples INT NOT NULL,
+  outages INT NOT NULL, -- transitions into down
+  latency_samples INT NOT NULL,
+  latency_min INT,
+  latency_avg REAL,
+  latency_max INT,
+  latency_p95 REAL,
+  downtime_seconds INT NOT NULL,
+  PRIMARY KEY (device_id, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_history_hourly_bucket ON device_history_hourly(bucket);
+CREATE INDEX IF NOT EXISTS idx_device_history_daily_bucket ON device_history_daily(bucket);
+
+-- Previously created at app startup only
+CREATE UNIQUE INDEX IF NOT EXISTS users_username_unique ON users(username) WHERE username IS NOT NULL;
@@ -0,0 +1,39 @@
+-- device_history was created as (ts, latency_ms) on some older installs and (timestamp, latency) on
+-- others, and the routes carried fallback queries for both. Normalize to timestamp / latency.
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = 'device_history' AND column_name = 'ts') THEN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+               WHERE table_schema = current_schema() AND table_name = 'device_history' AND column_name = 'timestamp') THEN
+      UPDATE device_history SET timestamp = ts WHERE timestamp IS NULL;
+      ALTER TABLE device_history DROP COLUMN ts;
+    ELSE
+      ALTER TABLE device_history RENAME COLUMN ts TO timestamp;
+    END IF;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = 'device_history' AND column_name = 'latency_ms') THEN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+               WHERE table_schema = current_schema() AND table_name = 'device_history' AND column_name = 'latency') THEN
+      UPDATE device_history SET latency = latency_ms WHERE latency IS NULL;
+      ALTER TABLE device_history DROP COLUMN latency_ms;
+    ELSE
+      ALTER TABLE device_history RENAME COLUMN latency_ms TO latency;
+    END IF;
+  END IF;
+END
+$$;
+
+-- Columns the worker writes that the older layout did not have
+ALTER TABLE device_history ADD COLUMN IF NOT EXISTS latency INT;
+ALTER TABLE device_history ADD COLUMN IF NOT EXISTS packet_loss INT;
+ALTER TABLE device_history ADD COLUMN IF NOT EXISTS detail JSONB;
+
+DELETE FROM device_history WHERE timestamp IS NULL;
+ALTER TABLE device_history ALTER COLUMN timestamp SET DEFAULT now();
+ALTER TABLE device_history ALTER COLUMN timestamp SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_device_history_timestamp ON device_history(timestamp DESC);
@@ -0,0 +1,69 @@
+-- device_history becomes a table partitioned by month (UTC) of timestamp, so retention drops whole
+-- partitions instead of deleting rows and time-bounded queries only read the months they cover.
+-- The worker creates partitions ahead of time and drops expired ones (worker/partitions.js).
+-- Existing rows are copied over, which takes a while on a large history.
+
+ALTER TABLE device_history RENAME TO device_history_unpartitioned;
+ALTER SEQUENCE IF EXISTS device_history_id_seq RENAME TO device_history_unpartitioned_id_seq;
+DROP INDEX IF EXISTS idx_device_history_device_id;
+DROP INDEX IF EXISTS idx_device_history_timestamp;
+
+-- The primary key of a partitioned table must include the partition key
+CREATE TABLE device_history (
+    id BIGSERIAL,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    status TEXT NOT NULL, -- up, down, warning, maintenance, unknown, unreachable
+    packet_loss INT,
+    latency INT, -- milliseconds
+    detail JSONB,
+    schedule_lag_ms BIGINT, -- how late the check started vs. its due time (NULL for manual checks)
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (id, timestamp)
+) PARTITION BY RANGE (timestamp);
+
+-- Creates the partition of the (UTC) month containing `month` unless it exists; returns its name,
+-- device_history_pYYYY_MM.
+CREATE OR REPLACE FUNCTION create_device_history_partition(month DATE)
+RETURNS TEXT AS $$
+DECLARE
+    month_start DATE := make_date(extract(year FROM month)::int, extract(month FROM month)::int, 1);
+    partition_name TEXT := 'device_history_p' || to_char(month_start, 'YYYY_MM');
+BEGIN
+    EXECUTE format(
+        'CREATE TABLE IF NOT EXISTS %I PARTITION OF device_history FOR VALUES FROM (%L) TO (%L)',
+        partition_name,
+        month_start::timestamp AT TIME ZONE 'UTC',
+        (month_start + interval '1 month')::timestamp AT TIME ZONE 'UTC'
+    );
+    RETURN partition_name;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Partitions for every month with history, up to two months ahead
+DO $$
+DECLARE
+    first_month DATE;
+    m DATE;
+BEGIN
+    SELECT (min(timestamp) AT TIME ZONE 'UTC')::date INTO first_month FROM device_history_unpartitioned;
+    first_month := LEAST(COALESCE(first_month, (now() AT TIME ZONE 'UTC')::date), (now() AT TIME ZONE 'UTC')::date);
+    FOR m IN SELECT generate_series(
+        date_trunc('month', first_month::timestamp),
+        date_trunc('month', now() AT TIME ZONE 'UTC') + interval '2 months',
+        interval '1 month'
+    )::date LOOP
+        PERFORM create_device_history_partition(m);
+    END LOOP;
+END
+$$;
+
+INSERT INTO device_history(id, device_id, status, packet_loss, latency, detail, schedule_lag_ms, timestamp)
+SELECT id, device_id, status, packet_loss, latency, detail, schedule_lag_ms, timestamp
+FROM device_history_unpartitioned;
+
+SELECT setval('device_history_id_seq', COALESCE((SELECT max(id) FROM device_history), 0) + 1, false);
+
+DROP TABLE device_history_unpartitioned;
+
+CREATE INDEX IF NOT EXISTS idx_device_history_device_timestamp ON device_history(device_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_device_history_timestamp ON device_history(timestamp DESC);
@@ -0,0 +1,12 @@
+-- Retention follows the effective plan (plan, plan_status, premium_until) with a grace period after a
+-- downgrade, and operators can override it per user.
+
+-- Last time the worker's retention job saw the user on an effective premium plan; the downgrade
+-- grace period (RETENTION_GRACE_DAYS) runs from here
+ALTER TABLE users ADD COLUMN IF NOT EXISTS premium_seen_at TIMESTAMPTZ;
+-- Days of raw history to keep regardless of plan (NULL: plan default), set via the admin API
+ALTER TABLE users ADD COLUMN IF NOT EXISTS history_days_override INT;
+
+-- Users still holding premium-length history start their grace period now
+UPDATE users SET premium_seen_at = now()
+WHERE premium_seen_at IS NULL AND lower(trim(plan)) = 'premium';
@@ -0,0 +1,15 @@
+-- Check intervals are bounded per plan (free 2 hours to 1 day, premium 15 minutes to 1 day; see
+-- server/plan-limits.js). The worker clamps at scheduling time, but refresh and staleness read the
+-- stored value, so bring existing devices into their owner's bounds once.
+UPDATE devices d
+SET ping_interval = LEAST(GREATEST(d.ping_interval, bounds.min_interval), 86400)
+FROM (
+  SELECT u.id,
+         CASE WHEN lower(trim(u.plan)) = 'premium'
+                AND lower(trim(COALESCE(u.plan_status, 'active'))) = 'active'
+                AND (u.premium_until IS NULL OR u.premium_until > now())
+              THEN 900 ELSE 7200 END AS min_interval
+  FROM users u
+) bounds
+WHERE bounds.id = d.user_id
+  AND (d.ping_interval < bounds.min_interval OR d.ping_interval > 86400);
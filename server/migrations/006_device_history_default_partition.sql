@@ -0,0 +1,41 @@
+-- device_history gets a DEFAULT partition, so a row outside the monthly partitions (the retention job
+-- that creates them ahead ran late, clock skew, back-dated agent results) is still written instead of
+-- failing with "no partition of relation found".
+CREATE TABLE IF NOT EXISTS device_history_default PARTITION OF device_history DEFAULT;
+
+-- With a default partition, a new month cannot be created while the default holds rows of that month:
+-- they are moved into the new partition before it is attached. Inserts wait on the lock meanwhile.
+CREATE OR REPLACE FUNCTION create_device_history_partition(month DATE)
+RETURNS TEXT AS $$
+DECLARE
+    month_start DATE := make_date(extract(year FROM month)::int, extract(month FROM month)::int, 1);
+    partition_name TEXT := 'device_history_p' || to_char(month_start, 'YYYY_MM');
+    range_from TIMESTAMPTZ := month_start::timestamp AT TIME ZONE 'UTC';
+    range_to TIMESTAMPTZ := (month_start + interval '1 month')::timestamp AT TIME ZONE 'UTC';
+BEGIN
+    IF to_regclass(partition_name) IS NOT NULL THEN
+        RETURN partition_name;
+    END IF;
+
+    LOCK TABLE device_history_default IN EXCLUSIVE MODE;
+    IF NOT EXISTS (SELECT 1 FROM device_history_default WHERE timestamp >= range_from AND timestamp < range_to) THEN
+        EXECUTE format(
+            'CREATE TABLE %I PARTITION OF device_history FOR VALUES FROM (%L) TO (%L)',
+            partition_name, range_from, range_to
+        );
+        RETURN partition_name;
+    END IF;
+
+    EXECUTE format('CREATE TABLE %I (LIKE device_history INCLUDING DEFAULTS)', partition_name);
+    EXECUTE format(
+        'WITH moved AS (DELETE FROM device_history_default WHERE timestamp >= %L AND timestamp < %L RETURNING *)
+         INSERT INTO %I SELECT * FROM moved',
+        range_from, range_to, partition_name
+    );
+    EXECUTE format(
+        'ALTER TABLE device_history ATTACH PARTITION %I FOR VALUES FROM (%L) TO (%L)',
+        partition_name, range_from, range_to
+    );
+    RETURN partition_name;
+END;
+$$ LANGUAGE plpgsql;
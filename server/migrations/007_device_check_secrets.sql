@@ -0,0 +1,3 @@
+-- Write-only check credentials (SNMPv3 authKey / privKey), encrypted by the app with CHECK_SECRETS_KEY
+-- (server/check-secrets.js): { "<field>": "v1:<iv>:<tag>:<ciphertext>" }. check_config no longer holds them.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS check_secrets JSONB;
@@ -0,0 +1,145 @@
+// Versioned schema migrations: server/migrations/NNN_name.sql, applied in order by `npm run migrate`
+// (migrate.js) and recorded in schema_migrations with a checksum of the file. An applied migration
+// must not be edited; schema changes go into a new file. The app and the worker refuse to start
+// until every migration is applied (assertMigrated() here, worker/schema-version.js there). The worker
+// is built without server/, so it checks against worker/schema-manifest.json, which
+// `npm run migrate -- manifest` regenerates from these files.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const WORKER_MANIFEST = path.join(__dirname, '..', 'worker', 'schema-manifest.json');
+const FILE_RE = /^(\d{3,})_([a-z0-9_]+)\.sql$/;
+const LOCK_NAME = 'dashmon:migrate';
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// [{ version, name, file, sql, checksum }] sorted by version.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.push({ version: Number(m[1]), name: m[2], file, sql, checksum: checksum(sql) });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i += 1) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+// Compares the migration files with the schema_migrations rows:
+// { applied, pending, changed (applied, file edited since), unknown (rows without a file) }.
+function compareMigrations(migrations, appliedRows) {
+  const byVersion = new Map((appliedRows || []).map((r) => [Number(r.version), r]));
+  const result = { applied: [], pending: [], changed: [], unknown: [] };
+  for (const m of migrations) {
+    const row = byVersion.get(m.version);
+    if (!row) result.pending.push(m);
+    else if (row.checksum !== m.checksum) result.changed.push(m);
+    else result.applied.push(m);
+    byVersion.delete(m.version);
+  }
+  result.unknown = [...byVersion.values()].map((r) => ({ version: Number(r.version), name: r.name }));
+  return result;
+}
+
+async function loadApplied(db) {
+  try {
+    const { rows } = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+  } catch (e) {
+    if (e && e.code === '42P01') return []; // schema_migrations does not exist yet
+    throw e;
+  }
+}
+
+async function migrationStatus(db, migrations = loadMigrations()) {
+  return compareMigrations(migrations, await loadApplied(db));
+}
+
+// Applies the pending migrations, each in its own transaction. Concurrent runs wait on an advisory
+// lock. Refuses to run when an applied migration was edited. Returns the migrations it applied.
+async function migrateUp(pool, migrations = loadMigrations(), log = () => {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_NAME]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INT PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `);
+      const status = compareMigrations(migrations, await loadApplied(client));
+      if (status.changed.length) {
+        throw new Error(`Applied migrations were modified: ${status.changed.map((m) => m.file).join(', ')}`);
+      }
+      for (const m of status.pending) {
+        log(`Applying ${m.file}`);
+        await client.query('BEGIN');
+        try {
+          await client.query(m.sql);
+          await client.query(
+            'INSERT INTO schema_migrations(version, name, checksum) VALUES ($1, $2, $3)',
+            [m.version, m.name, m.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (e) {
+          await client.query('ROLLBACK').catch(() => {});
+          throw new Error(`Migration ${m.file} failed: ${e.message}`);
+        }
+      }
+      return status.pending;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_NAME]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Throws unless every migration file is applied unchanged.
+async function assertMigrated(db, migrations = loadMigrations()) {
+  const status = await migrationStatus(db, migrations);
+  if (status.changed.length) {
+    throw new Error(`Applied migrations were modified: ${status.changed.map((m) => m.file).join(', ')}`);
+  }
+  if (status.pending.length) {
+    throw new Error(`Database is not migrated, pending: ${status.pending.map((m) => m.file).join(', ')} (run \`npm run migrate -- up\`)`);
+  }
+  return status;
+}
+
+// What the worker verifies: [{ version, name, checksum }] for every migration file.
+function migrationManifest(migrations = loadMigrations()) {
+  return migrations.map((m) => ({ version: m.version, name: m.name, checksum: m.checksum }));
+}
+
+function writeWorkerManifest(migrations = loadMigrations(), file = WORKER_MANIFEST) {
+  fs.writeFileSync(file, `${JSON.stringify(migrationManifest(migrations), null, 2)}\n`);
+  return file;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  WORKER_MANIFEST,
+  checksum,
+  loadMigrations,
+  compareMigrations,
+  migrationStatus,
+  migrateUp,
+  assertMigrated,
+  migrationManifest,
+  writeWorkerManifest
+};
@@ -1,7 +1,10 @@
+// minPingInterval: shortest check interval in seconds (new devices start at it). The worker clamps
+// stored intervals to the owner's current plan (worker/plans.js).
 const PLAN_LIMITS = {
-  free: { projects: 3, devicesPerProject: 15 },
-  premium: { projects: 10, devicesPerProject: 15 }
+  free: { projects: 3, devicesPerProject: 15, minPingInterval: 7200 },
+  premium: { projects: 10, devicesPerProject: 15, minPingInterval: 900 }
 };
+const MAX_PING_INTERVAL = 86400;
 
 function normalizePlan(plan) {
   const v = String(plan || '').trim().toLowerCase();
@@ -29,6 +32,29 @@ function getPlanLimits(plan) {
   return normalizePlan(plan) === 'premium' ? PLAN_LIMITS.premium : PLAN_LIMITS.free;
 }
 
+// Optional pingInterval (seconds) in a device create/update body, within the plan's bounds.
+// Returns { pingInterval } (undefined when not sent) or { error }.
+function normalizePingIntervalInput(body, plan) {
+  const v = body?.pingInterval;
+  if (v === undefined || v === null || v === '') return { pingInterval: undefined };
+  const min = getPlanLimits(plan).minPingInterval;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > MAX_PING_INTERVAL) {
+    const upgrade = normalizePlan(plan) === 'premium' ? '' : ' (Premium allows checks every 15 minutes)';
+    return { error: `pingInterval must be between ${min} and ${MAX_PING_INTERVAL} seconds on your plan${upgrade}` };
+  }
+  return { pingInterval: n };
+}
+
+// Days of raw device_history kept for a plan (FREE_HISTORY_DAYS / PREMIUM_HISTORY_DAYS, as in the
+// worker's retention).
+function getHistoryDays(plan) {
+  const premium = normalizePlan(plan) === 'premium';
+  const fallback = premium ? 90 : 7;
+  const raw = Number(premium ? process.env.PREMIUM_HISTORY_DAYS || fallback : process.env.FREE_HISTORY_DAYS || fallback);
+  return Number.isFinite(raw) && raw > 0 ? Math.floor(raw) : fallback;
+}
+
 async function getUserPlanFromDb(pool, userId) {
   const { rows } = await pool.query(
     'SELECT plan, plan_status, premium_until FROM users WHERE id=$1',
@@ -55,10 +81,13 @@ async function enforceProjectLimitForUser(pool, userId) {
 
 module.exports = {
   PLAN_LIMITS,
+  MAX_PING_INTERVAL,
   normalizePlan,
   isPremiumActiveFromUserRow,
   getEffectivePlanFromUserRow,
   getPlanLimits,
+  getHistoryDays,
+  normalizePingIntervalInput,
   getUserPlanFromDb,
   enforceProjectLimitForUser
 };
@@ -0,0 +1,186 @@
+// Remote probe agents (worker/agent.js): one per project, running inside the store LAN to check
+// devices the central worker cannot reach (devices.probe = 'agent'). An agent authenticates with
+// a per-project bearer token (only its sha256 is stored), pulls its devices from
+// GET /api/agent/config and pushes results to POST /api/agent/results; the worker applies them
+// from agent_results exactly like its own checks.
+
+const crypto = require('crypto');
+
+const AGENT_TOKEN_PREFIX = 'dma_';
+const PROBE_MODES = ['worker', 'agent'];
+const RESULT_STATUSES = ['up', 'down', 'warning'];
+const MAX_RESULTS_PER_PUSH = 500;
+const MAX_RESULT_AGE_SECONDS = 10 * 60;
+const MAX_CLOCK_SKEW_SECONDS = 60;
+const MAX_DETAIL_BYTES = 8 * 1024;
+
+function envSeconds(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+// How often agents fetch their config (and run due checks).
+function getAgentPollSeconds() {
+  return envSeconds('AGENT_POLL_SECONDS', 15);
+}
+
+// An agent not heard from for this long is offline; the worker marks its devices unknown.
+function getAgentSilentSeconds() {
+  return envSeconds('AGENT_SILENT_SECONDS', 180);
+}
+
+function hashAgentToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateAgentToken() {
+  const token = AGENT_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashAgentToken(token), prefix: token.slice(0, AGENT_TOKEN_PREFIX.length + 6) };
+}
+
+function parseBearerToken(header) {
+  const m = String(header || '').match(/^Bearer\s+(\S+)$/i);
+  return m && m[1].startsWith(AGENT_TOKEN_PREFIX) ? m[1] : null;
+}
+
+// Device create/update: probe = 'worker' (central worker) or 'agent' (the project's probe agent).
+function normalizeProbeInput(body) {
+  const raw = body?.probe;
+  if (raw == null || raw === '') return {};
+  const probe = String(raw).trim().toLowerCase();
+  if (!PROBE_MODES.includes(probe)) return { error: 'probe must be "worker" or "agent"' };
+  return { probe };
+}
+
+function normalizeAgentName(v) {
+  const s = String(v ?? '').trim();
+  return s ? s.slice(0, 100) : null;
+}
+
+function agentView(row, now = new Date()) {
+  if (!row) return null;
+  const lastSeen = row.last_seen_at ? new Date(row.last_seen_at).getTime() : null;
+  return {
+    id: row.id,
+    projectId: row.store_id,
+    name: row.name || null,
+    tokenPrefix: row.token_prefix,
+    version: row.version || null,
+    hostname: row.hostname || null,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at || null,
+    online: lastSeen != null && (new Date(now).getTime() - lastSeen) / 1000 <= getAgentSilentSeconds()
+  };
+}
+
+// The fields worker/checks.js reads, plus whether the device is due.
+function agentDeviceView(d) {
+  return {
+    id: d.id,
+    name: d.name,
+    type: d.type,
+    ip: d.ip,
+    port: d.port ?? null,
+    url: d.url || null,
+    ping_interval: d.ping_interval,
+    ping_packets: d.ping_packets,
+    check_type: d.check_type || 'auto',
+    check_config: d.check_config || {},
+    due: Boolean(d.due)
+  };
+}
+
+function optionalInt(v, min, max) {
+  if (v == null || v === '') return null;
+  const n = Math.round(Number(v));
+  if (!Number.isFinite(n)) return null;
+  return Math.min(Math.max(n, min), max);
+}
+
+function normalizeDetail(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return {};
+  if (JSON.stringify(v).length <= MAX_DETAIL_BYTES) return v;
+  return { truncated: true, error: v.error ? String(v.error).slice(0, 500) : undefined };
+}
+
+// POST /api/agent/results body: { results: [{ deviceId, status, latency, packetLoss, detail, checkedAt }] }.
+// Results for devices the agent does not own, with an unknown status or a checkedAt more than
+// 10 minutes old (or in the future) are rejected individually. Returns { results, rejected } or { error }.
+function normalizeAgentResults(body, deviceIds, now = new Date()) {
+  const list = body?.results;
+  if (!Array.isArray(list)) return { error: 'results must be an array' };
+  if (list.length > MAX_RESULTS_PER_PUSH) return { error: `At most ${MAX_RESULTS_PER_PUSH} results per request` };
+
+  const results = [];
+  let rejected = 0;
+  for (const r of list) {
+    const deviceId = String(r?.deviceId || '');
+    const status = String(r?.status || '').trim().toLowerCase();
+    const checkedAt = r?.checkedAt ? new Date(r.checkedAt) : new Date(now);
+    const ageSeconds = (new Date(now).getTime() - checkedAt.getTime()) / 1000;
+    if (
+      !deviceIds.has(deviceId) ||
+      !RESULT_STATUSES.includes(status) ||
+      Number.isNaN(checkedAt.getTime()) ||
+      ageSeconds > MAX_RESULT_AGE_SECONDS ||
+      ageSeconds < -MAX_CLOCK_SKEW_SECONDS
+    ) {
+      rejected += 1;
+      continue;
+    }
+    results.push({
+      device_id: deviceId,
+      status,
+      latency: optionalInt(r.latency, 0, 3600 * 1000),
+      packet_loss: optionalInt(r.packetLoss, 0, 100),
+      detail: normalizeDetail(r.detail),
+      checked_at: checkedAt.toISOString()
+    });
+  }
+  return { results, rejected };
+}
+
+// Authenticates an agent request (Authorization: Bearer dma_...) and records that it was seen.
+// Sets req.agent = { id, user_id, store_id, name }.
+function createRequireAgent(pool) {
+  return async function requireAgent(req, res, next) {
+    const headers = req.headers || {};
+    const token = parseBearerToken(headers.authorization);
+    if (!token) return res.status(401).json({ error: 'Agent token required' });
+    try {
+      const { rows } = await pool.query(
+        `UPDATE probe_agents
+         SET last_seen_at=now(), version=COALESCE($2, version), hostname=COALESCE($3, hostname)
+         WHERE token_hash=$1
+         RETURNING id, user_id, store_id, name`,
+        [
+          hashAgentToken(token),
+          headers['x-agent-version'] ? String(headers['x-agent-version']).slice(0, 50) : null,
+          headers['x-agent-hostname'] ? String(headers['x-agent-hostname']).slice(0, 255) : null
+        ]
+      );
+      if (!rows.length) return res.status(401).json({ error: 'Invalid agent token' });
+      req.agent = rows[0];
+      return next();
+    } catch (e) {
+      console.error('Error authenticating agent:', e);
+      return res.status(500).json({ error: 'Failed to authenticate agent' });
+    }
+  };
+}
+
+module.exports = {
+  AGENT_TOKEN_PREFIX,
+  PROBE_MODES,
+  getAgentPollSeconds,
+  getAgentSilentSeconds,
+  hashAgentToken,
+  generateAgentToken,
+  parseBearerToken,
+  normalizeProbeInput,
+  normalizeAgentName,
+  agentView,
+  agentDeviceView,
+  normalizeAgentResults,
+  createRequireAgent
+};
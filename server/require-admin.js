@@ -0,0 +1,19 @@
+// Operator-only endpoints: the X-Admin-Key header must match ADMIN_API_KEY. Without ADMIN_API_KEY
+// the endpoints do not exist (404). Both keys are hashed to equal-length digests and compared in
+// constant time, so response timing does not reveal how much of a guess matched.
+const crypto = require('crypto');
+
+function keyDigest(v) {
+  return crypto.createHash('sha256').update(String(v)).digest();
+}
+
+function requireAdmin(req, res, next) {
+  const adminKey = String(process.env.ADMIN_API_KEY || '').trim();
+  if (!adminKey) return res.status(404).json({ error: 'not_found' });
+  const supplied = String(req.headers['x-admin-key'] || '');
+  if (!crypto.timingSafeEqual(keyDigest(supplied), keyDigest(adminKey))) return res.status(403).json({ error: 'forbidden' });
+  return next();
+}
+
+module.exports = requireAdmin;
+module.exports.requireAdmin = requireAdmin;
@@ -0,0 +1,51 @@
+// How much raw device_history a user keeps. Mirrors the worker's retention (worker/retention.js):
+// - an admin override (users.history_days_override) wins
+// - an effective premium plan keeps PREMIUM_HISTORY_DAYS
+// - after a downgrade the premium retention holds for RETENTION_GRACE_DAYS from the last time the
+//   worker saw the user on premium (users.premium_seen_at), so re-subscribing keeps the history
+// - otherwise FREE_HISTORY_DAYS
+const { isPremiumActiveFromUserRow, getHistoryDays } = require('./plan-limits');
+
+const MAX_RETENTION_OVERRIDE_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRetentionGraceDays() {
+  const raw = Number(process.env.RETENTION_GRACE_DAYS || 14);
+  return Number.isFinite(raw) && raw >= 0 ? Math.floor(raw) : 14;
+}
+
+// { days, source: 'override' | 'plan' | 'grace', graceUntil } for a users row.
+function getRetentionForUser(userRow, now = new Date()) {
+  const override = Number(userRow?.history_days_override);
+  if (userRow?.history_days_override != null && Number.isInteger(override) && override > 0) {
+    return { days: override, source: 'override', graceUntil: null };
+  }
+  if (isPremiumActiveFromUserRow(userRow, now)) {
+    return { days: getHistoryDays('premium'), source: 'plan', graceUntil: null };
+  }
+  const seen = userRow?.premium_seen_at ? new Date(userRow.premium_seen_at) : null;
+  if (seen && !Number.isNaN(seen.getTime())) {
+    const graceUntil = new Date(seen.getTime() + getRetentionGraceDays() * DAY_MS);
+    if (graceUntil > now) return { days: getHistoryDays('premium'), source: 'grace', graceUntil };
+  }
+  return { days: getHistoryDays('free'), source: 'plan', graceUntil: null };
+}
+
+// PUT /api/admin/users/:userId/retention body: { days } (null clears the override).
+// Returns { days } or { error }.
+function normalizeRetentionOverride(body) {
+  const raw = body?.days;
+  if (raw === null || raw === '') return { days: null };
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_OVERRIDE_DAYS) {
+    return { error: `days must be a whole number from 1 to ${MAX_RETENTION_OVERRIDE_DAYS}, or null` };
+  }
+  return { days };
+}
+
+module.exports = {
+  MAX_RETENTION_OVERRIDE_DAYS,
+  getRetentionGraceDays,
+  getRetentionForUser,
+  normalizeRetentionOverride
+};
@@ -2,14 +2,51 @@ const express = require('express');
 const { pool } = require('./db');
 const { requireAuth, passport } = require('./auth');
 const { requirePremium } = require('./require-premium');
+const { requireAdmin } = require('./require-admin');
 const bcrypt = require('bcryptjs');
 const {
   getPlanLimits: resolvePlanLimits,
   enforceProjectLimitForUser,
-  getUserPlanFromDb
+  getUserPlanFromDb,
+  normalizePingIntervalInput,
+  MAX_PING_INTERVAL
 } = require('./plan-limits');
 const { createMemoryRateLimiter } = require('./rate-limit');
 const { sendSms } = require('./sms');
+const { normalizeDeviceCheckInput, normalizeConfirmationInput, parseConfirmationCount } = require('./device-checks');
+const { parseIncidentFilters, buildIncidentsQuery } = require('./incidents');
+const { normalizeEscalationPolicyInput } = require('./escalation');
+const { normalizeWebhookInput, webhookEndpointView, parseDeliveryFilters } = require('./webhooks');
+const {
+  CHAT_PROVIDERS,
+  CHAT_PROVIDER_LABELS,
+  isValidChatWebhookUrl,
+  chatUrlError,
+  normalizeChatAlertInput,
+  sendChatTestMessage
+} = require('./chat-alerts');
+const { normalizeAlertRouteInput } = require('./alert-routes');
+const { SCHEDULE_CHANNELS, normalizeAlertScheduleInput } = require('./alert-schedules');
+const { MANUAL_REFRESH_COOLDOWN_SECONDS, refreshRetryAfterSeconds, refreshDeviceView } = require('./manual-refresh');
+const { notifyDeviceCheck, parseTestNowWait, createDeviceResultListener } = require('./device-wakeup');
+const { isDeviceStale, fetchWorkerSummary } = require('./worker-health');
+const { generateHeartbeatToken, parsePingKind, pingBodyText } = require('./heartbeat-pings');
+const { splitCheckSecrets, hasMaskedSecrets, revealCheckSecrets, maskDeviceSecrets } = require('./check-secrets');
+const { normalizeParentIds, findCycleParents } = require('./topology');
+const { HISTORY_RANGES, rollupSource, summarizeRollups, rollupPoint } = require('./history-rollups');
+const { getRetentionForUser, normalizeRetentionOverride } = require('./retention');
+const {
+  getAgentPollSeconds,
+  hashAgentToken,
+  generateAgentToken,
+  parseBearerToken,
+  normalizeProbeInput,
+  normalizeAgentName,
+  agentView,
+  agentDeviceView,
+  normalizeAgentResults,
+  createRequireAgent
+} = require('./probe-agents');
 
 // Maintenance window helpers
 function parseMaybeTime(v) {
@@ -30,10 +67,10 @@ function isNowInMaintenanceWindow(now, start, end) {
 // --- Premium analytics helpers ---
 function normalizeRangeToInterval(range) {
   const r = String(range || '').trim().toLowerCase();
-  if (r === '24h' || r === '1d' || r === 'day') return { key: '24h', intervalSql: "interval '24 hours'" };
-  if (r === '30d' || r === 'month') return { key: '30d', intervalSql: "interval '30 days'" };
+  if (r === '24h' || r === '1d' || r === 'day') return { key: '24h', days: 1, intervalSql: "interval '24 hours'" };
+  if (r === '30d' || r === 'month') return { key: '30d', days: 30, intervalSql: "interval '30 days'" };
   // default 7d
-  return { key: '7d', intervalSql: "interval '7 days'" };
+  return { key: '7d', days: 7, intervalSql: "interval '7 days'" };
 }
 
 function computeAnalyticsFromHistory(historyAsc) {
@@ -106,13 +143,30 @@ router.use((req, res, next) => {
 
 // --- Health (public) ---
 // Used by smoke tests / load balancers to validate app + DB connectivity.
+// `worker` reports worker heartbeats and scheduling lag; it does not affect `ok`.
 router.get('/api/health', async (_req, res) => {
   try {
     await pool.query('SELECT 1');
+    let worker;
+    try {
+      const summary = await fetchWorkerSummary(pool);
+      worker = {
+        status: summary.status,
+        alive: summary.alive,
+        lastTickAt: summary.lastTickAt,
+        maxLagMs: summary.maxLagMs,
+        workers: summary.workers.map(({ id, version, lastTickAt, devicesChecked, maxLagMs, alive }) => ({
+          id, version, lastTickAt, devicesChecked, maxLagMs, alive
+        }))
+      };
+    } catch (e) {
+      worker = { status: 'unknown' };
+    }
     res.json({
       ok: true,
       service: 'dashmon',
-      time: new Date().toISOString()
+      time: new Date().toISOString(),
+      worker
     });
   } catch (e) {
     res.status(503).json({
@@ -191,6 +245,12 @@ router.use((req, res, next) => {
   return writeRateLimiter(req, res, next);
 });
 
+// Raw history retention for the account view (see retention.js).
+function retentionView(userRow) {
+  const { days, source, graceUntil } = getRetentionForUser(userRow);
+  return { days, source, grace_until: graceUntil ? graceUntil.toISOString() : null };
+}
+
 // --- Auth / session helpers ---
 router.get('/api/me', requireAuth, (req, res) => {
   res.json({
@@ -198,7 +258,10 @@ router.get('/api/me', requireAuth, (req, res) => {
     email: req.user.email,
     name: req.user.name,
     plan: req.user.plan,
-    timezone: req.user.timezone || null
+    timezone: req.user.timezone || null,
+    manual_refresh_last_at: req.user.manual_refresh_last_at || null,
+    manual_refresh_cooldown_seconds: MANUAL_REFRESH_COOLDOWN_SECONDS,
+    retention: retentionView(req.user)
   });
 });
 
@@ -307,25 +370,29 @@ async function getProjectsWithDevices(userId) {
   for (const d of devices) {
     const key = d.store_id;
     if (!devicesByProject.has(key)) devicesByProject.set(key, []);
-    devicesByProject.get(key).push(d);
+    devicesByProject.get(key).push(maskDeviceSecrets(d));
   }
 
   return projects.map((p) => {
     const list = devicesByProject.get(p.id) || [];
     const totalDevices = list.length;
-    const upDevices = list.filter((x) => x.status === 'up').length;
-    const downDevices = list.filter((x) => x.status === 'down').length;
-    const warningDevices = list.filter((x) => x.status === 'warning').length;
     const now = new Date();
+    // Stale devices (no fresh result, e.g. worker down) are counted apart from their last status.
+    const current = list.filter((x) => !isDeviceStale(x, now));
+    const upDevices = current.filter((x) => x.status === 'up').length;
+    const downDevices = current.filter((x) => x.status === 'down').length;
+    const warningDevices = current.filter((x) => x.status === 'warning').length;
+    const staleDevices = totalDevices - current.length;
     const storeMaintenanceActive = isNowInMaintenanceWindow(now, p.maintenance_start, p.maintenance_end);
     const listWithMaint = list.map((d) => {
       const deviceMaintenanceActive = storeMaintenanceActive || isNowInMaintenanceWindow(now, d.maintenance_start, d.maintenance_end);
-      return { ...d, maintenanceActive: deviceMaintenanceActive };
+      return { ...d, maintenanceActive: deviceMaintenanceActive, stale: isDeviceStale(d, now) };
     });
     const maintenanceDevices = listWithMaint.filter((x) => x.maintenanceActive || x.status === 'maintenance').length;
 
     let status = 'up';
-    if (downDevices > 0) status = 'down';
+    if (totalDevices > 0 && staleDevices === totalDevices) status = 'unknown';
+    else if (downDevices > 0) status = 'down';
     else if (warningDevices > 0) status = 'warning';
     else if (maintenanceDevices > 0) {
       status = maintenanceDevices === totalDevices ? 'maintenance' : 'partial_maintenance';
@@ -340,6 +407,7 @@ async function getProjectsWithDevices(userId) {
       downDevices,
       warningDevices,
       maintenanceDevices,
+      staleDevices,
       status
     };
   });
@@ -521,7 +589,7 @@ router.get('/api/projects/:projectId', requireAuth, async (req, res) => {
   const projectId = req.params.projectId;
   try {
     const { rows } = await pool.query(
-      `SELECT id, name, location, notes, created_at, updated_at
+      `SELECT id, name, location, notes, escalation_policy_id, created_at, updated_at
        FROM stores
        WHERE user_id=$1 AND id=$2`,
       [req.user.id, projectId]
@@ -574,7 +642,7 @@ router.delete('/api/projects/:projectId', requireAuth, async (req, res) => {
     const deviceIds = devs.rows.map(r => r.id);
 
     if (deviceIds.length) {
-      await client.query('DELETE FROM device_history WHERE user_id=$1 AND device_id = ANY($2::text[])', [req.user.id, deviceIds]);
+      await client.query('DELETE FROM device_history WHERE device_id = ANY($1::uuid[])', [deviceIds]);
       await client.query('DELETE FROM devices WHERE user_id=$1 AND store_id=$2', [req.user.id, projectId]);
     }
 
@@ -620,10 +688,14 @@ router.get('/api/projects/:projectId/devices', requireAuth, async (req, res) =>
     if (!storeCheck.rows.length) return res.status(404).json({ error: 'Project not found' });
 
     const { rows } = await pool.query(
-      'SELECT * FROM devices WHERE store_id=$1 AND user_id=$2 ORDER BY created_at DESC',
+      `SELECT d.*, ARRAY(SELECT p.parent_id FROM device_parents p WHERE p.device_id = d.id) AS parent_ids
+       FROM devices d
+       WHERE d.store_id=$1 AND d.user_id=$2
+       ORDER BY d.created_at DESC`,
       [projectId, req.user.id]
     );
-    res.json({ devices: rows });
+    const now = new Date();
+    res.json({ devices: rows.map((d) => ({ ...maskDeviceSecrets(d), stale: isDeviceStale(d, now) })) });
   } catch (e) {
     console.error('Error fetching devices:', e);
     res.status(500).json({ error: 'Failed to fetch devices' });
@@ -644,7 +716,7 @@ router.get('/api/stores/:storeId/devices', requireAuth, async (req, res) => {
       'SELECT * FROM devices WHERE store_id=$1 AND user_id=$2 ORDER BY created_at DESC',
       [storeId, req.user.id]
     );
-    res.json({ devices: rows });
+    res.json({ devices: rows.map(maskDeviceSecrets) });
   } catch (e) {
     console.error('Error fetching devices:', e);
     res.status(500).json({ error: 'Failed to fetch devices' });
@@ -674,7 +746,18 @@ async function enforceDeviceLimitOr400({ userId, projectId }) {
 router.post('/api/projects/:projectId/devices', requireAuth, async (req, res) => {
   const projectId = req.params.projectId;
   const { name, type, ip, port, url, notes } = req.body || {};
-  if (!name || !type || !ip) return res.status(400).json({ error: 'Device name, type, and IP are required' });
+  const check = normalizeDeviceCheckInput(req.body);
+  if (check.error) return res.status(400).json({ error: check.error });
+  // Heartbeat monitors are pinged by the job itself and have no address to probe.
+  const heartbeat = check.checkType === 'heartbeat';
+  if (!name || !type || (!ip && !heartbeat)) return res.status(400).json({ error: 'Device name, type, and IP are required' });
+  const confirm = normalizeConfirmationInput(req.body);
+  if (confirm.error) return res.status(400).json({ error: confirm.error });
+  const probe = normalizeProbeInput(req.body);
+  if (probe.error) return res.status(400).json({ error: probe.error });
+  if (heartbeat && probe.probe === 'agent') return res.status(400).json({ error: 'Heartbeat monitors cannot use a probe agent' });
+  const secrets = splitCheckSecrets(check.checkConfig || {});
+  if (secrets.error) return res.status(400).json({ error: secrets.error });
 
   try {
     const storeCheck = await pool.query('SELECT 1 FROM stores WHERE id=$1 AND user_id=$2', [
@@ -690,18 +773,40 @@ router.post('/api/projects/:projectId/devices', requireAuth, async (req, res) =>
       });
     }
 
-    // Enforce check interval by plan:
-    // free = 2 hours, premium = 15 minutes
-    const pingInterval = limitCheck.plan === 'premium' ? 900 : 7200;
+    // Check interval within the plan's bounds, defaulting to its shortest
+    // (free = 2 hours, premium = 15 minutes)
+    const interval = normalizePingIntervalInput(req.body, limitCheck.plan);
+    if (interval.error) return res.status(400).json({ error: interval.error });
+    const pingInterval = interval.pingInterval ?? resolvePlanLimits(limitCheck.plan).minPingInterval;
 
     const { rows } = await pool.query(
-      `INSERT INTO devices (store_id, user_id, name, type, ip, port, url, ping_interval, ping_packets, notes, status)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'unknown')
+      `INSERT INTO devices (store_id, user_id, name, type, ip, port, url, ping_interval, ping_packets, notes, status, check_type, check_config,
+                            fail_threshold, recover_threshold, probe, heartbeat_token, check_secrets)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'unknown',$11,$12::jsonb,$13,$14,$15,$16,$17::jsonb)
        RETURNING *`,
-      [projectId, req.user.id, name, type, ip, port || null, url || null, pingInterval, 3, notes || null]
+      [
+        projectId,
+        req.user.id,
+        name,
+        type,
+        ip || '',
+        port || null,
+        url || null,
+        pingInterval,
+        3,
+        notes || null,
+        check.checkType || 'auto',
+        JSON.stringify(secrets.checkConfig),
+        confirm.failThreshold ?? null,
+        confirm.recoverThreshold ?? null,
+        probe.probe || 'worker',
+        heartbeat ? generateHeartbeatToken() : null,
+        secrets.checkSecrets ? JSON.stringify(secrets.checkSecrets) : null
+      ]
     );
 
-    res.json({ device: rows[0] });
+    await notifyDeviceCheck(pool, { deviceIds: [rows[0].id] });
+    res.json({ device: maskDeviceSecrets(rows[0]) });
   } catch (e) {
     console.error('Error adding device:', e);
     res.status(500).json({ error: 'Failed to add device' });
@@ -712,7 +817,18 @@ router.post('/api/projects/:projectId/devices', requireAuth, async (req, res) =>
 router.post('/api/stores/:storeId/devices', requireAuth, async (req, res) => {
   const storeId = req.params.storeId;
   const { name, type, ip, port, url, notes } = req.body || {};
-  if (!name || !type || !ip) return res.status(400).json({ error: 'Device name, type, and IP are required' });
+  const check = normalizeDeviceCheckInput(req.body);
+  if (check.error) return res.status(400).json({ error: check.error });
+  // Heartbeat monitors are pinged by the job itself and have no address to probe.
+  const heartbeat = check.checkType === 'heartbeat';
+  if (!name || !type || (!ip && !heartbeat)) return res.status(400).json({ error: 'Device name, type, and IP are required' });
+  const confirm = normalizeConfirmationInput(req.body);
+  if (confirm.error) return res.status(400).json({ error: confirm.error });
+  const probe = normalizeProbeInput(req.body);
+  if (probe.error) return res.status(400).json({ error: probe.error });
+  if (heartbeat && probe.probe === 'agent') return res.status(400).json({ error: 'Heartbeat monitors cannot use a probe agent' });
+  const secrets = splitCheckSecrets(check.checkConfig || {});
+  if (secrets.error) return res.status(400).json({ error: secrets.error });
 
   try {
     const storeCheck = await pool.query('SELECT 1 FROM stores WHERE id=$1 AND user_id=$2', [
@@ -728,16 +844,38 @@ router.post('/api/stores/:storeId/devices', requireAuth, async (req, res) => {
       });
     }
 
-    const pingInterval = limitCheck.plan === 'premium' ? 900 : 7200;
+    const interval = normalizePingIntervalInput(req.body, limitCheck.plan);
+    if (interval.error) return res.status(400).json({ error: interval.error });
+    const pingInterval = interval.pingInterval ?? resolvePlanLimits(limitCheck.plan).minPingInterval;
 
     const { rows } = await pool.query(
-      `INSERT INTO devices (store_id, user_id, name, type, ip, port, url, ping_interval, ping_packets, notes, status)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'unknown')
+      `INSERT INTO devices (store_id, user_id, name, type, ip, port, url, ping_interval, ping_packets, notes, status, check_type, check_config,
+                            fail_threshold, recover_threshold, probe, heartbeat_token, check_secrets)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'unknown',$11,$12::jsonb,$13,$14,$15,$16,$17::jsonb)
        RETURNING *`,
-      [storeId, req.user.id, name, type, ip, port || null, url || null, pingInterval, 3, notes || null]
+      [
+        storeId,
+        req.user.id,
+        name,
+        type,
+        ip || '',
+        port || null,
+        url || null,
+        pingInterval,
+        3,
+        notes || null,
+        check.checkType || 'auto',
+        JSON.stringify(secrets.checkConfig),
+        confirm.failThreshold ?? null,
+        confirm.recoverThreshold ?? null,
+        probe.probe || 'worker',
+        heartbeat ? generateHeartbeatToken() : null,
+        secrets.checkSecrets ? JSON.stringify(secrets.checkSecrets) : null
+      ]
     );
 
-    res.json({ device: rows[0] });
+    await notifyDeviceCheck(pool, { deviceIds: [rows[0].id] });
+    res.json({ device: maskDeviceSecrets(rows[0]) });
   } catch (e) {
     console.error('Error adding device:', e);
     res.status(500).json({ error: 'Failed to add device' });
@@ -759,30 +897,142 @@ router.get('/api/projects/:projectId/devices/:deviceId', requireAuth, async (req
       req.user.id
     ]);
     if (!rows.length) return res.status(404).json({ error: 'Device not found' });
-    res.json({ device: rows[0] });
+    res.json({ device: maskDeviceSecrets(rows[0]) });
   } catch (e) {
     console.error('Error fetching device:', e);
     res.status(500).json({ error: 'Failed to fetch device' });
   }
 });
 
-// Queue a device for immediate check (worker looks at last_check)
+const deviceResults = createDeviceResultListener(pool);
+
+// Wake the worker to check a device now. With ?wait=<seconds> the request long-polls for the
+// result (up to 25s) and returns it; on timeout the check is still queued.
 router.post('/api/devices/:deviceId/test-now', requireAuth, requirePremium, async (req, res) => {
   const { deviceId } = req.params;
+  const waitSeconds = parseTestNowWait(req.query);
 
   try {
-    const { rows } = await pool.query(
-      "UPDATE devices SET last_check = now() - interval '365 days' WHERE id=$1 AND user_id=$2 RETURNING id",
-      [deviceId, req.user.id]
-    );
+    const { rows } = await pool.query('SELECT id, probe FROM devices WHERE id=$1 AND user_id=$2', [deviceId, req.user.id]);
     if (!rows.length) return res.status(404).json({ error: 'Device not found' });
-    res.json({ ok: true });
+
+    // Probe-agent devices: make the device due; the agent picks it up on its next poll.
+    if (rows[0].probe === 'agent') {
+      await pool.query(
+        "UPDATE devices SET last_check = now() - (ping_interval * interval '1 second') WHERE id=$1 AND user_id=$2",
+        [deviceId, req.user.id]
+      );
+      return res.json({ ok: true, queued: true, agent: true });
+    }
+
+    let listening = false;
+    if (waitSeconds) {
+      try {
+        await deviceResults.ready();
+        listening = true;
+      } catch (e) {
+        console.error('Error listening for device results:', e);
+      }
+    }
+    const pendingResult = listening ? deviceResults.waitFor(deviceId, waitSeconds * 1000) : null;
+
+    if (!(await notifyDeviceCheck(pool, { deviceIds: [deviceId] }))) {
+      // No NOTIFY: make the device due so the worker's regular loop picks it up.
+      await pool.query(
+        "UPDATE devices SET last_check = now() - (ping_interval * interval '1 second') WHERE id=$1 AND user_id=$2",
+        [deviceId, req.user.id]
+      );
+      return res.json({ ok: true, queued: true });
+    }
+    if (!pendingResult) return res.json({ ok: true, queued: true });
+
+    const result = await pendingResult;
+    if (!result) return res.json({ ok: true, queued: true, timedOut: true });
+    res.json({ ok: true, result });
   } catch (e) {
     console.error('Error test-now:', e);
     res.status(500).json({ error: 'Failed to queue test' });
   }
 });
 
+// Queue every device (optionally one project's) for an immediate check.
+// One accepted refresh per cooldown; the claim on manual_refresh_last_at is atomic so
+// concurrent clicks cannot both pass.
+router.post('/api/devices/refresh-all', requireAuth, requirePremium, async (req, res) => {
+  const projectId = String(req.body?.projectId || req.query.projectId || '').trim() || null;
+
+  try {
+    if (projectId) {
+      const storeCheck = await pool.query('SELECT 1 FROM stores WHERE id=$1 AND user_id=$2', [projectId, req.user.id]);
+      if (!storeCheck.rows.length) return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const claim = await pool.query(
+      `UPDATE users SET manual_refresh_last_at=now()
+       WHERE id=$1
+         AND (manual_refresh_last_at IS NULL OR manual_refresh_last_at <= now() - ($2::int * interval '1 second'))
+       RETURNING manual_refresh_last_at`,
+      [req.user.id, MANUAL_REFRESH_COOLDOWN_SECONDS]
+    );
+    if (!claim.rows.length) {
+      const { rows } = await pool.query('SELECT manual_refresh_last_at FROM users WHERE id=$1', [req.user.id]);
+      const retryAfterSeconds = Math.max(refreshRetryAfterSeconds(rows[0]?.manual_refresh_last_at), 1);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ error: `Refresh is available again in ${retryAfterSeconds}s`, retryAfterSeconds });
+    }
+    const queuedAt = claim.rows[0].manual_refresh_last_at;
+
+    const { rows: devices } = await pool.query(
+      `UPDATE devices SET last_check = now() - (ping_interval * interval '1 second')
+       WHERE user_id=$1 AND ($2::text IS NULL OR store_id=$2)
+       RETURNING id, store_id, name, status, last_check`,
+      [req.user.id, projectId]
+    );
+    await notifyDeviceCheck(pool, { due: true });
+    res.json({
+      ok: true,
+      queuedAt,
+      projectId,
+      cooldownSeconds: MANUAL_REFRESH_COOLDOWN_SECONDS,
+      queued: devices.length,
+      devices: devices.map((d) => refreshDeviceView(d, queuedAt))
+    });
+  } catch (e) {
+    console.error('Error refresh-all:', e);
+    res.status(500).json({ error: 'Failed to queue refresh' });
+  }
+});
+
+// Progress of the last refresh-all: each device is 'queued' until the worker writes a result.
+router.get('/api/devices/refresh-all', requireAuth, requirePremium, async (req, res) => {
+  const projectId = String(req.query.projectId || '').trim() || null;
+
+  try {
+    const { rows: userRows } = await pool.query('SELECT manual_refresh_last_at FROM users WHERE id=$1', [req.user.id]);
+    const queuedAt = userRows[0]?.manual_refresh_last_at || null;
+    const { rows: devices } = queuedAt
+      ? await pool.query(
+        `SELECT id, store_id, name, status, last_check
+         FROM devices
+         WHERE user_id=$1 AND ($2::text IS NULL OR store_id=$2)
+         ORDER BY store_id, name`,
+        [req.user.id, projectId]
+      )
+      : { rows: [] };
+    const views = devices.map((d) => refreshDeviceView(d, queuedAt));
+    res.json({
+      queuedAt,
+      cooldownSeconds: MANUAL_REFRESH_COOLDOWN_SECONDS,
+      retryAfterSeconds: refreshRetryAfterSeconds(queuedAt),
+      pending: views.filter((d) => d.state === 'queued').length,
+      devices: views
+    });
+  } catch (e) {
+    console.error('GET /api/devices/refresh-all error:', e);
+    res.status(500).json({ error: 'Failed to fetch refresh status' });
+  }
+});
+
 // --- Device history (for graphs) ---
 router.get('/api/devices/:deviceId/history', requireAuth, async (req, res) => {
   const { deviceId } = req.params;
@@ -793,10 +1043,23 @@ router.get('/api/devices/:deviceId/history', requireAuth, async (req, res) => {
   const limit = Math.min(Math.floor(requestedLimit), 500);
 
   // Free plan data retention: only expose the last 7 days of history.
-  // (Premium can access longer windows via analytics + reports.)
+  // (Premium can access longer windows via analytics + reports.) Without a range the query is still
+  // bounded by the user's retention so only those device_history partitions are read.
   const plan = String(req.user?.plan || 'free');
   const isFree = plan !== 'premium';
 
+  // Optional ranged history (for charts): raw rows for 24h, rollup buckets beyond.
+  const range = String(req.query.range || '').trim();
+  let rangeDays = null;
+  if (range) {
+    if (!HISTORY_RANGES[range]) {
+      return res.status(400).json({ error: `range must be one of ${Object.keys(HISTORY_RANGES).join(',')}` });
+    }
+    rangeDays = isFree ? Math.min(HISTORY_RANGES[range], 7) : HISTORY_RANGES[range];
+  }
+  const rollup = rangeDays ? rollupSource(rangeDays) : null;
+  const startTs = rangeDays ? new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000) : null;
+
   try {
     // Ownership enforced by join on devices.user_id
     const { rows: deviceRows } = await pool.query('SELECT id FROM devices WHERE id=$1 AND user_id=$2', [
@@ -805,34 +1068,34 @@ router.get('/api/devices/:deviceId/history', requireAuth, async (req, res) => {
     ]);
     if (!deviceRows.length) return res.status(404).json({ error: 'Device not found' });
 
-    let historyRows;
-    try {
+    if (rollup) {
       const { rows } = await pool.query(
-        `SELECT ts, status, latency_ms, status_code, detail
-         FROM device_history
-         WHERE device_id=$1
-         ${isFree ? "AND ts >= now() - interval '7 days'" : ''}
-         ORDER BY ts DESC
+        `SELECT bucket, samples, up_samples, down_samples, latency_min, latency_avg, latency_max, latency_p95, downtime_seconds
+         FROM ${rollup.table}
+         WHERE device_id=$1 AND bucket >= ${rollup.sinceSql}
+         ORDER BY bucket DESC
          LIMIT $2`,
         [deviceId, limit]
       );
-      historyRows = rows;
-    } catch (historyErr) {
-      if (historyErr && historyErr.code !== '42703') throw historyErr;
-
-      const { rows } = await pool.query(
-        `SELECT timestamp AS ts, status, latency AS latency_ms, NULL::int AS status_code, detail
-         FROM device_history
-         WHERE device_id=$1
-         ${isFree ? "AND timestamp >= now() - interval '7 days'" : ''}
-         ORDER BY timestamp DESC
-         LIMIT $2`,
-        [deviceId, limit]
-      );
-      historyRows = rows;
+      return res.json({ history: rows.reverse().map(rollupPoint), resolution: rollup.resolution });
     }
 
-    res.json({ history: historyRows.reverse() }); // oldest->newest for charts
+    const { rows: historyRows } = await pool.query(
+      startTs
+        ? `SELECT timestamp AS ts, status, latency AS latency_ms, NULL::int AS status_code, detail
+           FROM device_history
+           WHERE device_id=$1 AND timestamp >= $2
+           ORDER BY timestamp DESC
+           LIMIT $3`
+        : `SELECT timestamp AS ts, status, latency AS latency_ms, NULL::int AS status_code, detail
+           FROM device_history
+           WHERE device_id=$1 AND timestamp >= now() - ($3 * interval '1 day')
+           ORDER BY timestamp DESC
+           LIMIT $2`,
+      startTs ? [deviceId, startTs, limit] : [deviceId, limit, getRetentionForUser(req.user).days]
+    );
+
+    res.json({ history: historyRows.reverse(), resolution: 'raw' }); // oldest->newest for charts
   } catch (e) {
     console.error('Error fetching device history:', e);
     res.status(500).json({ error: 'Failed to fetch device history' });
@@ -842,7 +1105,8 @@ router.get('/api/devices/:deviceId/history', requireAuth, async (req, res) => {
 // --- Advanced device analytics (Premium) ---
 router.get('/api/devices/:deviceId/analytics', requireAuth, requirePremium, async (req, res) => {
   const { deviceId } = req.params;
-  const { key, intervalSql } = normalizeRangeToInterval(req.query.range);
+  const { key, days, intervalSql } = normalizeRangeToInterval(req.query.range);
+  const rollup = rollupSource(days);
 
   try {
     const { rows: deviceRows } = await pool.query('SELECT id FROM devices WHERE id=$1 AND user_id=$2', [
@@ -851,33 +1115,30 @@ router.get('/api/devices/:deviceId/analytics', requireAuth, requirePremium, asyn
     ]);
     if (!deviceRows.length) return res.status(404).json({ error: 'Device not found' });
 
-    // Pull enough samples for accurate downtime calculations.
-    let historyAsc;
-    try {
+    if (rollup) {
       const { rows } = await pool.query(
-        `SELECT ts, status, latency_ms
-         FROM device_history
-         WHERE device_id=$1 AND ts >= now() - ${intervalSql}
-         ORDER BY ts ASC`,
+        `SELECT samples, up_samples, outages, latency_samples, latency_avg, downtime_seconds
+         FROM ${rollup.table}
+         WHERE device_id=$1 AND bucket >= ${rollup.sinceSql}`,
         [deviceId]
       );
-      historyAsc = rows;
-    } catch (historyErr) {
-      if (historyErr && historyErr.code !== '42703') throw historyErr;
-      const { rows } = await pool.query(
-        `SELECT timestamp AS ts, status, latency AS latency_ms
-         FROM device_history
-         WHERE device_id=$1 AND timestamp >= now() - ${intervalSql}
-         ORDER BY timestamp ASC`,
-        [deviceId]
-      );
-      historyAsc = rows;
+      return res.json({ deviceId, range: key, resolution: rollup.resolution, analytics: summarizeRollups(rows) });
     }
 
+    // Pull enough samples for accurate downtime calculations.
+    const { rows: historyAsc } = await pool.query(
+      `SELECT timestamp AS ts, status, latency AS latency_ms
+       FROM device_history
+       WHERE device_id=$1 AND timestamp >= now() - ${intervalSql}
+       ORDER BY timestamp ASC`,
+      [deviceId]
+    );
+
     const analytics = computeAnalyticsFromHistory(historyAsc);
     res.json({
       deviceId,
       range: key,
+      resolution: 'raw',
       analytics
     });
   } catch (e) {
@@ -891,7 +1152,7 @@ router.get('/api/devices/:deviceId/analytics', requireAuth, requirePremium, asyn
 router.get('/api/reports/uptime', requireAuth, requirePremium, async (req, res) => {
   const periodRaw = String(req.query.period || 'weekly').trim().toLowerCase();
   const period = periodRaw === 'monthly' ? 'monthly' : 'weekly';
-  const intervalSql = period === 'monthly' ? "interval '30 days'" : "interval '7 days'";
+  const rollup = rollupSource(period === 'monthly' ? 30 : 7);
   const format = String(req.query.format || 'json').trim().toLowerCase();
 
   try {
@@ -921,46 +1182,21 @@ router.get('/api/reports/uptime', requireAuth, requirePremium, async (req, res)
       const placeholders = deviceIds.map((_, i) => `$${i + 2}`).join(',');
       const baseParams = [req.user.id, ...deviceIds];
 
-      const tryQueries = [
-        {
-          sql: `
-            SELECT d.store_id AS store_id,
-                   h.device_id,
-                   COUNT(*)::int AS samples,
-                   SUM(CASE WHEN lower(h.status)='up' THEN 1 ELSE 0 END)::int AS up_samples,
-                   AVG(CASE WHEN lower(h.status)='up' THEN h.latency_ms ELSE NULL END) AS avg_latency_ms
-            FROM device_history h
-            JOIN devices d ON d.id = h.device_id
-            WHERE d.user_id=$1
-              AND h.device_id IN (${placeholders})
-              AND h.ts >= now() - ${intervalSql}
-            GROUP BY d.store_id, h.device_id
-          `
-        },
-        {
-          sql: `
-            SELECT d.store_id AS store_id,
-                   h.device_id,
-                   COUNT(*)::int AS samples,
-                   SUM(CASE WHEN lower(h.status)='up' THEN 1 ELSE 0 END)::int AS up_samples,
-                   AVG(CASE WHEN lower(h.status)='up' THEN h.latency ELSE NULL END) AS avg_latency_ms
-            FROM device_history h
-            JOIN devices d ON d.id = h.device_id
-            WHERE d.user_id=$1
-              AND h.device_id IN (${placeholders})
-              AND h.timestamp >= now() - ${intervalSql}
-            GROUP BY d.store_id, h.device_id
-          `
-        }
-      ];
-
-      let rows;
-      try {
-        rows = (await pool.query(tryQueries[0].sql, baseParams)).rows;
-      } catch (err) {
-        if (!(err && err.code === '42703')) throw err;
-        rows = (await pool.query(tryQueries[1].sql, baseParams)).rows;
-      }
+      // Both periods are longer than a day, so they read the rollup buckets.
+      const { rows } = await pool.query(
+        `SELECT d.store_id AS store_id,
+                r.device_id,
+                SUM(r.samples)::int AS samples,
+                SUM(r.up_samples)::int AS up_samples,
+                SUM(r.latency_avg * r.latency_samples) / NULLIF(SUM(r.latency_samples), 0) AS avg_latency_ms
+         FROM ${rollup.table} r
+         JOIN devices d ON d.id = r.device_id
+         WHERE d.user_id=$1
+           AND r.device_id IN (${placeholders})
+           AND r.bucket >= ${rollup.sinceSql}
+         GROUP BY d.store_id, r.device_id`,
+        baseParams
+      );
 
       for (const r of rows) {
         aggregates.set(r.device_id, {
@@ -1066,18 +1302,78 @@ router.get('/api/reports/uptime', requireAuth, requirePremium, async (req, res)
 router.put('/api/devices/:deviceId', requireAuth, async (req, res) => {
   const { deviceId } = req.params;
   const { name, type, ip, port, url, notes } = req.body || {};
-  if (!name || !type || !ip) return res.status(400).json({ error: 'name, type, ip required' });
+  const check = normalizeDeviceCheckInput(req.body);
+  if (check.error) return res.status(400).json({ error: check.error });
+  if (!name || !type) return res.status(400).json({ error: 'name, type, ip required' });
+  const confirm = normalizeConfirmationInput(req.body);
+  if (confirm.error) return res.status(400).json({ error: confirm.error });
+  const probe = normalizeProbeInput(req.body);
+  if (probe.error) return res.status(400).json({ error: probe.error });
 
   try {
+    // Without checkType the stored check type is kept, so it decides whether an IP is required.
+    // Masked SNMPv3 keys keep the stored ones.
+    let heartbeat = check.checkType === 'heartbeat';
+    let storedSecrets = null;
+    if ((check.checkType === undefined && (!ip || probe.probe === 'agent')) || hasMaskedSecrets(check.checkConfig)) {
+      const { rows: stored } = await pool.query('SELECT check_type, check_secrets FROM devices WHERE id=$1 AND user_id=$2', [deviceId, req.user.id]);
+      if (!stored.length) return res.status(404).json({ error: 'Device not found' });
+      if (check.checkType === undefined) heartbeat = stored[0].check_type === 'heartbeat';
+      storedSecrets = stored[0].check_secrets;
+    }
+    if (!ip && !heartbeat) return res.status(400).json({ error: 'name, type, ip required' });
+    if (heartbeat && probe.probe === 'agent') return res.status(400).json({ error: 'Heartbeat monitors cannot use a probe agent' });
+    const secrets = check.checkConfig ? splitCheckSecrets(check.checkConfig, storedSecrets) : null;
+    if (secrets?.error) return res.status(400).json({ error: secrets.error });
+
+    let pingInterval = null;
+    if (req.body?.pingInterval != null && req.body.pingInterval !== '') {
+      const interval = normalizePingIntervalInput(req.body, await getUserPlanFromDb(pool, req.user.id));
+      if (interval.error) return res.status(400).json({ error: interval.error });
+      pingInterval = interval.pingInterval;
+    }
+
+    // check_type/check_config (with check_secrets), the probe, the confirmation counts and the interval are only replaced
+    // when the client sends them (null thresholds fall back to the account default). A device turned into a heartbeat
+    // monitor gets a ping token.
     const { rows } = await pool.query(
       `UPDATE devices
-       SET name=$1, type=$2, ip=$3, port=$4, url=$5, notes=$6, updated_at=now()
+       SET name=$1, type=$2, ip=$3, port=$4, url=$5, notes=$6,
+           check_type=COALESCE($9, check_type),
+           check_config=COALESCE($10::jsonb, check_config),
+           fail_threshold=CASE WHEN $11::boolean THEN $12::int ELSE fail_threshold END,
+           recover_threshold=CASE WHEN $13::boolean THEN $14::int ELSE recover_threshold END,
+           probe=COALESCE($15, probe),
+           heartbeat_token=COALESCE(heartbeat_token, $16),
+           ping_interval=COALESCE($17::int, ping_interval),
+           check_secrets=CASE WHEN $10::jsonb IS NULL THEN check_secrets ELSE $18::jsonb END,
+           updated_at=now()
        WHERE id=$7 AND user_id=$8
        RETURNING *`,
-      [name, type, ip, port || null, url || null, notes || null, deviceId, req.user.id]
+      [
+        name,
+        type,
+        ip || '',
+        port || null,
+        url || null,
+        notes || null,
+        deviceId,
+        req.user.id,
+        check.checkType ?? null,
+        secrets ? JSON.stringify(secrets.checkConfig) : null,
+        confirm.failThreshold !== undefined,
+        confirm.failThreshold ?? null,
+        confirm.recoverThreshold !== undefined,
+        confirm.recoverThreshold ?? null,
+        probe.probe ?? null,
+        heartbeat ? generateHeartbeatToken() : null,
+        pingInterval,
+        secrets?.checkSecrets ? JSON.stringify(secrets.checkSecrets) : null
+      ]
     );
     if (!rows.length) return res.status(404).json({ error: 'Device not found' });
-    res.json({ device: rows[0] });
+    await notifyDeviceCheck(pool, { deviceIds: [rows[0].id] });
+    res.json({ device: maskDeviceSecrets(rows[0]) });
   } catch (e) {
     console.error('Error updating device:', e);
     res.status(500).json({ error: 'Failed to update device' });
@@ -1099,6 +1395,241 @@ router.delete('/api/devices/:deviceId', requireAuth, async (req, res) => {
   }
 });
 
+// --- Topology ---
+// Replaces a device's upstream parents (devices of the same project).
+router.put('/api/devices/:deviceId/parents', requireAuth, async (req, res) => {
+  const { deviceId } = req.params;
+  const input = normalizeParentIds(req.body, deviceId);
+  if (input.error) return res.status(400).json({ error: input.error });
+  const { parentIds } = input;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // One topology edit per user at a time: two concurrent edits (A under B, B under A) would each
+    // pass the cycle check below and together create a cycle.
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`dashmon:topology:${req.user.id}`]);
+    const { rows: deviceRows } = await client.query(
+      'SELECT id, store_id FROM devices WHERE id=$1 AND user_id=$2 FOR UPDATE',
+      [deviceId, req.user.id]
+    );
+    if (!deviceRows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    if (parentIds.length) {
+      const { rows: parents } = await client.query(
+        'SELECT id FROM devices WHERE id = ANY($1::uuid[]) AND store_id=$2 AND user_id=$3',
+        [parentIds, deviceRows[0].store_id, req.user.id]
+      );
+      if (parents.length !== parentIds.length) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Parents must be devices in the same project' });
+      }
+      const cycle = await findCycleParents(client, deviceId, parentIds);
+      if (cycle.length) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'A device behind this one cannot be its parent' });
+      }
+    }
+    await client.query('DELETE FROM device_parents WHERE device_id=$1', [deviceId]);
+    if (parentIds.length) {
+      await client.query(
+        'INSERT INTO device_parents(device_id, parent_id) SELECT $1, unnest($2::uuid[])',
+        [deviceId, parentIds]
+      );
+    }
+    await client.query('COMMIT');
+    res.json({ ok: true, parentIds });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error('Error updating device parents:', e);
+    res.status(500).json({ error: 'Failed to update device parents' });
+  } finally {
+    client.release();
+  }
+});
+
+// --- Heartbeat monitors ---
+// New secret ping URL for a heartbeat monitor; the old one stops working.
+router.post('/api/devices/:deviceId/heartbeat-token', requireAuth, async (req, res) => {
+  const { deviceId } = req.params;
+  try {
+    const { rows } = await pool.query(
+      `UPDATE devices SET heartbeat_token=$1, updated_at=now()
+       WHERE id=$2 AND user_id=$3 AND check_type='heartbeat'
+       RETURNING id, heartbeat_token`,
+      [generateHeartbeatToken(), deviceId, req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Heartbeat monitor not found' });
+    res.json({ ok: true, token: rows[0].heartbeat_token });
+  } catch (e) {
+    console.error('Error rotating heartbeat token:', e);
+    res.status(500).json({ error: 'Failed to rotate heartbeat token' });
+  }
+});
+
+const heartbeatPingRateLimit = createMemoryRateLimiter({
+  windowMs: 60 * 1000,
+  maxRequests: 30,
+  keyFn: (req) => `heartbeat:${req.params?.token || req.ip || 'unknown'}`,
+  message: 'Too many pings. Please retry later.'
+});
+// Raw bodies (text logs); JSON bodies are already parsed by express.json().
+const heartbeatPingBody = express.raw({ type: () => true, limit: '16kb' });
+
+// Public: the secret token in the URL identifies the monitor.
+async function handleHeartbeatPing(req, res) {
+  const kind = parsePingKind(req.params.kind);
+  if (!kind) return res.status(404).json({ error: 'Not found' });
+  try {
+    const { rows } = await pool.query(
+      `UPDATE devices
+       SET last_ping_at = CASE WHEN $2 = 'start' THEN last_ping_at ELSE now() END,
+           last_ping_kind = CASE WHEN $2 = 'start' THEN last_ping_kind ELSE $2 END,
+           ping_started_at = CASE WHEN $2 = 'start' THEN now() ELSE ping_started_at END,
+           last_ping_body = $3
+       WHERE heartbeat_token=$1 AND check_type='heartbeat'
+       RETURNING id`,
+      [req.params.token, kind, pingBodyText(req.body)]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+    await notifyDeviceCheck(pool, { deviceIds: [rows[0].id] });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('Error recording heartbeat ping:', e);
+    res.status(500).json({ error: 'Failed to record ping' });
+  }
+}
+
+for (const path of ['/api/heartbeat/:token', '/api/heartbeat/:token/:kind']) {
+  router.get(path, heartbeatPingRateLimit, handleHeartbeatPing);
+  router.post(path, heartbeatPingRateLimit, heartbeatPingBody, handleHeartbeatPing);
+}
+
+// --- Remote probe agents ---
+// One agent per project. The token is returned once, on create/rotate; only its hash is stored.
+router.get('/api/projects/:projectId/agent', requireAuth, async (req, res) => {
+  const { projectId } = req.params;
+  try {
+    const storeCheck = await pool.query('SELECT 1 FROM stores WHERE id=$1 AND user_id=$2', [projectId, req.user.id]);
+    if (!storeCheck.rows.length) return res.status(404).json({ error: 'Project not found' });
+    const { rows } = await pool.query('SELECT * FROM probe_agents WHERE store_id=$1 AND user_id=$2', [projectId, req.user.id]);
+    const count = await pool.query(
+      "SELECT COUNT(*)::int AS n FROM devices WHERE store_id=$1 AND user_id=$2 AND probe='agent'",
+      [projectId, req.user.id]
+    );
+    res.json({ agent: agentView(rows[0]), agentDevices: count.rows[0]?.n || 0, pollSeconds: getAgentPollSeconds() });
+  } catch (e) {
+    console.error('Error fetching probe agent:', e);
+    res.status(500).json({ error: 'Failed to fetch probe agent' });
+  }
+});
+
+// Creates the project's agent, or rotates its token (the old token stops working at once).
+router.post('/api/projects/:projectId/agent', requireAuth, async (req, res) => {
+  const { projectId } = req.params;
+  try {
+    const storeCheck = await pool.query('SELECT 1 FROM stores WHERE id=$1 AND user_id=$2', [projectId, req.user.id]);
+    if (!storeCheck.rows.length) return res.status(404).json({ error: 'Project not found' });
+    const { token, hash, prefix } = generateAgentToken();
+    const { rows } = await pool.query(
+      `INSERT INTO probe_agents (user_id, store_id, name, token_hash, token_prefix)
+       VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT (store_id, user_id)
+       DO UPDATE SET token_hash=EXCLUDED.token_hash, token_prefix=EXCLUDED.token_prefix,
+                     name=COALESCE(EXCLUDED.name, probe_agents.name)
+       RETURNING *`,
+      [req.user.id, projectId, normalizeAgentName(req.body?.name), hash, prefix]
+    );
+    res.json({ agent: agentView(rows[0]), token });
+  } catch (e) {
+    console.error('Error creating probe agent:', e);
+    res.status(500).json({ error: 'Failed to create probe agent' });
+  }
+});
+
+router.delete('/api/projects/:projectId/agent', requireAuth, async (req, res) => {
+  const { projectId } = req.params;
+  try {
+    const { rows } = await pool.query(
+      'DELETE FROM probe_agents WHERE store_id=$1 AND user_id=$2 RETURNING id',
+      [projectId, req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Probe agent not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Error deleting probe agent:', e);
+    res.status(500).json({ error: 'Failed to delete probe agent' });
+  }
+});
+
+// Agent API (bearer token, no session).
+const requireAgent = createRequireAgent(pool);
+const agentRateLimit = createMemoryRateLimiter({
+  windowMs: 60 * 1000,
+  maxRequests: 60,
+  keyFn: (req) => {
+    const token = parseBearerToken(req.headers?.authorization);
+    return token ? `agent:${hashAgentToken(token)}` : `agent-ip:${req.ip || 'unknown'}`;
+  },
+  message: 'Too many agent requests. Please retry later.'
+});
+
+// The agent's devices with their check config. A device is due once its interval has passed
+// and no pushed result is still waiting for the worker.
+router.get('/api/agent/config', agentRateLimit, requireAgent, async (req, res) => {
+  try {
+    // Intervals are clamped to the owner's current plan, as the worker does for its own devices.
+    const { minPingInterval } = resolvePlanLimits(await getUserPlanFromDb(pool, req.agent.user_id));
+    const { rows } = await pool.query(
+      `SELECT d.id, d.name, d.type, d.ip, d.port, d.url,
+              LEAST(GREATEST(d.ping_interval, $3::int), $4::int) AS ping_interval,
+              d.ping_packets, d.check_type, d.check_config, d.check_secrets,
+              ((d.last_check IS NULL OR d.last_check <= now() - (LEAST(GREATEST(d.ping_interval, $3::int), $4::int) * interval '1 second'))
+               AND NOT EXISTS (SELECT 1 FROM agent_results r WHERE r.device_id = d.id)) AS due
+       FROM devices d
+       WHERE d.store_id=$1 AND d.user_id=$2 AND d.probe='agent'
+       ORDER BY d.name ASC`,
+      [req.agent.store_id, req.agent.user_id, minPingInterval, MAX_PING_INTERVAL]
+    );
+    res.json({
+      agent: { id: req.agent.id, projectId: req.agent.store_id, name: req.agent.name || null },
+      pollSeconds: getAgentPollSeconds(),
+      // The agent runs the checks, so it gets the SNMPv3 keys in clear
+      devices: rows.map((d) => agentDeviceView({ ...d, check_config: revealCheckSecrets(d.check_config, d.check_secrets) }))
+    });
+  } catch (e) {
+    console.error('Error fetching agent config:', e);
+    res.status(500).json({ error: 'Failed to fetch agent config' });
+  }
+});
+
+router.post('/api/agent/results', agentRateLimit, requireAgent, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT id FROM devices WHERE store_id=$1 AND user_id=$2 AND probe='agent'",
+      [req.agent.store_id, req.agent.user_id]
+    );
+    const parsed = normalizeAgentResults(req.body, new Set(rows.map((r) => String(r.id))));
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    if (parsed.results.length) {
+      await pool.query(
+        `INSERT INTO agent_results (agent_id, device_id, status, latency, packet_loss, detail, checked_at)
+         SELECT $1, r.device_id, r.status, r.latency, r.packet_loss, COALESCE(r.detail, '{}'::jsonb), r.checked_at
+         FROM jsonb_to_recordset($2::jsonb)
+           AS r(device_id uuid, status text, latency int, packet_loss int, detail jsonb, checked_at timestamptz)`,
+        [req.agent.id, JSON.stringify(parsed.results)]
+      );
+    }
+    res.json({ ok: true, accepted: parsed.results.length, rejected: parsed.rejected });
+  } catch (e) {
+    console.error('Error storing agent results:', e);
+    res.status(500).json({ error: 'Failed to store agent results' });
+  }
+});
+
 // --- Email alert configuration ---
 router.get('/api/alerts/email', requireAuth, async (req, res) => {
   try {
@@ -1226,15 +1757,15 @@ async function getSmsAlertRow(userId) {
   return rows[0] || null;
 }
 
-async function upsertSmsAlert(userId, enabled, rulesObj, cooldownMinutes) {
+async function upsertAlertRow(userId, type, enabled, rulesObj, cooldownMinutes) {
   // Prefer ON CONFLICT if a unique constraint exists; fallback otherwise.
   try {
     await pool.query(
       `INSERT INTO alerts(user_id, type, enabled, rules, cooldown_minutes)
-       VALUES ($1, 'sms', $2, $3, $4)
+       VALUES ($1, $2, $3, $4, $5)
        ON CONFLICT (user_id, type)
        DO UPDATE SET enabled=EXCLUDED.enabled, rules=EXCLUDED.rules, cooldown_minutes=EXCLUDED.cooldown_minutes`,
-      [userId, enabled, JSON.stringify(rulesObj), cooldownMinutes]
+      [userId, type, enabled, JSON.stringify(rulesObj), cooldownMinutes]
     );
     return;
   } catch (e) {
@@ -1247,17 +1778,21 @@ async function upsertSmsAlert(userId, enabled, rulesObj, cooldownMinutes) {
     `UPDATE alerts
      SET enabled=$3, rules=$4, cooldown_minutes=$5
      WHERE user_id=$1 AND type=$2`,
-    [userId, 'sms', enabled, JSON.stringify(rulesObj), cooldownMinutes]
+    [userId, type, enabled, JSON.stringify(rulesObj), cooldownMinutes]
   );
   if (upd.rowCount === 0) {
     await pool.query(
       `INSERT INTO alerts(user_id, type, enabled, rules, cooldown_minutes)
-       VALUES ($1, 'sms', $2, $3, $4)`,
-      [userId, enabled, JSON.stringify(rulesObj), cooldownMinutes]
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, type, enabled, JSON.stringify(rulesObj), cooldownMinutes]
     );
   }
 }
 
+async function upsertSmsAlert(userId, enabled, rulesObj, cooldownMinutes) {
+  await upsertAlertRow(userId, 'sms', enabled, rulesObj, cooldownMinutes);
+}
+
 router.get('/api/alerts/sms', requireAuth, requirePremium, async (req, res) => {
   try {
     const row = await getSmsAlertRow(req.user.id);
@@ -1336,48 +1871,510 @@ router.post('/api/alerts/sms/test', requireAuth, requirePremium, async (req, res
   }
 });
 
-router.get('/api/metrics/down-events', requireAuth, async (req, res) => {
-  const hours = Math.min(Number(req.query.hours || 24) || 24, 168); // up to 7 days
-  try {
-    let rows;
+// --- Chat Alerts: Slack / Teams / Discord (Premium) ---
+// Stored in alerts table: type=<provider>, rules = { webhookUrl, storeOverrides: { [storeId]: { enabled, webhookUrl } } }
+async function getChatAlertRow(userId, provider) {
+  const { rows } = await pool.query(
+    `SELECT enabled, rules, cooldown_minutes
+     FROM alerts
+     WHERE user_id=$1 AND type=$2
+     LIMIT 1`,
+    [userId, provider]
+  );
+  return rows[0] || null;
+}
+
+for (const provider of CHAT_PROVIDERS) {
+  router.get(`/api/alerts/${provider}`, requireAuth, requirePremium, async (req, res) => {
     try {
-      const result = await pool.query(
-        `SELECT date_trunc('hour', h.ts) AS bucket, COUNT(*)::int AS down_events
-         FROM device_history h
-         JOIN devices d ON d.id = h.device_id
-         WHERE d.user_id=$1
-           AND h.ts >= now() - ($2 || ' hours')::interval
-           AND h.status='down'
-         GROUP BY bucket
-         ORDER BY bucket ASC`,
-        [req.user.id, String(hours)]
+      const row = await getChatAlertRow(req.user.id, provider);
+      const rules = row?.rules || {};
+      res.json({
+        enabled: row ? !!row.enabled : false,
+        webhookUrl: rules.webhookUrl || '',
+        cooldownMinutes: row?.cooldown_minutes ?? 30,
+        storeOverrides: rules.storeOverrides || {}
+      });
+    } catch (e) {
+      console.error(`GET /api/alerts/${provider} error:`, e);
+      res.status(500).json({ error: `Failed to load ${CHAT_PROVIDER_LABELS[provider]} settings` });
+    }
+  });
+
+  router.put(`/api/alerts/${provider}`, requireAuth, requirePremium, async (req, res) => {
+    const cfg = normalizeChatAlertInput(provider, req.body);
+    if (cfg.error) return res.status(400).json({ error: cfg.error });
+
+    try {
+      const rules = { webhookUrl: cfg.webhookUrl, storeOverrides: cfg.storeOverrides };
+      await upsertAlertRow(req.user.id, provider, cfg.enabled, rules, cfg.cooldownMinutes);
+      res.json({ ok: true, ...cfg });
+    } catch (e) {
+      console.error(`PUT /api/alerts/${provider} error:`, e);
+      res.status(500).json({ error: `Failed to save ${CHAT_PROVIDER_LABELS[provider]} settings` });
+    }
+  });
+
+  // Sends to the saved URL for body.storeId, or the saved default. Only saved URLs on the provider's
+  // own hosts are used, so the endpoint cannot be pointed at arbitrary (internal) addresses.
+  router.post(`/api/alerts/${provider}/test`, requireAuth, requirePremium, async (req, res) => {
+    try {
+      const row = await getChatAlertRow(req.user.id, provider);
+      const rules = row?.rules || {};
+      const override = req.body?.storeId ? rules.storeOverrides?.[String(req.body.storeId)] : null;
+      const webhookUrl = String(override?.webhookUrl || rules.webhookUrl || '').trim();
+      if (!webhookUrl) {
+        return res.status(400).json({ error: `Save a ${CHAT_PROVIDER_LABELS[provider]} webhook URL first` });
+      }
+      if (!isValidChatWebhookUrl(provider, webhookUrl)) {
+        return res.status(400).json({ error: chatUrlError(provider) });
+      }
+
+      try {
+        const r = await sendChatTestMessage(provider, webhookUrl);
+        res.json({ ok: true, provider, status: r.status });
+      } catch (sendErr) {
+        res.status(502).json({ error: sendErr?.message || 'Failed to send test message' });
+      }
+    } catch (e) {
+      console.error(`POST /api/alerts/${provider}/test error:`, e);
+      res.status(500).json({ error: 'Failed to send test message' });
+    }
+  });
+}
+
+// --- Webhook Alerts (Premium) ---
+// Stored in alerts table: type='webhook', rules = { endpoints: [{ id, name, url, secret, enabled }] }.
+// Events are queued in webhook_deliveries and sent by the worker.
+async function getWebhookAlertRow(userId) {
+  const { rows } = await pool.query(
+    `SELECT enabled, rules
+     FROM alerts
+     WHERE user_id=$1 AND type='webhook'
+     LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+function webhookEndpointsFromRules(rules) {
+  return Array.isArray(rules?.endpoints) ? rules.endpoints : [];
+}
+
+router.get('/api/alerts/webhook', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const row = await getWebhookAlertRow(req.user.id);
+    res.json({
+      enabled: row ? !!row.enabled : false,
+      endpoints: webhookEndpointsFromRules(row?.rules).map((e) => webhookEndpointView(e))
+    });
+  } catch (e) {
+    console.error('GET /api/alerts/webhook error:', e);
+    res.status(500).json({ error: 'Failed to load webhook settings' });
+  }
+});
+
+router.put('/api/alerts/webhook', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const row = await getWebhookAlertRow(req.user.id);
+    const cfg = normalizeWebhookInput(req.body, row?.rules);
+    if (cfg.error) return res.status(400).json({ error: cfg.error });
+
+    await upsertAlertRow(req.user.id, 'webhook', cfg.enabled, { endpoints: cfg.endpoints }, 30);
+    res.json({
+      ok: true,
+      enabled: cfg.enabled,
+      endpoints: cfg.endpoints.map((e) => webhookEndpointView(e, cfg.newSecretIds.has(e.id)))
+    });
+  } catch (e) {
+    console.error('PUT /api/alerts/webhook error:', e);
+    res.status(500).json({ error: 'Failed to save webhook settings' });
+  }
+});
+
+// Queues a test event for one endpoint (endpointId) or every enabled endpoint. The worker only
+// delivers while webhook alerts and the endpoint are enabled, so a disabled one is refused here.
+router.post('/api/alerts/webhook/test', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const row = await getWebhookAlertRow(req.user.id);
+    const endpointId = req.body?.endpointId ? String(req.body.endpointId) : null;
+    const targets = webhookEndpointsFromRules(row?.rules)
+      .filter((e) => (endpointId ? String(e.id) === endpointId : e.enabled !== false));
+    if (!targets.length) return res.status(400).json({ error: 'No webhook endpoint to test. Save an endpoint first.' });
+    if (!row.enabled) return res.status(400).json({ error: 'Enable webhook alerts and save before sending a test.' });
+    if (targets.some((e) => e.enabled === false)) {
+      return res.status(400).json({ error: 'This endpoint is disabled. Enable it and save before sending a test.' });
+    }
+
+    const payload = {
+      event: 'test',
+      occurredAt: new Date().toISOString(),
+      message: 'Dashmon webhook test'
+    };
+    for (const endpoint of targets) {
+      await pool.query(
+        `INSERT INTO webhook_deliveries(user_id, endpoint_id, event, payload)
+         VALUES ($1,$2,$3,$4::jsonb)`,
+        [req.user.id, endpoint.id, payload.event, JSON.stringify(payload)]
       );
-      rows = result.rows;
-    } catch (metricsErr) {
-      if (metricsErr && metricsErr.code !== '42703') throw metricsErr;
+    }
+    res.json({ ok: true, queued: targets.length });
+  } catch (e) {
+    console.error('POST /api/alerts/webhook/test error:', e);
+    res.status(500).json({ error: 'Failed to queue test webhook' });
+  }
+});
 
-      const result = await pool.query(
-        `SELECT date_trunc('hour', h.timestamp) AS bucket, COUNT(*)::int AS down_events
-         FROM device_history h
-         JOIN devices d ON d.id = h.device_id
+router.get('/api/alerts/webhook/deliveries', requireAuth, requirePremium, async (req, res) => {
+  const filters = parseDeliveryFilters(req.query);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+
+  try {
+    const params = [req.user.id];
+    let statusClause = '';
+    if (filters.status) {
+      params.push(filters.status);
+      statusClause = `AND w.status=$${params.length}`;
+    }
+    params.push(filters.limit);
+    const { rows } = await pool.query(
+      `SELECT w.id, w.endpoint_id, w.device_id, w.event, w.status, w.attempts, w.response_status,
+              w.last_error, w.next_attempt_at, w.last_attempt_at, w.delivered_at, w.created_at,
+              d.name AS device_name
+       FROM webhook_deliveries w
+       LEFT JOIN devices d ON d.id = w.device_id
+       WHERE w.user_id=$1 ${statusClause}
+       ORDER BY w.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    res.json({ deliveries: rows });
+  } catch (e) {
+    console.error('GET /api/alerts/webhook/deliveries error:', e);
+    res.status(500).json({ error: 'Failed to load webhook deliveries' });
+  }
+});
+
+// Puts a failed delivery back in the queue for an immediate attempt.
+router.post('/api/alerts/webhook/deliveries/:deliveryId/retry', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status='pending', attempts=0, next_attempt_at=now()
+       WHERE id=$1 AND user_id=$2 AND status='failed'
+       RETURNING id, status`,
+      [req.params.deliveryId, req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Failed delivery not found' });
+    res.json({ delivery: rows[0] });
+  } catch (e) {
+    console.error('POST /api/alerts/webhook/deliveries/:deliveryId/retry error:', e);
+    res.status(500).json({ error: 'Failed to retry webhook delivery' });
+  }
+});
+
+// --- Alert routing rules (Premium) ---
+// Each rule matches project/device type/transition/time of day and routes to channel targets.
+const ALERT_ROUTE_COLUMNS = 'id, name, enabled, position, stop, match, targets, created_at, updated_at';
+
+router.get('/api/alert-routes', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${ALERT_ROUTE_COLUMNS}
+       FROM alert_routes
+       WHERE user_id=$1
+       ORDER BY position ASC, id ASC`,
+      [req.user.id]
+    );
+    res.json({ routes: rows });
+  } catch (e) {
+    console.error('Error fetching alert routes:', e);
+    res.status(500).json({ error: 'Failed to fetch alert routes' });
+  }
+});
+
+router.post('/api/alert-routes', requireAuth, requirePremium, async (req, res) => {
+  const rule = normalizeAlertRouteInput(req.body);
+  if (rule.error) return res.status(400).json({ error: rule.error });
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO alert_routes(user_id, name, enabled, position, stop, match, targets)
+       VALUES ($1,$2,$3,$4,$5,$6::jsonb,$7::jsonb)
+       RETURNING ${ALERT_ROUTE_COLUMNS}`,
+      [req.user.id, rule.name, rule.enabled, rule.position, rule.stop, JSON.stringify(rule.match), JSON.stringify(rule.targets)]
+    );
+    res.json({ route: rows[0] });
+  } catch (e) {
+    console.error('Error creating alert route:', e);
+    res.status(500).json({ error: 'Failed to create alert route' });
+  }
+});
+
+router.put('/api/alert-routes/:routeId', requireAuth, requirePremium, async (req, res) => {
+  const rule = normalizeAlertRouteInput(req.body);
+  if (rule.error) return res.status(400).json({ error: rule.error });
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE alert_routes
+       SET name=$3, enabled=$4, position=$5, stop=$6, match=$7::jsonb, targets=$8::jsonb, updated_at=now()
+       WHERE id=$1 AND user_id=$2
+       RETURNING ${ALERT_ROUTE_COLUMNS}`,
+      [req.params.routeId, req.user.id, rule.name, rule.enabled, rule.position, rule.stop, JSON.stringify(rule.match), JSON.stringify(rule.targets)]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Alert route not found' });
+    res.json({ route: rows[0] });
+  } catch (e) {
+    console.error('Error updating alert route:', e);
+    res.status(500).json({ error: 'Failed to update alert route' });
+  }
+});
+
+router.delete('/api/alert-routes/:routeId', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'DELETE FROM alert_routes WHERE id=$1 AND user_id=$2 RETURNING id',
+      [req.params.routeId, req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Alert route not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Error deleting alert route:', e);
+    res.status(500).json({ error: 'Failed to delete alert route' });
+  }
+});
+
+// --- Alert schedules (Premium) ---
+// Quiet hours / business hours per channel, evaluated in the user's timezone.
+router.get('/api/alerts/schedules', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const [{ rows: userRows }, { rows }] = await Promise.all([
+      pool.query('SELECT timezone FROM users WHERE id=$1', [req.user.id]),
+      pool.query('SELECT channel, mode, windows, digest, aggregate_seconds, updated_at FROM alert_schedules WHERE user_id=$1', [req.user.id])
+    ]);
+    const byChannel = new Map(rows.map((r) => [r.channel, r]));
+    const schedules = SCHEDULE_CHANNELS.map((channel) => byChannel.get(channel) || {
+      channel, mode: 'always', windows: [], digest: false, aggregate_seconds: 0, updated_at: null
+    });
+    res.json({ timezone: userRows[0]?.timezone || null, schedules });
+  } catch (e) {
+    console.error('Error fetching alert schedules:', e);
+    res.status(500).json({ error: 'Failed to fetch alert schedules' });
+  }
+});
+
+router.put('/api/alerts/schedules/:channel', requireAuth, requirePremium, async (req, res) => {
+  const channel = String(req.params.channel || '').toLowerCase();
+  if (!SCHEDULE_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `channel must be one of: ${SCHEDULE_CHANNELS.join(', ')}` });
+  }
+  const schedule = normalizeAlertScheduleInput(req.body);
+  if (schedule.error) return res.status(400).json({ error: schedule.error });
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO alert_schedules(user_id, channel, mode, windows, digest, aggregate_seconds, updated_at)
+       VALUES ($1,$2,$3,$4::jsonb,$5,$6,now())
+       ON CONFLICT (user_id, channel)
+       DO UPDATE SET mode=EXCLUDED.mode, windows=EXCLUDED.windows, digest=EXCLUDED.digest,
+                     aggregate_seconds=EXCLUDED.aggregate_seconds, updated_at=now()
+       RETURNING channel, mode, windows, digest, aggregate_seconds, updated_at`,
+      [req.user.id, channel, schedule.mode, JSON.stringify(schedule.windows), schedule.digest, schedule.aggregateSeconds]
+    );
+    if (!schedule.digest) {
+      // Nothing will send these any more; drop held alerts rather than leaving them queued.
+      await pool.query('DELETE FROM alert_digest_queue WHERE user_id=$1 AND channel=$2', [req.user.id, channel]);
+    }
+    if (!schedule.aggregateSeconds) {
+      // Aggregation turned off: send what is waiting on the next worker loop.
+      await pool.query('UPDATE alert_batch_queue SET aggregate_seconds=0 WHERE user_id=$1 AND channel=$2', [req.user.id, channel]);
+    }
+    res.json({ schedule: rows[0] });
+  } catch (e) {
+    console.error('Error saving alert schedule:', e);
+    res.status(500).json({ error: 'Failed to save alert schedule' });
+  }
+});
+
+router.get('/api/metrics/down-events', requireAuth, async (req, res) => {
+  const hours = Math.min(Number(req.query.hours || 24) || 24, 168); // up to 7 days
+  const toPoints = (rows) => rows.map((r) => ({ ts: r.bucket, value: r.down_events }));
+  try {
+    if (hours > 24) {
+      // Longer windows count down samples from the hourly rollups.
+      const { rows } = await pool.query(
+        `SELECT r.bucket, SUM(r.down_samples)::int AS down_events
+         FROM device_history_hourly r
+         JOIN devices d ON d.id = r.device_id
          WHERE d.user_id=$1
-           AND h.timestamp >= now() - ($2 || ' hours')::interval
-           AND h.status='down'
-         GROUP BY bucket
-         ORDER BY bucket ASC`,
+           AND r.bucket >= date_trunc('hour', now() - ($2 || ' hours')::interval)
+           AND r.down_samples > 0
+         GROUP BY r.bucket
+         ORDER BY r.bucket ASC`,
         [req.user.id, String(hours)]
       );
-      rows = result.rows;
+      return res.json({ points: toPoints(rows) });
     }
 
-    res.json({ points: rows.map((r) => ({ ts: r.bucket, value: r.down_events })) });
+    const { rows } = await pool.query(
+      `SELECT date_trunc('hour', h.timestamp) AS bucket, COUNT(*)::int AS down_events
+       FROM device_history h
+       JOIN devices d ON d.id = h.device_id
+       WHERE d.user_id=$1
+         AND h.timestamp >= now() - ($2 || ' hours')::interval
+         AND h.status='down'
+       GROUP BY bucket
+       ORDER BY bucket ASC`,
+      [req.user.id, String(hours)]
+    );
+    res.json({ points: toPoints(rows) });
   } catch (e) {
     console.error('Error metrics down-events:', e);
     res.status(500).json({ error: 'Failed to fetch metrics' });
   }
 });
 
+// --- Incidents (opened/closed by the worker) ---
+router.get('/api/incidents', requireAuth, async (req, res) => {
+  const filters = parseIncidentFilters(req.query);
+  if (filters.error) return res.status(400).json({ error: filters.error });
 
+  try {
+    const { sql, params } = buildIncidentsQuery(req.user.id, filters);
+    const { rows } = await pool.query(sql, params);
+    res.json({ incidents: rows });
+  } catch (e) {
+    console.error('Error fetching incidents:', e);
+    res.status(500).json({ error: 'Failed to fetch incidents' });
+  }
+});
+
+router.post('/api/incidents/:id/ack', requireAuth, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Invalid incident id' });
+  const rawNote = req.body && req.body.note != null ? String(req.body.note).trim() : '';
+  if (rawNote.length > 1000) return res.status(400).json({ error: 'note must be at most 1000 characters' });
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE incidents
+       SET acknowledged_at=COALESCE(acknowledged_at, now()), acknowledged_by=$3, ack_note=$4
+       WHERE id=$1 AND user_id=$2
+       RETURNING *`,
+      [id, req.user.id, req.user.id, rawNote || null]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Incident not found' });
+    res.json({ incident: rows[0] });
+  } catch (e) {
+    console.error('Error acknowledging incident:', e);
+    res.status(500).json({ error: 'Failed to acknowledge incident' });
+  }
+});
+
+// --- Escalation policies (Premium) ---
+router.get('/api/escalation-policies', requireAuth, requirePremium, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT p.id, p.name, p.steps, p.created_at, p.updated_at,
+              COALESCE(array_agg(s.id) FILTER (WHERE s.id IS NOT NULL), '{}') AS project_ids
+       FROM escalation_policies p
+       LEFT JOIN stores s ON s.escalation_policy_id = p.id AND s.user_id = p.user_id
+       WHERE p.user_id=$1
+       GROUP BY p.id
+       ORDER BY p.name ASC`,
+      [req.user.id]
+    );
+    res.json({ policies: rows });
+  } catch (e) {
+    console.error('Error fetching escalation policies:', e);
+    res.status(500).json({ error: 'Failed to fetch escalation policies' });
+  }
+});
+
+router.post('/api/escalation-policies', requireAuth, requirePremium, async (req, res) => {
+  const policy = normalizeEscalationPolicyInput(req.body);
+  if (policy.error) return res.status(400).json({ error: policy.error });
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO escalation_policies(user_id, name, steps)
+       VALUES ($1,$2,$3::jsonb)
+       RETURNING id, name, steps, created_at, updated_at`,
+      [req.user.id, policy.name, JSON.stringify(policy.steps)]
+    );
+    res.json({ policy: rows[0] });
+  } catch (e) {
+    console.error('Error creating escalation policy:', e);
+    res.status(500).json({ error: 'Failed to create escalation policy' });
+  }
+});
+
+router.put('/api/escalation-policies/:policyId', requireAuth, requirePremium, async (req, res) => {
+  const policy = normalizeEscalationPolicyInput(req.body);
+  if (policy.error) return res.status(400).json({ error: policy.error });
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE escalation_policies
+       SET name=$3, steps=$4::jsonb, updated_at=now()
+       WHERE id=$1 AND user_id=$2
+       RETURNING id, name, steps, created_at, updated_at`,
+      [req.params.policyId, req.user.id, policy.name, JSON.stringify(policy.steps)]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Escalation policy not found' });
+    res.json({ policy: rows[0] });
+  } catch (e) {
+    console.error('Error updating escalation policy:', e);
+    res.status(500).json({ error: 'Failed to update escalation policy' });
+  }
+});
+
+router.delete('/api/escalation-policies/:policyId', requireAuth, requirePremium, async (req, res) => {
+  try {
+    // Projects using it fall back to plain email/SMS alerts (FK is ON DELETE SET NULL)
+    const { rows } = await pool.query(
+      'DELETE FROM escalation_policies WHERE id=$1 AND user_id=$2 RETURNING id',
+      [req.params.policyId, req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Escalation policy not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('Error deleting escalation policy:', e);
+    res.status(500).json({ error: 'Failed to delete escalation policy' });
+  }
+});
+
+// Attach (policyId) or detach (policyId: null) a project's escalation policy
+router.put('/api/projects/:projectId/escalation-policy', requireAuth, requirePremium, async (req, res) => {
+  const { projectId } = req.params;
+  const raw = req.body ? req.body.policyId : undefined;
+  if (raw === undefined) return res.status(400).json({ error: 'policyId is required (null to detach)' });
+
+  try {
+    let policyId = null;
+    if (raw !== null && raw !== '') {
+      const { rows: found } = await pool.query(
+        'SELECT id FROM escalation_policies WHERE id=$1 AND user_id=$2',
+        [raw, req.user.id]
+      );
+      if (!found.length) return res.status(404).json({ error: 'Escalation policy not found' });
+      policyId = found[0].id;
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE stores SET escalation_policy_id=$3, updated_at=now()
+       WHERE user_id=$1 AND id=$2
+       RETURNING id, escalation_policy_id`,
+      [req.user.id, projectId, policyId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Project not found' });
+    res.json({ project: rows[0] });
+  } catch (e) {
+    console.error('Error attaching escalation policy:', e);
+    res.status(500).json({ error: 'Failed to update project escalation policy' });
+  }
+});
 
 // --- User preferences (timezone) ---
 function isValidIanaTimeZone(tz) {
@@ -1393,9 +2390,18 @@ function isValidIanaTimeZone(tz) {
 
 router.get('/api/user/preferences', requireAuth, async (req, res) => {
   try {
-    const { rows } = await pool.query('SELECT timezone FROM users WHERE id=$1', [req.user.id]);
+    const { rows } = await pool.query(
+      'SELECT timezone, default_fail_threshold, default_recover_threshold FROM users WHERE id=$1',
+      [req.user.id]
+    );
     const timezone = rows[0]?.timezone || null;
-    res.json({ preferences: { timezone } });
+    res.json({
+      preferences: {
+        timezone,
+        failThreshold: rows[0]?.default_fail_threshold ?? 2,
+        recoverThreshold: rows[0]?.default_recover_threshold ?? 1
+      }
+    });
   } catch (e) {
     console.error('Error fetching user preferences:', e);
     res.status(500).json({ error: 'Failed to fetch preferences' });
@@ -1429,6 +2435,62 @@ router.put('/api/user/preferences/timezone', requireAuth, requirePremium, async
   }
 });
 
+// Account-wide flap damping defaults (devices with NULL thresholds inherit these)
+router.put('/api/user/preferences/flap-damping', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const fail = parseConfirmationCount(body.failThreshold, 'failThreshold');
+  if (fail.error) return res.status(400).json({ error: fail.error });
+  const recover = parseConfirmationCount(body.recoverThreshold, 'recoverThreshold');
+  if (recover.error) return res.status(400).json({ error: recover.error });
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE users SET default_fail_threshold=$1, default_recover_threshold=$2
+       WHERE id=$3
+       RETURNING default_fail_threshold, default_recover_threshold`,
+      [fail.value, recover.value, req.user.id]
+    );
+    res.json({
+      preferences: {
+        failThreshold: rows[0]?.default_fail_threshold ?? fail.value,
+        recoverThreshold: rows[0]?.default_recover_threshold ?? recover.value
+      }
+    });
+  } catch (e) {
+    console.error('Error updating flap damping defaults:', e);
+    res.status(500).json({ error: 'Failed to update flap damping defaults' });
+  }
+});
+
+// --- Admin (X-Admin-Key) ---
+// Per-user raw history retention override; days: null returns the user to the plan default.
+router.get('/api/admin/users/:userId/retention', requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM users WHERE id=$1', [req.params.userId]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    res.json({ userId: rows[0].id, override: rows[0].history_days_override ?? null, retention: retentionView(rows[0]) });
+  } catch (e) {
+    console.error('Error fetching user retention:', e);
+    res.status(500).json({ error: 'Failed to fetch retention' });
+  }
+});
+
+router.put('/api/admin/users/:userId/retention', requireAdmin, async (req, res) => {
+  const { days, error } = normalizeRetentionOverride(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { rows } = await pool.query('UPDATE users SET history_days_override=$1 WHERE id=$2 RETURNING *', [
+      days,
+      req.params.userId
+    ]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+    res.json({ userId: rows[0].id, override: rows[0].history_days_override ?? null, retention: retentionView(rows[0]) });
+  } catch (e) {
+    console.error('Error saving user retention:', e);
+    res.status(500).json({ error: 'Failed to save retention' });
+  }
+});
+
 // Ensure unknown API routes return JSON (not HTML)
 router.use('/api', (_req, res) => {
   res.status(404).json({ error: 'Not found' });
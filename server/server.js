@@ -4,17 +4,16 @@ const { createClient } = require('redis');
 const RedisStore = require('connect-redis').default;
 
 const { passport } = require('./auth');
-const { ensureLocalAuthSchema } = require('./migrations');
+const { assertMigrated } = require('./migrator');
 const { router } = require('./routes');
 const { createMemoryRateLimiter } = require('./rate-limit');
 const { createSessionMiddleware } = require('./session-config');
+const { pool } = require('./db');
+const { startWorkerMonitor } = require('./worker-health');
 
 function createApp() {
   const app = express();
 
-  // Ensure DB schema supports local accounts
-  ensureLocalAuthSchema().catch((e) => console.error('Schema ensure failed:', e));
-
   // Redis session store
   const redisClient = createClient({ url: process.env.REDIS_URL });
   redisClient.connect().catch(console.error);
@@ -61,9 +60,19 @@ function createApp() {
 }
 
 if (require.main === module) {
-  const app = createApp();
-  const port = process.env.PORT ? Number(process.env.PORT) : 3000;
-  app.listen(port, () => console.log(`dashmon app listening on ${port}`));
+  // Refuse to serve against a database that `npm run migrate -- up` has not brought up to date
+  assertMigrated(pool)
+    .then(() => {
+      const app = createApp();
+      const port = process.env.PORT ? Number(process.env.PORT) : 3000;
+      app.listen(port, () => console.log(`dashmon app listening on ${port}`));
+      // Email OPERATOR_EMAIL when no worker heartbeat arrives for WORKER_DOWN_ALERT_MINUTES
+      startWorkerMonitor(pool);
+    })
+    .catch((e) => {
+      console.error('Schema check failed:', e.message || e);
+      process.exit(1);
+    });
 }
 
 module.exports = { createApp };
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { normalizeAlertRouteInput } = require('../alert-routes');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('normalizeAlertRouteInput validates match criteria and targets', () => {
+  assert.match(normalizeAlertRouteInput({}).error, /Rule name is required/);
+  assert.match(normalizeAlertRouteInput({ name: 'r', targets: [] }).error, /At least one target/);
+  assert.match(normalizeAlertRouteInput({ name: 'r', targets: [{ channel: 'pager' }] }).error, /targets\[0\]\.channel/);
+  assert.match(normalizeAlertRouteInput({ name: 'r', targets: [{ channel: 'sms', to: '0400' }] }).error, /E\.164/);
+  assert.match(normalizeAlertRouteInput({ name: 'r', targets: [{ channel: 'slack', to: 'nope' }] }).error, /incoming-webhook URL/);
+  assert.match(
+    normalizeAlertRouteInput({ name: 'r', match: { transitions: ['sideways'] }, targets: [{ channel: 'email' }] }).error,
+    /match\.transitions/
+  );
+  assert.match(
+    normalizeAlertRouteInput({ name: 'r', match: { timeWindow: { start: '9:00', end: '17:00' } }, targets: [{ channel: 'email' }] }).error,
+    /match\.timeWindow\.start/
+  );
+  assert.match(
+    normalizeAlertRouteInput({ name: 'r', match: { timeWindow: { start: '09:00', end: '17:00', days: [7] } }, targets: [{ channel: 'email' }] }).error,
+    /weekdays/
+  );
+});
+
+test('normalizeAlertRouteInput returns a normalized rule', () => {
+  const rule = normalizeAlertRouteInput({
+    name: ' After-hours POS ',
+    stop: true,
+    position: 2,
+    match: {
+      projectIds: ['store-104', 'store-104', ''],
+      deviceTypes: ['PosServer'],
+      transitions: ['down'],
+      timeWindow: { start: '18:00', end: '08:00', days: [5, 1, 1] }
+    },
+    targets: [{ channel: 'EMAIL', to: 'a@example.com,b@example.com' }, { channel: 'teams' }]
+  });
+  assert.deepEqual(rule, {
+    name: 'After-hours POS',
+    enabled: true,
+    position: 2,
+    stop: true,
+    match: {
+      projectIds: ['store-104'],
+      deviceTypes: ['posserver'],
+      transitions: ['down'],
+      timeWindow: { start: '18:00', end: '08:00', days: [1, 5] }
+    },
+    targets: [{ channel: 'email', to: 'a@example.com, b@example.com' }, { channel: 'teams', to: null }]
+  });
+});
+
+test('Alert routes: premium required', async () => {
+  const router = buildRouterWithMocks({ query: async () => ({ rows: [] }) });
+  const handlers = getRouteHandlers(router, 'get', '/api/alert-routes');
+  const req = { user: { id: 'u1', plan: 'free' }, path: '/api/alert-routes', headers: { accept: 'application/json' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+  assert.equal(res.statusCode, 403);
+});
+
+test('Alert routes: create stores match and targets as JSON', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 1, name: params[1] }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/alert-routes');
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    path: '/api/alert-routes',
+    headers: { accept: 'application/json' },
+    body: { name: 'FortiGates', match: { deviceTypes: ['fortigate'] }, targets: [{ channel: 'sms', to: '+61400111222' }] }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.route.id, 1);
+  assert.match(calls[0].sql, /INSERT INTO alert_routes/);
+  assert.deepEqual(JSON.parse(calls[0].params[5]).deviceTypes, ['fortigate']);
+  assert.deepEqual(JSON.parse(calls[0].params[6]), [{ channel: 'sms', to: '+61400111222' }]);
+});
+
+test('Alert routes: chat targets must be on the provider webhook hosts', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 1, name: params[1] }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/alert-routes');
+  const req = (to) => ({
+    user: { id: 'u1', plan: 'premium' },
+    path: '/api/alert-routes',
+    headers: { accept: 'application/json' },
+    body: { name: 'Ops Slack', targets: [{ channel: 'slack', to }] }
+  });
+
+  for (const to of ['https://example.com/hook', 'http://hooks.slack.com/services/T/B/x', `https://hooks.slack.com/services/${'x'.repeat(2000)}`]) {
+    const res = createRes();
+    await runHandlers(handlers, req(to), res);
+    assert.equal(res.statusCode, 400, to.slice(0, 40));
+  }
+  assert.equal(calls.length, 0);
+
+  const ok = createRes();
+  await runHandlers(handlers, req('https://hooks.slack.com/services/T000/B000/xyz'), ok);
+  assert.equal(ok.statusCode, 200);
+  assert.deepEqual(JSON.parse(calls[0].params[6]), [{ channel: 'slack', to: 'https://hooks.slack.com/services/T000/B000/xyz' }]);
+});
+
+test('Alert routes: update of another user rule returns 404', async () => {
+  const router = buildRouterWithMocks({ query: async () => ({ rows: [] }) });
+  const handlers = getRouteHandlers(router, 'put', '/api/alert-routes/:routeId');
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    params: { routeId: '99' },
+    path: '/api/alert-routes/99',
+    headers: { accept: 'application/json' },
+    body: { name: 'x', targets: [{ channel: 'email' }] }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+  assert.equal(res.statusCode, 404);
+});
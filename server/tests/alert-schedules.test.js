@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { normalizeAlertScheduleInput } = require('../alert-schedules');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('normalizeAlertScheduleInput validates mode and windows', () => {
+  assert.match(normalizeAlertScheduleInput({ mode: 'sometimes' }).error, /mode must be one of/);
+  assert.match(normalizeAlertScheduleInput({ mode: 'quiet' }).error, /At least one window/);
+  assert.match(normalizeAlertScheduleInput({ mode: 'quiet', windows: [{ start: '22:00', end: '7:00' }] }).error, /windows\[0\]: start and end must be HH:MM/);
+  assert.match(normalizeAlertScheduleInput({ mode: 'active', windows: [{ start: '09:00', end: '17:00', days: [9] }] }).error, /weekdays/);
+  assert.match(
+    normalizeAlertScheduleInput({ mode: 'quiet', windows: Array.from({ length: 8 }, () => ({ start: '22:00', end: '07:00' })) }).error,
+    /at most 7 windows/
+  );
+});
+
+test('normalizeAlertScheduleInput returns a normalized schedule', () => {
+  assert.deepEqual(
+    normalizeAlertScheduleInput({ mode: 'QUIET', digest: true, windows: [{ start: '22:00', end: '07:00', days: [6, 0, 0] }] }),
+    { mode: 'quiet', windows: [{ start: '22:00', end: '07:00', days: [0, 6] }], digest: true, aggregateSeconds: 0 }
+  );
+  assert.deepEqual(
+    normalizeAlertScheduleInput({ mode: 'always', digest: true, windows: [{ start: '22:00', end: '07:00' }] }),
+    { mode: 'always', windows: [], digest: false, aggregateSeconds: 0 }
+  );
+});
+
+test('normalizeAlertScheduleInput accepts an aggregation window with any mode', () => {
+  assert.equal(normalizeAlertScheduleInput({ mode: 'always', aggregateSeconds: 120 }).aggregateSeconds, 120);
+  assert.equal(normalizeAlertScheduleInput({ mode: 'always', aggregateSeconds: '0' }).aggregateSeconds, 0);
+  assert.match(normalizeAlertScheduleInput({ aggregateSeconds: 10 }).error, /aggregateSeconds must be 0 \(off\) or 30-900/);
+  assert.match(normalizeAlertScheduleInput({ aggregateSeconds: 3600 }).error, /aggregateSeconds/);
+  assert.match(normalizeAlertScheduleInput({ aggregateSeconds: 'soon' }).error, /aggregateSeconds/);
+});
+
+test('Alert schedules: list fills in channels without a schedule', async () => {
+  const poolMock = {
+    query: async (sql) => {
+      if (/FROM users/.test(sql)) return { rows: [{ timezone: 'Australia/Adelaide' }] };
+      return { rows: [{ channel: 'sms', mode: 'quiet', windows: [{ start: '22:00', end: '07:00', days: [] }], digest: true }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/alerts/schedules');
+  const req = { user: { id: 'u1', plan: 'premium' }, path: '/api/alerts/schedules', headers: { accept: 'application/json' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.timezone, 'Australia/Adelaide');
+  assert.deepEqual(res.payload.schedules.map((s) => `${s.channel}:${s.mode}`), ['email:always', 'sms:quiet', 'slack:always', 'teams:always', 'discord:always']);
+});
+
+test('Alert schedules: save upserts and drops queued alerts when digest is off', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ channel: params[1], mode: params[2] }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'put', '/api/alerts/schedules/:channel');
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    params: { channel: 'slack' },
+    path: '/api/alerts/schedules/slack',
+    headers: { accept: 'application/json' },
+    body: { mode: 'active', windows: [{ start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }] }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.match(calls[0].sql, /INSERT INTO alert_schedules/);
+  assert.deepEqual(JSON.parse(calls[0].params[3]), [{ start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }]);
+  assert.match(calls[1].sql, /DELETE FROM alert_digest_queue/);
+});
+
+test('Alert schedules: unknown channel is rejected', async () => {
+  const router = buildRouterWithMocks({ query: async () => ({ rows: [] }) });
+  const handlers = getRouteHandlers(router, 'put', '/api/alerts/schedules/:channel');
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    params: { channel: 'webhook' },
+    path: '/api/alerts/schedules/webhook',
+    headers: { accept: 'application/json' },
+    body: { mode: 'always' }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+  assert.equal(res.statusCode, 400);
+});
+
+test('Alert schedules: save stores the aggregation window', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ channel: params[1], mode: params[2], aggregate_seconds: params[5] }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'put', '/api/alerts/schedules/:channel');
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    params: { channel: 'sms' },
+    path: '/api/alerts/schedules/sms',
+    headers: { accept: 'application/json' },
+    body: { mode: 'always', aggregateSeconds: 60 }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.match(calls[0].sql, /aggregate_seconds=EXCLUDED\.aggregate_seconds/);
+  assert.equal(calls[0].params[5], 60);
+  assert.equal(res.payload.schedule.aggregate_seconds, 60);
+  assert.ok(!calls.some((c) => /alert_batch_queue/.test(c.sql)));
+});
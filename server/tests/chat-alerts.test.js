@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { normalizeChatAlertInput, buildChatTestMessage, isValidChatWebhookUrl } = require('../chat-alerts');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('normalizeChatAlertInput validates urls and per-project overrides', () => {
+  assert.match(normalizeChatAlertInput('slack', { enabled: true }).error, /Slack webhook URL is required/);
+  assert.match(normalizeChatAlertInput('teams', { webhookUrl: 'not a url' }).error, /Microsoft Teams webhook URL/);
+  assert.match(
+    normalizeChatAlertInput('discord', { storeOverrides: { s1: { enabled: true, webhookUrl: 'nope' } } }).error,
+    /Invalid Discord webhook URL for project s1/
+  );
+
+  assert.match(normalizeChatAlertInput('slack', { webhookUrl: 'http://169.254.169.254/latest' }).error, /https URL on hooks\.slack\.com/);
+
+  const onlyOverride = normalizeChatAlertInput('slack', {
+    enabled: true,
+    cooldownMinutes: 99999,
+    storeOverrides: { s1: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/a' }, s2: null }
+  });
+  assert.equal(onlyOverride.enabled, true);
+  assert.equal(onlyOverride.cooldownMinutes, 10080);
+  assert.deepEqual(onlyOverride.storeOverrides, { s1: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/a' } });
+});
+
+test('isValidChatWebhookUrl only accepts https URLs on the provider hosts', () => {
+  assert.equal(isValidChatWebhookUrl('slack', 'https://hooks.slack.com/services/T/B/x'), true);
+  assert.equal(isValidChatWebhookUrl('teams', 'https://contoso.webhook.office.com/webhookb2/x'), true);
+  assert.equal(isValidChatWebhookUrl('teams', 'https://prod-01.westus.logic.azure.com/workflows/x'), true);
+  assert.equal(isValidChatWebhookUrl('discord', 'https://discord.com/api/webhooks/1/x'), true);
+
+  assert.equal(isValidChatWebhookUrl('slack', 'http://hooks.slack.com/services/x'), false);
+  assert.equal(isValidChatWebhookUrl('slack', 'https://discord.com/api/webhooks/1/x'), false);
+  assert.equal(isValidChatWebhookUrl('discord', 'https://discord.com.evil.example/api/webhooks/1'), false);
+  assert.equal(isValidChatWebhookUrl('discord', 'https://discord.com:8443/api/webhooks/1'), false);
+  assert.equal(isValidChatWebhookUrl('teams', 'https://127.0.0.1/hook'), false);
+});
+
+test('buildChatTestMessage uses each provider payload shape', () => {
+  assert.ok(buildChatTestMessage('slack').text);
+  assert.ok(buildChatTestMessage('discord').content);
+  assert.equal(buildChatTestMessage('teams')['@type'], 'MessageCard');
+});
+
+test('Chat alerts: every provider is premium gated', async () => {
+  const router = buildRouterWithMocks({ query: async () => ({ rows: [] }) });
+  for (const provider of ['slack', 'teams', 'discord']) {
+    const handlers = getRouteHandlers(router, 'get', `/api/alerts/${provider}`);
+    const req = { user: { id: 'u1', plan: 'free' }, path: `/api/alerts/${provider}`, headers: { accept: 'application/json' } };
+    const res = createRes();
+    await runHandlers(handlers, req, res);
+    assert.equal(res.statusCode, 403);
+  }
+});
+
+test('Chat alerts: save config writes alerts row of the provider type', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'put', '/api/alerts/teams');
+
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    path: '/api/alerts/teams',
+    headers: { accept: 'application/json' },
+    body: { enabled: true, webhookUrl: 'https://example.webhook.office.com/webhookb2/x', cooldownMinutes: 15 }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  const upsert = calls.find((c) => String(c.sql).includes('INSERT INTO alerts'));
+  assert.deepEqual(upsert.params.slice(0, 3), ['u1', 'teams', true]);
+  assert.equal(upsert.params[4], 15);
+});
+
+test('Chat alerts: test endpoint only posts to the saved provider webhook', async () => {
+  const savedUrl = 'https://discord.com/api/webhooks/1/abc';
+  const sent = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, opts) => {
+    sent.push({ url: String(url), body: JSON.parse(opts.body) });
+    return { ok: true, status: 204 };
+  };
+
+  try {
+    const row = { enabled: true, rules: { webhookUrl: savedUrl }, cooldown_minutes: 30 };
+    const router = buildRouterWithMocks({ query: async () => ({ rows: [row] }) });
+    const handlers = getRouteHandlers(router, 'post', '/api/alerts/discord/test');
+    // A URL in the request body is ignored
+    const body = { webhookUrl: 'http://127.0.0.1:6379/' };
+    const req = { user: { id: 'u1', plan: 'premium' }, path: '/api/alerts/discord/test', headers: { accept: 'application/json' }, body };
+    const res = createRes();
+    await runHandlers(handlers, req, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.payload.provider, 'discord');
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].url, savedUrl);
+    assert.match(sent[0].body.content, /Dashmon test message/);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('Chat alerts: test endpoint refuses a saved URL outside the provider hosts', async () => {
+  const originalFetch = global.fetch;
+  global.fetch = async () => assert.fail('must not send');
+  try {
+    const row = { enabled: true, rules: { webhookUrl: 'http://10.0.0.5/hook' }, cooldown_minutes: 30 };
+    const router = buildRouterWithMocks({ query: async () => ({ rows: [row] }) });
+    const handlers = getRouteHandlers(router, 'post', '/api/alerts/slack/test');
+    const req = { user: { id: 'u1', plan: 'premium' }, path: '/api/alerts/slack/test', headers: { accept: 'application/json' }, body: {} };
+    const res = createRes();
+    await runHandlers(handlers, req, res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.payload.error, /hooks\.slack\.com/);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('Chat alerts: test endpoint requires a webhook URL', async () => {
+  const router = buildRouterWithMocks({ query: async () => ({ rows: [] }) });
+  const handlers = getRouteHandlers(router, 'post', '/api/alerts/slack/test');
+  const req = { user: { id: 'u1', plan: 'premium' }, path: '/api/alerts/slack/test', headers: { accept: 'application/json' }, body: {} };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const crypto = require('node:crypto');
+const {
+  SECRET_MASK,
+  encryptSecret,
+  decryptSecret,
+  splitCheckSecrets,
+  revealCheckSecrets,
+  maskDeviceSecrets
+} = require('../check-secrets');
+const { sqlColumns } = require('./sql-columns');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+const KEY = crypto.createHash('sha256').update('test-check-secrets-key').digest();
+
+test('encryptSecret round-trips and never stores the value in clear', () => {
+  const sealed = encryptSecret('authpass123', KEY);
+  assert.match(sealed, /^v1:/);
+  assert.doesNotMatch(sealed, /authpass123/);
+  assert.notEqual(encryptSecret('authpass123', KEY), sealed);
+  assert.equal(decryptSecret(sealed, KEY), 'authpass123');
+  assert.throws(() => decryptSecret(sealed, crypto.randomBytes(32)));
+});
+
+test('splitCheckSecrets moves the v3 keys out of check_config and keeps masked ones', () => {
+  const split = splitCheckSecrets({ version: '3', username: 'u', authKey: 'authpass123', privKey: 'privpass123' }, null, KEY);
+  assert.deepEqual(split.checkConfig, { version: '3', username: 'u' });
+  assert.equal(decryptSecret(split.checkSecrets.authKey, KEY), 'authpass123');
+  assert.equal(decryptSecret(split.checkSecrets.privKey, KEY), 'privpass123');
+
+  const kept = splitCheckSecrets({ version: '3', username: 'u', authKey: SECRET_MASK, privKey: 'newpass123' }, split.checkSecrets, KEY);
+  assert.equal(kept.checkSecrets.authKey, split.checkSecrets.authKey);
+  assert.equal(decryptSecret(kept.checkSecrets.privKey, KEY), 'newpass123');
+
+  assert.deepEqual(splitCheckSecrets({ version: '2c', community: 'public' }, split.checkSecrets, KEY), {
+    checkConfig: { version: '2c', community: 'public' },
+    checkSecrets: null
+  });
+  assert.match(splitCheckSecrets({ authKey: SECRET_MASK }, null, KEY).error, /authKey must be at least 8/);
+  assert.match(splitCheckSecrets({ authKey: 'authpass123' }, null, null).error, /CHECK_SECRETS_KEY is not set/);
+});
+
+test('maskDeviceSecrets hides check_secrets and masks the stored keys', () => {
+  const device = { id: 'd1', check_config: { version: '3', username: 'u' }, check_secrets: { authKey: encryptSecret('authpass123', KEY) } };
+  assert.deepEqual(maskDeviceSecrets(device), { id: 'd1', check_config: { version: '3', username: 'u', authKey: SECRET_MASK } });
+  assert.deepEqual(revealCheckSecrets(device.check_config, device.check_secrets, KEY), { version: '3', username: 'u', authKey: 'authpass123' });
+  assert.deepEqual(revealCheckSecrets(device.check_config, device.check_secrets, crypto.randomBytes(32)), { version: '3', username: 'u' });
+});
+
+test('device routes never return SNMPv3 keys and keep them when the mask is sent back', async () => {
+  const prevKey = process.env.CHECK_SECRETS_KEY;
+  process.env.CHECK_SECRETS_KEY = 'test-check-secrets-key';
+  try {
+    const stored = { authKey: encryptSecret('authpass123', KEY), privKey: encryptSecret('privpass123', KEY) };
+    const calls = [];
+    const poolMock = {
+      query: async (sql, params) => {
+        calls.push({ sql, params });
+        if (/SELECT check_type, check_secrets FROM devices/.test(sql)) return { rows: [{ check_type: 'snmp', check_secrets: stored }] };
+        if (/UPDATE devices/.test(sql)) {
+          const cols = sqlColumns(sql, params);
+          return { rows: [{ id: 'd1', check_config: JSON.parse(cols.check_config), check_secrets: JSON.parse(cols.check_secrets[1]) }] };
+        }
+        if (/INSERT INTO devices/.test(sql)) {
+          const cols = sqlColumns(sql, params);
+          return { rows: [{ id: 'd2', check_config: JSON.parse(cols.check_config), check_secrets: JSON.parse(cols.check_secrets) }] };
+        }
+        if (/FROM stores/.test(sql)) return { rows: [{ '?column?': 1 }] };
+        if (/FROM users/.test(sql)) return { rows: [{ plan: 'premium' }] };
+        if (/COUNT/.test(sql)) return { rows: [{ count: 0 }] };
+        return { rows: [] };
+      }
+    };
+    const router = buildRouterWithMocks(poolMock);
+    const checkConfig = { version: '3', username: 'dashmon', securityLevel: 'authPriv', authKey: 'authpass123', privKey: 'privpass123' };
+
+    const created = createRes();
+    await runHandlers(getRouteHandlers(router, 'post', '/api/projects/:projectId/devices'), {
+      params: { projectId: 'store-1' },
+      user: { id: 'u1' },
+      body: { name: 'Core switch', type: 'switch', ip: '10.0.0.2', checkType: 'snmp', checkConfig }
+    }, created);
+    assert.equal(created.statusCode, 200);
+    const insert = calls.find((c) => /INSERT INTO devices/.test(c.sql));
+    const inserted = sqlColumns(insert.sql, insert.params);
+    assert.doesNotMatch(inserted.check_config, /authpass123|privpass123/);
+    assert.equal(decryptSecret(JSON.parse(inserted.check_secrets).authKey, KEY), 'authpass123');
+    assert.equal(created.payload.device.check_config.authKey, SECRET_MASK);
+    assert.equal(created.payload.device.check_secrets, undefined);
+
+    const res = createRes();
+    await runHandlers(getRouteHandlers(router, 'put', '/api/devices/:deviceId'), {
+      params: { deviceId: 'd1' },
+      user: { id: 'u1' },
+      body: { name: 'Core switch', type: 'switch', ip: '10.0.0.2', checkType: 'snmp', checkConfig: { ...checkConfig, authKey: SECRET_MASK, privKey: SECRET_MASK } }
+    }, res);
+    assert.equal(res.statusCode, 200);
+    const update = calls.find((c) => /UPDATE devices/.test(c.sql));
+    assert.match(update.sql, /check_secrets=CASE WHEN \$10::jsonb IS NULL THEN check_secrets ELSE \$18::jsonb END/);
+    assert.deepEqual(JSON.parse(sqlColumns(update.sql, update.params).check_secrets[1]), stored);
+    assert.deepEqual(res.payload.device.check_config, { version: '3', username: 'dashmon', securityLevel: 'authPriv', authProtocol: 'sha', privProtocol: 'aes', authKey: SECRET_MASK, privKey: SECRET_MASK });
+  } finally {
+    if (prevKey === undefined) delete process.env.CHECK_SECRETS_KEY;
+    else process.env.CHECK_SECRETS_KEY = prevKey;
+  }
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeDeviceCheckInput, normalizeConfirmationInput } = require('../device-checks');
+
+test('device checks: omitted fields leave stored values untouched', () => {
+  assert.deepEqual(normalizeDeviceCheckInput({ name: 'x' }), { checkType: undefined, checkConfig: undefined });
+});
+
+test('device checks: rejects unknown types and bad config', () => {
+  assert.match(normalizeDeviceCheckInput({ checkType: 'smtp' }).error, /checkType must be one of/);
+  assert.match(normalizeDeviceCheckInput({ checkType: 'tcp', checkConfig: [] }).error, /must be an object/);
+  assert.match(normalizeDeviceCheckInput({ checkType: 'tcp', checkConfig: { port: 70000 } }).error, /port/);
+  assert.match(normalizeDeviceCheckInput({ checkType: 'dns', checkConfig: { recordType: 'SRV' } }).error, /recordType/);
+  assert.match(normalizeDeviceCheckInput({ checkType: 'icmp', checkConfig: { packets: 50 } }).error, /packets/);
+});
+
+test('device checks: keeps only the fields relevant to the chosen type', () => {
+  const r = normalizeDeviceCheckInput({
+    checkType: 'DNS',
+    checkConfig: { hostname: ' pos.store104.local ', recordType: 'a', expected: '10.1.4.20', port: 53 }
+  });
+  assert.equal(r.checkType, 'dns');
+  assert.deepEqual(r.checkConfig, { hostname: 'pos.store104.local', recordType: 'A', expected: '10.1.4.20' });
+
+  const tls = normalizeDeviceCheckInput({ checkType: 'tls-cert', checkConfig: { port: '8443', servername: 'fw.example.com' } });
+  assert.deepEqual(tls.checkConfig, { port: 8443, servername: 'fw.example.com' });
+});
+
+test('device checks: normalizes http assertions for http and auto checks', () => {
+  const r = normalizeDeviceCheckInput({
+    checkType: 'http',
+    checkConfig: {
+      url: 'https://pos.example.com/health',
+      expectedStatus: '200, 301-302',
+      bodyContains: 'ok',
+      maxResponseMs: '1500',
+      method: 'post',
+      headers: { 'X-Probe': 'dashmon' },
+      followRedirects: true,
+      port: 22
+    }
+  });
+  assert.deepEqual(r.checkConfig, {
+    url: 'https://pos.example.com/health',
+    expectedStatus: [200, '301-302'],
+    bodyContains: 'ok',
+    maxResponseMs: 1500,
+    method: 'POST',
+    headers: { 'X-Probe': 'dashmon' },
+    followRedirects: true
+  });
+
+  const auto = normalizeDeviceCheckInput({ checkType: 'auto', checkConfig: { bodyNotContains: 'error', method: 'GET' } });
+  assert.deepEqual(auto.checkConfig, { bodyNotContains: 'error' });
+});
+
+test('device checks: rejects invalid http assertions', () => {
+  const bad = (checkConfig) => normalizeDeviceCheckInput({ checkType: 'http', checkConfig }).error;
+  assert.match(bad({ expectedStatus: '2xx' }), /Invalid expected status/);
+  assert.match(bad({ expectedStatus: ['299-200'] }), /Invalid expected status/);
+  assert.match(bad({ bodyContains: '(', bodyRegex: true }), /regular expression/);
+  assert.match(bad({ maxResponseMs: 0 }), /maxResponseMs/);
+  assert.match(bad({ method: 'DELETE' }), /method must be one of/);
+  assert.match(bad({ method: 'HEAD', bodyContains: 'ok' }), /cannot be used with the HEAD method/);
+  assert.match(bad({ method: 'head', bodyNotContains: 'error' }), /HEAD method/);
+  assert.equal(bad({ method: 'HEAD' }), undefined);
+  assert.match(bad({ headers: { 'bad header': 'x' } }), /Invalid header name/);
+  assert.match(bad({ headers: { 'X-A': 'a\r\nb' } }), /Invalid value/);
+});
+
+test('device checks: certificate expiry thresholds for http, auto and tls-cert', () => {
+  const r = normalizeDeviceCheckInput({ checkType: 'tls-cert', checkConfig: { certExpiryDays: '3, 30,14' } });
+  assert.deepEqual(r.checkConfig, { certExpiryDays: [30, 14, 3] });
+  const icmp = normalizeDeviceCheckInput({ checkType: 'icmp', checkConfig: { certExpiryDays: [30] } });
+  assert.deepEqual(icmp.checkConfig, {});
+  assert.match(normalizeDeviceCheckInput({ checkType: 'http', checkConfig: { certExpiryDays: '0' } }).error, /certExpiryDays/);
+  assert.match(normalizeDeviceCheckInput({ checkType: 'auto', checkConfig: { certExpiryDays: [1, 2, 3, 4, 5, 6] } }).error, /at most 5/);
+});
+
+test('device checks: heartbeat monitors take a period and grace time', () => {
+  assert.deepEqual(normalizeDeviceCheckInput({ checkType: 'heartbeat' }), {
+    checkType: 'heartbeat',
+    checkConfig: { periodSeconds: 86400, graceSeconds: 3600 }
+  });
+  assert.deepEqual(normalizeDeviceCheckInput({ checkType: 'heartbeat', checkConfig: { periodSeconds: 900, graceSeconds: 0, port: 22 } }), {
+    checkType: 'heartbeat',
+    checkConfig: { periodSeconds: 900, graceSeconds: 0 }
+  });
+  assert.match(normalizeDeviceCheckInput({ checkType: 'heartbeat', checkConfig: { periodSeconds: 30 } }).error, /periodSeconds must be between 60/);
+  assert.match(normalizeDeviceCheckInput({ checkType: 'heartbeat', checkConfig: { graceSeconds: -1 } }).error, /graceSeconds/);
+});
+
+test('device checks: snmp validates credentials and metrics', () => {
+  assert.deepEqual(normalizeDeviceCheckInput({ checkType: 'snmp', checkConfig: { community: 'store104', metrics: [{ type: 'ifOperStatus', index: '3', label: 'WAN1' }] } }), {
+    checkType: 'snmp',
+    checkConfig: { version: '2c', community: 'store104', metrics: [{ type: 'ifOperStatus', index: 3, label: 'WAN1' }] }
+  });
+  const v3 = normalizeDeviceCheckInput({
+    checkType: 'snmp',
+    checkConfig: {
+      version: 'v3',
+      username: 'dashmon',
+      securityLevel: 'authNoPriv',
+      authProtocol: 'SHA256',
+      authKey: 'authpass123',
+      privKey: 'ignored-without-priv',
+      metrics: [{ type: 'cpu', oid: '.1.3.6.1.4.1.12356.101.4.1.3.0', warnAbove: '80', downAbove: 95 }]
+    }
+  });
+  assert.deepEqual(v3.checkConfig, {
+    version: '3',
+    username: 'dashmon',
+    securityLevel: 'authNoPriv',
+    authProtocol: 'sha256',
+    authKey: 'authpass123',
+    metrics: [{ type: 'cpu', oid: '1.3.6.1.4.1.12356.101.4.1.3.0', warnAbove: 80, downAbove: 95 }]
+  });
+
+  const err = (checkConfig) => normalizeDeviceCheckInput({ checkType: 'snmp', checkConfig }).error;
+  assert.match(err({ version: '1' }), /checkConfig.version/);
+  assert.match(err({ version: '3' }), /username is required/);
+  assert.match(err({ version: '3', username: 'u', authKey: 'short' }), /authKey must be at least 8/);
+  assert.match(err({ version: '3', username: 'u', authKey: 'authpass123' }), /privKey must be at least 8/);
+  assert.match(err({ metrics: [{ type: 'supply' }] }), /index is required for supply/);
+  assert.match(err({ metrics: [{ type: 'memory' }] }), /needs an index/);
+  assert.match(err({ metrics: [{ type: 'custom', oid: 'sysUpTime.0' }] }), /numeric OID/);
+  assert.match(err({ metrics: [{ type: 'cpu', index: 1, warnAbove: 'high' }] }), /warnAbove must be a number/);
+  assert.match(err({ metrics: Array.from({ length: 21 }, () => ({ type: 'sysUpTime' })) }), /at most 20/);
+});
+
+test('device checks: flap damping thresholds are optional, nullable counts', () => {
+  assert.deepEqual(normalizeConfirmationInput({}), { failThreshold: undefined, recoverThreshold: undefined });
+  assert.deepEqual(normalizeConfirmationInput({ failThreshold: '3', recoverThreshold: '' }), { failThreshold: 3, recoverThreshold: null });
+  assert.match(normalizeConfirmationInput({ failThreshold: 11 }).error, /between 1 and 10/);
+  assert.match(normalizeConfirmationInput({ recoverThreshold: 1.5 }).error, /recoverThreshold/);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { EventEmitter } = require('node:events');
+const { parseTestNowWait } = require('../device-wakeup');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('parseTestNowWait clamps the long-poll timeout', () => {
+  assert.equal(parseTestNowWait({}), 0);
+  assert.equal(parseTestNowWait({ wait: 'false' }), 0);
+  assert.equal(parseTestNowWait({ wait: 'true' }), 15);
+  assert.equal(parseTestNowWait({ wait: '5' }), 5);
+  assert.equal(parseTestNowWait({ wait: '600' }), 25);
+  assert.equal(parseTestNowWait({ wait: 'soon' }), 0);
+});
+
+test('Test now: notifies the worker instead of backdating last_check', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/SELECT id, probe FROM devices/.test(sql)) return { rows: [{ id: 'd1' }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/devices/:deviceId/test-now');
+  const req = { user: { id: 'u1', plan: 'premium' }, params: { deviceId: 'd1' }, query: {}, path: '/api/devices/d1/test-now', headers: { accept: 'application/json' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.payload, { ok: true, queued: true });
+  assert.deepEqual(calls[1].params, ['dashmon_device_check', JSON.stringify({ deviceIds: ['d1'] })]);
+  assert.ok(!calls.some((c) => /UPDATE devices/.test(c.sql)));
+});
+
+test('Test now: wait=5 returns the result the worker reports', async () => {
+  const listener = new EventEmitter();
+  listener.query = async () => ({ rows: [] });
+  listener.release = () => {};
+  const poolMock = {
+    connect: async () => listener,
+    query: async (sql, params) => {
+      if (/SELECT id, probe FROM devices/.test(sql)) return { rows: [{ id: 'd1' }] };
+      if (/pg_notify/.test(sql)) {
+        setImmediate(() => {
+          listener.emit('notification', { channel: 'dashmon_device_result', payload: JSON.stringify({ deviceId: 'd2', status: 'up' }) });
+          listener.emit('notification', { channel: 'dashmon_device_result', payload: JSON.stringify({ deviceId: 'd1', status: 'down', observed: 'down' }) });
+        });
+      }
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/devices/:deviceId/test-now');
+  const req = { user: { id: 'u1', plan: 'premium' }, params: { deviceId: 'd1' }, query: { wait: '5' }, path: '/api/devices/d1/test-now', headers: { accept: 'application/json' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.payload.result, { deviceId: 'd1', status: 'down', observed: 'down' });
+});
+
+test('Test now: falls back to backdating when NOTIFY fails', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/SELECT id, probe FROM devices/.test(sql)) return { rows: [{ id: 'd1' }] };
+      if (/pg_notify/.test(sql)) throw new Error('connection lost');
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/devices/:deviceId/test-now');
+  const req = { user: { id: 'u1', plan: 'premium' }, params: { deviceId: 'd1' }, query: {}, path: '/api/devices/d1/test-now', headers: { accept: 'application/json' } };
+  const res = createRes();
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await runHandlers(handlers, req, res);
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(res.statusCode, 200);
+  assert.match(calls.at(-1).sql, /UPDATE devices SET last_check/);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+const { normalizeEscalationPolicyInput } = require('../escalation');
+
+test('Escalation policies: steps are validated and sorted', () => {
+  assert.match(normalizeEscalationPolicyInput({ steps: [{ channel: 'email' }] }).error, /name is required/);
+  assert.match(normalizeEscalationPolicyInput({ name: 'x', steps: [] }).error, /At least one step/);
+  assert.match(normalizeEscalationPolicyInput({ name: 'x', steps: [{ channel: 'fax' }] }).error, /channel must be one of/);
+  assert.match(normalizeEscalationPolicyInput({ name: 'x', steps: [{ channel: 'sms', to: '0400' }] }).error, /E\.164/);
+  assert.match(normalizeEscalationPolicyInput({ name: 'x', steps: [{ channel: 'email', to: 'nope' }] }).error, /email addresses/);
+  assert.match(normalizeEscalationPolicyInput({ name: 'x', steps: [{ channel: 'sms', afterMinutes: -1 }] }).error, /afterMinutes/);
+
+  const p = normalizeEscalationPolicyInput({
+    name: ' Store on-call ',
+    steps: [
+      { afterMinutes: 60, channel: 'sms', to: '+61400000003' },
+      { afterMinutes: 0, channel: 'email', to: 'manager@example.com, lead@example.com' },
+      { afterMinutes: '15', channel: 'SMS' }
+    ]
+  });
+  assert.deepEqual(p, {
+    name: 'Store on-call',
+    steps: [
+      { afterMinutes: 0, channel: 'email', to: 'manager@example.com, lead@example.com' },
+      { afterMinutes: 15, channel: 'sms', to: null },
+      { afterMinutes: 60, channel: 'sms', to: '+61400000003' }
+    ]
+  });
+});
+
+test('POST /api/escalation-policies: premium required', async () => {
+  const router = buildRouterWithMocks({ query: async () => ({ rows: [] }) });
+  const handlers = getRouteHandlers(router, 'post', '/api/escalation-policies');
+  const res = createRes();
+  await runHandlers(handlers, { user: { id: 'u1', plan: 'free' }, path: '/api/escalation-policies', headers: {}, body: {} }, res);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.payload.error, 'premium_required');
+});
+
+test('POST /api/escalation-policies stores normalized steps', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 3, name: params[1], steps: JSON.parse(params[2]) }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/escalation-policies');
+  const res = createRes();
+  await runHandlers(handlers, {
+    user: { id: 'u1', plan: 'premium' },
+    body: { name: 'On-call', steps: [{ afterMinutes: 15, channel: 'sms' }, { afterMinutes: 0, channel: 'email' }] }
+  }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.policy.steps[0].channel, 'email');
+  assert.match(calls[0].sql, /INSERT INTO escalation_policies/);
+});
+
+test('PUT /api/projects/:projectId/escalation-policy attaches only owned policies', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('FROM escalation_policies')) return { rows: params[0] === '3' ? [{ id: 3 }] : [] };
+      if (sql.includes('UPDATE stores')) return { rows: [{ id: params[1], escalation_policy_id: params[2] }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'put', '/api/projects/:projectId/escalation-policy');
+  const user = { id: 'u1', plan: 'premium' };
+
+  const other = createRes();
+  await runHandlers(handlers, { user, params: { projectId: 'store-104' }, body: { policyId: '9' } }, other);
+  assert.equal(other.statusCode, 404);
+
+  const ok = createRes();
+  await runHandlers(handlers, { user, params: { projectId: 'store-104' }, body: { policyId: '3' } }, ok);
+  assert.deepEqual(ok.payload, { project: { id: 'store-104', escalation_policy_id: 3 } });
+
+  const detach = createRes();
+  await runHandlers(handlers, { user, params: { projectId: 'store-104' }, body: { policyId: null } }, detach);
+  assert.equal(detach.payload.project.escalation_policy_id, null);
+
+  const missing = createRes();
+  await runHandlers(handlers, { user, params: { projectId: 'store-104' }, body: {} }, missing);
+  assert.equal(missing.statusCode, 400);
+});
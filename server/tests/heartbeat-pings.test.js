@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { parsePingKind, pingBodyText, generateHeartbeatToken } = require('../heartbeat-pings');
+const { sqlColumns } = require('./sql-columns');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('parsePingKind maps sub-paths to ping kinds', () => {
+  assert.equal(parsePingKind(undefined), 'success');
+  assert.equal(parsePingKind('start'), 'start');
+  assert.equal(parsePingKind('FAIL'), 'fail');
+  assert.equal(parsePingKind('success'), 'success');
+  assert.equal(parsePingKind('restart'), null);
+});
+
+test('pingBodyText keeps a short excerpt of text or JSON bodies', () => {
+  assert.equal(pingBodyText(Buffer.from('  backup done: 12 GB\n')), 'backup done: 12 GB');
+  assert.equal(pingBodyText({ files: 3 }), '{"files":3}');
+  assert.equal(pingBodyText({}), null);
+  assert.equal(pingBodyText(undefined), null);
+  const long = pingBodyText('x'.repeat(5000));
+  assert.equal(long.length, 1001);
+  assert.match(generateHeartbeatToken(), /^[A-Za-z0-9_-]{24}$/);
+});
+
+test('GET /api/heartbeat/:token records a success ping and wakes the worker', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/UPDATE devices/.test(sql)) return { rows: [{ id: 'd1' }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/heartbeat/:token');
+  const res = createRes();
+  await runHandlers(handlers, { params: { token: 'tok123' }, headers: {} }, res);
+
+  assert.deepEqual(res.payload, { ok: true });
+  assert.deepEqual(calls[0].params, ['tok123', 'success', null]);
+  assert.match(calls[0].sql, /check_type='heartbeat'/);
+  assert.deepEqual(calls[1].params, ['dashmon_device_check', JSON.stringify({ deviceIds: ['d1'] })]);
+});
+
+test('POST /api/heartbeat/:token/:kind stores the log body with the ping kind', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/UPDATE devices/.test(sql)) return { rows: [{ id: 'd1' }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/heartbeat/:token/:kind');
+  const res = createRes();
+  await runHandlers(handlers, { params: { token: 'tok123', kind: 'fail' }, headers: {}, body: Buffer.from('rsync: error 23') }, res);
+  assert.deepEqual(calls[0].params, ['tok123', 'fail', 'rsync: error 23']);
+
+  const bad = createRes();
+  await runHandlers(handlers, { params: { token: 'tok123', kind: 'restart' }, headers: {} }, bad);
+  assert.equal(bad.statusCode, 404);
+});
+
+test('GET /api/heartbeat/:token returns 404 for unknown tokens', async () => {
+  const poolMock = { query: async () => ({ rows: [] }) };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/heartbeat/:token');
+  const res = createRes();
+  await runHandlers(handlers, { params: { token: 'nope' }, headers: {} }, res);
+  assert.equal(res.statusCode, 404);
+});
+
+test('POST /api/projects/:projectId/devices creates heartbeat monitors without an IP', async () => {
+  let insert = null;
+  const poolMock = {
+    query: async (sql, params) => {
+      if (/INSERT INTO devices/.test(sql)) {
+        insert = params;
+        return { rows: [{ id: 'd9', check_type: 'heartbeat', heartbeat_token: params[15] }] };
+      }
+      if (/FROM stores/.test(sql)) return { rows: [{ '?column?': 1 }] };
+      if (/FROM users/.test(sql)) return { rows: [{ plan: 'premium' }] };
+      if (/COUNT/.test(sql)) return { rows: [{ count: 0 }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/projects/:projectId/devices');
+  const res = createRes();
+  await runHandlers(handlers, {
+    params: { projectId: 'store-1' },
+    user: { id: 'u1' },
+    body: { name: 'Nightly backup', type: 'other', checkType: 'heartbeat', checkConfig: { periodSeconds: 86400, graceSeconds: 1800 } }
+  }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(insert[4], '');
+  assert.equal(JSON.parse(insert[11]).graceSeconds, 1800);
+  assert.match(insert[15], /^[A-Za-z0-9_-]{24}$/);
+
+  const agentRes = createRes();
+  await runHandlers(handlers, {
+    params: { projectId: 'store-1' },
+    user: { id: 'u1' },
+    body: { name: 'Nightly backup', type: 'other', checkType: 'heartbeat', probe: 'agent' }
+  }, agentRes);
+  assert.equal(agentRes.statusCode, 400);
+});
+
+test('PUT /api/devices/:deviceId keeps a heartbeat monitor without checkType or IP', async () => {
+  const calls = [];
+  let storedType = 'heartbeat';
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/SELECT check_type, check_secrets FROM devices/.test(sql)) return { rows: [{ check_type: storedType, check_secrets: null }] };
+      if (/UPDATE devices/.test(sql)) return { rows: [{ id: 'd9', check_type: storedType }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'put', '/api/devices/:deviceId');
+  const res = createRes();
+  await runHandlers(handlers, { params: { deviceId: 'd9' }, user: { id: 'u1' }, body: { name: 'Nightly backup', type: 'other' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(calls[0].params, ['d9', 'u1']);
+  const update = calls.find((c) => /UPDATE devices/.test(c.sql));
+  const cols = sqlColumns(update.sql, update.params);
+  assert.equal(cols.ip, '');
+  assert.equal(cols.check_type, null);
+
+  storedType = 'http';
+  const bad = createRes();
+  await runHandlers(handlers, { params: { deviceId: 'd9' }, user: { id: 'u1' }, body: { name: 'Web', type: 'other' } }, bad);
+  assert.equal(bad.statusCode, 400);
+});
@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { rollupSource, summarizeRollups, rollupPoint } = require('../history-rollups');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('rollupSource: raw rows up to 24h, hourly buckets up to 7 days, daily beyond', () => {
+  assert.equal(rollupSource(1), null);
+  assert.deepEqual(rollupSource(7), {
+    table: 'device_history_hourly',
+    resolution: 'hour',
+    sinceSql: "date_trunc('hour', now() - interval '7 days')"
+  });
+  assert.equal(rollupSource(30).table, 'device_history_daily');
+});
+
+test('summarizeRollups: sums buckets and weights latency by samples', () => {
+  const a = summarizeRollups([
+    { samples: 60, up_samples: 60, outages: 0, latency_samples: 60, latency_avg: 100, downtime_seconds: 0 },
+    { samples: 60, up_samples: 30, outages: 2, latency_samples: 20, latency_avg: 300, downtime_seconds: 1800 }
+  ]);
+  assert.equal(a.samples, 120);
+  assert.equal(a.uptime_pct, 75);
+  assert.equal(a.avg_response_ms, 150);
+  assert.equal(a.incident_count, 2);
+  assert.equal(a.downtime_minutes, 30);
+  assert.equal(summarizeRollups([]).uptime_pct, null);
+});
+
+test('rollupPoint: bucket status follows its samples', () => {
+  const base = { bucket: '2026-03-02T10:00:00.000Z', latency_avg: 41.6, latency_p95: 88.2, latency_min: 20, latency_max: 120, downtime_seconds: 0 };
+  assert.equal(rollupPoint(Object.assign({ samples: 60, up_samples: 60, down_samples: 0 }, base)).status, 'up');
+  assert.equal(rollupPoint(Object.assign({ samples: 60, up_samples: 50, down_samples: 10 }, base)).status, 'warning');
+  const down = rollupPoint(Object.assign({}, base, { samples: 60, up_samples: 0, down_samples: 60, latency_avg: null }));
+  assert.equal(down.status, 'down');
+  assert.equal(down.latency_ms, null);
+  assert.equal(rollupPoint(Object.assign({ samples: 4, up_samples: 3, down_samples: 1 }, base)).latency_p95, 88);
+});
+
+test('GET /api/devices/:deviceId/history with a 7d range returns hourly buckets', async () => {
+  const calls = [];
+  const poolMock = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.includes('SELECT id FROM devices')) return { rows: [{ id: params[0] }] };
+      return {
+        rows: [
+          { bucket: '2026-03-02T11:00:00.000Z', samples: 60, up_samples: 60, down_samples: 0, latency_avg: 40 },
+          { bucket: '2026-03-02T10:00:00.000Z', samples: 60, up_samples: 0, down_samples: 60, latency_avg: null }
+        ]
+      };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/devices/:deviceId/history');
+  const req = { params: { deviceId: 'dev-1' }, query: { range: '7d', limit: '500' }, user: { id: 'user-1', plan: 'premium' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.resolution, 'hour');
+  assert.match(calls[1].sql, /FROM device_history_hourly/);
+  assert.deepEqual(res.payload.history.map((p) => [p.ts, p.status, p.latency_ms]), [
+    ['2026-03-02T10:00:00.000Z', 'down', null],
+    ['2026-03-02T11:00:00.000Z', 'up', 40]
+  ]);
+});
+
+test('GET /api/devices/:deviceId/history limits free users to 7 days of buckets', async () => {
+  const calls = [];
+  const poolMock = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.includes('SELECT id FROM devices')) return { rows: [{ id: params[0] }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/devices/:deviceId/history');
+  const req = { params: { deviceId: 'dev-1' }, query: { range: '30d' }, user: { id: 'user-1', plan: 'free' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.match(calls[1].sql, /FROM device_history_hourly/);
+  assert.match(calls[1].sql, /interval '7 days'/);
+});
+
+test('Premium analytics over 30 days reads daily rollups', async () => {
+  const calls = [];
+  const poolMock = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.includes('SELECT id FROM devices')) return { rows: [{ id: 'dev-1' }] };
+      return { rows: [{ samples: 1440, up_samples: 1368, outages: 1, latency_samples: 1368, latency_avg: 55, downtime_seconds: 4320 }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/devices/:deviceId/analytics');
+  const req = {
+    params: { deviceId: 'dev-1' },
+    query: { range: '30d' },
+    user: { id: 'user-1', plan: 'premium' },
+    headers: { accept: 'application/json' },
+    path: '/api/devices/dev-1/analytics'
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.match(calls[1].sql, /FROM device_history_daily/);
+  assert.equal(res.payload.resolution, 'day');
+  assert.equal(res.payload.analytics.uptime_pct, 95);
+  assert.equal(res.payload.analytics.downtime_minutes, 72);
+});
+
+test('GET /api/metrics/down-events beyond 24 hours reads hourly rollups', async () => {
+  const calls = [];
+  const poolMock = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return { rows: [{ bucket: '2026-03-02T10:00:00.000Z', down_events: 12 }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/metrics/down-events');
+  const req = { query: { hours: '72' }, user: { id: 'user-1' }, headers: { accept: 'application/json' }, path: '/api/metrics/down-events' };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].sql, /SUM\(r\.down_samples\)/);
+  assert.deepEqual(calls[0].params, ['user-1', '72']);
+  assert.deepEqual(res.payload.points, [{ ts: '2026-03-02T10:00:00.000Z', value: 12 }]);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+const { parseIncidentFilters, buildIncidentsQuery } = require('../incidents');
+
+test('Incidents: filters are validated and clamped', () => {
+  assert.match(parseIncidentFilters({ state: 'pending' }).error, /state must be one of/);
+  assert.match(parseIncidentFilters({ from: 'yesterday' }).error, /from must be an ISO date/);
+  assert.match(parseIncidentFilters({ from: '2026-02-02', to: '2026-02-01' }).error, /from must be before to/);
+
+  const f = parseIncidentFilters({ projectId: 'store-104', state: 'OPEN', limit: '5000' });
+  assert.equal(f.state, 'open');
+  assert.equal(f.limit, 500);
+  assert.equal(f.projectId, 'store-104');
+  assert.equal(f.deviceId, null);
+});
+
+test('Incidents: query only adds the requested filters', () => {
+  const filters = parseIncidentFilters({ deviceId: 'd1', state: 'closed', from: '2026-02-01T00:00:00Z' });
+  const { sql, params } = buildIncidentsQuery('u1', filters);
+  assert.match(sql, /i\.user_id=\$1 AND i\.device_id=\$2 AND i\.ended_at IS NOT NULL AND COALESCE\(i\.ended_at, now\(\)\) >= \$3::timestamptz/);
+  assert.match(sql, /LIMIT \$4/);
+  assert.deepEqual(params, ['u1', 'd1', '2026-02-01T00:00:00.000Z', 100]);
+});
+
+test('GET /api/incidents rejects bad filters and lists incidents', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 7, device_id: 'd1', ended_at: null }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/incidents');
+
+  const bad = createRes();
+  await runHandlers(handlers, { user: { id: 'u1' }, query: { to: 'soon' } }, bad);
+  assert.equal(bad.statusCode, 400);
+  assert.equal(calls.length, 0);
+
+  const res = createRes();
+  await runHandlers(handlers, { user: { id: 'u1' }, query: { state: 'open' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.payload, { incidents: [{ id: 7, device_id: 'd1', ended_at: null }] });
+  assert.match(calls[0].sql, /i\.ended_at IS NULL/);
+  assert.equal(calls[0].params[0], 'u1');
+});
+
+test('POST /api/incidents/:id/ack stores the note for the owner only', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (params[0] === 404) return { rows: [] };
+      return { rows: [{ id: params[0], ack_note: params[3], acknowledged_by: params[2] }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/incidents/:id/ack');
+
+  const res = createRes();
+  await runHandlers(handlers, { user: { id: 'u1' }, params: { id: '12' }, body: { note: '  ISP ticket #4411 ' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.payload.incident, { id: 12, ack_note: 'ISP ticket #4411', acknowledged_by: 'u1' });
+  assert.match(calls[0].sql, /WHERE id=\$1 AND user_id=\$2/);
+
+  const missing = createRes();
+  await runHandlers(handlers, { user: { id: 'u1' }, params: { id: '404' }, body: {} }, missing);
+  assert.equal(missing.statusCode, 404);
+
+  const invalid = createRes();
+  await runHandlers(handlers, { user: { id: 'u1' }, params: { id: 'abc' }, body: {} }, invalid);
+  assert.equal(invalid.statusCode, 400);
+});
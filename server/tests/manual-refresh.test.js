@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { refreshRetryAfterSeconds, refreshDeviceState } = require('../manual-refresh');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('refreshRetryAfterSeconds counts down the cooldown', () => {
+  const now = new Date('2026-03-02T10:00:00Z');
+  assert.equal(refreshRetryAfterSeconds(null, now), 0);
+  assert.equal(refreshRetryAfterSeconds('2026-03-02T09:59:30.500Z', now), 31);
+  assert.equal(refreshRetryAfterSeconds('2026-03-02T09:58:00Z', now), 0);
+});
+
+test('refreshDeviceState is checked once last_check passes the queue time', () => {
+  const queuedAt = '2026-03-02T10:00:00Z';
+  assert.equal(refreshDeviceState({ last_check: '2025-03-02T10:00:00Z' }, queuedAt), 'queued');
+  assert.equal(refreshDeviceState({ last_check: '2026-03-02T10:00:12Z' }, queuedAt), 'checked');
+  assert.equal(refreshDeviceState({ last_check: null }, queuedAt), 'queued');
+});
+
+test('Refresh all: cooldown returns 429 with Retry-After', async () => {
+  const poolMock = {
+    query: async (sql) => {
+      if (/UPDATE users SET manual_refresh_last_at/.test(sql)) return { rows: [] };
+      if (/SELECT manual_refresh_last_at/.test(sql)) return { rows: [{ manual_refresh_last_at: new Date(Date.now() - 20 * 1000) }] };
+      throw new Error(`unexpected query: ${sql}`);
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/devices/refresh-all');
+  const req = { user: { id: 'u1', plan: 'premium' }, path: '/api/devices/refresh-all', headers: { accept: 'application/json' }, query: {}, body: {} };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 429);
+  assert.ok(res.payload.retryAfterSeconds >= 39 && res.payload.retryAfterSeconds <= 40);
+  assert.equal(res.headers['Retry-After'], String(res.payload.retryAfterSeconds));
+});
+
+test('Refresh all: queues the project devices and returns per-device state', async () => {
+  const queuedAt = new Date('2026-03-02T10:00:00Z');
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/FROM stores/.test(sql)) return { rows: [{ 1: 1 }] };
+      if (/UPDATE users SET manual_refresh_last_at/.test(sql)) return { rows: [{ manual_refresh_last_at: queuedAt }] };
+      if (/UPDATE devices SET last_check/.test(sql)) {
+        return { rows: [{ id: 'd1', store_id: 'store-104', name: 'POS', status: 'up', last_check: new Date('2025-03-02T10:00:00Z') }] };
+      }
+      if (/pg_notify/.test(sql)) return { rows: [] };
+      throw new Error(`unexpected query: ${sql}`);
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/devices/refresh-all');
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    path: '/api/devices/refresh-all',
+    headers: { accept: 'application/json' },
+    query: {},
+    body: { projectId: 'store-104' }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.queued, 1);
+  assert.equal(res.payload.cooldownSeconds, 60);
+  assert.deepEqual(res.payload.devices, [{ id: 'd1', projectId: 'store-104', name: 'POS', state: 'queued', status: 'up', lastCheck: null }]);
+  assert.deepEqual(calls.find((c) => /UPDATE devices/.test(c.sql)).params, ['u1', 'store-104']);
+  assert.deepEqual(calls.at(-1).params, ['dashmon_device_check', JSON.stringify({ due: true })]);
+});
+
+test('Refresh all: premium required', async () => {
+  const router = buildRouterWithMocks({ query: async () => ({ rows: [] }) });
+  const handlers = getRouteHandlers(router, 'post', '/api/devices/refresh-all');
+  const req = { user: { id: 'u1', plan: 'free' }, path: '/api/devices/refresh-all', headers: { accept: 'application/json' }, query: {}, body: {} };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+  assert.equal(res.statusCode, 403);
+});
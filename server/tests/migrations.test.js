@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { checksum, loadMigrations, compareMigrations, migrateUp, assertMigrated, migrationManifest, writeWorkerManifest } = require('../migrator');
+const { SCHEMA_MANIFEST, REQUIRED_SCHEMA_VERSION } = require('../../worker/schema-version');
+
+function migration(version, name, sql) {
+  return { version, name, file: `${String(version).padStart(3, '0')}_${name}.sql`, sql, checksum: checksum(sql) };
+}
+
+// Fake pg client/pool that records queries; schema_migrations rows live in `applied`.
+function createPool({ applied = [], failOn = null } = {}) {
+  const queries = [];
+  const client = {
+    async query(sql, params) {
+      queries.push(sql);
+      if (failOn && sql === failOn) throw new Error('syntax error');
+      if (sql.startsWith('SELECT version, name, checksum')) return { rows: applied };
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        applied.push({ version: params[0], name: params[1], checksum: params[2] });
+      }
+      return { rows: [] };
+    },
+    release() {
+      queries.push('release');
+    }
+  };
+  return { queries, applied, client, async connect() { return client; }, query: client.query };
+}
+
+test('loadMigrations: the repo migrations are numbered, unique and start at the baseline', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length >= 2);
+  assert.equal(migrations[0].version, 1);
+  assert.equal(migrations[0].name, 'baseline');
+  assert.equal(migrations[1].name, 'normalize_device_history');
+  migrations.forEach((m, i) => assert.equal(m.version, i + 1));
+  assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+});
+
+test('loadMigrations: ignores other files and rejects duplicate versions', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashmon-migrations-'));
+  try {
+    fs.writeFileSync(path.join(dir, '001_first.sql'), 'SELECT 1;');
+    fs.writeFileSync(path.join(dir, 'README.md'), 'notes');
+    assert.deepEqual(loadMigrations(dir).map((m) => m.file), ['001_first.sql']);
+    fs.writeFileSync(path.join(dir, '001_second.sql'), 'SELECT 2;');
+    assert.throws(() => loadMigrations(dir), /Duplicate migration version 1/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('compareMigrations: applied, pending, changed and unknown', () => {
+  const migrations = [migration(1, 'a', 'A'), migration(2, 'b', 'B'), migration(3, 'c', 'C')];
+  const status = compareMigrations(migrations, [
+    { version: 1, name: 'a', checksum: checksum('A') },
+    { version: 2, name: 'b', checksum: checksum('B edited') },
+    { version: 9, name: 'gone', checksum: 'x' }
+  ]);
+  assert.deepEqual(status.applied.map((m) => m.version), [1]);
+  assert.deepEqual(status.changed.map((m) => m.version), [2]);
+  assert.deepEqual(status.pending.map((m) => m.version), [3]);
+  assert.deepEqual(status.unknown, [{ version: 9, name: 'gone' }]);
+});
+
+test('migrateUp: applies pending migrations in order, each in a transaction, under a lock', async () => {
+  const pool = createPool({ applied: [{ version: 1, name: 'a', checksum: checksum('A') }] });
+  const applied = await migrateUp(pool, [migration(1, 'a', 'A'), migration(2, 'b', 'B'), migration(3, 'c', 'C')]);
+
+  assert.deepEqual(applied.map((m) => m.version), [2, 3]);
+  assert.deepEqual(pool.applied.map((r) => r.version), [1, 2, 3]);
+  assert.match(pool.queries[0], /pg_advisory_lock/);
+  assert.match(pool.queries[1], /CREATE TABLE IF NOT EXISTS schema_migrations/);
+  const body = pool.queries.filter((q) => ['BEGIN', 'B', 'C', 'COMMIT'].includes(q));
+  assert.deepEqual(body, ['BEGIN', 'B', 'COMMIT', 'BEGIN', 'C', 'COMMIT']);
+  assert.ok(!pool.queries.includes('A'));
+  assert.match(pool.queries[pool.queries.length - 2], /pg_advisory_unlock/);
+  assert.equal(pool.queries[pool.queries.length - 1], 'release');
+});
+
+test('migrateUp: rolls back a failing migration and stops', async () => {
+  const pool = createPool({ failOn: 'B' });
+  await assert.rejects(
+    migrateUp(pool, [migration(1, 'a', 'A'), migration(2, 'b', 'B'), migration(3, 'c', 'C')]),
+    /Migration 002_b\.sql failed: syntax error/
+  );
+  assert.deepEqual(pool.applied.map((r) => r.version), [1]);
+  assert.ok(pool.queries.includes('ROLLBACK'));
+  assert.ok(!pool.queries.includes('C'));
+  assert.equal(pool.queries[pool.queries.length - 1], 'release');
+});
+
+test('migrateUp: refuses to run when an applied migration was edited', async () => {
+  const pool = createPool({ applied: [{ version: 1, name: 'a', checksum: checksum('old A') }] });
+  await assert.rejects(migrateUp(pool, [migration(1, 'a', 'A'), migration(2, 'b', 'B')]), /were modified: 001_a\.sql/);
+  assert.ok(!pool.queries.includes('B'));
+});
+
+test('assertMigrated: passes when up to date, throws when pending, changed or never migrated', async () => {
+  const migrations = [migration(1, 'a', 'A'), migration(2, 'b', 'B')];
+  const upToDate = createPool({
+    applied: [{ version: 1, name: 'a', checksum: checksum('A') }, { version: 2, name: 'b', checksum: checksum('B') }]
+  });
+  await assertMigrated(upToDate, migrations);
+
+  const behind = createPool({ applied: [{ version: 1, name: 'a', checksum: checksum('A') }] });
+  await assert.rejects(assertMigrated(behind, migrations), /not migrated, pending: 002_b\.sql/);
+
+  const edited = createPool({
+    applied: [{ version: 1, name: 'a', checksum: checksum('A') }, { version: 2, name: 'b', checksum: 'x' }]
+  });
+  await assert.rejects(assertMigrated(edited, migrations), /were modified: 002_b\.sql/);
+
+  const fresh = {
+    async query() {
+      const err = new Error('relation "schema_migrations" does not exist');
+      err.code = '42P01';
+      throw err;
+    }
+  };
+  await assert.rejects(assertMigrated(fresh, migrations), /pending: 001_a\.sql, 002_b\.sql/);
+});
+
+test('the worker manifest matches the migration files (run `npm run migrate -- manifest`)', () => {
+  const migrations = loadMigrations();
+  assert.deepEqual(SCHEMA_MANIFEST, migrationManifest(migrations));
+  assert.equal(REQUIRED_SCHEMA_VERSION, migrations[migrations.length - 1].version);
+});
+
+test('writeWorkerManifest writes versions, names and checksums', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashmon-manifest-'));
+  try {
+    const file = writeWorkerManifest([migration(1, 'a', 'A'), migration(2, 'b', 'B')], path.join(dir, 'schema-manifest.json'));
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [
+      { version: 1, name: 'a', checksum: checksum('A') },
+      { version: 2, name: 'b', checksum: checksum('B') }
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('device_history accepts rows outside the monthly partitions', () => {
+  const migration = loadMigrations().find((m) => m.name === 'device_history_default_partition');
+  assert.ok(migration);
+  assert.match(migration.sql, /CREATE TABLE IF NOT EXISTS device_history_default PARTITION OF device_history DEFAULT/);
+  // A month created later takes over the rows that landed in the default partition first
+  assert.match(migration.sql, /DELETE FROM device_history_default[\s\S]*INSERT INTO %I[\s\S]*ATTACH PARTITION/);
+});
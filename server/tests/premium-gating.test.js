@@ -184,8 +184,12 @@ test('Premium middleware allows Premium users for POST /api/devices/:deviceId/te
   let called = false;
   const poolMock = {
     async query(sql, params) {
+      if (sql.includes('pg_notify')) {
+        assert.deepEqual(params, ['dashmon_device_check', JSON.stringify({ deviceIds: ['dev-1'] })]);
+        return { rows: [] };
+      }
       called = true;
-      assert.ok(sql.includes('UPDATE devices SET last_check'));
+      assert.ok(sql.includes('SELECT id, probe FROM devices'));
       assert.deepEqual(params, ['dev-1', 'user-1']);
       return { rows: [{ id: 'dev-1' }] };
     }
@@ -199,7 +203,7 @@ test('Premium middleware allows Premium users for POST /api/devices/:deviceId/te
   await runHandlers(handlers, req, res);
   assert.ok(called);
   assert.equal(res.statusCode, 200);
-  assert.deepEqual(res.payload, { ok: true });
+  assert.deepEqual(res.payload, { ok: true, queued: true });
 });
 
 test('Premium middleware blocks Free users for PUT /api/user/preferences/timezone', async () => {
@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { generateAgentToken, hashAgentToken, parseBearerToken, normalizeProbeInput, normalizeAgentResults, agentView } = require('../probe-agents');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+
+test('generateAgentToken returns a bearer token with its hash and display prefix', () => {
+  const { token, hash, prefix } = generateAgentToken();
+  assert.match(token, /^dma_[A-Za-z0-9_-]{32}$/);
+  assert.equal(hash, hashAgentToken(token));
+  assert.ok(token.startsWith(prefix));
+  assert.equal(parseBearerToken(`Bearer ${token}`), token);
+  assert.equal(parseBearerToken('Bearer something-else'), null);
+  assert.equal(parseBearerToken(undefined), null);
+});
+
+test('normalizeProbeInput accepts worker or agent', () => {
+  assert.deepEqual(normalizeProbeInput({}), {});
+  assert.deepEqual(normalizeProbeInput({ probe: 'Agent' }), { probe: 'agent' });
+  assert.ok(normalizeProbeInput({ probe: 'satellite' }).error);
+});
+
+test('normalizeAgentResults keeps valid results for the agent\'s devices', () => {
+  const parsed = normalizeAgentResults({
+    results: [
+      { deviceId: 'd1', status: 'UP', latency: 12.4, packetLoss: 0, detail: { ping: 'ok' }, checkedAt: '2026-03-02T09:59:30Z' },
+      { deviceId: 'd2', status: 'down', checkedAt: '2026-03-02T09:59:30Z' }, // not this agent's device
+      { deviceId: 'd1', status: 'maintenance' },
+      { deviceId: 'd1', status: 'up', checkedAt: '2026-03-02T09:00:00Z' }, // too old
+      { deviceId: 'd1', status: 'up', checkedAt: '2026-03-02T10:05:00Z' } // from the future
+    ]
+  }, new Set(['d1']), NOW);
+  assert.equal(parsed.rejected, 4);
+  assert.deepEqual(parsed.results, [{
+    device_id: 'd1', status: 'up', latency: 12, packet_loss: 0, detail: { ping: 'ok' }, checked_at: '2026-03-02T09:59:30.000Z'
+  }]);
+  assert.ok(normalizeAgentResults({ results: 'nope' }, new Set(), NOW).error);
+});
+
+test('agentView reports whether the agent has been seen recently', () => {
+  const row = { id: 3, store_id: 'store-7', token_prefix: 'dma_abcdef', last_seen_at: '2026-03-02T09:58:00Z' };
+  assert.equal(agentView(row, NOW).online, true);
+  assert.equal(agentView({ ...row, last_seen_at: '2026-03-02T09:00:00Z' }, NOW).online, false);
+  assert.equal(agentView({ ...row, last_seen_at: null }, NOW).online, false);
+  assert.equal(agentView(null), null);
+});
+
+test('GET /api/agent/config rejects missing or unknown agent tokens', async () => {
+  const poolMock = { query: async () => ({ rows: [] }) };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/agent/config');
+
+  const res = createRes();
+  await runHandlers(handlers, { headers: {} }, res);
+  assert.equal(res.statusCode, 401);
+
+  const res2 = createRes();
+  await runHandlers(handlers, { headers: { authorization: 'Bearer dma_revoked' } }, res2);
+  assert.equal(res2.statusCode, 401);
+  assert.equal(res2.payload.error, 'Invalid agent token');
+});
+
+test('GET /api/agent/config returns the project\'s agent devices', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/UPDATE probe_agents/.test(sql)) return { rows: [{ id: 3, user_id: 'u1', store_id: 'store-7', name: 'Store 7' }] };
+      if (/FROM devices d/.test(sql)) {
+        return { rows: [{ id: 'd1', name: 'POS', type: 'posserver', ip: '10.7.0.5', ping_interval: 900, ping_packets: 3, check_type: 'icmp', check_config: {}, due: true }] };
+      }
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/agent/config');
+  const res = createRes();
+  await runHandlers(handlers, { headers: { authorization: 'Bearer dma_token', 'x-agent-hostname': 'nuc-7' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls[0].params[0], hashAgentToken('dma_token'));
+  assert.equal(calls[0].params[2], 'nuc-7');
+  // Intervals clamped to the owner's plan (free without a users row): 2 hours up to 1 day
+  const deviceQuery = calls.find((c) => /FROM devices d/.test(c.sql));
+  assert.deepEqual(deviceQuery.params, ['store-7', 'u1', 7200, 86400]);
+  assert.match(deviceQuery.sql, /d\.probe='agent'/);
+  assert.equal(res.payload.agent.projectId, 'store-7');
+  assert.equal(res.payload.devices[0].due, true);
+  assert.equal(res.payload.devices[0].check_type, 'icmp');
+});
+
+test('POST /api/agent/results queues accepted results for the worker', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/UPDATE probe_agents/.test(sql)) return { rows: [{ id: 3, user_id: 'u1', store_id: 'store-7' }] };
+      if (/SELECT id FROM devices/.test(sql)) return { rows: [{ id: 'd1' }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/agent/results');
+  const res = createRes();
+  await runHandlers(handlers, {
+    headers: { authorization: 'Bearer dma_token' },
+    body: { results: [{ deviceId: 'd1', status: 'down', detail: { error: 'timeout' } }, { deviceId: 'other', status: 'up' }] }
+  }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.payload, { ok: true, accepted: 1, rejected: 1 });
+  const insert = calls.find((c) => /INSERT INTO agent_results/.test(c.sql));
+  assert.ok(insert);
+  assert.equal(insert.params[0], 3);
+  assert.equal(JSON.parse(insert.params[1])[0].device_id, 'd1');
+});
+
+test('POST /api/devices/:deviceId/test-now makes agent devices due instead of waking the worker', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (/SELECT id, probe FROM devices/.test(sql)) return { rows: [{ id: 'd1', probe: 'agent' }] };
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/devices/:deviceId/test-now');
+  const res = createRes();
+  await runHandlers(handlers.slice(-1), { params: { deviceId: 'd1' }, query: { wait: '15' }, user: { id: 'u1' } }, res);
+
+  assert.deepEqual(res.payload, { ok: true, queued: true, agent: true });
+  assert.ok(calls.some((c) => /UPDATE devices SET last_check/.test(c.sql)));
+  assert.ok(!calls.some((c) => /pg_notify/.test(c.sql)));
+});
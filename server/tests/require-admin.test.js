@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireAdmin } = require('../require-admin');
+
+function run(headers) {
+  const res = {
+    statusCode: 200,
+    payload: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; }
+  };
+  let nextCalled = false;
+  requireAdmin({ headers }, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('requireAdmin compares the admin key, including keys of another length', () => {
+  const previous = process.env.ADMIN_API_KEY;
+  try {
+    delete process.env.ADMIN_API_KEY;
+    assert.equal(run({ 'x-admin-key': 'anything' }).res.statusCode, 404);
+
+    process.env.ADMIN_API_KEY = 'operator-secret';
+    assert.equal(run({ 'x-admin-key': 'operator-secret' }).nextCalled, true);
+    for (const key of [undefined, '', 'operator-secreT', 'operator-secret-longer', 'op']) {
+      const { res, nextCalled } = run(key === undefined ? {} : { 'x-admin-key': key });
+      assert.equal(res.statusCode, 403);
+      assert.equal(nextCalled, false);
+    }
+  } finally {
+    if (previous === undefined) delete process.env.ADMIN_API_KEY;
+    else process.env.ADMIN_API_KEY = previous;
+  }
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { getRetentionForUser, normalizeRetentionOverride } = require('../retention');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('getRetentionForUser follows the effective plan, not the raw plan column', () => {
+  assert.deepEqual(getRetentionForUser({ plan: 'premium', plan_status: 'active' }, NOW), {
+    days: 90, source: 'plan', graceUntil: null
+  });
+  assert.equal(getRetentionForUser({ plan: 'free' }, NOW).days, 7);
+  // Lapsed demo and cancelled subscription: premium in the plan column only
+  assert.equal(getRetentionForUser({ plan: 'premium', premium_until: '2026-03-01T00:00:00Z' }, NOW).days, 7);
+  assert.equal(getRetentionForUser({ plan: 'premium', plan_status: 'cancelled' }, NOW).days, 7);
+});
+
+test('getRetentionForUser keeps premium retention during the grace period after a downgrade', () => {
+  const seen = new Date(NOW.getTime() - 3 * DAY_MS);
+  const grace = getRetentionForUser({ plan: 'free', premium_seen_at: seen.toISOString() }, NOW);
+  assert.equal(grace.days, 90);
+  assert.equal(grace.source, 'grace');
+  assert.equal(grace.graceUntil.toISOString(), new Date(seen.getTime() + 14 * DAY_MS).toISOString());
+
+  const over = getRetentionForUser({ plan: 'free', premium_seen_at: new Date(NOW.getTime() - 15 * DAY_MS) }, NOW);
+  assert.deepEqual(over, { days: 7, source: 'plan', graceUntil: null });
+});
+
+test('getRetentionForUser: an admin override wins over plan and grace', () => {
+  assert.deepEqual(getRetentionForUser({ plan: 'free', history_days_override: 365 }, NOW), {
+    days: 365, source: 'override', graceUntil: null
+  });
+  assert.equal(getRetentionForUser({ plan: 'premium', history_days_override: 30 }, NOW).days, 30);
+});
+
+test('normalizeRetentionOverride accepts whole days or null', () => {
+  assert.deepEqual(normalizeRetentionOverride({ days: 365 }), { days: 365 });
+  assert.deepEqual(normalizeRetentionOverride({ days: null }), { days: null });
+  assert.match(normalizeRetentionOverride({ days: 0 }).error, /whole number from 1 to 3650/);
+  assert.match(normalizeRetentionOverride({ days: 1.5 }).error, /whole number/);
+  assert.match(normalizeRetentionOverride({}).error, /whole number/);
+});
+
+test('GET /api/me includes the retention for the account view', async () => {
+  const router = buildRouterWithMocks({ async query() { throw new Error('no queries expected'); } });
+  const handlers = getRouteHandlers(router, 'get', '/api/me');
+  const res = createRes();
+  await runHandlers(handlers, { user: { id: 'u1', plan: 'premium', plan_status: 'active' } }, res);
+  assert.deepEqual(res.payload.retention, { days: 90, source: 'plan', grace_until: null });
+});
+
+test('Admin retention override requires ADMIN_API_KEY and stores the days', async () => {
+  const calls = [];
+  const router = buildRouterWithMocks({
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.startsWith('UPDATE users SET history_days_override')) {
+        return { rows: [{ id: params[1], plan: 'free', history_days_override: params[0] }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    }
+  });
+  const handlers = getRouteHandlers(router, 'put', '/api/admin/users/:userId/retention');
+  const previous = process.env.ADMIN_API_KEY;
+  try {
+    delete process.env.ADMIN_API_KEY;
+    let res = createRes();
+    await runHandlers(handlers, { params: { userId: 'u1' }, headers: {}, body: { days: 365 } }, res);
+    assert.equal(res.statusCode, 404);
+
+    process.env.ADMIN_API_KEY = 'secret';
+    res = createRes();
+    await runHandlers(handlers, { params: { userId: 'u1' }, headers: { 'x-admin-key': 'wrong' }, body: { days: 365 } }, res);
+    assert.equal(res.statusCode, 403);
+
+    res = createRes();
+    await runHandlers(handlers, { params: { userId: 'u1' }, headers: { 'x-admin-key': 'secret' }, body: { days: -1 } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(calls.length, 0);
+
+    res = createRes();
+    await runHandlers(handlers, { params: { userId: 'u1' }, headers: { 'x-admin-key': 'secret' }, body: { days: 365 } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(calls[0].params, [365, 'u1']);
+    assert.deepEqual(res.payload, {
+      userId: 'u1',
+      override: 365,
+      retention: { days: 365, source: 'override', grace_until: null }
+    });
+  } finally {
+    if (previous === undefined) delete process.env.ADMIN_API_KEY;
+    else process.env.ADMIN_API_KEY = previous;
+  }
+});
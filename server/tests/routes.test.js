@@ -2,6 +2,7 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const path = require('node:path');
 const Module = require('node:module');
+const { sqlColumns } = require('./sql-columns');
 
 function createExpressMock() {
   const createRouter = () => {
@@ -164,7 +165,7 @@ async function runHandlers(handlers, req, res) {
   });
 }
 
-test('GET /api/devices/:deviceId/history falls back to legacy device_history columns', async () => {
+test('GET /api/devices/:deviceId/history reads the normalized device_history columns', async () => {
   const calls = [];
   const poolMock = {
     async query(sql, params) {
@@ -174,12 +175,6 @@ test('GET /api/devices/:deviceId/history falls back to legacy device_history col
         return { rows: [{ id: params[0] }] };
       }
 
-      if (sql.includes('FROM device_history') && sql.includes('ORDER BY ts DESC')) {
-        const err = new Error('column ts does not exist');
-        err.code = '42703';
-        throw err;
-      }
-
       if (sql.includes('FROM device_history') && sql.includes('timestamp AS ts')) {
         return {
           rows: [
@@ -205,7 +200,10 @@ test('GET /api/devices/:deviceId/history falls back to legacy device_history col
   assert.equal(res.payload.history.length, 2);
   assert.equal(res.payload.history[0].status, 'up');
   assert.equal(res.payload.history[1].status, 'down');
-  assert.ok(calls.some((c) => c.sql.includes('timestamp AS ts')), 'fallback query should be used');
+  const historyQueries = calls.filter((c) => c.sql.includes('FROM device_history'));
+  assert.equal(historyQueries.length, 1);
+  assert.ok(historyQueries[0].sql.includes('timestamp >= now() - ($3'), 'bounded so partitions are pruned');
+  assert.equal(historyQueries[0].params[2], 7);
 });
 
 test('GET /api/devices/:deviceId/history rejects invalid limit values', async () => {
@@ -240,7 +238,7 @@ test('GET /api/devices/:deviceId/history caps limit at 500', async () => {
         return { rows: [{ id: params[0] }] };
       }
 
-      if (sql.includes('FROM device_history') && sql.includes('ORDER BY ts DESC')) {
+      if (sql.includes('FROM device_history') && sql.includes('ORDER BY timestamp DESC')) {
         return { rows: [] };
       }
 
@@ -257,7 +255,7 @@ test('GET /api/devices/:deviceId/history caps limit at 500', async () => {
   await handler(req, res);
 
   assert.equal(res.statusCode, 200);
-  const historyQuery = calls.find((c) => c.sql.includes('FROM device_history') && c.sql.includes('ORDER BY ts DESC'));
+  const historyQuery = calls.find((c) => c.sql.includes('FROM device_history') && c.sql.includes('ORDER BY timestamp DESC'));
   assert.ok(historyQuery, 'expected history query to be called');
   assert.equal(historyQuery.params[1], 500);
 });
@@ -273,7 +271,7 @@ test('GET /api/devices/:deviceId/history applies range filter when provided', as
         return { rows: [{ id: params[0] }] };
       }
 
-      if (sql.includes('FROM device_history') && sql.includes('ts >= $2') && sql.includes('LIMIT $3')) {
+      if (sql.includes('FROM device_history') && sql.includes('timestamp >= $2') && sql.includes('LIMIT $3')) {
         return { rows: [] };
       }
 
@@ -290,7 +288,7 @@ test('GET /api/devices/:deviceId/history applies range filter when provided', as
   await handler(req, res);
 
   assert.equal(res.statusCode, 200);
-  const historyQuery = calls.find((c) => c.sql.includes('FROM device_history') && c.sql.includes('ts >= $2'));
+  const historyQuery = calls.find((c) => c.sql.includes('FROM device_history') && c.sql.includes('timestamp >= $2'));
   assert.ok(historyQuery, 'expected ranged history query');
   assert.equal(historyQuery.params[0], 'dev-1');
   assert.ok(historyQuery.params[1], 'expected startTs param');
@@ -316,16 +314,11 @@ test('GET /api/devices/:deviceId/history rejects invalid range values', async ()
   assert.deepEqual(res.payload, { error: 'range must be one of 24h,7d,30d' });
 });
 
-test('GET /api/metrics/down-events falls back to legacy timestamp column', async () => {
+test('GET /api/metrics/down-events counts raw down samples by timestamp', async () => {
   const calls = [];
   const poolMock = {
     async query(sql, params) {
       calls.push({ sql, params });
-      if (sql.includes("date_trunc('hour', h.ts)")) {
-        const err = new Error('column h.ts does not exist');
-        err.code = '42703';
-        throw err;
-      }
       if (sql.includes("date_trunc('hour', h.timestamp)")) {
         return { rows: [{ bucket: '2026-01-01T00:00:00.000Z', down_events: 3 }] };
       }
@@ -343,7 +336,7 @@ test('GET /api/metrics/down-events falls back to legacy timestamp column', async
 
   assert.equal(res.statusCode, 200);
   assert.deepEqual(res.payload, { points: [{ ts: '2026-01-01T00:00:00.000Z', value: 3 }] });
-  assert.ok(calls.some((c) => c.sql.includes("h.timestamp")), 'fallback metrics query should be used');
+  assert.equal(calls.length, 1);
 });
 
 
@@ -517,6 +510,38 @@ test('POST /api/projects/:projectId/devices enforces per-project device limit',
   assert.deepEqual(res.payload, { error: 'Plan limit reached. Your plan allows 15 devices per project.' });
 });
 
+test('POST /api/projects/:projectId/devices keeps the check interval within the plan bounds', async () => {
+  let inserted = null;
+  const poolMock = {
+    async query(sql, params) {
+      if (sql.includes('SELECT 1 FROM stores')) return { rows: [{ ok: 1 }] };
+      if (sql.includes('FROM users') && sql.includes('plan')) return { rows: [{ plan: 'free', plan_status: 'active', premium_until: null }] };
+      if (sql.includes('COUNT(*)::int AS count FROM devices')) return { rows: [{ count: 0 }] };
+      if (sql.includes('INSERT INTO devices')) {
+        inserted = sqlColumns(sql, params);
+        return { rows: [{ id: 'd1' }] };
+      }
+      return { rows: [] };
+    }
+  };
+
+  const router = buildRouterWithMocks(poolMock);
+  const handler = findHandler(router, 'post', '/api/projects/:projectId/devices');
+  const body = { name: 'Device 1', type: 'server', ip: '10.0.0.1' };
+
+  const tooFast = createRes();
+  await handler({ params: { projectId: 'project-a' }, user: { id: 'user-1' }, body: { ...body, pingInterval: 900 } }, tooFast);
+  assert.equal(tooFast.statusCode, 400);
+  assert.match(tooFast.payload.error, /between 7200 and 86400 seconds/);
+  assert.equal(inserted, null);
+
+  const res = createRes();
+  await handler({ params: { projectId: 'project-a' }, user: { id: 'user-1' }, body }, res);
+  assert.equal(res.statusCode, 200);
+  // No interval sent: the plan's shortest
+  assert.equal(inserted.ping_interval, 7200);
+});
+
 test('POST /api/devices/:deviceId/test-now blocks free plan', async () => {
   const poolMock = {
     async query(sql) {
@@ -592,6 +617,103 @@ test('PUT /api/user/preferences/timezone validates timezone for premium plan', a
   assert.match(res.payload.error, /Invalid timezone/i);
 });
 
+test('PUT /api/user/preferences/flap-damping validates and stores account defaults', async () => {
+  const calls = [];
+  const poolMock = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.includes('UPDATE users SET default_fail_threshold')) {
+        return { rows: [{ default_fail_threshold: params[0], default_recover_threshold: params[1] }] };
+      }
+      return { rows: [] };
+    }
+  };
+
+  const router = buildRouterWithMocks(poolMock);
+  const handler = findHandler(router, 'put', '/api/user/preferences/flap-damping');
+
+  const bad = createRes();
+  await handler({ body: { failThreshold: 0, recoverThreshold: 1 }, user: { id: 'user-1' } }, bad);
+  assert.equal(bad.statusCode, 400);
+  assert.match(bad.payload.error, /failThreshold/);
+  assert.equal(calls.length, 0);
+
+  const res = createRes();
+  await handler({ body: { failThreshold: '3', recoverThreshold: 2 }, user: { id: 'user-1' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.payload, { preferences: { failThreshold: 3, recoverThreshold: 2 } });
+  assert.deepEqual(calls[0].params, [3, 2, 'user-1']);
+});
+
+test('PUT /api/devices/:deviceId only replaces thresholds that were sent', async () => {
+  let captured = null;
+  const poolMock = {
+    async query(sql, params) {
+      if (sql.includes('UPDATE devices')) {
+        captured = sqlColumns(sql, params);
+        return { rows: [{ id: 'd1' }] };
+      }
+      return { rows: [] };
+    }
+  };
+
+  const router = buildRouterWithMocks(poolMock);
+  const handler = findHandler(router, 'put', '/api/devices/:deviceId');
+
+  const res = createRes();
+  await handler({
+    params: { deviceId: 'd1' },
+    body: { name: 'FGT', type: 'fortigate', ip: '10.0.0.1', failThreshold: null },
+    user: { id: 'user-1' }
+  }, res);
+  assert.equal(res.statusCode, 200);
+  // fail_threshold reset to the account default, recover_threshold, probe and interval untouched
+  assert.deepEqual(captured.fail_threshold, [true, null]);
+  assert.deepEqual(captured.recover_threshold, [false, null]);
+  assert.equal(captured.probe, null);
+  assert.equal(captured.heartbeat_token, null);
+  assert.equal(captured.ping_interval, null);
+  assert.deepEqual(captured.check_secrets, [null, null]);
+
+  const bad = createRes();
+  await handler({
+    params: { deviceId: 'd1' },
+    body: { name: 'FGT', type: 'fortigate', ip: '10.0.0.1', recoverThreshold: 11 },
+    user: { id: 'user-1' }
+  }, bad);
+  assert.equal(bad.statusCode, 400);
+});
+
+test('PUT /api/devices/:deviceId updates the check interval within the plan bounds', async () => {
+  let captured = null;
+  const poolMock = {
+    async query(sql, params) {
+      if (sql.includes('FROM users')) return { rows: [{ plan: 'premium', plan_status: 'active', premium_until: null }] };
+      if (sql.includes('UPDATE devices')) {
+        captured = sqlColumns(sql, params);
+        return { rows: [{ id: 'd1' }] };
+      }
+      return { rows: [] };
+    }
+  };
+
+  const router = buildRouterWithMocks(poolMock);
+  const handler = findHandler(router, 'put', '/api/devices/:deviceId');
+  const body = { name: 'FGT', type: 'fortigate', ip: '10.0.0.1' };
+
+  const res = createRes();
+  await handler({ params: { deviceId: 'd1' }, body: { ...body, pingInterval: '900' }, user: { id: 'user-1' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(captured.ping_interval, 900);
+
+  captured = null;
+  const bad = createRes();
+  await handler({ params: { deviceId: 'd1' }, body: { ...body, pingInterval: 600 }, user: { id: 'user-1' } }, bad);
+  assert.equal(bad.statusCode, 400);
+  assert.match(bad.payload.error, /between 900 and 86400 seconds/);
+  assert.equal(captured, null);
+});
+
 test('GET /api/projects can serialize Date fields to ISO UTC strings (UTC normalization)', async () => {
   const when = new Date('2026-02-07T01:02:03.000Z');
   const poolMock = {
@@ -632,3 +754,14 @@ test('GET /api/projects can serialize Date fields to ISO UTC strings (UTC normal
   assert.equal(res.payload[0].created_at, when.toISOString());
   assert.equal(res.payload[0].devices[0].created_at, when.toISOString());
 });
+
+test('sqlColumns maps INSERT and UPDATE parameters to their columns', () => {
+  assert.deepEqual(
+    sqlColumns("INSERT INTO t (a, b, status, c) VALUES ($1,$2,'unknown',$3::jsonb) RETURNING *", [1, 2, '{}']),
+    { a: 1, b: 2, c: '{}' }
+  );
+  assert.deepEqual(
+    sqlColumns('UPDATE t SET a=$1, b=COALESCE($3, b), c=CASE WHEN $4::boolean THEN $5::int ELSE c END, updated_at=now() WHERE id=$2', [1, 'id', 3, true, 5]),
+    { a: 1, b: 3, c: [true, 5] }
+  );
+});
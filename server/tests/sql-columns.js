@@ -0,0 +1,48 @@
+// Maps the parameters of an INSERT ... VALUES or UPDATE ... SET query to the columns they are
+// written to, so route tests assert on column names instead of parameter positions.
+// A column fed by one parameter maps to its value; by several (CASE WHEN $11 THEN $12 ...), to the
+// values in order. Columns set without a parameter (literals, now()) are left out.
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '(') depth += 1;
+    else if (text[i] === ')') depth -= 1;
+    else if (text[i] === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((p) => p.trim());
+}
+
+function paramValues(expr, params) {
+  const values = [...expr.matchAll(/\$(\d+)/g)].map((m) => params[Number(m[1]) - 1]);
+  return values.length === 1 ? values[0] : values;
+}
+
+function sqlColumns(sql, params) {
+  const out = {};
+  const insert = /INSERT INTO \w+\s*\(([^)]*)\)\s*VALUES\s*\(([\s\S]*?)\)\s*(?:RETURNING|ON CONFLICT|$)/i.exec(sql);
+  if (insert) {
+    const columns = splitTopLevel(insert[1]);
+    const values = splitTopLevel(insert[2]);
+    columns.forEach((col, i) => {
+      if (/\$\d+/.test(values[i] || '')) out[col] = paramValues(values[i], params);
+    });
+    return out;
+  }
+  const update = /UPDATE \w+(?:\s+\w+)?\s+SET\s+([\s\S]*?)\s+(?:FROM|WHERE)\s/i.exec(sql);
+  if (!update) throw new Error('Not an INSERT ... VALUES or UPDATE ... SET query');
+  for (const assignment of splitTopLevel(update[1])) {
+    const eq = assignment.indexOf('=');
+    const expr = assignment.slice(eq + 1);
+    if (/\$\d+/.test(expr)) out[assignment.slice(0, eq).trim()] = paramValues(expr, params);
+  }
+  return out;
+}
+
+module.exports = { sqlColumns };
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { normalizeParentIds } = require('../topology');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+const DEVICE = '11111111-1111-4111-8111-111111111111';
+const FORTIGATE = '22222222-2222-4222-8222-222222222222';
+const SWITCH = '33333333-3333-4333-8333-333333333333';
+
+// pool.connect() client recording its queries; `respond(sql, params)` supplies the rows.
+function createPoolMock(respond) {
+  const calls = [];
+  const client = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: respond(sql, params) || [] };
+    },
+    release() {}
+  };
+  return { calls, pool: { connect: async () => client, query: client.query } };
+}
+
+test('normalizeParentIds validates and de-duplicates parent ids', () => {
+  assert.deepEqual(normalizeParentIds({ parentIds: [FORTIGATE, FORTIGATE.toUpperCase(), SWITCH] }, DEVICE), { parentIds: [FORTIGATE, SWITCH] });
+  assert.deepEqual(normalizeParentIds({ parentIds: [] }, DEVICE), { parentIds: [] });
+  assert.match(normalizeParentIds({}, DEVICE).error, /must be an array/);
+  assert.match(normalizeParentIds({ parentIds: ['fortigate'] }, DEVICE).error, /device ids/);
+  assert.match(normalizeParentIds({ parentIds: [DEVICE] }, DEVICE).error, /own parent/);
+});
+
+test('PUT /api/devices/:deviceId/parents replaces the parents within the project', async () => {
+  const { calls, pool } = createPoolMock((sql) => {
+    if (/FOR UPDATE/.test(sql)) return [{ id: DEVICE, store_id: 'store-1' }];
+    if (/WITH RECURSIVE/.test(sql)) return [];
+    if (/id = ANY/.test(sql)) return [{ id: FORTIGATE }];
+    return [];
+  });
+  const router = buildRouterWithMocks(pool);
+  const handlers = getRouteHandlers(router, 'put', '/api/devices/:deviceId/parents');
+  const res = createRes();
+  await runHandlers(handlers, { params: { deviceId: DEVICE }, user: { id: 'u1' }, body: { parentIds: [FORTIGATE] } }, res);
+
+  assert.deepEqual(res.payload, { ok: true, parentIds: [FORTIGATE] });
+  assert.deepEqual(calls.find((c) => /FROM devices WHERE id = ANY/.test(c.sql)).params, [[FORTIGATE], 'store-1', 'u1']);
+  assert.ok(calls.some((c) => /WITH RECURSIVE downstream/.test(c.sql)));
+  assert.deepEqual(calls.find((c) => /INSERT INTO device_parents/.test(c.sql)).params, [DEVICE, [FORTIGATE]]);
+  assert.equal(calls[calls.length - 1].sql, 'COMMIT');
+  // Serialized per user before the cycle check
+  const lock = calls.findIndex((c) => /pg_advisory_xact_lock/.test(c.sql));
+  assert.deepEqual(calls[lock].params, ['dashmon:topology:u1']);
+  assert.ok(lock > calls.findIndex((c) => c.sql === 'BEGIN'));
+  assert.ok(lock < calls.findIndex((c) => /WITH RECURSIVE downstream/.test(c.sql)));
+});
+
+test('PUT /api/devices/:deviceId/parents rejects other projects and cycles', async () => {
+  const otherProject = createPoolMock((sql) => (/FOR UPDATE/.test(sql) ? [{ id: DEVICE, store_id: 'store-1' }] : []));
+  let router = buildRouterWithMocks(otherProject.pool);
+  let res = createRes();
+  await runHandlers(getRouteHandlers(router, 'put', '/api/devices/:deviceId/parents'), { params: { deviceId: DEVICE }, user: { id: 'u1' }, body: { parentIds: [FORTIGATE] } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.payload.error, /same project/);
+  assert.ok(!otherProject.calls.some((c) => /INSERT/.test(c.sql)));
+
+  const cycle = createPoolMock((sql) => {
+    if (/FOR UPDATE/.test(sql)) return [{ id: DEVICE, store_id: 'store-1' }];
+    if (/WITH RECURSIVE/.test(sql)) return [{ id: SWITCH }];
+    if (/id = ANY/.test(sql)) return [{ id: SWITCH }];
+    return [];
+  });
+  router = buildRouterWithMocks(cycle.pool);
+  res = createRes();
+  await runHandlers(getRouteHandlers(router, 'put', '/api/devices/:deviceId/parents'), { params: { deviceId: DEVICE }, user: { id: 'u1' }, body: { parentIds: [SWITCH] } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.payload.error, /behind this one/);
+  assert.equal(cycle.calls[cycle.calls.length - 1].sql, 'ROLLBACK');
+});
+
+test('PUT /api/devices/:deviceId/parents returns 404 for devices of other users', async () => {
+  const { pool } = createPoolMock(() => []);
+  const router = buildRouterWithMocks(pool);
+  const res = createRes();
+  await runHandlers(getRouteHandlers(router, 'put', '/api/devices/:deviceId/parents'), { params: { deviceId: DEVICE }, user: { id: 'u2' }, body: { parentIds: [] } }, res);
+  assert.equal(res.statusCode, 404);
+});
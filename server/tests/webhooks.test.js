@@ -0,0 +1,265 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { normalizeWebhookInput, parseDeliveryFilters } = require('../webhooks');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+test('normalizeWebhookInput validates urls and generates a secret per endpoint', () => {
+  assert.match(normalizeWebhookInput({ endpoints: [{ url: 'ftp://x' }] }).error, /http\(s\) URL/);
+  assert.match(normalizeWebhookInput({ enabled: true, endpoints: [] }).error, /at least one enabled endpoint/);
+  assert.match(normalizeWebhookInput({ endpoints: [{ url: 'https://a.example.com', secret: 'short' }] }).error, /16 characters/);
+
+  const cfg = normalizeWebhookInput({ enabled: true, endpoints: [{ name: 'Tickets', url: 'https://tickets.example.com/hook' }] });
+  assert.equal(cfg.enabled, true);
+  assert.equal(cfg.endpoints.length, 1);
+  assert.equal(cfg.endpoints[0].name, 'Tickets');
+  assert.equal(cfg.endpoints[0].enabled, true);
+  assert.match(cfg.endpoints[0].secret, /^[0-9a-f]{48}$/);
+  assert.ok(cfg.endpoints[0].id);
+});
+
+test('normalizeWebhookInput keeps id and secret of existing endpoints unless rotated', () => {
+  const existing = { endpoints: [{ id: 'e1', url: 'https://a.example.com', secret: 'keepme-keepme-keepme' }] };
+  const kept = normalizeWebhookInput({ endpoints: [{ id: 'e1', url: 'https://b.example.com' }] }, existing);
+  assert.equal(kept.endpoints[0].id, 'e1');
+  assert.equal(kept.endpoints[0].secret, 'keepme-keepme-keepme');
+  assert.equal(kept.endpoints[0].url, 'https://b.example.com');
+
+  assert.equal(kept.newSecretIds.size, 0);
+
+  const rotated = normalizeWebhookInput({ endpoints: [{ id: 'e1', url: 'https://a.example.com', rotateSecret: true }] }, existing);
+  assert.notEqual(rotated.endpoints[0].secret, 'keepme-keepme-keepme');
+  assert.deepEqual([...rotated.newSecretIds], ['e1']);
+
+  const foreign = normalizeWebhookInput({ endpoints: [{ id: 'other', url: 'https://a.example.com' }] }, existing);
+  assert.notEqual(foreign.endpoints[0].id, 'other');
+});
+
+test('parseDeliveryFilters validates status and clamps limit', () => {
+  assert.deepEqual(parseDeliveryFilters({}), { status: null, limit: 50 });
+  assert.deepEqual(parseDeliveryFilters({ status: 'FAILED', limit: '1000' }), { status: 'failed', limit: 200 });
+  assert.match(parseDeliveryFilters({ status: 'nope' }).error, /status must be one of/);
+});
+
+test('Webhook alerts: premium required', async () => {
+  const poolMock = { query: async () => ({ rows: [] }) };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/alerts/webhook');
+
+  const req = { user: { id: 'u1', plan: 'free' }, path: '/api/alerts/webhook', headers: { accept: 'application/json' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.payload.error, 'premium_required');
+});
+
+test('Webhook alerts: save config upserts alerts row with type webhook', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'put', '/api/alerts/webhook');
+
+  const req = {
+    user: { id: 'u1', plan: 'premium' },
+    path: '/api/alerts/webhook',
+    headers: { accept: 'application/json' },
+    body: { enabled: true, endpoints: [{ name: 'Tickets', url: 'http://localhost:9000/hook' }] }
+  };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.endpoints.length, 1);
+  const upsert = calls.find((c) => String(c.sql).includes('INSERT INTO alerts'));
+  assert.ok(upsert);
+  assert.deepEqual(upsert.params.slice(0, 3), ['u1', 'webhook', true]);
+  const saved = JSON.parse(upsert.params[3]).endpoints[0];
+  assert.equal(saved.url, 'http://localhost:9000/hook');
+  // A new endpoint's secret is shown once, in the save response
+  assert.equal(res.payload.endpoints[0].secret, saved.secret);
+});
+
+test('Webhook alerts: saved secrets are masked unless just rotated', async () => {
+  const rules = { endpoints: [{ id: 'e1', name: 'Tickets', url: 'https://a.example.com', secret: 'keepme-keepme-keepme', enabled: true }] };
+  const poolMock = {
+    query: async (sql) => (String(sql).includes('FROM alerts') ? { rows: [{ enabled: true, rules }] } : { rows: [] })
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const user = { id: 'u1', plan: 'premium' };
+
+  const res = createRes();
+  await runHandlers(getRouteHandlers(router, 'get', '/api/alerts/webhook'), { user, path: '/api/alerts/webhook', headers: {} }, res);
+  assert.deepEqual(res.payload.endpoints, [
+    { id: 'e1', name: 'Tickets', url: 'https://a.example.com', enabled: true, hasSecret: true, secretHint: 'epme' }
+  ]);
+
+  const kept = createRes();
+  const put = getRouteHandlers(router, 'put', '/api/alerts/webhook');
+  await runHandlers(put, { user, path: '/api/alerts/webhook', headers: {}, body: { enabled: true, endpoints: [{ id: 'e1', url: 'https://a.example.com' }] } }, kept);
+  assert.equal(kept.payload.endpoints[0].secret, undefined);
+  assert.equal(kept.payload.endpoints[0].hasSecret, true);
+
+  const rotated = createRes();
+  await runHandlers(put, { user, path: '/api/alerts/webhook', headers: {}, body: { enabled: true, endpoints: [{ id: 'e1', url: 'https://a.example.com', rotateSecret: true }] } }, rotated);
+  assert.match(rotated.payload.endpoints[0].secret, /^[0-9a-f]{48}$/);
+});
+
+test('Webhook alerts: test event is queued for enabled endpoints', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (String(sql).includes('FROM alerts')) {
+        return { rows: [{ enabled: true, rules: { endpoints: [{ id: 'e1', url: 'https://a.example.com', secret: 's' }, { id: 'e2', url: 'https://b.example.com', enabled: false }] } }] };
+      }
+      return { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/alerts/webhook/test');
+
+  const req = { user: { id: 'u1', plan: 'premium' }, path: '/api/alerts/webhook/test', headers: { accept: 'application/json' }, body: {} };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.queued, 1);
+  const inserts = calls.filter((c) => String(c.sql).includes('INSERT INTO webhook_deliveries'));
+  assert.equal(inserts.length, 1);
+  assert.equal(inserts[0].params[1], 'e1');
+});
+
+test('Webhook alerts: test events are refused while webhooks or the endpoint are disabled', async () => {
+  let row = { enabled: false, rules: { endpoints: [{ id: 'e1', url: 'https://a.example.com', secret: 's' }, { id: 'e2', url: 'https://b.example.com', enabled: false }] } };
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return String(sql).includes('FROM alerts') ? { rows: [row] } : { rows: [] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'post', '/api/alerts/webhook/test');
+  const send = async (body) => {
+    const res = createRes();
+    await runHandlers(handlers, { user: { id: 'u1', plan: 'premium' }, path: '/api/alerts/webhook/test', headers: { accept: 'application/json' }, body }, res);
+    return res;
+  };
+
+  const channelOff = await send({});
+  assert.equal(channelOff.statusCode, 400);
+  assert.match(channelOff.payload.error, /Enable webhook alerts/);
+
+  row = { ...row, enabled: true };
+  const endpointOff = await send({ endpointId: 'e2' });
+  assert.equal(endpointOff.statusCode, 400);
+  assert.match(endpointOff.payload.error, /endpoint is disabled/);
+
+  assert.equal(calls.filter((c) => String(c.sql).includes('INSERT INTO webhook_deliveries')).length, 0);
+});
+
+test('Webhook alerts: delivery log is scoped to the user and filterable', async () => {
+  const calls = [];
+  const poolMock = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 1, status: 'failed' }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/alerts/webhook/deliveries');
+
+  const req = { user: { id: 'u1', plan: 'premium' }, path: '/api/alerts/webhook/deliveries', headers: { accept: 'application/json' }, query: { status: 'failed', limit: '10' } };
+  const res = createRes();
+  await runHandlers(handlers, req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.deliveries.length, 1);
+  assert.match(calls[0].sql, /w\.user_id=\$1 AND w\.status=\$2/);
+  assert.deepEqual(calls[0].params, ['u1', 'failed', 10]);
+});
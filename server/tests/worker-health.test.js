@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { isDeviceStale, summarizeWorkers, evaluateWorkerAlert } = require('../worker-health');
+
+function createExpressMock() {
+  const createRouter = () => {
+    const stack = [];
+    const router = {
+      stack,
+      use(path, ...handlers) {
+        if (typeof path === 'function') {
+          stack.push({ handle: path });
+          return;
+        }
+        const normalized = String(path || '').replace(/^\//, '');
+        const regexp = new RegExp(`^\\/${normalized}\\/?(?=\\/|$)`, 'i');
+        const handler = handlers[handlers.length - 1];
+        stack.push({ regexp, handle: handler });
+      },
+      get(p, ...handlers) { stack.push({ route: { path: p, methods: { get: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      post(p, ...handlers) { stack.push({ route: { path: p, methods: { post: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      put(p, ...handlers) { stack.push({ route: { path: p, methods: { put: true }, stack: handlers.map((h) => ({ handle: h })) } }); },
+      delete(p, ...handlers) { stack.push({ route: { path: p, methods: { delete: true }, stack: handlers.map((h) => ({ handle: h })) } }); }
+    };
+    return router;
+  };
+  return { Router: createRouter, json: () => (_req, _res, next) => next(), raw: () => (_req, _res, next) => next() };
+}
+
+function buildRouterWithMocks(poolMock) {
+  const routesPath = path.resolve(__dirname, '../routes.js');
+  const dbPath = path.resolve(__dirname, '../db.js');
+  const authPath = path.resolve(__dirname, '../auth.js');
+
+  delete require.cache[routesPath];
+  delete require.cache[dbPath];
+  delete require.cache[authPath];
+
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'express') return createExpressMock();
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { pool: poolMock } };
+  require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { requireAuth: (_req, _res, next) => next(), passport: {} } };
+
+  try {
+    const { router } = require(routesPath);
+    return router;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function getRouteHandlers(router, method, routePath) {
+  const layer = router.stack.find((l) => l.route && l.route.path === routePath && l.route.methods[method]);
+  assert.ok(layer, `Could not find route ${method.toUpperCase()} ${routePath}`);
+  return layer.route.stack.map((x) => x.handle);
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    payload: null,
+    redirectedTo: null,
+    status(code) { this.statusCode = code; return this; },
+    json(obj) { this.payload = obj; return this; },
+    redirect(to) { this.redirectedTo = to; this.statusCode = 302; return this; }
+  };
+}
+
+async function runHandlers(handlers, req, res) {
+  let i = 0;
+  const next = async () => {
+    const h = handlers[i++];
+    if (!h) return;
+    await h(req, res, next);
+  };
+  await next();
+}
+
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const ago = (seconds) => new Date(NOW.getTime() - seconds * 1000).toISOString();
+
+test('isDeviceStale allows two missed intervals plus grace', () => {
+  assert.equal(isDeviceStale({ ping_interval: 900, last_check: ago(2000) }, NOW), false);
+  assert.equal(isDeviceStale({ ping_interval: 900, last_check: ago(2200) }, NOW), true);
+  assert.equal(isDeviceStale({ ping_interval: 900, last_check: null }, NOW), false);
+});
+
+test('summarizeWorkers reports live workers and their worst lag', () => {
+  const rows = [
+    { worker_id: 'a', version: '1.0.0', last_tick_at: ago(15), devices_checked: 12, max_lag_ms: '900' },
+    { worker_id: 'b', version: '1.0.0', last_tick_at: ago(30), devices_checked: 3, max_lag_ms: 4000 },
+    { worker_id: 'old', version: '0.9.0', last_tick_at: ago(3600), devices_checked: 0, max_lag_ms: 99999 }
+  ];
+  const s = summarizeWorkers(rows, NOW, 120);
+  assert.equal(s.status, 'ok');
+  assert.equal(s.alive, 2);
+  assert.equal(s.maxLagMs, 4000);
+  assert.equal(s.lastTickAt, ago(15));
+  assert.deepEqual(s.workers.map((w) => w.alive), [true, true, false]);
+
+  assert.equal(summarizeWorkers([rows[2]], NOW, 120).status, 'stale');
+  assert.equal(summarizeWorkers([], NOW, 120).status, 'none');
+});
+
+test('evaluateWorkerAlert fires once when workers stop and once on recovery', () => {
+  const base = { now: NOW, thresholdMinutes: 5 };
+  assert.equal(evaluateWorkerAlert({ ...base, lastTickAt: ago(60), alerted: false }), null);
+  assert.equal(evaluateWorkerAlert({ ...base, lastTickAt: ago(600), alerted: false }), 'down');
+  assert.equal(evaluateWorkerAlert({ ...base, lastTickAt: ago(600), alerted: true }), null);
+  assert.equal(evaluateWorkerAlert({ ...base, lastTickAt: null, alerted: false }), 'down');
+  assert.equal(evaluateWorkerAlert({ ...base, lastTickAt: ago(10), alerted: true }), 'recovered');
+});
+
+test('GET /api/health includes worker heartbeats', async () => {
+  const poolMock = {
+    query: async (sql) => {
+      if (/FROM worker_heartbeats/.test(sql)) {
+        return { rows: [{ worker_id: 'w1', version: '1.0.0', started_at: ago(600), last_tick_at: new Date(), devices_checked: 5, max_lag_ms: 1500 }] };
+      }
+      return { rows: [{ '?column?': 1 }] };
+    }
+  };
+  const router = buildRouterWithMocks(poolMock);
+  const handlers = getRouteHandlers(router, 'get', '/api/health');
+  const res = createRes();
+  await runHandlers(handlers, { path: '/api/health', headers: {} }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.ok, true);
+  assert.equal(res.payload.worker.status, 'ok');
+  assert.equal(res.payload.worker.maxLagMs, 1500);
+  assert.equal(res.payload.worker.workers[0].id, 'w1');
+});
@@ -0,0 +1,43 @@
+// Parent/child device topology (device_parents). A device lists its upstream parents within its
+// project; when they are down the worker shows it as 'unreachable' and suppresses its alerts
+// (worker/topology.js). Parents must be devices of the same project and may not form a cycle.
+
+const MAX_PARENTS = 5;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// PUT /api/devices/:deviceId/parents body: { parentIds: [...] } (empty clears them).
+// Returns { parentIds } or { error }.
+function normalizeParentIds(body, deviceId) {
+  const raw = body?.parentIds;
+  if (!Array.isArray(raw)) return { error: 'parentIds must be an array' };
+  const parentIds = [];
+  for (const v of raw) {
+    const id = String(v ?? '').trim().toLowerCase();
+    if (!UUID_RE.test(id)) return { error: 'parentIds must be device ids' };
+    if (id === String(deviceId).toLowerCase()) return { error: 'A device cannot be its own parent' };
+    if (!parentIds.includes(id)) parentIds.push(id);
+  }
+  if (parentIds.length > MAX_PARENTS) return { error: `A device can have at most ${MAX_PARENTS} parents` };
+  return { parentIds };
+}
+
+// Ids among parentIds that are downstream of deviceId (making them parents would create a cycle).
+async function findCycleParents(db, deviceId, parentIds) {
+  if (!parentIds.length) return [];
+  const { rows } = await db.query(
+    `WITH RECURSIVE downstream(id) AS (
+       SELECT device_id FROM device_parents WHERE parent_id = $1
+       UNION
+       SELECT p.device_id FROM device_parents p JOIN downstream ds ON p.parent_id = ds.id
+     )
+     SELECT id FROM downstream WHERE id = ANY($2::uuid[])`,
+    [deviceId, parentIds]
+  );
+  return rows.map((r) => r.id);
+}
+
+module.exports = {
+  MAX_PARENTS,
+  normalizeParentIds,
+  findCycleParents
+};
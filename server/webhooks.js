@@ -0,0 +1,107 @@
+// Webhook alert configuration (alerts row type='webhook'; delivered by worker/webhooks.js)
+
+const crypto = require('crypto');
+
+const MAX_WEBHOOK_ENDPOINTS = 5;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function isValidWebhookUrl(v) {
+  try {
+    const u = new URL(v);
+    return (u.protocol === 'https:' || u.protocol === 'http:') && Boolean(u.hostname);
+  } catch (_) {
+    return false;
+  }
+}
+
+// Returns { error } or { enabled, endpoints, newSecretIds }.
+// Endpoints keep their id and signing secret across saves; new endpoints (or rotateSecret: true)
+// get a generated secret unless one of at least 16 characters is supplied. newSecretIds lists the
+// endpoints whose secret changed, the only ones the response shows it for (webhookEndpointView).
+function normalizeWebhookInput(body, existingRules) {
+  const b = body || {};
+  const list = Array.isArray(b.endpoints) ? b.endpoints : [];
+  if (list.length > MAX_WEBHOOK_ENDPOINTS) {
+    return { error: `At most ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints are allowed` };
+  }
+
+  const existing = new Map(
+    (Array.isArray(existingRules?.endpoints) ? existingRules.endpoints : [])
+      .filter((e) => e && e.id)
+      .map((e) => [String(e.id), e])
+  );
+
+  const endpoints = [];
+  const newSecretIds = new Set();
+  for (let i = 0; i < list.length; i += 1) {
+    const raw = list[i] || {};
+    const label = `endpoints[${i}]`;
+    const url = String(raw.url || '').trim();
+    if (!isValidWebhookUrl(url) || url.length > 2000) return { error: `${label}.url must be an http(s) URL` };
+
+    const name = String(raw.name || '').trim().slice(0, 100);
+    const prev = raw.id ? existing.get(String(raw.id)) : null;
+    const suppliedSecret = raw.secret == null ? '' : String(raw.secret).trim();
+    if (suppliedSecret && suppliedSecret.length < 16) return { error: `${label}.secret must be at least 16 characters` };
+
+    let secret = prev?.secret || '';
+    if (suppliedSecret) secret = suppliedSecret;
+    if (!secret || raw.rotateSecret === true) secret = generateSecret();
+
+    const id = prev ? prev.id : crypto.randomUUID();
+    if (secret !== prev?.secret) newSecretIds.add(id);
+    endpoints.push({
+      id,
+      name: name || null,
+      url,
+      secret,
+      enabled: raw.enabled !== false
+    });
+  }
+
+  if (b.enabled === true && !endpoints.some((e) => e.enabled)) {
+    return { error: 'Add at least one enabled endpoint to enable webhook alerts' };
+  }
+  return { enabled: b.enabled === true, endpoints, newSecretIds };
+}
+
+// An endpoint as the API returns it. The signing secret is only shown when it was just created or
+// rotated; otherwise the response carries hasSecret and its last 4 characters to tell secrets apart.
+function webhookEndpointView(endpoint, revealSecret = false) {
+  const secret = String(endpoint?.secret || '');
+  const view = {
+    id: endpoint.id,
+    name: endpoint.name || null,
+    url: endpoint.url,
+    enabled: endpoint.enabled !== false,
+    hasSecret: Boolean(secret),
+    secretHint: secret ? secret.slice(-4) : null
+  };
+  if (revealSecret && secret) view.secret = secret;
+  return view;
+}
+
+// Returns { error } or { status, limit } for the delivery log.
+function parseDeliveryFilters(query) {
+  const q = query || {};
+  const status = q.status ? String(q.status).trim().toLowerCase() : null;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` };
+  }
+  const requestedLimit = Number(q.limit || 50);
+  const limit = Number.isFinite(requestedLimit) ? Math.min(Math.max(Math.floor(requestedLimit), 1), 200) : 50;
+  return { status, limit };
+}
+
+module.exports = {
+  MAX_WEBHOOK_ENDPOINTS,
+  DELIVERY_STATUSES,
+  isValidWebhookUrl,
+  normalizeWebhookInput,
+  webhookEndpointView,
+  parseDeliveryFilters
+};
@@ -0,0 +1,129 @@
+// Worker liveness (worker_heartbeats, written by every worker loop) and device staleness.
+// A device is stale when its last result is well past its ping_interval, e.g. because no worker
+// is running; the dashboard then shows it as unknown instead of its last status.
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// A worker loop is ~20s plus its checks; a heartbeat older than this means the worker is gone.
+function getWorkerStaleSeconds() {
+  return envNumber('WORKER_STALE_SECONDS', 120);
+}
+
+function getOperatorAlertMinutes() {
+  return envNumber('WORKER_DOWN_ALERT_MINUTES', 5);
+}
+
+function getOperatorEmails() {
+  return String(process.env.OPERATOR_EMAIL || '').split(',').map((x) => x.trim()).filter(Boolean);
+}
+
+// Two missed intervals plus 5 minutes of grace.
+function isDeviceStale(device, now = new Date()) {
+  if (!device.last_check) return false;
+  const interval = Number(device.ping_interval) || 60;
+  const ageSeconds = (new Date(now).getTime() - new Date(device.last_check).getTime()) / 1000;
+  return ageSeconds > interval * 2 + 300;
+}
+
+// rows: worker_heartbeats. status: 'ok' (a live worker), 'stale' (heartbeats all too old) or 'none'.
+function summarizeWorkers(rows, now = new Date(), staleSeconds = getWorkerStaleSeconds()) {
+  const t = new Date(now).getTime();
+  const workers = (rows || []).map((r) => {
+    const ageSeconds = Math.max(0, Math.round((t - new Date(r.last_tick_at).getTime()) / 1000));
+    return {
+      id: r.worker_id,
+      version: r.version || null,
+      startedAt: r.started_at,
+      lastTickAt: r.last_tick_at,
+      devicesChecked: Number(r.devices_checked || 0),
+      maxLagMs: r.max_lag_ms == null ? null : Number(r.max_lag_ms),
+      ageSeconds,
+      alive: ageSeconds <= staleSeconds
+    };
+  });
+  const alive = workers.filter((w) => w.alive);
+  const lastTickAt = workers.reduce((latest, w) => (!latest || new Date(w.lastTickAt) > new Date(latest) ? w.lastTickAt : latest), null);
+  const lags = alive.map((w) => w.maxLagMs).filter((v) => v != null);
+  return {
+    status: alive.length ? 'ok' : (workers.length ? 'stale' : 'none'),
+    alive: alive.length,
+    lastTickAt,
+    maxLagMs: lags.length ? Math.max(...lags) : null,
+    workers
+  };
+}
+
+// 'down' when no worker has ticked for thresholdMinutes (and we haven't said so yet),
+// 'recovered' once one ticks again after a 'down', else null.
+function evaluateWorkerAlert({ lastTickAt, now = new Date(), thresholdMinutes, alerted }) {
+  const ageMs = lastTickAt ? new Date(now).getTime() - new Date(lastTickAt).getTime() : Infinity;
+  const down = ageMs > thresholdMinutes * 60 * 1000;
+  if (down && !alerted) return 'down';
+  if (!down && alerted) return 'recovered';
+  return null;
+}
+
+async function fetchWorkerSummary(pool) {
+  const { rows } = await pool.query(
+    `SELECT worker_id, version, started_at, last_tick_at, devices_checked, max_lag_ms
+     FROM worker_heartbeats
+     WHERE last_tick_at > now() - interval '1 day'
+     ORDER BY last_tick_at DESC`
+  );
+  return summarizeWorkers(rows);
+}
+
+// Emails OPERATOR_EMAIL when no worker has ticked for WORKER_DOWN_ALERT_MINUTES, and again on
+// recovery. Runs in the API process because a dead worker cannot report itself.
+function startWorkerMonitor(pool, { intervalMs = 60 * 1000, send } = {}) {
+  const to = getOperatorEmails();
+  if (!to.length) return null;
+  // Loaded here so the API only needs nodemailer when OPERATOR_EMAIL is set.
+  const { sendMail, isSmtpConfigured } = require('./mailer');
+  const deliver = send || sendMail;
+  let alerted = false;
+
+  const check = async () => {
+    try {
+      const summary = await fetchWorkerSummary(pool);
+      const thresholdMinutes = getOperatorAlertMinutes();
+      const decision = evaluateWorkerAlert({ lastTickAt: summary.lastTickAt, thresholdMinutes, alerted });
+      if (!decision) return;
+      if (!isSmtpConfigured()) {
+        console.warn(`[WORKER] ${decision} (operator email not sent: SMTP not configured)`);
+        alerted = decision === 'down';
+        return;
+      }
+      const last = summary.lastTickAt ? new Date(summary.lastTickAt).toISOString() : 'never';
+      await deliver({
+        to: to.join(','),
+        subject: decision === 'down'
+          ? `Dashmon worker DOWN: no heartbeat for ${thresholdMinutes}+ minutes`
+          : 'Dashmon worker recovered',
+        text: decision === 'down'
+          ? `No Dashmon worker has ticked since ${last}. Device checks and alerts are paused and dashboards show stale devices as unknown.`
+          : `A Dashmon worker is ticking again (last heartbeat ${last}, ${summary.alive} worker(s) alive).`
+      });
+      alerted = decision === 'down';
+      console.log(`[WORKER] operator notified: ${decision}`);
+    } catch (e) {
+      console.error('Worker monitor error:', e);
+    }
+  };
+
+  const timer = setInterval(check, intervalMs);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = {
+  getWorkerStaleSeconds,
+  isDeviceStale,
+  summarizeWorkers,
+  evaluateWorkerAlert,
+  fetchWorkerSummary,
+  startWorkerMonitor
+};
@@ -0,0 +1,55 @@
+// Outbound requests to user-supplied URLs (webhook endpoints, chat webhooks) must not reach the
+// worker's own network: loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved addresses are refused, for IP literals and for every address a hostname resolves to.
+const dns = require('dns');
+const net = require('net');
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(ip) {
+  const address = String(ip || '').replace(/^\[|\]$/g, '');
+  const version = net.isIP(address);
+  if (!version) return false;
+  // IPv4-mapped IPv6 (URL parsing turns ::ffff:127.0.0.1 into ::ffff:7f00:1)
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (mappedHex) {
+    const n = (parseInt(mappedHex[1], 16) << 16 >>> 0) + parseInt(mappedHex[2], 16);
+    return isPrivateAddress([n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.'));
+  }
+  return blocked.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for http(s).request that fails with EPRIVATEADDRESS when the host
+// resolves to a private address. It runs at connect time, so a DNS answer that changes after the
+// URL was saved is caught too.
+function publicOnlyLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const bad = list.find((a) => isPrivateAddress(a.address));
+    if (bad) {
+      const e = new Error(`${hostname} resolves to a private address (${bad.address})`);
+      e.code = 'EPRIVATEADDRESS';
+      return callback(e);
+    }
+    return callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  publicOnlyLookup
+};
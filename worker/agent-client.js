@@ -0,0 +1,60 @@
+// HTTP client for the remote probe agent (agent.js): fetches the project's devices from the
+// Dashmon API and pushes check results back, authenticated with the project's agent token.
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+function createAgentClient({ baseUrl, token, version, hostname, fetchImpl = fetch }) {
+  const root = String(baseUrl || '').replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const res = await fetchImpl(`${root}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'X-Agent-Version': version || '',
+        'X-Agent-Hostname': hostname || ''
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(`${method} ${path} failed: ${res.status} ${data.error || ''}`.trim());
+      err.status = res.status;
+      throw err;
+    }
+    return data;
+  }
+
+  return {
+    // { agent, pollSeconds, devices: [{ id, ..., due }] }
+    fetchConfig: () => request('GET', '/api/agent/config'),
+    // { ok, accepted, rejected }
+    pushResults: (results) => request('POST', '/api/agent/results', { results })
+  };
+}
+
+// Runs one device's check and shapes the result for POST /api/agent/results.
+// Returns null when the check itself threw; the device stays due and is retried on the next poll.
+async function runAgentCheck(device, check, now = () => new Date()) {
+  try {
+    const result = await check(device);
+    return {
+      deviceId: device.id,
+      status: result.status || 'down',
+      latency: result.latency ?? null,
+      packetLoss: result.packet_loss ?? null,
+      detail: result.detail || {},
+      checkedAt: now().toISOString()
+    };
+  } catch (e) {
+    console.error(`agent check failed: device=${device.id} err=${e?.message || e}`);
+    return null;
+  }
+}
+
+module.exports = {
+  createAgentClient,
+  runAgentCheck
+};
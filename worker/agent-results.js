@@ -0,0 +1,67 @@
+// Results pushed by remote probe agents (see agent.js and POST /api/agent/results).
+// The API queues them in agent_results; the worker applies them through the same path as its own
+// checks (flap damping, devices.status, device_history, incidents, alerts). Devices of an agent
+// that has gone silent are set to 'unknown' instead of being checked (and going down) centrally;
+// their previous status is kept in status_before_silence so the agent's next result is compared
+// against it rather than against 'unknown'.
+
+function getAgentSilentSeconds() {
+  const n = Number(process.env.AGENT_SILENT_SECONDS);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 180;
+}
+
+// Removes and returns up to `limit` queued results, oldest first. Callers run this on one worker
+// at a time (runExclusive) so results for a device are applied in order.
+async function claimAgentResults(pool, limit = 200) {
+  const { rows } = await pool.query(
+    `DELETE FROM agent_results
+     WHERE id IN (SELECT id FROM agent_results ORDER BY id ASC LIMIT $1)
+     RETURNING id, agent_id, device_id, status, latency, packet_loss, detail, checked_at`,
+    [limit]
+  );
+  return rows.sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+// agent_results row -> the shape runDeviceCheck returns.
+function agentCheckResult(row) {
+  return {
+    status: row.status,
+    latency: row.latency == null ? null : Number(row.latency),
+    packet_loss: row.packet_loss == null ? null : Number(row.packet_loss),
+    detail: Object.assign({}, row.detail || {}, { agent: Number(row.agent_id) })
+  };
+}
+
+// The status to compare a new result against: the pre-silence status while a device is unknown
+// because its agent went quiet.
+function previousStatus(device) {
+  if (device.status === 'unknown' && device.status_before_silence) return device.status_before_silence;
+  return device.status;
+}
+
+// Sets devices of projects whose agent is missing or has not been seen for silentSeconds to
+// 'unknown'. No alerts are sent and open incidents stay open. Returns the affected devices.
+async function markSilentAgentDevices(pool, silentSeconds = getAgentSilentSeconds()) {
+  const { rows } = await pool.query(
+    `UPDATE devices d
+     SET status_before_silence = d.status, status = 'unknown', updated_at = now()
+     WHERE d.probe = 'agent'
+       AND d.status <> 'unknown'
+       AND NOT EXISTS (
+         SELECT 1 FROM probe_agents a
+         WHERE a.store_id = d.store_id AND a.user_id = d.user_id
+           AND a.last_seen_at > now() - ($1::int * interval '1 second')
+       )
+     RETURNING d.id, d.store_id, d.name`,
+    [silentSeconds]
+  );
+  return rows;
+}
+
+module.exports = {
+  getAgentSilentSeconds,
+  claimAgentResults,
+  agentCheckResult,
+  previousStatus,
+  markSilentAgentDevices
+};
@@ -0,0 +1,59 @@
+// Remote probe agent: runs inside a store LAN and checks the devices the central worker cannot
+// reach (devices with probe = 'agent'). It needs no database access, only outbound HTTPS to the
+// Dashmon API:
+//   DASHMON_URL=https://dashmon.online AGENT_TOKEN=dma_... node agent.js
+// Each poll fetches the project's devices, runs the due ones with the worker's check registry
+// (checks.js) and pushes the results; the worker then applies them like its own checks.
+require('dotenv').config();
+const os = require('os');
+const { runDeviceCheck } = require('./checks');
+const { runWithConcurrency, getCheckConcurrency } = require('./scheduler');
+const { getWorkerVersion } = require('./heartbeat');
+const { createAgentClient, runAgentCheck } = require('./agent-client');
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function main() {
+  const baseUrl = process.env.DASHMON_URL;
+  const token = process.env.AGENT_TOKEN;
+  if (!baseUrl || !token) {
+    throw new Error('DASHMON_URL and AGENT_TOKEN are required');
+  }
+  const client = createAgentClient({
+    baseUrl,
+    token,
+    version: getWorkerVersion(),
+    hostname: process.env.AGENT_NAME || os.hostname()
+  });
+  console.log(`dashmon probe agent started: ${baseUrl}`);
+
+  let pollSeconds = 15;
+  while (true) {
+    try {
+      const config = await client.fetchConfig();
+      pollSeconds = Number(config.pollSeconds) || pollSeconds;
+      const due = (config.devices || []).filter((d) => d.due);
+      const results = [];
+      await runWithConcurrency(due, getCheckConcurrency(), async (device) => {
+        const result = await runAgentCheck(device, runDeviceCheck);
+        if (result) results.push(result);
+      });
+      if (results.length) {
+        const { accepted, rejected } = await client.pushResults(results);
+        console.log(`agent pushed results: accepted=${accepted} rejected=${rejected}`);
+      }
+    } catch (e) {
+      // Results of a failed push are dropped; those devices are still due on the next poll.
+      console.error(`agent poll error: ${e?.message || e}`);
+      if (e?.status === 401) console.error('agent token rejected: create or rotate it under Probe Agent on the project page');
+    }
+    await sleep(pollSeconds * 1000);
+  }
+}
+
+main().catch((e) => {
+  console.error('fatal agent error:', e);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+// Alert storm aggregation: a channel with alert_schedules.aggregate_seconds > 0 does not send
+// UP/DOWN alerts right away. They wait in alert_batch_queue for that many seconds after the
+// first one, and each user + channel + recipient + project + status gets one message, e.g.
+// "Store 104: 9 devices DOWN — POS 1, POS 2, ...". Event alerts (cert expiry) are never batched.
+
+const MAX_LISTED_DEVICES = 5;
+
+// Groups alert_batch_queue rows (oldest first) per user + channel + recipient + project + status.
+// A group is ready once the window of its oldest item has passed:
+// [{ user_id, channel, recipient, store_id, store_name, status, ready, items }].
+function groupBatchItems(rows, now) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.user_id}|${row.channel}|${row.recipient}|${row.store_id}|${row.status}`;
+    if (!groups.has(key)) {
+      const dueAt = new Date(row.occurred_at).getTime() + Number(row.aggregate_seconds || 0) * 1000;
+      groups.set(key, {
+        user_id: row.user_id,
+        channel: row.channel,
+        recipient: row.recipient,
+        store_id: row.store_id,
+        store_name: row.store_name || null,
+        status: row.status,
+        ready: dueAt <= now.getTime(),
+        items: []
+      });
+    }
+    groups.get(key).items.push({ id: row.id, device_name: row.device_name, occurred_at: row.occurred_at });
+  }
+  return [...groups.values()];
+}
+
+// { subject, text, sms } for one group, the same shape as a quiet-hours digest (schedules.js).
+// A single device reads like the plain alert it replaces.
+function buildBatchAlert(group) {
+  const project = group.store_name || String(group.store_id);
+  const status = String(group.status).toUpperCase();
+  const names = group.items.map((i) => i.device_name);
+
+  if (names.length === 1) {
+    return {
+      subject: `Dashmon alert: ${names[0]} is ${status}`,
+      text: [`Device: ${names[0]}`, `Project: ${project}`, `Status: ${group.status}`, `Time: ${new Date(group.items[0].occurred_at).toISOString()}`].join('\n'),
+      sms: `Dashmon: ${names[0]} (${project}) is ${status}`
+    };
+  }
+
+  const headline = `${project}: ${names.length} devices ${status}`;
+  const listed = names.slice(0, MAX_LISTED_DEVICES).join(', ');
+  const more = names.length > MAX_LISTED_DEVICES ? `, … +${names.length - MAX_LISTED_DEVICES} more` : '';
+  return {
+    subject: `Dashmon alert: ${headline}`,
+    text: [headline, '', ...group.items.map((i) => `${new Date(i.occurred_at).toISOString()}  ${i.device_name}`)].join('\n'),
+    sms: `Dashmon: ${headline} — ${listed}${more}`
+  };
+}
+
+module.exports = {
+  groupBatchItems,
+  buildBatchAlert
+};
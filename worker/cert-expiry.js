@@ -0,0 +1,99 @@
+// TLS certificate expiry helpers
+// Certificates are captured by http (https://) and tls-cert checks; a 'cert_expiring'
+// alert is raised once per threshold (e.g. 30/14/3 days before valid_to) per certificate.
+
+const DEFAULT_THRESHOLDS = [30, 14, 3];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function certNameField(name) {
+  if (!name || typeof name !== 'object') return null;
+  return name.CN || name.O || null;
+}
+
+// "DNS:a.example.com, DNS:b.example.com, IP Address:10.0.0.1" -> ['a.example.com', 'b.example.com', '10.0.0.1']
+function parseSubjectAltNames(v) {
+  if (!v) return [];
+  return String(v)
+    .split(',')
+    .map((s) => s.trim().replace(/^[A-Za-z ]+:/, ''))
+    .filter(Boolean)
+    .slice(0, 20);
+}
+
+// Summarize tls.PeerCertificate into what we keep in device_history.detail / devices.cert_info.
+function describePeerCertificate(cert, now = new Date()) {
+  if (!cert || !cert.valid_to) return null;
+  const validTo = new Date(cert.valid_to);
+  if (Number.isNaN(validTo.getTime())) return null;
+  return {
+    subject: certNameField(cert.subject),
+    issuer: certNameField(cert.issuer),
+    sans: parseSubjectAltNames(cert.subjectaltname),
+    valid_to: validTo.toISOString(),
+    days_remaining: Math.floor((validTo.getTime() - now.getTime()) / DAY_MS)
+  };
+}
+
+// http checks nest the certificate under detail.cert; tls-cert checks report it at the top level.
+function certFromDetail(detail) {
+  const d = detail || {};
+  const cert = d.cert && typeof d.cert === 'object' ? d.cert : d;
+  if (!cert.valid_to || !Number.isFinite(Number(cert.days_remaining))) return null;
+  return {
+    subject: cert.subject || null,
+    issuer: cert.issuer || null,
+    sans: Array.isArray(cert.sans) ? cert.sans : [],
+    valid_to: cert.valid_to,
+    days_remaining: Number(cert.days_remaining)
+  };
+}
+
+// Accepts [30, 14, 3] or "30,14,3"; returns a de-duplicated, descending list (falls back to defaults).
+function parseThresholds(v) {
+  const list = Array.isArray(v) ? v : typeof v === 'string' ? v.split(',') : [];
+  const out = [...new Set(
+    list.map((x) => Number(String(x).trim())).filter((n) => Number.isInteger(n) && n >= 1 && n <= 365)
+  )].sort((a, b) => b - a);
+  return out.length ? out : DEFAULT_THRESHOLDS.slice();
+}
+
+// Smallest threshold the certificate has reached, or null when it is not yet within any threshold.
+function dueThreshold(daysRemaining, thresholds) {
+  const days = Number(daysRemaining);
+  if (!Number.isFinite(days)) return null;
+  const reached = thresholds.filter((t) => days <= t);
+  return reached.length ? Math.min(...reached) : null;
+}
+
+// Alert event for the existing email/SMS paths.
+// `since` marks when this certificate entered the threshold; an alert sent after it already covers
+// this cert, while a renewed cert (later valid_to) moves `since` forward and re-arms the alert.
+function buildCertExpiringEvent(device, cert, threshold) {
+  const validTo = new Date(cert.valid_to);
+  const days = cert.days_remaining;
+  const when = days < 0 ? 'has EXPIRED' : days === 0 ? 'expires today' : `expires in ${days} day${days === 1 ? '' : 's'}`;
+  return {
+    type: 'cert_expiring',
+    key: `cert_expiring_${threshold}`,
+    since: new Date(validTo.getTime() - (threshold + 1) * DAY_MS),
+    subject: `Dashmon alert: TLS certificate for ${device.name} ${when}`,
+    lines: [
+      `Certificate subject: ${cert.subject || '-'}`,
+      `Issuer: ${cert.issuer || '-'}`,
+      `SANs: ${cert.sans && cert.sans.length ? cert.sans.join(', ') : '-'}`,
+      `Valid until: ${validTo.toISOString()}`,
+      `Threshold: ${threshold} days`
+    ],
+    sms: `Dashmon: TLS cert for ${device.name} (${device.store_id}) ${when}`
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  parseSubjectAltNames,
+  describePeerCertificate,
+  certFromDetail,
+  parseThresholds,
+  dueThreshold,
+  buildCertExpiringEvent
+};
@@ -0,0 +1,126 @@
+// Chat alerts (Slack, Microsoft Teams, Discord) via incoming-webhook URLs.
+// alerts rows type='slack'|'teams'|'discord', rules = { webhookUrl, storeOverrides: { [storeId]: { enabled, webhookUrl } } }.
+
+const { describeDependents } = require('./topology');
+
+const CHAT_PROVIDERS = ['slack', 'teams', 'discord'];
+
+const STATUS_COLORS = {
+  down: '#dc2626',
+  warning: '#d97706',
+  up: '#16a34a'
+};
+const EVENT_COLOR = '#d97706';
+
+// Same precedence as resolveSmsRecipient: an enabled per-project override wins.
+function resolveChatWebhookUrl(rules, storeId) {
+  const r = rules || {};
+  const overrides = (r.storeOverrides && typeof r.storeOverrides === 'object') ? r.storeOverrides : {};
+  const ov = overrides[storeId];
+  if (ov && typeof ov === 'object' && ov.enabled) {
+    const url = String(ov.webhookUrl || '').trim();
+    if (url) return url;
+  }
+  return String(r.webhookUrl || '').trim();
+}
+
+function getBaseUrl() {
+  return String(process.env.PUBLIC_BASE_URL || 'https://dashmon.online').trim().replace(/\/$/, '');
+}
+
+function deviceLink(device, baseUrl = getBaseUrl()) {
+  return `${baseUrl}/app/device-details.html?projectId=${encodeURIComponent(device.store_id)}&deviceId=${encodeURIComponent(device.id)}`;
+}
+
+// Provider-neutral alert: { title, color, fields: [[label, value]], link }.
+// `event` (optional) is a non-status alert such as cert_expiring.
+function buildChatAlert(device, prevStatus, newStatus, event, baseUrl) {
+  const fields = [
+    ['Project', device.store_name ? `${device.store_name} (${device.store_id})` : String(device.store_id)],
+    ['Device', `${device.name} (${device.ip})`],
+    ['Type', String(device.type || '')]
+  ];
+  if (event) {
+    for (const line of event.lines || []) {
+      const i = String(line).indexOf(':');
+      if (i > 0) fields.push([line.slice(0, i).trim(), line.slice(i + 1).trim()]);
+    }
+  } else {
+    fields.push(['Status', `${String(prevStatus || 'unknown').toUpperCase()} → ${String(newStatus).toUpperCase()}`]);
+    if (device.dependents?.length) fields.push(['Devices behind it', describeDependents(device.dependents)]);
+  }
+  return {
+    title: event ? event.subject : `${device.name} is ${String(newStatus).toUpperCase()}`,
+    color: event ? EVENT_COLOR : (STATUS_COLORS[newStatus] || '#6b7280'),
+    fields,
+    link: deviceLink(device, baseUrl)
+  };
+}
+
+function formatSlack(alert) {
+  return {
+    text: alert.title,
+    attachments: [{
+      color: alert.color,
+      title: alert.title,
+      title_link: alert.link,
+      fields: alert.fields.map(([title, value]) => ({ title, value, short: true })),
+      footer: 'Dashmon',
+      ts: Math.floor(Date.now() / 1000)
+    }]
+  };
+}
+
+function formatTeams(alert) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    themeColor: alert.color.replace('#', ''),
+    summary: alert.title,
+    title: alert.title,
+    sections: [{ facts: alert.fields.map(([name, value]) => ({ name, value })) }],
+    potentialAction: [{
+      '@type': 'OpenUri',
+      name: 'Open in Dashmon',
+      targets: [{ os: 'default', uri: alert.link }]
+    }]
+  };
+}
+
+function formatDiscord(alert) {
+  return {
+    username: 'Dashmon',
+    embeds: [{
+      title: alert.title,
+      url: alert.link,
+      color: parseInt(alert.color.replace('#', ''), 16),
+      fields: alert.fields.map(([name, value]) => ({ name, value, inline: true })),
+      timestamp: new Date().toISOString()
+    }]
+  };
+}
+
+const FORMATTERS = { slack: formatSlack, teams: formatTeams, discord: formatDiscord };
+
+function formatChatMessage(provider, alert) {
+  const fmt = FORMATTERS[provider];
+  if (!fmt) throw new Error(`Unknown chat provider: ${provider}`);
+  return fmt(alert);
+}
+
+// Plain text message (digests).
+function formatChatText(provider, text) {
+  if (provider === 'slack') return { text };
+  if (provider === 'discord') return { username: 'Dashmon', content: String(text).slice(0, 2000) };
+  if (provider === 'teams') return { '@type': 'MessageCard', '@context': 'https://schema.org/extensions', summary: 'Dashmon', text: String(text).replace(/\n/g, '\n\n') };
+  throw new Error(`Unknown chat provider: ${provider}`);
+}
+
+module.exports = {
+  CHAT_PROVIDERS,
+  resolveChatWebhookUrl,
+  deviceLink,
+  buildChatAlert,
+  formatChatMessage,
+  formatChatText
+};
@@ -0,0 +1,42 @@
+// Write-only check credentials (SNMPv3 authKey / privKey) that the app stores encrypted in
+// devices.check_secrets (server/check-secrets.js). The worker decrypts them with the same
+// CHECK_SECRETS_KEY and hands them to the check with the rest of check_config.
+
+const crypto = require('crypto');
+const { getCheckConfig } = require('./checks');
+
+function getCheckSecretsKey() {
+  const raw = String(process.env.CHECK_SECRETS_KEY || '');
+  return raw ? crypto.createHash('sha256').update(raw).digest() : null;
+}
+
+function decryptSecret(text, key) {
+  const [version, iv, tag, data] = String(text).split(':');
+  if (version !== 'v1' || data === undefined) throw new Error('Unsupported check secret format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// The device with its decrypted secrets merged into check_config. Throws when they cannot be
+// decrypted (CHECK_SECRETS_KEY missing or different from the app's).
+function withCheckSecrets(device, key = getCheckSecretsKey()) {
+  const secrets = device && device.check_secrets;
+  if (!secrets || typeof secrets !== 'object' || !Object.keys(secrets).length) return device;
+  if (!key) throw new Error('SNMPv3 keys cannot be decrypted: CHECK_SECRETS_KEY is not set on the worker');
+  const cfg = Object.assign({}, getCheckConfig(device));
+  for (const [field, value] of Object.entries(secrets)) {
+    try {
+      cfg[field] = decryptSecret(value, key);
+    } catch (_) {
+      throw new Error('SNMPv3 keys cannot be decrypted: CHECK_SECRETS_KEY differs from the app\'s');
+    }
+  }
+  return Object.assign({}, device, { check_config: cfg });
+}
+
+module.exports = {
+  getCheckSecretsKey,
+  decryptSecret,
+  withCheckSecrets
+};
@@ -0,0 +1,484 @@
+// Check-type registry
+// Each device picks a check type via devices.check_type (+ devices.check_config JSONB).
+// 'auto' keeps the legacy cascade: URL -> port -> ping -> TCP 443/80.
+// 'heartbeat' does not probe anything; it evaluates the pings the job sent (see evaluateHeartbeat).
+// 'snmp' polls OIDs over SNMP v2c/v3 and applies per-metric thresholds (see snmp.js).
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const dns = require('dns');
+const { execFile } = require('child_process');
+const { Worker } = require('worker_threads');
+const { describePeerCertificate } = require('./cert-expiry');
+const { snmpCheck } = require('./snmp');
+
+const CHECK_TYPES = ['auto', 'http', 'tcp', 'icmp', 'dns', 'tls-cert', 'heartbeat', 'snmp'];
+
+function normalizeCheckType(v) {
+  const t = String(v || '').trim().toLowerCase();
+  return CHECK_TYPES.includes(t) ? t : 'auto';
+}
+
+function getCheckConfig(device) {
+  const cfg = device && device.check_config;
+  if (!cfg) return {};
+  if (typeof cfg === 'string') {
+    try { return JSON.parse(cfg) || {}; } catch (_) { return {}; }
+  }
+  return typeof cfg === 'object' ? cfg : {};
+}
+
+const HTTP_BODY_LIMIT = 1024 * 1024;
+
+// expectedStatus entries are codes (200) or inclusive ranges ("200-299").
+// Without a list we keep the historical rule: anything below 500 counts as up.
+function matchesExpectedStatus(code, expected) {
+  const list = Array.isArray(expected) ? expected : [];
+  if (!list.length) return Boolean(code) && code < 500;
+  return list.some((entry) => {
+    const m = String(entry).trim().match(/^(\d{3})(?:\s*-\s*(\d{3}))?$/);
+    if (!m) return false;
+    const lo = Number(m[1]);
+    const hi = m[2] ? Number(m[2]) : lo;
+    return code >= lo && code <= hi;
+  });
+}
+
+// Regex assertions are user-supplied patterns: they only see the first REGEX_BODY_LIMIT bytes and
+// run in a worker thread that is terminated after REGEX_TIMEOUT_MS, so a catastrophically
+// backtracking pattern cannot block the event loop every other check shares.
+const REGEX_BODY_LIMIT = 64 * 1024;
+const REGEX_PATTERN_LIMIT = 500;
+const REGEX_TIMEOUT_MS = 1000;
+const REGEX_MATCHER = `
+const { parentPort, workerData } = require('worker_threads');
+parentPort.postMessage(workerData.patterns.map((p) => {
+  if (!p || p.length > ${REGEX_PATTERN_LIMIT}) return false;
+  try { return new RegExp(p).test(workerData.body); } catch (_) { return false; }
+}));`;
+
+// Resolves to one boolean per pattern, or null when matching did not finish within timeoutMs.
+function matchRegexes(body, patterns, timeoutMs = REGEX_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const worker = new Worker(REGEX_MATCHER, {
+      eval: true,
+      workerData: { body: String(body).slice(0, REGEX_BODY_LIMIT), patterns: patterns.map((p) => String(p || '')) },
+      resourceLimits: { maxOldGenerationSizeMb: 32 }
+    });
+    const finish = (result) => {
+      clearTimeout(timer);
+      worker.terminate().catch(() => {});
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    worker.once('message', finish);
+    worker.once('error', () => finish(null));
+  });
+}
+
+// [bodyContains matched, bodyNotContains matched], or null when a regex timed out.
+async function matchBody(body, cfg) {
+  const patterns = [cfg.bodyContains, cfg.bodyNotContains];
+  if (cfg.bodyRegex) return matchRegexes(body, patterns);
+  return patterns.map((p) => Boolean(p) && body.includes(p));
+}
+
+// Applies per-device HTTP assertions to a completed response.
+// Resolves to { status: 'up'|'warning'|'down', failures: [] }.
+async function evaluateHttpAssertions(response, cfg) {
+  const c = cfg || {};
+  const failures = [];
+  const body = String(response.body || '');
+
+  if (!matchesExpectedStatus(response.statusCode, c.expectedStatus)) {
+    failures.push(`unexpected status ${response.statusCode}`);
+  }
+  if (needsBody(c)) {
+    const matched = await matchBody(body, c);
+    if (!matched) {
+      failures.push('body pattern took too long to match');
+    } else {
+      if (c.bodyContains && !matched[0]) failures.push('required body content missing');
+      if (c.bodyNotContains && matched[1]) failures.push('forbidden body content present');
+    }
+  }
+  if (failures.length) return { status: 'down', failures };
+
+  const maxMs = Number(c.maxResponseMs);
+  if (Number.isFinite(maxMs) && maxMs > 0 && response.ms > maxMs) {
+    return { status: 'warning', failures: [`slow response ${response.ms}ms > ${maxMs}ms`] };
+  }
+  return { status: 'up', failures };
+}
+
+function needsBody(cfg) {
+  return Boolean(cfg && (cfg.bodyContains || cfg.bodyNotContains));
+}
+
+function requestOnce(url, cfg, start) {
+  return new Promise((resolve) => {
+    let target;
+    try { target = new URL(url); } catch (e) {
+      return resolve({ error: `invalid url: ${url}` });
+    }
+    const lib = target.protocol === 'https:' ? https : http;
+    const method = String(cfg.method || 'GET').toUpperCase();
+    const headers = Object.assign({ 'User-Agent': 'dashmon-worker' }, cfg.headers || {});
+    const req = lib.request(target, { method, headers, timeout: 15000 }, (res) => {
+      // Keep the peer certificate of HTTPS responses (subject/issuer/SANs/valid_to) for expiry tracking.
+      const peer = res.socket && typeof res.socket.getPeerCertificate === 'function' ? res.socket.getPeerCertificate() : null;
+      const cert = describePeerCertificate(peer);
+      const chunks = [];
+      let size = 0;
+      const wantBody = needsBody(cfg) && method !== 'HEAD';
+      res.on('data', (chunk) => {
+        if (!wantBody || size >= HTTP_BODY_LIMIT) return;
+        size += chunk.length;
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        location: res.headers.location,
+        body: wantBody ? Buffer.concat(chunks).toString('utf8') : '',
+        ms: Date.now() - start,
+        cert
+      }));
+      res.on('error', (e) => resolve({ error: e.message }));
+    });
+    req.on('timeout', () => { req.destroy(); resolve({ timeout: true }); });
+    req.on('error', (e) => resolve({ error: e.message }));
+    req.end();
+  });
+}
+
+async function httpCheck(url, cfg) {
+  const c = cfg || {};
+  const start = Date.now();
+  let current = url;
+  let res;
+  let cert = null;
+  let redirects = 0;
+  for (;;) {
+    res = await requestOnce(current, c, start);
+    if (res.cert) cert = res.cert;
+    const isRedirect = res.statusCode >= 300 && res.statusCode < 400 && res.location;
+    if (!c.followRedirects || !isRedirect || redirects >= 5) break;
+    current = new URL(res.location, current).toString();
+    redirects += 1;
+  }
+
+  const ms = Date.now() - start;
+  if (res.timeout) return { status: 'down', latency: ms, packet_loss: 100, detail: { timeout: true } };
+  if (res.error) return { status: 'down', latency: ms, packet_loss: 100, detail: { error: res.error } };
+
+  const verdict = await evaluateHttpAssertions({ statusCode: res.statusCode, body: res.body, ms: res.ms }, c);
+  const detail = { statusCode: res.statusCode };
+  if (redirects) detail.redirects = redirects;
+  if (cert) detail.cert = cert;
+  if (verdict.failures.length) detail.assertions = verdict.failures;
+  return {
+    status: verdict.status,
+    latency: res.ms,
+    packet_loss: verdict.status === 'down' ? 100 : 0,
+    detail
+  };
+}
+
+function tcpCheck(host, port) {
+  const start = Date.now();
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    let done = false;
+    const finish = (ok, detail) => {
+      if (done) return;
+      done = true;
+      try { socket.destroy(); } catch (_) {}
+      resolve({ status: ok ? 'up' : 'down', latency: Date.now() - start, packet_loss: ok ? 0 : 100, detail: detail || {} });
+    };
+    socket.setTimeout(8000);
+    socket.once('connect', () => finish(true, { port }));
+    socket.once('timeout', () => finish(false, { port, timeout: true }));
+    socket.once('error', (e) => finish(false, { port, error: e.message }));
+    socket.connect(port, host);
+  });
+}
+
+// Parse `ping -c N` output (iputils and busybox formats).
+// Returns { transmitted, received, packet_loss, rtt_min, rtt_avg, rtt_max } (rtt in ms, may be null).
+function parsePingOutput(stdout) {
+  const text = String(stdout || '');
+  const out = { transmitted: null, received: null, packet_loss: null, rtt_min: null, rtt_avg: null, rtt_max: null };
+
+  const counts = text.match(/(\d+)\s+packets transmitted,\s+(\d+)\s+(?:packets )?received/);
+  if (counts) {
+    out.transmitted = Number(counts[1]);
+    out.received = Number(counts[2]);
+  }
+  const loss = text.match(/([\d.]+)%\s+packet loss/);
+  if (loss) out.packet_loss = Math.round(Number(loss[1]));
+  else if (out.transmitted) out.packet_loss = Math.round(((out.transmitted - out.received) / out.transmitted) * 100);
+
+  // iputils: "rtt min/avg/max/mdev = 0.045/0.060/0.077/0.010 ms"
+  // busybox: "round-trip min/avg/max = 0.045/0.060/0.077 ms"
+  const rtt = text.match(/min\/avg\/max(?:\/\w+)?\s*=\s*([\d.]+)\/([\d.]+)\/([\d.]+)/);
+  if (rtt) {
+    out.rtt_min = Number(rtt[1]);
+    out.rtt_avg = Number(rtt[2]);
+    out.rtt_max = Number(rtt[3]);
+  }
+  return out;
+}
+
+function normalizePingPackets(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 1) return 3;
+  return Math.min(20, Math.floor(n));
+}
+
+function runPing(host, packets) {
+  return new Promise((resolve) => {
+    // -i 0.2 keeps a 10 packet probe around 2s; -W is the per-reply wait.
+    const args = ['-c', String(packets), '-i', '0.2', '-W', '2', host];
+    execFile('ping', args, { timeout: 5000 + packets * 2000 }, (err, stdout, stderr) => {
+      resolve({ ok: !err, stdout: stdout || '', stderr: stderr || (err && err.message) || '' });
+    });
+  });
+}
+
+async function icmpCheck(host, packets) {
+  const count = normalizePingPackets(packets);
+  const p = await runPing(host, count);
+  const parsed = parsePingOutput(p.stdout);
+  const received = parsed.received == null ? (p.ok ? count : 0) : parsed.received;
+  const loss = parsed.packet_loss == null ? (received ? 0 : 100) : parsed.packet_loss;
+  const up = received > 0;
+  const detail = {
+    ping: up ? 'ok' : 'failed',
+    packets: count,
+    received,
+    rtt_min: parsed.rtt_min,
+    rtt_max: parsed.rtt_max
+  };
+  if (!up && p.stderr) detail.error = String(p.stderr).trim().slice(0, 200);
+  return {
+    status: up ? 'up' : 'down',
+    latency: parsed.rtt_avg == null ? null : Math.round(parsed.rtt_avg),
+    packet_loss: loss,
+    detail
+  };
+}
+
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'TXT'];
+
+function flattenDnsAnswers(recordType, answers) {
+  const list = Array.isArray(answers) ? answers : [];
+  if (recordType === 'MX') return list.map((x) => String(x.exchange || '').toLowerCase());
+  if (recordType === 'TXT') return list.map((x) => (Array.isArray(x) ? x.join('') : String(x)));
+  return list.map((x) => String(x).toLowerCase());
+}
+
+async function dnsCheck(device, cfg) {
+  const hostname = String(cfg.hostname || '').trim() || hostFromUrl(device.url) || device.ip;
+  const recordTypeRaw = String(cfg.recordType || 'A').trim().toUpperCase();
+  const recordType = DNS_RECORD_TYPES.includes(recordTypeRaw) ? recordTypeRaw : 'A';
+  const expected = String(cfg.expected || '').trim().toLowerCase();
+
+  const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+  if (cfg.server) {
+    try { resolver.setServers([String(cfg.server)]); } catch (_) {}
+  }
+
+  const start = Date.now();
+  try {
+    const answers = flattenDnsAnswers(recordType, await resolver.resolve(hostname, recordType));
+    const ms = Date.now() - start;
+    const matched = !expected || answers.some((a) => a === expected || a.includes(expected));
+    const detail = { hostname, recordType, answers: answers.slice(0, 10) };
+    if (!matched) detail.expected = expected;
+    return { status: matched ? 'up' : 'down', latency: ms, packet_loss: matched ? 0 : 100, detail };
+  } catch (e) {
+    return {
+      status: 'down',
+      latency: Date.now() - start,
+      packet_loss: 100,
+      detail: { hostname, recordType, error: e.code || e.message }
+    };
+  }
+}
+
+function tlsCertCheck(host, port, servername) {
+  const start = Date.now();
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (res) => {
+      if (done) return;
+      done = true;
+      try { socket.destroy(); } catch (_) {}
+      resolve(res);
+    };
+
+    const socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(servername) ? undefined : servername,
+      rejectUnauthorized: false,
+      timeout: 10000
+    }, () => {
+      const ms = Date.now() - start;
+      const cert = describePeerCertificate(socket.getPeerCertificate());
+      if (!cert) {
+        return finish({ status: 'down', latency: ms, packet_loss: 100, detail: { error: 'no peer certificate' } });
+      }
+      const expired = new Date(cert.valid_to).getTime() <= Date.now();
+      finish({
+        status: expired ? 'down' : 'up',
+        latency: ms,
+        packet_loss: expired ? 100 : 0,
+        detail: Object.assign(cert, { authorized: socket.authorized, expired })
+      });
+    });
+    socket.once('timeout', () => finish({ status: 'down', latency: Date.now() - start, packet_loss: 100, detail: { timeout: true } }));
+    socket.once('error', (e) => finish({ status: 'down', latency: Date.now() - start, packet_loss: 100, detail: { error: e.message } }));
+  });
+}
+
+const HEARTBEAT_DEFAULT_PERIOD_SECONDS = 24 * 60 * 60;
+const HEARTBEAT_DEFAULT_GRACE_SECONDS = 60 * 60;
+
+function toTime(v) {
+  if (!v) return null;
+  const t = new Date(v).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+// Heartbeat (push) monitor, from the ping columns the API writes (/api/heartbeat/:token):
+// - down when the last ping was /fail, when no success/fail ping arrived within periodSeconds +
+//   graceSeconds (counted from creation until the first ping), or when a /start was not followed
+//   by success/fail within graceSeconds
+// - 'unknown' while a new monitor waits for its first ping
+// The ping's kind and body are included in detail only the first time that ping is evaluated.
+function evaluateHeartbeat(device, cfg, now = new Date()) {
+  const period = Number(cfg.periodSeconds) || HEARTBEAT_DEFAULT_PERIOD_SECONDS;
+  const grace = cfg.graceSeconds == null ? HEARTBEAT_DEFAULT_GRACE_SECONDS : Number(cfg.graceSeconds) || 0;
+  const t = new Date(now).getTime();
+  const lastPing = toTime(device.last_ping_at);
+  const started = toTime(device.ping_started_at);
+  const lastCheck = toTime(device.last_check);
+  const running = started != null && (lastPing == null || started > lastPing);
+
+  const detail = { heartbeat: true, period_s: period, grace_s: grace };
+  if (lastPing != null) {
+    detail.last_ping_at = new Date(lastPing).toISOString();
+    detail.ping = device.last_ping_kind || 'success';
+  }
+  // received: the ping that triggered this evaluation, if any (with its log excerpt).
+  const isNew = (v) => v != null && (lastCheck == null || v > lastCheck);
+  if (running && isNew(started)) detail.received = 'start';
+  else if (isNew(lastPing)) detail.received = device.last_ping_kind || 'success';
+  if (detail.received && device.last_ping_body) detail.log = device.last_ping_body;
+
+  if (running) {
+    detail.started_at = new Date(started).toISOString();
+    if (t - started > grace * 1000) {
+      return { status: 'down', latency: null, detail: Object.assign(detail, { error: 'started but did not finish' }) };
+    }
+  }
+
+  if (lastPing == null) {
+    const since = toTime(device.created_at) ?? t;
+    if (running || t - since <= (period + grace) * 1000) {
+      return { status: running ? 'up' : 'unknown', latency: null, detail: Object.assign(detail, { waiting: !running }) };
+    }
+    return { status: 'down', latency: null, detail: Object.assign(detail, { error: 'no ping received' }) };
+  }
+
+  if (device.last_ping_kind === 'fail') {
+    return { status: 'down', latency: null, detail: Object.assign(detail, { error: 'job reported failure' }) };
+  }
+  const dueAt = lastPing + (period + grace) * 1000;
+  detail.due_at = new Date(dueAt).toISOString();
+  if (t > dueAt && !running) {
+    return { status: 'down', latency: null, detail: Object.assign(detail, { error: 'ping overdue' }) };
+  }
+  return { status: 'up', latency: null, detail };
+}
+
+function hostFromUrl(url) {
+  if (!url) return null;
+  try { return new URL(url).hostname || null; } catch (_) { return null; }
+}
+
+function buildHttpUrl(device, cfg) {
+  if (cfg.url) return String(cfg.url);
+  if (device.url) return device.url;
+  const port = device.port ? Number(device.port) : null;
+  const scheme = port === 443 ? 'https' : 'http';
+  return `${scheme}://${device.ip}${port && port !== 80 && port !== 443 ? `:${port}` : ''}/`;
+}
+
+async function autoCheck(device) {
+  // Prefer explicit URL
+  if (device.url) return httpCheck(device.url, getCheckConfig(device));
+
+  // Prefer port if present
+  if (device.port) return tcpCheck(device.ip, device.port);
+
+  // Try ping, fall back to tcp
+  try {
+    const r = await icmpCheck(device.ip, device.ping_packets);
+    if (r.status === 'up') return r;
+  } catch (_) {}
+
+  // fallback ports
+  const r1 = await tcpCheck(device.ip, 443);
+  if (r1.status === 'up') return r1;
+  const r2 = await tcpCheck(device.ip, 80);
+  return r2;
+}
+
+const registry = {
+  auto: (device) => autoCheck(device),
+  http: (device, cfg) => httpCheck(buildHttpUrl(device, cfg), cfg),
+  tcp: async (device, cfg) => {
+    const port = Number(cfg.port || device.port);
+    if (port) return tcpCheck(device.ip, port);
+    const r1 = await tcpCheck(device.ip, 443);
+    if (r1.status === 'up') return r1;
+    return tcpCheck(device.ip, 80);
+  },
+  icmp: (device, cfg) => icmpCheck(device.ip, cfg.packets || device.ping_packets),
+  dns: (device, cfg) => dnsCheck(device, cfg),
+  'tls-cert': (device, cfg) => {
+    const host = hostFromUrl(device.url) || device.ip;
+    const port = Number(cfg.port || device.port || 443);
+    return tlsCertCheck(host, port, String(cfg.servername || host));
+  },
+  heartbeat: async (device, cfg) => evaluateHeartbeat(device, cfg),
+  snmp: (device, cfg) => snmpCheck(device, cfg)
+};
+
+async function runDeviceCheck(device) {
+  const type = normalizeCheckType(device.check_type);
+  const result = await registry[type](device, getCheckConfig(device));
+  return Object.assign({}, result, { detail: Object.assign({ check_type: type }, result.detail || {}) });
+}
+
+module.exports = {
+  CHECK_TYPES,
+  DNS_RECORD_TYPES,
+  normalizeCheckType,
+  getCheckConfig,
+  parsePingOutput,
+  matchesExpectedStatus,
+  matchRegexes,
+  evaluateHttpAssertions,
+  httpCheck,
+  tcpCheck,
+  icmpCheck,
+  dnsCheck,
+  tlsCertCheck,
+  evaluateHeartbeat,
+  runDeviceCheck
+};
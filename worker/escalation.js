@@ -0,0 +1,69 @@
+// Escalation policies: multi-step notification chains for open incidents.
+// A project (store) points at a policy; each step fires once its afterMinutes has
+// elapsed since the incident started, unless the incident was acknowledged first.
+// incidents.escalation_step counts the steps already notified.
+
+const { resolveSmsRecipient, resolveEmailRecipients } = require('./recipients');
+
+function parseSteps(raw) {
+  let steps = raw;
+  if (typeof steps === 'string') {
+    try { steps = JSON.parse(steps); } catch (_) { steps = []; }
+  }
+  if (!Array.isArray(steps)) return [];
+  return steps
+    .filter((s) => s && ['email', 'sms'].includes(s.channel))
+    .map((s) => ({ afterMinutes: Math.max(0, Number(s.afterMinutes) || 0), channel: s.channel, to: s.to || null }))
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+}
+
+// Steps that are due and not yet notified, in order: [{ index, step }].
+function dueEscalationSteps(steps, incident, now = new Date()) {
+  if (!incident || incident.acknowledged_at || incident.ended_at) return [];
+  const startedMs = new Date(incident.started_at).getTime();
+  if (!Number.isFinite(startedMs)) return [];
+  const elapsedMinutes = (now.getTime() - startedMs) / 60000;
+  const done = Math.max(0, Number(incident.escalation_step) || 0);
+
+  const due = [];
+  for (let i = done; i < steps.length; i += 1) {
+    if (elapsedMinutes < steps[i].afterMinutes) break;
+    due.push({ index: i, step: steps[i] });
+  }
+  return due;
+}
+
+// A step without its own `to` goes to the project's normal recipients:
+// email alert recipients (or the account email), or the SMS number incl. per-store override.
+function resolveStepRecipients(step, { emailRules, smsRules, storeId, userEmail }) {
+  if (step.channel === 'email') {
+    if (step.to) return String(step.to).split(',').map((x) => x.trim()).filter(Boolean);
+    return resolveEmailRecipients(emailRules, userEmail);
+  }
+  return step.to ? String(step.to).trim() : resolveSmsRecipient(smsRules, storeId);
+}
+
+function buildEscalationMessage(incident, index, totalSteps) {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(incident.started_at).getTime()) / 60000));
+  const stepLabel = `step ${index + 1}/${totalSteps}`;
+  return {
+    subject: `Dashmon escalation (${stepLabel}): ${incident.device_name} is DOWN`,
+    text: [
+      `Device: ${incident.device_name}`,
+      `Project: ${incident.store_id}`,
+      `IP: ${incident.ip}`,
+      `Type: ${incident.type}`,
+      `Down since: ${new Date(incident.started_at).toISOString()} (${minutes} min)`,
+      incident.cause ? `Cause: ${incident.cause}` : null,
+      `Escalation: ${stepLabel}, not acknowledged`
+    ].filter(Boolean).join('\n'),
+    sms: `Dashmon ${stepLabel}: ${incident.device_name} (${incident.store_id}) DOWN ${minutes} min, unacknowledged`
+  };
+}
+
+module.exports = {
+  parseSteps,
+  dueEscalationSteps,
+  resolveStepRecipients,
+  buildEscalationMessage
+};
@@ -0,0 +1,47 @@
+// Flap damping: a device only flips to DOWN after N consecutive failed probes
+// and back to UP after M consecutive successful ones.
+// Thresholds come from the device (fail_threshold/recover_threshold) or the
+// owner's defaults (users.default_fail_threshold/default_recover_threshold).
+
+const MAX_THRESHOLD = 10;
+
+function resolveThreshold(deviceValue, userDefault, fallback) {
+  for (const v of [deviceValue, userDefault]) {
+    const n = Number(v);
+    if (v != null && Number.isInteger(n) && n >= 1) return Math.min(n, MAX_THRESHOLD);
+  }
+  return fallback;
+}
+
+function getThresholds(device) {
+  const d = device || {};
+  return {
+    failThreshold: resolveThreshold(d.fail_threshold, d.default_fail_threshold, 2),
+    recoverThreshold: resolveThreshold(d.recover_threshold, d.default_recover_threshold, 1)
+  };
+}
+
+// prevStatus: current devices.status; observed: raw probe result ('up' | 'warning' | 'down').
+// Returns { status, failures, successes, confirming }:
+// - status is what devices.status should become (and what alerts key off)
+// - confirming is true while a transition waits for confirmation (schedule a fast re-check)
+function applyFlapDamping({ prevStatus, observed, failures, successes, failThreshold, recoverThreshold }) {
+  const failN = Math.max(1, Number(failThreshold) || 1);
+  const recoverN = Math.max(1, Number(recoverThreshold) || 1);
+
+  if (observed === 'down') {
+    const f = (Number(failures) || 0) + 1;
+    if (prevStatus === 'down' || f >= failN) {
+      return { status: 'down', failures: f, successes: 0, confirming: false };
+    }
+    return { status: prevStatus || 'unknown', failures: f, successes: 0, confirming: true };
+  }
+
+  const s = (Number(successes) || 0) + 1;
+  if (prevStatus === 'down' && s < recoverN) {
+    return { status: 'down', failures: 0, successes: s, confirming: true };
+  }
+  return { status: observed, failures: 0, successes: s, confirming: false };
+}
+
+module.exports = { MAX_THRESHOLD, resolveThreshold, getThresholds, applyFlapDamping };
@@ -0,0 +1,46 @@
+// Worker heartbeats (worker_heartbeats), one row per worker process, upserted every loop.
+// The API reports them in /api/health and emails the operator when they stop.
+
+const { version } = require('./package.json');
+
+function getWorkerVersion() {
+  return String(process.env.WORKER_VERSION || version);
+}
+
+// stats: { devicesChecked, maxLagMs } since the previous heartbeat.
+async function recordHeartbeat(pool, workerId, startedAt, stats) {
+  await pool.query(
+    `INSERT INTO worker_heartbeats(worker_id, version, started_at, last_tick_at, devices_checked, max_lag_ms)
+     VALUES ($1,$2,$3,now(),$4,$5)
+     ON CONFLICT (worker_id)
+     DO UPDATE SET version=EXCLUDED.version, started_at=EXCLUDED.started_at, last_tick_at=now(),
+                   devices_checked=EXCLUDED.devices_checked, max_lag_ms=EXCLUDED.max_lag_ms`,
+    [workerId, getWorkerVersion(), startedAt, stats.devicesChecked || 0, stats.maxLagMs ?? null]
+  );
+}
+
+// Accumulates tick results between heartbeats.
+function createTickStats() {
+  let devicesChecked = 0;
+  let maxLagMs = null;
+  return {
+    add(result) {
+      if (!result) return;
+      devicesChecked += result.checked || 0;
+      if (result.lag?.count) maxLagMs = Math.max(maxLagMs ?? 0, result.lag.maxMs);
+    },
+    // Returns the totals so far and starts over.
+    take() {
+      const out = { devicesChecked, maxLagMs };
+      devicesChecked = 0;
+      maxLagMs = null;
+      return out;
+    }
+  };
+}
+
+module.exports = {
+  getWorkerVersion,
+  recordHeartbeat,
+  createTickStats
+};
@@ -0,0 +1,54 @@
+// Incident records: the worker opens one on a transition into DOWN and closes it
+// when the device leaves DOWN. A partial unique index keeps one open incident per device.
+
+// 'open' | 'close' | null for a devices.status transition.
+function incidentTransition(prevStatus, newStatus) {
+  if (newStatus === 'down' && prevStatus !== 'down') return 'open';
+  if (prevStatus === 'down' && newStatus !== 'down') return 'close';
+  return null;
+}
+
+// Short human-readable cause from the failing check's detail.
+function summarizeCause(detail) {
+  const d = detail || {};
+  if (Array.isArray(d.assertions) && d.assertions.length) return d.assertions.join('; ').slice(0, 500);
+  if (d.timeout) return 'timeout';
+  if (d.error) return String(d.error).slice(0, 500);
+  if (d.expired) return 'certificate expired';
+  if (d.statusCode) return `HTTP ${d.statusCode}`;
+  if (d.ping === 'failed') return 'no ping replies';
+  return null;
+}
+
+async function openIncident(pool, device, detail) {
+  await pool.query(
+    `INSERT INTO incidents(user_id, device_id, store_id, cause)
+     VALUES ($1,$2,$3,$4)
+     ON CONFLICT (device_id) WHERE ended_at IS NULL DO NOTHING`,
+    [device.user_id, device.id, device.store_id, summarizeCause(detail)]
+  );
+}
+
+async function closeIncident(pool, device) {
+  await pool.query(
+    `UPDATE incidents
+     SET ended_at=now(), duration_seconds=GREATEST(0, EXTRACT(EPOCH FROM (now() - started_at)))::int
+     WHERE device_id=$1 AND ended_at IS NULL`,
+    [device.id]
+  );
+}
+
+async function recordIncidentTransition(pool, device, prevStatus, newStatus, detail) {
+  const action = incidentTransition(prevStatus, newStatus);
+  if (action === 'open') await openIncident(pool, device, detail);
+  else if (action === 'close') await closeIncident(pool, device);
+  return action;
+}
+
+module.exports = {
+  incidentTransition,
+  summarizeCause,
+  openIncident,
+  closeIncident,
+  recordIncidentTransition
+};
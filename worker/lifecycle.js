@@ -0,0 +1,175 @@
+// Scheduled plan lifecycle (runs on one worker every few minutes). Downgrades used to happen only
+// lazily, so their side effects never ran. Each pass:
+// - moves users whose plan column still says premium but who are no longer effectively premium
+//   (demo or PayPal period over, premium_until passed, subscription cancelled) to free, and reverts
+//   premium-only settings: check intervals back to the free interval, SMS/chat/webhook alerts off,
+//   alert routing rules off and escalation policies detached from projects (their targets and steps
+//   send SMS/chat whatever the per-channel switches say), timezone display back to UTC
+// - expires bank transfer requests still pending after BANK_TRANSFER_EXPIRE_DAYS (default 14) and
+//   clears the user's pending state
+// - emails the user about each change
+// Every change is a guarded UPDATE ... RETURNING, so a user is notified once even if passes overlap.
+const { EFFECTIVE_PREMIUM_SQL, FREE_PING_INTERVAL_SECONDS, PREMIUM_ALERT_TYPES } = require('./plans');
+
+function getBankTransferExpireDays(env = process.env) {
+  const n = Number(env.BANK_TRANSFER_EXPIRE_DAYS || 14);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 14;
+}
+
+// 'demo_expired' | 'subscription_ended' | 'premium_expired' for a premium user being downgraded.
+function downgradeReason(user) {
+  const source = String(user.plan_source || '').trim().toLowerCase();
+  if (source === 'demo') return 'demo_expired';
+  if (source === 'paypal' || user.paypal_subscription_id) return 'subscription_ended';
+  return 'premium_expired';
+}
+
+// { subject, text } of the email for one lifecycle change.
+function buildLifecycleNotice(event) {
+  if (event.type === 'bank_transfer_expired') {
+    return {
+      subject: 'Dashmon: your bank transfer request has expired',
+      text: [
+        `We did not receive the bank transfer with reference ${event.reference} within ${event.expireDays} days, so the request has expired.`,
+        'Your account stays on the Free plan. You can start a new upgrade from the Pricing page at any time.'
+      ].join('\n')
+    };
+  }
+
+  const headline = {
+    demo_expired: 'Your Dashmon Premium demo has ended',
+    subscription_ended: 'Your Dashmon Premium subscription has ended',
+    premium_expired: 'Your Dashmon Premium plan has expired'
+  }[event.type];
+  const changes = ['Your account is now on the Free plan:'];
+  if (event.devicesSlowed) {
+    changes.push(`- ${event.devicesSlowed} device(s) are now checked every ${FREE_PING_INTERVAL_SECONDS / 3600} hours`);
+  }
+  if (event.alertsDisabled.length) {
+    changes.push(`- ${event.alertsDisabled.join(', ')} alerts are turned off (email alerts continue)`);
+  }
+  if (event.routesDisabled) {
+    changes.push(`- ${event.routesDisabled} alert routing rule(s) are turned off`);
+  }
+  if (event.escalationsDetached) {
+    changes.push(`- Escalation policies no longer apply to ${event.escalationsDetached} project(s)`);
+  }
+  if (event.timezoneReset) changes.push('- Times are shown in UTC');
+  changes.push('', 'Upgrade again from the Pricing page to restore Premium features; your check history is kept for a grace period.');
+  return { subject: headline, text: changes.join('\n') };
+}
+
+// Downgrades one user and reverts premium-only settings in a transaction. Returns the event, or
+// null when the user is no longer due (already downgraded or renewed in the meantime).
+async function downgradeUser(pool, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT u.id, u.email, u.plan_source, u.paypal_subscription_id, u.timezone
+       FROM users u
+       WHERE u.id = $1 AND lower(trim(u.plan)) = 'premium' AND NOT ${EFFECTIVE_PREMIUM_SQL}
+       FOR UPDATE`,
+      [userId]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const user = rows[0];
+    await client.query(
+      `UPDATE users SET plan='free', plan_status='active', plan_source=NULL, premium_until=NULL,
+                        paypal_subscription_id=NULL, timezone=NULL
+       WHERE id=$1`,
+      [userId]
+    );
+    const devices = await client.query(
+      'UPDATE devices SET ping_interval=$2 WHERE user_id=$1 AND ping_interval < $2',
+      [userId, FREE_PING_INTERVAL_SECONDS]
+    );
+    const alerts = await client.query(
+      'UPDATE alerts SET enabled=false WHERE user_id=$1 AND type = ANY($2::text[]) AND enabled=true RETURNING type',
+      [userId, PREMIUM_ALERT_TYPES]
+    );
+    const routes = await client.query(
+      'UPDATE alert_routes SET enabled=false, updated_at=now() WHERE user_id=$1 AND enabled=true',
+      [userId]
+    );
+    // Policies are kept so they can be reattached after upgrading again
+    const projects = await client.query(
+      'UPDATE stores SET escalation_policy_id=NULL WHERE user_id=$1 AND escalation_policy_id IS NOT NULL',
+      [userId]
+    );
+    await client.query('COMMIT');
+    return {
+      type: downgradeReason(user),
+      userId,
+      email: user.email,
+      devicesSlowed: devices.rowCount || 0,
+      alertsDisabled: alerts.rows.map((r) => r.type),
+      routesDisabled: routes.rowCount || 0,
+      escalationsDetached: projects.rowCount || 0,
+      timezoneReset: !!user.timezone
+    };
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Expires pending bank transfer requests older than expireDays; returns one event per request.
+async function expireBankTransfers(pool, expireDays) {
+  const { rows } = await pool.query(
+    `UPDATE bank_transfer_requests
+     SET status='expired', updated_at=now()
+     WHERE status='pending' AND created_at < now() - ($1 * interval '1 day')
+     RETURNING user_id, reference_code`,
+    [expireDays]
+  );
+  const events = [];
+  for (const r of rows) {
+    const { rows: users } = await pool.query(
+      `UPDATE users SET plan_status='active', bank_transfer_reference=NULL, pending_since=NULL
+       WHERE id=$1 AND bank_transfer_reference=$2
+       RETURNING email`,
+      [r.user_id, r.reference_code]
+    );
+    const email = users[0]?.email || (await pool.query('SELECT email FROM users WHERE id=$1', [r.user_id])).rows[0]?.email;
+    events.push({ type: 'bank_transfer_expired', userId: r.user_id, email, reference: r.reference_code, expireDays });
+  }
+  return events;
+}
+
+// One lifecycle pass. notify({ email, subject, text }) sends the user email; a failed notification
+// is logged and does not undo the change. Returns the events.
+async function runPlanLifecycle(pool, notify, env = process.env) {
+  const { rows: due } = await pool.query(
+    `SELECT u.id FROM users u WHERE lower(trim(u.plan)) = 'premium' AND NOT ${EFFECTIVE_PREMIUM_SQL}`
+  );
+  const events = [];
+  for (const { id } of due) {
+    const event = await downgradeUser(pool, id);
+    if (event) events.push(event);
+  }
+  events.push(...(await expireBankTransfers(pool, getBankTransferExpireDays(env))));
+
+  for (const event of events) {
+    console.log(`[LIFECYCLE] ${event.type} user=${event.userId}`);
+    if (!event.email) continue;
+    try {
+      await notify(Object.assign({ email: event.email }, buildLifecycleNotice(event)));
+    } catch (e) {
+      console.error(`[LIFECYCLE] notification failed: user=${event.userId} err=${e?.message || e}`);
+    }
+  }
+  return events;
+}
+
+module.exports = {
+  getBankTransferExpireDays,
+  downgradeReason,
+  buildLifecycleNotice,
+  runPlanLifecycle
+};
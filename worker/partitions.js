@@ -0,0 +1,77 @@
+// device_history is partitioned by UTC month (device_history_pYYYY_MM, created by the SQL function
+// create_device_history_partition() from server/migrations/003). The retention job keeps partitions
+// HISTORY_PARTITIONS_AHEAD months ahead of now and drops a month once all of it is older than the
+// longest retention, so raw history is removed without row-by-row deletes. Rows outside every month
+// partition land in device_history_default (server/migrations/006); its expired rows are deleted.
+
+const HISTORY_PARTITIONS_AHEAD = 2;
+const DEFAULT_PARTITION = 'device_history_default';
+const PARTITION_RE = /^device_history_p(\d{4})_(\d{2})$/;
+
+function monthStart(date, offsetMonths = 0) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offsetMonths, 1));
+}
+
+function partitionName(date) {
+  const m = monthStart(date);
+  return `device_history_p${m.getUTCFullYear()}_${String(m.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// { name, from, to } for a partition name, null for anything else.
+function parsePartition(name) {
+  const m = PARTITION_RE.exec(String(name));
+  if (!m) return null;
+  const from = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, 1));
+  return { name, from, to: monthStart(from, 1) };
+}
+
+// Partitions whose whole month lies before cutoff, oldest first.
+function expiredPartitions(names, cutoff) {
+  return names
+    .map(parsePartition)
+    .filter((p) => p && p.to <= cutoff)
+    .sort((a, b) => a.from - b.from)
+    .map((p) => p.name);
+}
+
+async function ensureHistoryPartitions(pool, now = new Date()) {
+  for (let i = 0; i <= HISTORY_PARTITIONS_AHEAD; i += 1) {
+    await pool.query('SELECT create_device_history_partition($1::date)', [monthStart(now, i).toISOString().slice(0, 10)]);
+  }
+}
+
+async function listHistoryPartitions(pool) {
+  const { rows } = await pool.query(
+    `SELECT c.relname AS name
+     FROM pg_inherits i
+     JOIN pg_class c ON c.oid = i.inhrelid
+     WHERE i.inhparent = 'device_history'::regclass`
+  );
+  return rows.map((r) => r.name);
+}
+
+// Drops the partitions entirely older than maxDays, and the default partition's rows older than
+// that; returns the dropped partition names.
+async function dropExpiredPartitions(pool, maxDays, now = new Date()) {
+  const cutoff = new Date(now.getTime() - maxDays * 24 * 60 * 60 * 1000);
+  const names = await listHistoryPartitions(pool);
+  const expired = expiredPartitions(names, cutoff);
+  for (const name of expired) {
+    await pool.query(`DROP TABLE IF EXISTS "${name}"`);
+  }
+  if (names.includes(DEFAULT_PARTITION)) {
+    await pool.query(`DELETE FROM ${DEFAULT_PARTITION} WHERE timestamp < $1`, [cutoff]);
+  }
+  return expired;
+}
+
+module.exports = {
+  HISTORY_PARTITIONS_AHEAD,
+  DEFAULT_PARTITION,
+  partitionName,
+  parsePartition,
+  expiredPartitions,
+  ensureHistoryPartitions,
+  dropExpiredPartitions
+};
@@ -0,0 +1,39 @@
+// Plan rules the worker applies on its own, matching the app (server/plan-limits.js): a user is
+// premium while plan is 'premium', plan_status is 'active' and premium_until has not passed.
+
+// SQL condition on users aliased `u`.
+const EFFECTIVE_PREMIUM_SQL = `(lower(trim(u.plan)) = 'premium'
+  AND lower(trim(COALESCE(u.plan_status, 'active'))) = 'active'
+  AND (u.premium_until IS NULL OR u.premium_until > now()))`;
+
+// Shortest check interval per plan and the longest on any plan, in seconds (server/plan-limits.js).
+const FREE_PING_INTERVAL_SECONDS = 7200;
+const PREMIUM_PING_INTERVAL_SECONDS = 900;
+const MAX_PING_INTERVAL_SECONDS = 86400;
+
+// Heartbeat monitors probe nothing and every ping wakes the worker, so they are evaluated when the
+// next ping is overdue instead of on the plan interval: periodSeconds + graceSeconds after the last
+// evaluation, or graceSeconds (at least a minute) while a /start is waiting for its /success.
+// Defaults match checks.js.
+const HEARTBEAT_INTERVAL_SQL = `CASE WHEN d.ping_started_at > COALESCE(d.last_ping_at, '-infinity')
+    THEN GREATEST(COALESCE((d.check_config->>'graceSeconds')::int, 3600), 60)
+    ELSE COALESCE((d.check_config->>'periodSeconds')::int, 86400) + COALESCE((d.check_config->>'graceSeconds')::int, 3600) END`;
+
+// The interval the worker schedules device `d` of owner `u` at: devices.ping_interval clamped to the
+// owner's current effective plan, so a stored premium interval stops applying after a downgrade.
+const EFFECTIVE_PING_INTERVAL_SQL = `(CASE WHEN d.check_type = 'heartbeat' THEN ${HEARTBEAT_INTERVAL_SQL}
+  ELSE LEAST(GREATEST(d.ping_interval,
+  CASE WHEN ${EFFECTIVE_PREMIUM_SQL} THEN ${PREMIUM_PING_INTERVAL_SECONDS} ELSE ${FREE_PING_INTERVAL_SECONDS} END),
+  ${MAX_PING_INTERVAL_SECONDS}) END)`;
+
+// alerts.type values only premium users can configure (email stays on every plan).
+const PREMIUM_ALERT_TYPES = ['sms', 'slack', 'teams', 'discord', 'webhook'];
+
+module.exports = {
+  EFFECTIVE_PREMIUM_SQL,
+  FREE_PING_INTERVAL_SECONDS,
+  PREMIUM_PING_INTERVAL_SECONDS,
+  MAX_PING_INTERVAL_SECONDS,
+  EFFECTIVE_PING_INTERVAL_SQL,
+  PREMIUM_ALERT_TYPES
+};
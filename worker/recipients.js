@@ -0,0 +1,25 @@
+// Alert recipient resolution (shared by the plain email/SMS alerts and escalation steps)
+
+function isValidE164(v) {
+  return /^\+\d{8,15}$/.test(String(v || '').trim());
+}
+
+function resolveSmsRecipient(rules, storeId) {
+  const r = rules || {};
+  const overrides = (r.storeOverrides && typeof r.storeOverrides === 'object') ? r.storeOverrides : {};
+  const ov = overrides[storeId];
+  if (ov && typeof ov === 'object' && ov.enabled) {
+    const ovTo = String(ov.to || '').trim();
+    if (ovTo) return ovTo;
+  }
+  return String(r.to || '').trim();
+}
+
+// recipients from rules JSON: {"to":["a@b.com"],"from":"..."}; fallback to user email
+function resolveEmailRecipients(rules, userEmail) {
+  const r = rules || {};
+  if (Array.isArray(r.to) && r.to.length) return r.to;
+  return userEmail ? [userEmail] : [];
+}
+
+module.exports = { isValidE164, resolveSmsRecipient, resolveEmailRecipients };
@@ -0,0 +1,72 @@
+// Raw device_history retention per user, following the effective plan the app uses everywhere
+// (server/plan-limits.js: plan 'premium', plan_status 'active', premium_until not passed), so lapsed
+// demos and cancelled subscriptions fall back to free retention. server/retention.js shows the same
+// rules in the account view:
+// - users.history_days_override (admin API) wins
+// - effective premium keeps PREMIUM_HISTORY_DAYS (default 90), free FREE_HISTORY_DAYS (default 7)
+// - after a downgrade premium retention holds for RETENTION_GRACE_DAYS (default 14) from
+//   users.premium_seen_at, which each run stamps on effective premium users
+// Whole months past the longest retention are dropped as partitions (partitions.js); shorter
+// retentions delete rows, only within the months that are kept.
+const { ensureHistoryPartitions, dropExpiredPartitions } = require('./partitions');
+const { EFFECTIVE_PREMIUM_SQL } = require('./plans');
+
+// Days of history kept for user u; $1 free days, $2 premium days, $3 grace days.
+const USER_RETENTION_DAYS_SQL = `COALESCE(
+  u.history_days_override,
+  CASE WHEN ${EFFECTIVE_PREMIUM_SQL} OR u.premium_seen_at > now() - ($3 * interval '1 day') THEN $2 ELSE $1 END
+)`;
+
+function parseDays(value, fallback, min = 1) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isFinite(n) && n >= min ? Math.floor(n) : fallback;
+}
+
+function getRetentionSettings(env = process.env) {
+  return {
+    freeDays: parseDays(env.FREE_HISTORY_DAYS, 7),
+    premiumDays: parseDays(env.PREMIUM_HISTORY_DAYS, 90),
+    graceDays: parseDays(env.RETENTION_GRACE_DAYS, 14, 0)
+  };
+}
+
+// { minDays, maxDays } over the plan defaults and every admin override.
+function retentionBounds(settings, overrides = {}) {
+  const days = [settings.freeDays, settings.premiumDays];
+  if (overrides.min != null) days.push(Number(overrides.min));
+  if (overrides.max != null) days.push(Number(overrides.max));
+  return { minDays: Math.min(...days), maxDays: Math.max(...days) };
+}
+
+// One retention pass; returns { dropped: [partition names], deleted: row count }.
+async function applyHistoryRetention(pool, settings = getRetentionSettings()) {
+  await pool.query(`UPDATE users u SET premium_seen_at = now() WHERE ${EFFECTIVE_PREMIUM_SQL}`);
+
+  const { rows } = await pool.query(
+    'SELECT min(history_days_override) AS min, max(history_days_override) AS max FROM users'
+  );
+  const { minDays, maxDays } = retentionBounds(settings, rows[0] || {});
+
+  await ensureHistoryPartitions(pool);
+  const dropped = await dropExpiredPartitions(pool, maxDays);
+  if (minDays >= maxDays) return { dropped, deleted: 0 };
+
+  // Rows newer than the shortest retention never expire; older ones go by their owner's retention.
+  const result = await pool.query(
+    `DELETE FROM device_history h
+     USING devices d, users u
+     WHERE h.device_id = d.id
+       AND d.user_id = u.id
+       AND h.timestamp >= date_trunc('month', now() - ($4 * interval '1 day'), 'UTC')
+       AND h.timestamp < now() - ($5 * interval '1 day')
+       AND h.timestamp < now() - (${USER_RETENTION_DAYS_SQL} * interval '1 day')`,
+    [settings.freeDays, settings.premiumDays, settings.graceDays, maxDays, minDays]
+  );
+  return { dropped, deleted: result.rowCount || 0 };
+}
+
+module.exports = {
+  getRetentionSettings,
+  retentionBounds,
+  applyHistoryRetention
+};
@@ -0,0 +1,100 @@
+// Hourly and daily rollups of device_history (device_history_hourly / device_history_daily), so
+// reports and charts over more than 24h do not scan raw rows and can outlive raw retention.
+// Each run re-aggregates from one hour before the newest hourly bucket (late probe-agent results
+// land in the previous hour), skipping ahead over gaps without samples, up to now and at most
+// ROLLUP_CHUNK_HOURS at a time so the first run on an existing database backfills gradually.
+// Buckets are UTC hours / days.
+
+const HOUR_MS = 60 * 60 * 1000;
+const ROLLUP_CHUNK_HOURS = 48;
+const ROLLUP_UNITS = { hour: 'device_history_hourly', day: 'device_history_daily' };
+
+function truncateUtc(date, unit) {
+  const d = new Date(date);
+  if (unit === 'day') return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  return new Date(Math.floor(d.getTime() / HOUR_MS) * HOUR_MS);
+}
+
+// Where the next pass starts looking for samples (null: from the oldest one).
+function rollupStart(lastBucket) {
+  return lastBucket ? new Date(truncateUtc(lastBucket, 'hour').getTime() - HOUR_MS) : null;
+}
+
+// The [from, to) range of raw rows to (re-)aggregate, or null when there is nothing to do.
+// firstSample: the oldest sample at or after rollupStart().
+function rollupWindow(lastBucket, firstSample, now) {
+  if (!firstSample) return null;
+  const start = rollupStart(lastBucket);
+  const from = start && start > new Date(firstSample) ? start : truncateUtc(firstSample, 'hour');
+  const to = new Date(Math.min(now.getTime(), from.getTime() + ROLLUP_CHUNK_HOURS * HOUR_MS));
+  return to > from ? { from, to } : null;
+}
+
+// Upserts the buckets of `unit` that start in [$1, $2). Downtime is the time from the previous
+// sample to each down sample (as in the analytics endpoint); the previous sample may lie up to an
+// hour before the range. Latency stats cover every sample with a latency (up and warning).
+function rollupSql(unit) {
+  const table = ROLLUP_UNITS[unit];
+  if (!table) throw new Error(`Unknown rollup unit: ${unit}`);
+  return `
+    INSERT INTO ${table}(device_id, bucket, samples, up_samples, down_samples, outages, latency_samples,
+                         latency_min, latency_avg, latency_max, latency_p95, downtime_seconds)
+    SELECT device_id,
+           date_trunc('${unit}', ts) AS bucket,
+           COUNT(*)::int,
+           COUNT(*) FILTER (WHERE status = 'up')::int,
+           COUNT(*) FILTER (WHERE status = 'down')::int,
+           COUNT(*) FILTER (WHERE status = 'down' AND prev_status IS NOT NULL AND prev_status <> 'down')::int,
+           COUNT(latency)::int,
+           MIN(latency),
+           AVG(latency),
+           MAX(latency),
+           percentile_cont(0.95) WITHIN GROUP (ORDER BY latency),
+           COALESCE(SUM(EXTRACT(EPOCH FROM ts - prev_ts)) FILTER (WHERE status = 'down'), 0)::int
+    FROM (
+      SELECT device_id, status, latency, timestamp AS ts,
+             LAG(status) OVER w AS prev_status,
+             LAG(timestamp) OVER w AS prev_ts
+      FROM device_history
+      WHERE timestamp >= $1::timestamptz - interval '1 hour' AND timestamp < $2
+      WINDOW w AS (PARTITION BY device_id ORDER BY timestamp)
+    ) h
+    WHERE ts >= $1
+    GROUP BY device_id, bucket
+    ON CONFLICT (device_id, bucket) DO UPDATE SET
+      samples = EXCLUDED.samples,
+      up_samples = EXCLUDED.up_samples,
+      down_samples = EXCLUDED.down_samples,
+      outages = EXCLUDED.outages,
+      latency_samples = EXCLUDED.latency_samples,
+      latency_min = EXCLUDED.latency_min,
+      latency_avg = EXCLUDED.latency_avg,
+      latency_max = EXCLUDED.latency_max,
+      latency_p95 = EXCLUDED.latency_p95,
+      downtime_seconds = EXCLUDED.downtime_seconds`;
+}
+
+// One rollup pass; returns the { from, to } it covered (null when there was nothing to do).
+async function rollupHistory(pool, now = new Date()) {
+  const { rows: last } = await pool.query('SELECT max(bucket) AS bucket FROM device_history_hourly');
+  const lastBucket = last[0]?.bucket || null;
+  const { rows: first } = await pool.query(
+    `SELECT min(timestamp) AS ts FROM device_history WHERE timestamp >= COALESCE($1::timestamptz, '-infinity')`,
+    [rollupStart(lastBucket)]
+  );
+  const window = rollupWindow(lastBucket, first[0]?.ts || null, now);
+  if (!window) return null;
+
+  await pool.query(rollupSql('hour'), [window.from, window.to]);
+  // Days are re-aggregated from their start so a day touched by this window is complete.
+  await pool.query(rollupSql('day'), [truncateUtc(window.from, 'day'), window.to]);
+  return window;
+}
+
+module.exports = {
+  ROLLUP_CHUNK_HOURS,
+  truncateUtc,
+  rollupWindow,
+  rollupSql,
+  rollupHistory
+};
@@ -0,0 +1,108 @@
+// Alert routing rules (alert_routes): each enabled rule matches on project, device type,
+// transition and time of day (in the owner's timezone) and routes to channel targets.
+// Rules are evaluated in position order; a rule with stop=true ends evaluation.
+// When no rule matches, the worker falls back to the per-channel alert config rows.
+
+const ROUTE_CHANNELS = ['email', 'sms', 'slack', 'teams', 'discord', 'webhook'];
+const ROUTE_TRANSITIONS = ['down', 'up', 'cert_expiring'];
+
+function asList(v) {
+  return Array.isArray(v) ? v.map((x) => String(x)) : [];
+}
+
+function parseRoute(row) {
+  const match = row.match || {};
+  const targets = (Array.isArray(row.targets) ? row.targets : [])
+    .filter((t) => t && ROUTE_CHANNELS.includes(t.channel))
+    .map((t) => ({ channel: t.channel, to: t.to ? String(t.to).trim() : null }));
+  return {
+    id: row.id,
+    name: row.name,
+    stop: !!row.stop,
+    projectIds: asList(match.projectIds),
+    deviceTypes: asList(match.deviceTypes).map((x) => x.toLowerCase()),
+    transitions: asList(match.transitions),
+    timeWindow: match.timeWindow || null,
+    targets
+  };
+}
+
+// 'down' | 'up' | event type (e.g. 'cert_expiring') for the alert being dispatched.
+function transitionOf(newStatus, event) {
+  return event ? event.type : newStatus;
+}
+
+function minutesOf(hhmm) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(hhmm || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// Local weekday (0 = Sunday) and minute of day of `now` in timeZone (UTC when unset/invalid).
+function localClock(now, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now);
+  } catch (_) {
+    return localClock(now, 'UTC');
+  }
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return { day: days.indexOf(get('weekday')), minute: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+// window: { start: 'HH:MM', end: 'HH:MM', days?: [0..6] }; end < start wraps past midnight
+// (the overnight part counts towards the day the window started).
+function inTimeWindow(window, now, timeZone) {
+  if (!window) return true;
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+  if (start == null || end == null) return true;
+  const { day, minute } = localClock(now, timeZone);
+  const days = Array.isArray(window.days) && window.days.length ? window.days.map(Number) : null;
+
+  if (start <= end) {
+    return minute >= start && minute < end && (!days || days.includes(day));
+  }
+  if (minute >= start) return !days || days.includes(day);
+  if (minute < end) return !days || days.includes((day + 6) % 7);
+  return false;
+}
+
+// ctx: { storeId, deviceType, transition, now, timeZone }
+function matchRoute(route, ctx) {
+  if (route.projectIds.length && !route.projectIds.includes(String(ctx.storeId))) return false;
+  if (route.deviceTypes.length && !route.deviceTypes.includes(String(ctx.deviceType || '').toLowerCase())) return false;
+  if (route.transitions.length && !route.transitions.includes(ctx.transition)) return false;
+  return inTimeWindow(route.timeWindow, ctx.now || new Date(), ctx.timeZone);
+}
+
+// Returns { matched, targets } with targets de-duplicated by channel + to.
+function resolveRouteTargets(routes, ctx) {
+  const targets = [];
+  const seen = new Set();
+  let matched = false;
+  for (const route of routes) {
+    if (!matchRoute(route, ctx)) continue;
+    matched = true;
+    for (const t of route.targets) {
+      const key = `${t.channel}|${t.to || ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      targets.push(t);
+    }
+    if (route.stop) break;
+  }
+  return { matched, targets };
+}
+
+module.exports = {
+  ROUTE_CHANNELS,
+  ROUTE_TRANSITIONS,
+  parseRoute,
+  transitionOf,
+  inTimeWindow,
+  matchRoute,
+  resolveRouteTargets
+};
@@ -0,0 +1,162 @@
+// Device scheduling across worker processes.
+// Due devices are leased with FOR UPDATE SKIP LOCKED: each worker claims a batch by writing
+// lease_owner / lease_expires_at, so concurrent workers never check the same device. A lease is
+// cleared when the result is written and expires on its own if the worker dies mid-check.
+// Scheduling lag = how long after its due time (last_check + effective interval) a device was leased.
+
+const os = require('os');
+const { EFFECTIVE_PREMIUM_SQL, EFFECTIVE_PING_INTERVAL_SQL } = require('./plans');
+
+function envInt(name, fallback, min, max) {
+  const n = Number(process.env[name]);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(Math.floor(n), min), max);
+}
+
+function getWorkerId() {
+  return String(process.env.WORKER_ID || `${os.hostname()}-${process.pid}`);
+}
+
+// Must exceed the slowest check (HTTP/TCP timeouts are 15s; ICMP sends several packets).
+function getLeaseSeconds() {
+  return envInt('CHECK_LEASE_SECONDS', 120, 30, 3600);
+}
+
+function getCheckConcurrency() {
+  return envInt('CHECK_CONCURRENCY', 10, 1, 100);
+}
+
+function getLagWarnMs() {
+  return envInt('SCHEDULING_LAG_WARN_MS', 30000, 0, 24 * 60 * 60 * 1000);
+}
+
+// Leases up to `limit` due devices (or, with deviceIds, those devices whatever their schedule).
+// Devices checked by a remote probe agent (probe = 'agent') are never leased. A device is due once
+// its interval, clamped to the owner's effective plan (plans.js), has passed. When more devices are
+// due than one batch takes, devices of premium owners are leased first, then the longest waiting.
+// Returns [{ id, lag_ms }]; lag_ms is null for wakeup leases, which are not scheduled checks.
+async function leaseDevices(pool, { workerId, leaseSeconds, limit = 100, deviceIds = null }) {
+  const where = deviceIds
+    ? 'd.id::text = ANY($4::text[])'
+    : `(d.last_check IS NULL OR d.last_check <= now() - (${EFFECTIVE_PING_INTERVAL_SQL} * interval '1 second'))`;
+  const params = [workerId, leaseSeconds, limit];
+  if (deviceIds) params.push(deviceIds);
+
+  const { rows } = await pool.query(
+    `WITH claim AS (
+       SELECT d.id, ${EFFECTIVE_PING_INTERVAL_SQL} AS effective_interval
+       FROM devices d
+       JOIN users u ON u.id = d.user_id
+       WHERE ${where}
+         AND d.probe = 'worker'
+         AND (d.lease_expires_at IS NULL OR d.lease_expires_at < now())
+       ORDER BY ${EFFECTIVE_PREMIUM_SQL} DESC, COALESCE(d.last_check, to_timestamp(0)) ASC
+       LIMIT $3
+       FOR UPDATE OF d SKIP LOCKED
+     )
+     UPDATE devices d
+     SET lease_owner = $1, lease_expires_at = now() + ($2::int * interval '1 second')
+     FROM claim
+     WHERE d.id = claim.id
+     RETURNING d.id, ${deviceIds ? 'NULL::bigint' : `GREATEST(0, FLOOR(EXTRACT(EPOCH FROM now() - COALESCE(d.last_check + (claim.effective_interval * interval '1 second'), d.created_at)) * 1000))::bigint`} AS lag_ms`,
+    params
+  );
+  return rows.map((r) => ({ id: r.id, lag_ms: r.lag_ms == null ? null : Number(r.lag_ms) }));
+}
+
+async function releaseLease(pool, deviceId, workerId) {
+  await pool.query(
+    'UPDATE devices SET lease_owner=NULL, lease_expires_at=NULL WHERE id=$1 AND lease_owner=$2',
+    [deviceId, workerId]
+  );
+}
+
+// Runs fn over items with at most `limit` in flight. fn is expected to handle its own errors.
+async function runWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await fn(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+// Runs fn only if no other worker is running the job `name` (session advisory lock on a dedicated
+// client). Used for the once-per-loop jobs (escalations, digests, webhook delivery, retention) that
+// would double-send if every worker ran them. Returns false when another worker holds the lock.
+async function runExclusive(pool, name, fn) {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`dashmon:${name}`]);
+    if (!rows[0]?.locked) return false;
+    try {
+      await fn();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`dashmon:${name}`]);
+    }
+    return true;
+  } finally {
+    client.release();
+  }
+}
+
+// Runs fn every intervalMs on its own async loop (a run never overlaps the previous one), so jobs
+// that talk to slow third parties (SMTP, SMS, chat, webhook receivers) never hold up device checks.
+// Errors are logged and the loop carries on. stop() resolves once the current run has finished.
+function startJobLoop(name, intervalMs, fn) {
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+  const done = (async () => {
+    while (!stopped) {
+      const startedAt = Date.now();
+      try {
+        await fn();
+      } catch (e) {
+        console.error(`worker ${name} error:`, e);
+      }
+      if (stopped) break;
+      await new Promise((resolve) => {
+        wake = resolve;
+        timer = setTimeout(resolve, Math.max(0, intervalMs - (Date.now() - startedAt)));
+      });
+    }
+  })();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (wake) wake();
+      return done;
+    }
+  };
+}
+
+// { count, avgMs, p95Ms, maxMs } of scheduled checks (null lags are ignored).
+function summarizeLag(lags) {
+  const values = lags.filter((v) => v != null && Number.isFinite(Number(v))).map(Number).sort((a, b) => a - b);
+  if (!values.length) return { count: 0, avgMs: 0, p95Ms: 0, maxMs: 0 };
+  const p95 = values[Math.min(values.length - 1, Math.ceil(values.length * 0.95) - 1)];
+  return {
+    count: values.length,
+    avgMs: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+    p95Ms: p95,
+    maxMs: values[values.length - 1]
+  };
+}
+
+module.exports = {
+  getWorkerId,
+  getLeaseSeconds,
+  getCheckConcurrency,
+  getLagWarnMs,
+  leaseDevices,
+  releaseLease,
+  runWithConcurrency,
+  runExclusive,
+  startJobLoop,
+  summarizeLag
+};
@@ -0,0 +1,86 @@
+// Per-channel alert schedules (alert_schedules), evaluated in the owner's timezone:
+// - mode 'always': send 24/7 (also the default when a channel has no schedule)
+// - mode 'quiet':  suppress while any window is active (quiet hours)
+// - mode 'active': send only while a window is active (business hours)
+// With digest=true, suppressed alerts are queued (alert_digest_queue) and sent as one
+// message per recipient once the channel may send again. aggregate_seconds batches UP/DOWN
+// alerts into one message per project (aggregation.js).
+
+const { inTimeWindow } = require('./routing');
+
+const SCHEDULE_CHANNELS = ['email', 'sms', 'slack', 'teams', 'discord'];
+
+function parseSchedule(row) {
+  if (!row) return null;
+  return {
+    channel: row.channel,
+    mode: ['quiet', 'active'].includes(row.mode) ? row.mode : 'always',
+    windows: Array.isArray(row.windows) ? row.windows.filter((w) => w && w.start && w.end) : [],
+    digest: !!row.digest,
+    aggregateSeconds: Math.max(0, Number(row.aggregate_seconds) || 0)
+  };
+}
+
+// 'send' | 'suppress' for a channel schedule at `now`.
+function scheduleDecision(schedule, now, timeZone) {
+  if (!schedule || schedule.mode === 'always' || !schedule.windows.length) return 'send';
+  const inWindow = schedule.windows.some((w) => inTimeWindow(w, now, timeZone));
+  if (schedule.mode === 'quiet') return inWindow ? 'suppress' : 'send';
+  return inWindow ? 'send' : 'suppress';
+}
+
+function formatLocal(ts, timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: timeZone || 'UTC', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(new Date(ts));
+  } catch (_) {
+    return new Date(ts).toISOString();
+  }
+}
+
+// items: alert_digest_queue rows ({ summary, occurred_at }) in any order.
+function buildDigest(items, timeZone) {
+  const sorted = [...items].sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+  const lines = sorted.map((i) => `${formatLocal(i.occurred_at, timeZone)}  ${i.summary}`);
+  const subject = `Dashmon digest: ${sorted.length} alert${sorted.length === 1 ? '' : 's'} during quiet hours`;
+  const smsLines = lines.slice(0, 5);
+  const more = lines.length - smsLines.length;
+  return {
+    subject,
+    lines,
+    text: [subject, '', ...lines].join('\n'),
+    sms: [`Dashmon: ${sorted.length} alert(s) while quiet`, ...smsLines, more > 0 ? `+${more} more` : null]
+      .filter(Boolean)
+      .join('\n')
+  };
+}
+
+// Groups alert_digest_queue rows (joined with the owner's timezone and schedule) per
+// user + channel + recipient: [{ user_id, channel, recipient, timezone, schedule, items }].
+function groupDigestItems(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.user_id}|${row.channel}|${row.recipient}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        user_id: row.user_id,
+        channel: row.channel,
+        recipient: row.recipient,
+        timezone: row.timezone || null,
+        schedule: row.mode ? parseSchedule(row) : null,
+        items: []
+      });
+    }
+    groups.get(key).items.push({ id: row.id, summary: row.summary, occurred_at: row.occurred_at });
+  }
+  return [...groups.values()];
+}
+
+module.exports = {
+  SCHEDULE_CHANNELS,
+  parseSchedule,
+  scheduleDecision,
+  groupDigestItems,
+  buildDigest
+};
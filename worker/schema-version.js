@@ -0,0 +1,37 @@
+// The worker runs against the schema the app's migrations create (server/migrations, applied with
+// `npm run migrate -- up`). schema-manifest.json lists those migrations with their checksums (written
+// by `npm run migrate -- manifest` in server/; a server test fails when it is out of date). The worker
+// refuses to start until every listed migration is applied unchanged, as the app does. Migrations
+// newer than the manifest (a newer app deployed first) are fine.
+
+const SCHEMA_MANIFEST = require('./schema-manifest.json');
+
+const REQUIRED_SCHEMA_VERSION = Math.max(0, ...SCHEMA_MANIFEST.map((m) => m.version));
+
+const label = (m) => `${String(m.version).padStart(3, '0')}_${m.name}.sql`;
+
+// Returns the newest applied version.
+async function assertSchemaVersion(pool, manifest = SCHEMA_MANIFEST) {
+  let rows = [];
+  try {
+    ({ rows } = await pool.query('SELECT version, checksum FROM schema_migrations ORDER BY version'));
+  } catch (e) {
+    if (!e || e.code !== '42P01') throw e; // schema_migrations does not exist yet
+  }
+  const applied = new Map(rows.map((r) => [Number(r.version), r.checksum]));
+  const pending = manifest.filter((m) => !applied.has(m.version));
+  const changed = manifest.filter((m) => applied.has(m.version) && applied.get(m.version) !== m.checksum);
+  if (changed.length) {
+    throw new Error(`Applied migrations differ from the ones the worker was built for: ${changed.map(label).join(', ')}`);
+  }
+  if (pending.length) {
+    throw new Error(`Database is not migrated, pending: ${pending.map(label).join(', ')} (run \`npm run migrate -- up\` in server/)`);
+  }
+  return Math.max(0, ...applied.keys());
+}
+
+module.exports = {
+  SCHEMA_MANIFEST,
+  REQUIRED_SCHEMA_VERSION,
+  assertSchemaVersion
+};
@@ -0,0 +1,211 @@
+// SNMP v2c/v3 polling for switches, firewalls and printers (check_type 'snmp').
+// check_config: { version: '2c'|'3', port, community | v3 credentials, metrics: [...] }.
+// Each metric reads one preset (or a custom OID) and maps its value to up/warning/down with
+// optional warnAbove/downAbove/warnBelow/downBelow thresholds; ifOperStatus is down (or
+// metric.severity) when the interface is not up. The polled values are kept in
+// detail.snmp so device history can chart them.
+// net-snmp is loaded on first use so the rest of the worker (and its tests) do not need it.
+
+const OIDS = {
+  sysUpTime: '1.3.6.1.2.1.1.3.0',
+  ifOperStatus: '1.3.6.1.2.1.2.2.1.8',
+  hrProcessorLoad: '1.3.6.1.2.1.25.3.3.1.2',
+  hrStorageSize: '1.3.6.1.2.1.25.2.3.1.5',
+  hrStorageUsed: '1.3.6.1.2.1.25.2.3.1.6',
+  prtMarkerSuppliesMaxCapacity: '1.3.6.1.2.1.43.11.1.1.8.1',
+  prtMarkerSuppliesLevel: '1.3.6.1.2.1.43.11.1.1.9.1'
+};
+
+const IF_OPER_STATUS = ['', 'up', 'down', 'testing', 'unknown', 'dormant', 'notPresent', 'lowerLayerDown'];
+const SNMP_TIMEOUT_MS = 5000;
+
+function metricName(m) {
+  if (m.label) return m.label;
+  if (m.type === 'sysUpTime') return 'uptime';
+  if (m.type === 'ifOperStatus') return `if${m.index}`;
+  if (m.type === 'supply') return `supply${m.index}`;
+  if (m.type === 'custom') return m.oid;
+  return m.type;
+}
+
+// The OIDs one metric reads: [value] or [numerator, denominator] for percentages.
+function metricOids(m) {
+  switch (m.type) {
+    case 'sysUpTime': return [m.oid || OIDS.sysUpTime];
+    case 'ifOperStatus': return [`${OIDS.ifOperStatus}.${m.index}`];
+    case 'cpu': return [m.oid || `${OIDS.hrProcessorLoad}.${m.index}`];
+    case 'memory': return m.oid ? [m.oid] : [`${OIDS.hrStorageUsed}.${m.index}`, `${OIDS.hrStorageSize}.${m.index}`];
+    case 'supply': return [`${OIDS.prtMarkerSuppliesLevel}.${m.index}`, `${OIDS.prtMarkerSuppliesMaxCapacity}.${m.index}`];
+    default: return [m.oid];
+  }
+}
+
+function getMetrics(cfg) {
+  const list = Array.isArray(cfg.metrics) ? cfg.metrics.filter((m) => m && m.type) : [];
+  return list.length ? list : [{ type: 'sysUpTime' }];
+}
+
+// All OIDs to request for a check, without duplicates.
+function snmpQueryOids(cfg) {
+  const oids = [];
+  for (const m of getMetrics(cfg)) {
+    for (const oid of metricOids(m)) if (!oids.includes(oid)) oids.push(oid);
+  }
+  return oids;
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'bigint') return Number(v);
+  if (Buffer.isBuffer(v)) {
+    // Some agents report gauges as OctetStrings ("42").
+    const s = v.toString('utf8').trim();
+    return /^-?\d+(\.\d+)?$/.test(s) ? Number(s) : null;
+  }
+  const n = Number(v);
+  return v != null && v !== '' && Number.isFinite(n) ? n : null;
+}
+
+function thresholdState(value, m) {
+  if (value == null) return 'up';
+  if ((m.downAbove != null && value > m.downAbove) || (m.downBelow != null && value < m.downBelow)) return 'down';
+  if ((m.warnAbove != null && value > m.warnAbove) || (m.warnBelow != null && value < m.warnBelow)) return 'warning';
+  return 'up';
+}
+
+function round(n, digits = 1) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+// One metric's result from the polled values (oid -> value, undefined when the agent has no such
+// object). Returns { name, type, value, unit, state, error? }.
+function evaluateSnmpMetric(m, values) {
+  const out = { name: metricName(m), type: m.type, value: null, unit: null, state: 'up' };
+  const oids = metricOids(m);
+  const raw = oids.map((oid) => values[oid]);
+  if (raw.some((v) => v === undefined)) {
+    return Object.assign(out, { state: 'warning', error: `no such object ${oids[raw.indexOf(undefined)]}` });
+  }
+
+  if (m.type === 'ifOperStatus') {
+    const code = toNumber(raw[0]);
+    out.value = code;
+    out.text = IF_OPER_STATUS[code] || String(code);
+    if (code !== 1) out.state = m.severity === 'warning' ? 'warning' : 'down';
+    return out;
+  }
+
+  if (m.type === 'sysUpTime') {
+    const ticks = toNumber(raw[0]);
+    out.value = ticks == null ? null : Math.floor(ticks / 100);
+    out.unit = 's';
+  } else if (m.type === 'memory' && raw.length === 2) {
+    const used = toNumber(raw[0]);
+    const size = toNumber(raw[1]);
+    out.value = size > 0 && used != null ? round((used / size) * 100) : null;
+    out.unit = '%';
+  } else if (m.type === 'supply') {
+    // Negative levels are Printer-MIB "unknown" (-2) / "some remaining" (-3); max -2 is unknown.
+    const level = toNumber(raw[0]);
+    const max = toNumber(raw[1]);
+    out.value = level != null && level >= 0 && max > 0 ? round((level / max) * 100) : null;
+    out.unit = '%';
+  } else {
+    out.value = toNumber(raw[0]);
+    if (m.type === 'cpu' || m.type === 'memory') out.unit = '%';
+    if (out.value == null && raw[0] != null) out.text = Buffer.isBuffer(raw[0]) ? raw[0].toString('utf8') : String(raw[0]);
+  }
+  out.state = thresholdState(out.value, m);
+  return out;
+}
+
+// Worst metric state wins; values are returned for history.
+function evaluateSnmpMetrics(cfg, values) {
+  const metrics = getMetrics(cfg).map((m) => evaluateSnmpMetric(m, values));
+  const status = metrics.some((m) => m.state === 'down') ? 'down' : metrics.some((m) => m.state === 'warning') ? 'warning' : 'up';
+  return { status, metrics };
+}
+
+function loadSnmp() {
+  return require('net-snmp');
+}
+
+function createSession(snmp, host, cfg) {
+  const options = {
+    port: Number(cfg.port) || 161,
+    retries: 1,
+    timeout: SNMP_TIMEOUT_MS
+  };
+  if (String(cfg.version) === '3') {
+    const level = cfg.securityLevel || 'authPriv';
+    const user = { name: cfg.username, level: snmp.SecurityLevel[level] };
+    if (level !== 'noAuthNoPriv') {
+      user.authProtocol = snmp.AuthProtocols[cfg.authProtocol || 'sha'];
+      user.authKey = cfg.authKey;
+    }
+    if (level === 'authPriv') {
+      user.privProtocol = snmp.PrivProtocols[cfg.privProtocol || 'aes'];
+      user.privKey = cfg.privKey;
+    }
+    return snmp.createV3Session(host, user, Object.assign(options, { version: snmp.Version3 }));
+  }
+  return snmp.createSession(host, cfg.community || 'public', Object.assign(options, { version: snmp.Version2c }));
+}
+
+function snmpGet(session, snmp, oids) {
+  return new Promise((resolve, reject) => {
+    session.get(oids, (err, varbinds) => {
+      if (err) return reject(err);
+      const values = {};
+      for (const vb of varbinds || []) {
+        if (snmp.isVarbindError(vb)) continue;
+        // Counter64 arrives as a big-endian byte buffer.
+        values[vb.oid] = vb.type === snmp.ObjectType.Counter64 && Buffer.isBuffer(vb.value)
+          ? Number(vb.value.reduce((n, b) => n * 256n + BigInt(b), 0n))
+          : vb.value;
+      }
+      resolve(values);
+    });
+  });
+}
+
+// `lib` is the net-snmp module (injectable for tests).
+async function snmpCheck(device, cfg, lib) {
+  const start = Date.now();
+  const version = String(cfg.version) === '3' ? '3' : '2c';
+  let session = null;
+  try {
+    const snmp = lib || loadSnmp();
+    session = createSession(snmp, device.ip, cfg);
+    session.on('error', () => {});
+    const values = await snmpGet(session, snmp, snmpQueryOids(cfg));
+    const ms = Date.now() - start;
+    const { status, metrics } = evaluateSnmpMetrics(cfg, values);
+    return {
+      status,
+      latency: ms,
+      packet_loss: 0,
+      detail: { snmp_version: version, snmp: metrics }
+    };
+  } catch (e) {
+    return {
+      status: 'down',
+      latency: Date.now() - start,
+      packet_loss: 100,
+      detail: { snmp_version: version, error: e?.message || String(e) }
+    };
+  } finally {
+    if (session) {
+      try { session.close(); } catch (_) {}
+    }
+  }
+}
+
+module.exports = {
+  OIDS,
+  snmpQueryOids,
+  evaluateSnmpMetric,
+  evaluateSnmpMetrics,
+  snmpCheck
+};
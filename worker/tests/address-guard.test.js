@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress, publicOnlyLookup } = require('../address-guard');
+
+test('isPrivateAddress flags internal IPv4 and IPv6 ranges only', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd12::1', '::ffff:10.0.0.1', '::ffff:7f00:1', '[::1]']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:808:808', 'example.com', '']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('publicOnlyLookup rejects hostnames that resolve to a private address', async () => {
+  const err = await new Promise((resolve) => publicOnlyLookup('localhost', { all: true }, (e) => resolve(e)));
+  assert.equal(err.code, 'EPRIVATEADDRESS');
+});
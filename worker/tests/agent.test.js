@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAgentClient, runAgentCheck } = require('../agent-client');
+const { claimAgentResults, agentCheckResult, previousStatus, markSilentAgentDevices } = require('../agent-results');
+
+function fakeFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url, opts) => {
+    calls.push({ url, ...opts });
+    const r = responses.shift();
+    return { ok: r.status < 400, status: r.status, json: async () => r.body };
+  };
+  return { calls, fetchImpl };
+}
+
+test('agent client authenticates with the project token and pushes results', async () => {
+  const { calls, fetchImpl } = fakeFetch([
+    { status: 200, body: { pollSeconds: 15, devices: [{ id: 'd1', due: true }] } },
+    { status: 200, body: { ok: true, accepted: 1, rejected: 0 } }
+  ]);
+  const client = createAgentClient({ baseUrl: 'https://dashmon.test/', token: 'dma_abc', version: '1.0.0', hostname: 'store-7', fetchImpl });
+
+  const config = await client.fetchConfig();
+  assert.equal(config.devices[0].id, 'd1');
+  assert.equal(calls[0].url, 'https://dashmon.test/api/agent/config');
+  assert.equal(calls[0].method, 'GET');
+  assert.equal(calls[0].headers.Authorization, 'Bearer dma_abc');
+  assert.equal(calls[0].headers['X-Agent-Hostname'], 'store-7');
+
+  const pushed = await client.pushResults([{ deviceId: 'd1', status: 'up' }]);
+  assert.equal(pushed.accepted, 1);
+  assert.equal(calls[1].method, 'POST');
+  assert.deepEqual(JSON.parse(calls[1].body), { results: [{ deviceId: 'd1', status: 'up' }] });
+});
+
+test('agent client surfaces the HTTP status of a rejected request', async () => {
+  const { fetchImpl } = fakeFetch([{ status: 401, body: { error: 'Invalid agent token' } }]);
+  const client = createAgentClient({ baseUrl: 'https://dashmon.test', token: 'dma_old', fetchImpl });
+  await assert.rejects(client.fetchConfig(), (e) => e.status === 401 && /Invalid agent token/.test(e.message));
+});
+
+test('runAgentCheck shapes check results and skips checks that throw', async () => {
+  const now = () => new Date('2026-03-02T10:00:00Z');
+  const device = { id: 'd1' };
+  const ok = await runAgentCheck(device, async () => ({ status: 'up', latency: 12, packet_loss: 0, detail: { ping: 'ok' } }), now);
+  assert.deepEqual(ok, {
+    deviceId: 'd1', status: 'up', latency: 12, packetLoss: 0, detail: { ping: 'ok' }, checkedAt: '2026-03-02T10:00:00.000Z'
+  });
+  const failed = await runAgentCheck(device, async () => { throw new Error('boom'); }, now);
+  assert.equal(failed, null);
+});
+
+test('claimAgentResults deletes a batch and returns it oldest first', async () => {
+  const calls = [];
+  const pool = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: '7' }, { id: '3' }, { id: '5' }] };
+    }
+  };
+  const rows = await claimAgentResults(pool, 50);
+  assert.deepEqual(rows.map((r) => r.id), ['3', '5', '7']);
+  assert.match(calls[0].sql, /DELETE FROM agent_results/);
+  assert.deepEqual(calls[0].params, [50]);
+});
+
+test('agentCheckResult maps a queued row to a check result tagged with its agent', () => {
+  const result = agentCheckResult({ agent_id: '4', status: 'down', latency: null, packet_loss: '100', detail: { error: 'timeout' } });
+  assert.deepEqual(result, { status: 'down', latency: null, packet_loss: 100, detail: { error: 'timeout', agent: 4 } });
+});
+
+test('previousStatus restores the status held before the agent went silent', () => {
+  assert.equal(previousStatus({ status: 'unknown', status_before_silence: 'down' }), 'down');
+  assert.equal(previousStatus({ status: 'unknown', status_before_silence: null }), 'unknown');
+  assert.equal(previousStatus({ status: 'up', status_before_silence: null }), 'up');
+});
+
+test('markSilentAgentDevices sets agent devices without a recent heartbeat to unknown', async () => {
+  const calls = [];
+  const pool = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 'd1', store_id: 'store-7', name: 'POS' }] };
+    }
+  };
+  const rows = await markSilentAgentDevices(pool, 180);
+  assert.equal(rows.length, 1);
+  assert.match(calls[0].sql, /status_before_silence = d\.status, status = 'unknown'/);
+  assert.match(calls[0].sql, /d\.probe = 'agent'/);
+  assert.deepEqual(calls[0].params, [180]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupBatchItems, buildBatchAlert } = require('../aggregation');
+
+const NOW = new Date('2026-03-02T10:02:00Z');
+
+function row(id, deviceName, status, occurredAt, extra = {}) {
+  return Object.assign({
+    id,
+    user_id: 'u1',
+    channel: 'sms',
+    recipient: '+61400111222',
+    store_id: '104',
+    store_name: 'Store 104',
+    device_name: deviceName,
+    status,
+    aggregate_seconds: 60,
+    occurred_at: occurredAt
+  }, extra);
+}
+
+test('groupBatchItems groups per project and status; ready once the first item waited its window', () => {
+  const groups = groupBatchItems([
+    row(1, 'POS 1', 'down', '2026-03-02T10:00:30Z'),
+    row(2, 'POS 2', 'down', '2026-03-02T10:01:50Z'),
+    row(3, 'Printer', 'up', '2026-03-02T10:01:30Z'),
+    row(4, 'POS 1', 'down', '2026-03-02T10:01:00Z', { store_id: '105', store_name: 'Store 105' }),
+    row(5, 'POS 3', 'down', '2026-03-02T10:01:55Z', { channel: 'email', recipient: 'ops@example.com' })
+  ], NOW);
+
+  assert.deepEqual(groups.map((g) => [g.channel, g.store_id, g.status, g.ready, g.items.map((i) => i.id)]), [
+    ['sms', '104', 'down', true, [1, 2]],
+    ['sms', '104', 'up', false, [3]],
+    ['sms', '105', 'down', true, [4]],
+    ['email', '104', 'down', false, [5]]
+  ]);
+});
+
+test('buildBatchAlert: one grouped message per project', () => {
+  const items = Array.from({ length: 9 }, (_, i) => ({ id: i + 1, device_name: `POS${i + 1}`, occurred_at: '2026-03-02T10:00:00Z' }));
+  const alert = buildBatchAlert({ store_id: '104', store_name: 'Store 104', status: 'down', items });
+  assert.equal(alert.subject, 'Dashmon alert: Store 104: 9 devices DOWN');
+  assert.equal(alert.sms, 'Dashmon: Store 104: 9 devices DOWN — POS1, POS2, POS3, POS4, POS5, … +4 more');
+  assert.equal(alert.text.split('\n').length, 11);
+  assert.match(alert.text, /POS9$/);
+
+  const recovered = buildBatchAlert({ store_id: '104', status: 'up', items: items.slice(0, 2) });
+  assert.equal(recovered.sms, 'Dashmon: 104: 2 devices UP — POS1, POS2');
+});
+
+test('buildBatchAlert: a single device reads like the plain alert', () => {
+  const alert = buildBatchAlert({
+    store_id: '104',
+    store_name: 'Store 104',
+    status: 'down',
+    items: [{ id: 1, device_name: 'POS 1', occurred_at: '2026-03-02T10:00:00Z' }]
+  });
+  assert.equal(alert.subject, 'Dashmon alert: POS 1 is DOWN');
+  assert.equal(alert.sms, 'Dashmon: POS 1 (Store 104) is DOWN');
+});
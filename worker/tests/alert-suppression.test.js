@@ -2,8 +2,149 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const path = require('node:path');
+const Module = require('node:module');
+
+// Loads worker.js against a fake pg Pool that records every query; respond(sql, params) may
+// return the result for a query (default: no rows, one row updated).
+function loadWorker(respond = () => null) {
+  const queries = [];
+  class Pool {
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      return respond(sql, params) || { rows: [], rowCount: 1 };
+    }
+    on() {}
+  }
+  const workerPath = require.resolve('../worker');
+  const originalLoad = Module._load;
+  Module._load = function patched(request, parent, isMain) {
+    if (request === 'pg') return { Pool };
+    return originalLoad.call(this, request, parent, isMain);
+  };
+  try {
+    delete require.cache[workerPath];
+    return { worker: require(workerPath), queries };
+  } finally {
+    Module._load = originalLoad;
+    delete require.cache[workerPath];
+  }
+}
+
+const findQuery = (queries, pattern) => queries.find((q) => pattern.test(q.sql));
+
+function device(overrides = {}) {
+  return Object.assign({
+    id: 7,
+    user_id: 1,
+    name: 'edge-router',
+    store_id: 'S1',
+    ip: '10.0.0.1',
+    type: 'http',
+    status: 'up',
+    consecutive_failures: 0,
+    consecutive_successes: 3,
+    fail_threshold: 2
+  }, overrides);
+}
 
 test('worker alert logic suppresses during maintenance', () => {
   const worker = fs.readFileSync(path.join(__dirname, '..', 'worker.js'), 'utf8');
   assert.ok(worker.includes('isInMaintenance(device)'), 'Expected worker to call isInMaintenance(device) to suppress alerts');
 });
+
+test('applyCheckResult: an expiring certificate alerts through the email and SMS paths', async (t) => {
+  const env = { SMS_TEST_MODE: process.env.SMS_TEST_MODE, TWILIO_FROM: process.env.TWILIO_FROM };
+  Object.assign(process.env, { SMS_TEST_MODE: 'true', TWILIO_FROM: '+15550000000' });
+  t.after(() => {
+    for (const [k, v] of Object.entries(env)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  const { worker, queries } = loadWorker((sql) => {
+    if (/type='email' AND enabled=true/.test(sql)) return { rows: [{ rules: { to: ['ops@example.com'] } }] };
+    if (/type='sms' AND enabled=true/.test(sql)) return { rows: [{ rules: { to: '+15551234567' } }] };
+    return null;
+  });
+  const validTo = new Date(Date.now() + 10 * 86400000).toISOString();
+  await worker.applyCheckResult(device(), { status: 'up', latency: 40, detail: { cert: { valid_to: validTo, days_remaining: 10 } } });
+
+  const lookedUp = queries.filter((q) => /SELECT last_sent FROM public\.alert_events/.test(q.sql)).map((q) => q.params[2]);
+  assert.deepEqual(lookedUp, ['email_cert_expiring_14', 'sms_cert_expiring_14']);
+  // SMTP is not configured, so only the SMS is sent and recorded
+  const sent = queries.filter((q) => /INSERT INTO public\.alert_events/.test(q.sql)).map((q) => q.params[2]);
+  assert.deepEqual(sent, ['sms_cert_expiring_14']);
+});
+
+const { applyFlapDamping, getThresholds } = require('../flap');
+
+function runProbes(prevStatus, probes, thresholds) {
+  let state = { status: prevStatus, failures: 0, successes: 0 };
+  const statuses = [];
+  for (const observed of probes) {
+    state = applyFlapDamping(Object.assign({
+      prevStatus: state.status,
+      observed,
+      failures: state.failures,
+      successes: state.successes
+    }, thresholds));
+    statuses.push(state.status);
+  }
+  return { state, statuses };
+}
+
+test('flap damping: a single failed probe does not flip an UP device', () => {
+  const first = applyFlapDamping({ prevStatus: 'up', observed: 'down', failures: 0, successes: 5, failThreshold: 3, recoverThreshold: 1 });
+  assert.deepEqual(first, { status: 'up', failures: 1, successes: 0, confirming: true });
+
+  const { statuses } = runProbes('up', ['down', 'up', 'down', 'down', 'down'], { failThreshold: 3, recoverThreshold: 1 });
+  assert.deepEqual(statuses, ['up', 'up', 'up', 'up', 'down']);
+});
+
+test('flap damping: recovery needs M consecutive successes', () => {
+  const { statuses, state } = runProbes('down', ['up', 'up', 'down', 'up', 'warning', 'up'], { failThreshold: 2, recoverThreshold: 3 });
+  assert.deepEqual(statuses, ['down', 'down', 'down', 'down', 'down', 'up']);
+  assert.equal(state.confirming, false);
+
+  const pending = applyFlapDamping({ prevStatus: 'down', observed: 'up', failures: 4, successes: 0, failThreshold: 2, recoverThreshold: 2 });
+  assert.deepEqual(pending, { status: 'down', failures: 0, successes: 1, confirming: true });
+});
+
+test('flap damping: thresholds of 1 keep the legacy single-probe behaviour', () => {
+  const { statuses } = runProbes('up', ['down', 'up', 'warning'], { failThreshold: 1, recoverThreshold: 1 });
+  assert.deepEqual(statuses, ['down', 'up', 'warning']);
+});
+
+test('flap damping: device thresholds override the account default', () => {
+  assert.deepEqual(getThresholds({ fail_threshold: null, default_fail_threshold: 4, recover_threshold: 2 }), { failThreshold: 4, recoverThreshold: 2 });
+  assert.deepEqual(getThresholds({}), { failThreshold: 2, recoverThreshold: 1 });
+  assert.equal(getThresholds({ fail_threshold: 50 }).failThreshold, 10);
+});
+
+test('applyCheckResult: a single failed probe keeps the status and sends no alert', async () => {
+  const { worker, queries } = loadWorker();
+  await worker.applyCheckResult(device(), { status: 'down', latency: 5000, detail: { error: 'timeout' } });
+
+  const update = findQuery(queries, /^UPDATE devices/);
+  assert.equal(update.params[0], 'up');
+  assert.equal(update.params[5], 1); // consecutive_failures
+  assert.equal(update.params[7], true); // confirming: re-checked after FLAP_RECHECK_SECONDS
+
+  // History keeps the raw probe result
+  const history = findQuery(queries, /INSERT INTO device_history/);
+  assert.equal(history.params[1], 'down');
+  assert.equal(findQuery(queries, /alert_routes|FROM alerts/), undefined);
+});
+
+test('applyCheckResult: the confirming failure marks the device down and alerts', async () => {
+  const { worker, queries } = loadWorker();
+  await worker.applyCheckResult(device({ consecutive_failures: 1 }), { status: 'down', latency: null, detail: {} });
+
+  const update = findQuery(queries, /^UPDATE devices/);
+  assert.equal(update.params[0], 'down');
+  assert.equal(update.params[5], 2);
+  assert.equal(update.params[7], false);
+  assert.ok(findQuery(queries, /FROM alert_routes/));
+  assert.ok(findQuery(queries, /type='email' AND enabled=true/));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSubjectAltNames,
+  describePeerCertificate,
+  certFromDetail,
+  parseThresholds,
+  dueThreshold,
+  buildCertExpiringEvent
+} = require('../cert-expiry');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('describePeerCertificate keeps subject, issuer, SANs and days to expiry', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const cert = describePeerCertificate({
+    subject: { CN: 'fw01.example.com' },
+    issuer: { O: 'Fortinet', CN: 'FGT CA' },
+    subjectaltname: 'DNS:fw01.example.com, DNS:fw01, IP Address:10.1.4.1',
+    valid_to: 'Mar 15 00:00:00 2026 GMT'
+  }, now);
+  assert.deepEqual(cert, {
+    subject: 'fw01.example.com',
+    issuer: 'FGT CA',
+    sans: ['fw01.example.com', 'fw01', '10.1.4.1'],
+    valid_to: '2026-03-15T00:00:00.000Z',
+    days_remaining: 14
+  });
+  assert.equal(describePeerCertificate({}), null);
+  assert.deepEqual(parseSubjectAltNames(undefined), []);
+});
+
+test('certFromDetail reads http (nested) and tls-cert (flat) details', () => {
+  const cert = { valid_to: '2026-03-15T00:00:00.000Z', days_remaining: 14, subject: 'a', issuer: 'b', sans: ['a'] };
+  assert.equal(certFromDetail({ statusCode: 200, cert }).days_remaining, 14);
+  assert.equal(certFromDetail(Object.assign({ authorized: true }, cert)).subject, 'a');
+  assert.equal(certFromDetail({ statusCode: 200 }), null);
+});
+
+test('thresholds: parse, sort and pick the smallest reached', () => {
+  assert.deepEqual(parseThresholds('3, 30,14,14'), [30, 14, 3]);
+  assert.deepEqual(parseThresholds('nope'), [30, 14, 3]);
+  assert.deepEqual(parseThresholds(undefined), [30, 14, 3]);
+  assert.equal(dueThreshold(45, [30, 14, 3]), null);
+  assert.equal(dueThreshold(30, [30, 14, 3]), 30);
+  assert.equal(dueThreshold(10, [30, 14, 3]), 14);
+  assert.equal(dueThreshold(-2, [30, 14, 3]), 3);
+});
+
+test('buildCertExpiringEvent re-arms when the certificate is renewed', () => {
+  const device = { name: 'FGT-104', store_id: 'store-104' };
+  const validTo = new Date('2026-03-15T00:00:00Z');
+  const ev = buildCertExpiringEvent(device, { valid_to: validTo.toISOString(), days_remaining: 14, sans: [] }, 14);
+  assert.equal(ev.key, 'cert_expiring_14');
+  assert.match(ev.subject, /FGT-104 expires in 14 days/);
+  assert.equal(ev.since.getTime(), validTo.getTime() - 15 * DAY);
+
+  // An alert sent for the old cert is older than the renewed cert's window.
+  const lastSent = new Date(validTo.getTime() - 14 * DAY);
+  const renewed = buildCertExpiringEvent(device, { valid_to: new Date(validTo.getTime() + 90 * DAY).toISOString(), days_remaining: 14 }, 14);
+  assert.ok(lastSent >= ev.since);
+  assert.ok(lastSent < renewed.since);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveChatWebhookUrl, deviceLink, buildChatAlert, formatChatMessage } = require('../chat');
+
+const device = { id: 'd1', name: 'POS 1', ip: '10.0.0.5', type: 'pos', store_id: 'store-104', store_name: 'Main St' };
+
+test('resolveChatWebhookUrl prefers an enabled per-project override', () => {
+  const rules = {
+    webhookUrl: 'https://hooks.slack.com/services/default',
+    storeOverrides: {
+      'store-104': { enabled: true, webhookUrl: 'https://hooks.slack.com/services/store104' },
+      'store-105': { enabled: false, webhookUrl: 'https://hooks.slack.com/services/store105' }
+    }
+  };
+  assert.equal(resolveChatWebhookUrl(rules, 'store-104'), 'https://hooks.slack.com/services/store104');
+  assert.equal(resolveChatWebhookUrl(rules, 'store-105'), 'https://hooks.slack.com/services/default');
+  assert.equal(resolveChatWebhookUrl(null, 'x'), '');
+});
+
+test('deviceLink points at the project page with the device selected', () => {
+  assert.equal(
+    deviceLink(device, 'https://dashmon.example'),
+    'https://dashmon.example/app/device-details.html?projectId=store-104&deviceId=d1'
+  );
+});
+
+test('buildChatAlert colours by status and lists project and device', () => {
+  const down = buildChatAlert(device, 'up', 'down', null, 'https://dashmon.example');
+  assert.equal(down.title, 'POS 1 is DOWN');
+  assert.equal(down.color, '#dc2626');
+  assert.deepEqual(down.fields[0], ['Project', 'Main St (store-104)']);
+  assert.deepEqual(down.fields[3], ['Status', 'UP → DOWN']);
+  assert.equal(buildChatAlert(device, 'down', 'up', null).color, '#16a34a');
+
+  const cert = buildChatAlert(device, 'up', 'up', { subject: 'Cert expiring', lines: ['Days remaining: 14'] });
+  assert.equal(cert.title, 'Cert expiring');
+  assert.deepEqual(cert.fields[3], ['Days remaining', '14']);
+});
+
+test('buildChatAlert lists the devices behind a parent that went down', () => {
+  const fortigate = Object.assign({}, device, { name: 'FortiGate', dependents: [{ name: 'POS 1' }, { name: 'Printer' }] });
+  const alert = buildChatAlert(fortigate, 'up', 'down', null, 'https://dashmon.example');
+  assert.deepEqual(alert.fields[4], ['Devices behind it', '2 devices (POS 1, Printer)']);
+  assert.equal(buildChatAlert(device, 'up', 'down', null).fields.length, 4);
+});
+
+test('formatChatMessage builds provider-specific payloads', () => {
+  const alert = buildChatAlert(device, 'up', 'down', null, 'https://dashmon.example');
+
+  const slack = formatChatMessage('slack', alert);
+  assert.equal(slack.attachments[0].color, '#dc2626');
+  assert.equal(slack.attachments[0].title_link, alert.link);
+
+  const teams = formatChatMessage('teams', alert);
+  assert.equal(teams['@type'], 'MessageCard');
+  assert.equal(teams.themeColor, 'dc2626');
+  assert.equal(teams.potentialAction[0].targets[0].uri, alert.link);
+
+  const discord = formatChatMessage('discord', alert);
+  assert.equal(discord.embeds[0].color, 0xdc2626);
+  assert.equal(discord.embeds[0].url, alert.link);
+
+  assert.throws(() => formatChatMessage('irc', alert), /Unknown chat provider/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { decryptSecret, withCheckSecrets } = require('../check-secrets');
+
+const KEY = crypto.createHash('sha256').update('test-check-secrets-key').digest();
+
+// Same format as server/check-secrets.js encryptSecret
+function seal(value, key = KEY) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+test('decryptSecret opens values sealed by the app', () => {
+  assert.equal(decryptSecret(seal('authpass123'), KEY), 'authpass123');
+  assert.throws(() => decryptSecret('plain', KEY), /Unsupported/);
+});
+
+test('withCheckSecrets merges the decrypted keys into check_config', () => {
+  const device = {
+    id: 'd1',
+    check_config: { version: '3', username: 'dashmon' },
+    check_secrets: { authKey: seal('authpass123'), privKey: seal('privpass123') }
+  };
+  const checked = withCheckSecrets(device, KEY);
+  assert.deepEqual(checked.check_config, { version: '3', username: 'dashmon', authKey: 'authpass123', privKey: 'privpass123' });
+  assert.deepEqual(device.check_config, { version: '3', username: 'dashmon' });
+
+  const plain = { id: 'd2', check_config: { version: '2c' }, check_secrets: null };
+  assert.equal(withCheckSecrets(plain, null), plain);
+});
+
+test('withCheckSecrets refuses to run without the right key', () => {
+  const device = { id: 'd1', check_config: {}, check_secrets: { authKey: seal('authpass123') } };
+  assert.throws(() => withCheckSecrets(device, null), /CHECK_SECRETS_KEY is not set/);
+  assert.throws(() => withCheckSecrets(device, crypto.randomBytes(32)), /CHECK_SECRETS_KEY differs/);
+});
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const http = require('node:http');
+const {
+  parsePingOutput,
+  normalizeCheckType,
+  getCheckConfig,
+  matchesExpectedStatus,
+  matchRegexes,
+  evaluateHttpAssertions,
+  evaluateHeartbeat,
+  runDeviceCheck
+} = require('../checks');
+
+test('parsePingOutput: iputils summary yields loss and rtt', () => {
+  const out = [
+    'PING 10.0.0.1 (10.0.0.1) 56(84) bytes of data.',
+    '',
+    '--- 10.0.0.1 ping statistics ---',
+    '10 packets transmitted, 9 received, 10% packet loss, time 1810ms',
+    'rtt min/avg/max/mdev = 0.412/1.634/4.020/0.950 ms'
+  ].join('\n');
+  const r = parsePingOutput(out);
+  assert.equal(r.transmitted, 10);
+  assert.equal(r.received, 9);
+  assert.equal(r.packet_loss, 10);
+  assert.equal(r.rtt_avg, 1.634);
+  assert.equal(r.rtt_max, 4.02);
+});
+
+test('parsePingOutput: busybox summary and total loss', () => {
+  const busybox = '3 packets transmitted, 3 packets received, 0% packet loss\nround-trip min/avg/max = 1.1/2.2/3.3 ms';
+  const r1 = parsePingOutput(busybox);
+  assert.equal(r1.received, 3);
+  assert.equal(r1.packet_loss, 0);
+  assert.equal(r1.rtt_avg, 2.2);
+
+  const r2 = parsePingOutput('5 packets transmitted, 0 received, 100% packet loss, time 4089ms');
+  assert.equal(r2.received, 0);
+  assert.equal(r2.packet_loss, 100);
+  assert.equal(r2.rtt_avg, null);
+});
+
+test('normalizeCheckType / getCheckConfig fall back safely', () => {
+  assert.equal(normalizeCheckType('ICMP'), 'icmp');
+  assert.equal(normalizeCheckType('tls-cert'), 'tls-cert');
+  assert.equal(normalizeCheckType('snmp-v9'), 'auto');
+  assert.equal(normalizeCheckType(null), 'auto');
+  assert.deepEqual(getCheckConfig({ check_config: '{"port":22}' }), { port: 22 });
+  assert.deepEqual(getCheckConfig({ check_config: 'not json' }), {});
+});
+
+test('runDeviceCheck: tcp type uses check_config.port', async () => {
+  const server = net.createServer((s) => s.end());
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  const { port } = server.address();
+  try {
+    const up = await runDeviceCheck({ ip: '127.0.0.1', check_type: 'tcp', check_config: { port } });
+    assert.equal(up.status, 'up');
+    assert.equal(up.detail.check_type, 'tcp');
+    assert.equal(up.detail.port, port);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+
+  const down = await runDeviceCheck({ ip: '127.0.0.1', check_type: 'tcp', check_config: { port } });
+  assert.equal(down.status, 'down');
+});
+
+test('matchesExpectedStatus: codes and ranges, default accepts < 500', () => {
+  assert.equal(matchesExpectedStatus(404, []), true);
+  assert.equal(matchesExpectedStatus(503, undefined), false);
+  assert.equal(matchesExpectedStatus(204, ['200-299']), true);
+  assert.equal(matchesExpectedStatus(301, [200, '302']), false);
+});
+
+test('evaluateHttpAssertions: failures are down, slow responses are warning', async () => {
+  const cfg = { expectedStatus: [200], bodyContains: 'ok', maxResponseMs: 100 };
+  assert.equal((await evaluateHttpAssertions({ statusCode: 200, body: 'ok', ms: 20 }, cfg)).status, 'up');
+  assert.equal((await evaluateHttpAssertions({ statusCode: 200, body: 'ok', ms: 250 }, cfg)).status, 'warning');
+
+  const bad = await evaluateHttpAssertions({ statusCode: 500, body: 'fail', ms: 250 }, cfg);
+  assert.equal(bad.status, 'down');
+  assert.deepEqual(bad.failures, ['unexpected status 500', 'required body content missing']);
+
+  const re = { bodyNotContains: 'err(or)?\\s+\\d+', bodyRegex: true };
+  assert.equal((await evaluateHttpAssertions({ statusCode: 200, body: 'error 42', ms: 5 }, re)).status, 'down');
+});
+
+test('matchRegexes: a catastrophic pattern times out without blocking the event loop', async () => {
+  let ticks = 0;
+  const timer = setInterval(() => { ticks += 1; }, 10);
+  const startedAt = Date.now();
+  try {
+    const result = await matchRegexes(`${'a'.repeat(40)}!`, ['(a+)+$'], 300);
+    assert.equal(result, null);
+  } finally {
+    clearInterval(timer);
+  }
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.ok(ticks >= 5, `event loop was blocked (${ticks} ticks)`);
+
+  assert.deepEqual(await matchRegexes('status: ok', ['ok$', '^fail', '(']), [true, false, false]);
+});
+
+test('evaluateHttpAssertions: a regex that takes too long marks the check down', async () => {
+  const cfg = { bodyContains: '(a+)+$', bodyRegex: true };
+  const verdict = await evaluateHttpAssertions({ statusCode: 200, body: `${'a'.repeat(40)}!`, ms: 5 }, cfg);
+  assert.equal(verdict.status, 'down');
+  assert.deepEqual(verdict.failures, ['body pattern took too long to match']);
+});
+
+test('runDeviceCheck: http type follows redirects and checks the body', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/old') {
+      res.writeHead(302, { Location: '/health' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(req.headers['x-probe'] === 'yes' ? 'status: ok' : 'status: anonymous');
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  const { port } = server.address();
+  const url = `http://127.0.0.1:${port}/old`;
+  try {
+    const noFollow = await runDeviceCheck({ check_type: 'http', check_config: { url, expectedStatus: [200] } });
+    assert.equal(noFollow.status, 'down');
+    assert.equal(noFollow.detail.statusCode, 302);
+
+    const ok = await runDeviceCheck({
+      check_type: 'http',
+      check_config: { url, followRedirects: true, bodyContains: 'ok', headers: { 'X-Probe': 'yes' } }
+    });
+    assert.equal(ok.status, 'up');
+    assert.equal(ok.detail.redirects, 1);
+
+    const missing = await runDeviceCheck({
+      check_type: 'http',
+      check_config: { url, followRedirects: true, bodyContains: 'ok' }
+    });
+    assert.equal(missing.status, 'down');
+    assert.deepEqual(missing.detail.assertions, ['required body content missing']);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+});
+
+test('evaluateHeartbeat: up while pings arrive on time, down when overdue or failed', () => {
+  const now = new Date('2026-03-02T10:00:00Z');
+  const cfg = { periodSeconds: 3600, graceSeconds: 600 };
+  const base = { created_at: '2026-03-01T00:00:00Z', last_check: '2026-03-02T09:55:00Z' };
+
+  const fresh = evaluateHeartbeat({ ...base, last_ping_at: '2026-03-02T09:58:00Z', last_ping_kind: 'success', last_ping_body: 'backup ok' }, cfg, now);
+  assert.equal(fresh.status, 'up');
+  assert.equal(fresh.detail.received, 'success');
+  assert.equal(fresh.detail.log, 'backup ok');
+
+  // already evaluated: no repeat of the log
+  const seen = evaluateHeartbeat({ ...base, last_ping_at: '2026-03-02T09:50:00Z', last_ping_kind: 'success', last_ping_body: 'backup ok' }, cfg, now);
+  assert.equal(seen.status, 'up');
+  assert.equal(seen.detail.log, undefined);
+
+  const overdue = evaluateHeartbeat({ ...base, last_ping_at: '2026-03-02T08:49:00Z', last_ping_kind: 'success' }, cfg, now);
+  assert.equal(overdue.status, 'down');
+  assert.equal(overdue.detail.error, 'ping overdue');
+
+  const failed = evaluateHeartbeat({ ...base, last_ping_at: '2026-03-02T09:59:00Z', last_ping_kind: 'fail', last_ping_body: 'disk full' }, cfg, now);
+  assert.equal(failed.status, 'down');
+  assert.equal(failed.detail.log, 'disk full');
+});
+
+test('evaluateHeartbeat: start pings must finish within the grace time', () => {
+  const now = new Date('2026-03-02T10:00:00Z');
+  const cfg = { periodSeconds: 3600, graceSeconds: 600 };
+  const base = { created_at: '2026-03-01T00:00:00Z', last_check: '2026-03-02T09:50:00Z', last_ping_at: '2026-03-02T09:00:00Z', last_ping_kind: 'success' };
+
+  const running = evaluateHeartbeat({ ...base, ping_started_at: '2026-03-02T09:55:00Z' }, cfg, now);
+  assert.equal(running.status, 'up');
+  assert.equal(running.detail.received, 'start');
+
+  const stuck = evaluateHeartbeat({ ...base, ping_started_at: '2026-03-02T09:45:00Z' }, cfg, now);
+  assert.equal(stuck.status, 'down');
+  assert.equal(stuck.detail.error, 'started but did not finish');
+});
+
+test('evaluateHeartbeat: a new monitor is unknown until its first ping is due', () => {
+  const cfg = { periodSeconds: 3600, graceSeconds: 600 };
+  const device = { created_at: '2026-03-02T09:30:00Z', last_check: null };
+  assert.equal(evaluateHeartbeat(device, cfg, new Date('2026-03-02T10:00:00Z')).status, 'unknown');
+  const missed = evaluateHeartbeat(device, cfg, new Date('2026-03-02T11:00:00Z'));
+  assert.equal(missed.status, 'down');
+  assert.equal(missed.detail.error, 'no ping received');
+});
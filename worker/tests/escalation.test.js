@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSteps, dueEscalationSteps, resolveStepRecipients, buildEscalationMessage } = require('../escalation');
+
+const steps = parseSteps(JSON.stringify([
+  { afterMinutes: 60, channel: 'sms', to: '+61400000003' },
+  { afterMinutes: 0, channel: 'email', to: 'manager@store104.example' },
+  { afterMinutes: 15, channel: 'sms' },
+  { afterMinutes: 5, channel: 'pager' }
+]));
+
+function incidentAt(minutesAgo, extra) {
+  return Object.assign({ started_at: new Date(Date.now() - minutesAgo * 60000).toISOString(), escalation_step: 0 }, extra);
+}
+
+test('parseSteps drops unknown channels and sorts by delay', () => {
+  assert.deepEqual(steps.map((s) => [s.afterMinutes, s.channel]), [[0, 'email'], [15, 'sms'], [60, 'sms']]);
+  assert.deepEqual(parseSteps('not json'), []);
+});
+
+test('dueEscalationSteps fires each step once, in order', () => {
+  assert.deepEqual(dueEscalationSteps(steps, incidentAt(1)).map((d) => d.index), [0]);
+  assert.deepEqual(dueEscalationSteps(steps, incidentAt(20, { escalation_step: 1 })).map((d) => d.index), [1]);
+  // worker was down for a while: catch up on every overdue step
+  assert.deepEqual(dueEscalationSteps(steps, incidentAt(90)).map((d) => d.index), [0, 1, 2]);
+  assert.deepEqual(dueEscalationSteps(steps, incidentAt(90, { escalation_step: 3 })), []);
+});
+
+test('dueEscalationSteps stops once the incident is acknowledged or closed', () => {
+  assert.deepEqual(dueEscalationSteps(steps, incidentAt(30, { escalation_step: 1, acknowledged_at: new Date().toISOString() })), []);
+  assert.deepEqual(dueEscalationSteps(steps, incidentAt(30, { ended_at: new Date().toISOString() })), []);
+});
+
+test('resolveStepRecipients falls back to the project SMS override and email rules', () => {
+  const ctx = {
+    emailRules: { to: ['ops@example.com'] },
+    smsRules: { to: '+61400000001', storeOverrides: { 'store-104': { enabled: true, to: '+61400000002' } } },
+    storeId: 'store-104',
+    userEmail: 'owner@example.com'
+  };
+  assert.equal(resolveStepRecipients(steps[1], ctx), '+61400000002');
+  assert.equal(resolveStepRecipients(steps[2], ctx), '+61400000003');
+  assert.deepEqual(resolveStepRecipients(steps[0], ctx), ['manager@store104.example']);
+  assert.deepEqual(resolveStepRecipients({ channel: 'email' }, Object.assign({}, ctx, { emailRules: {} })), ['owner@example.com']);
+});
+
+test('buildEscalationMessage names the step and the device', () => {
+  const msg = buildEscalationMessage(incidentAt(16, { device_name: 'FGT-104', store_id: 'store-104', cause: 'timeout' }), 1, 3);
+  assert.match(msg.subject, /step 2\/3.*FGT-104 is DOWN/);
+  assert.match(msg.text, /Cause: timeout/);
+  assert.match(msg.sms, /DOWN 16 min, unacknowledged/);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recordHeartbeat, createTickStats } = require('../heartbeat');
+
+test('createTickStats sums checks and keeps the worst lag until taken', () => {
+  const stats = createTickStats();
+  stats.add({ checked: 3, lag: { count: 3, maxMs: 1200 } });
+  stats.add({ checked: 1, lag: { count: 0, maxMs: 0 } }); // wakeup check, no lag
+  stats.add(undefined);
+  stats.add({ checked: 2, lag: { count: 2, maxMs: 800 } });
+  assert.deepEqual(stats.take(), { devicesChecked: 6, maxLagMs: 1200 });
+  assert.deepEqual(stats.take(), { devicesChecked: 0, maxLagMs: null });
+});
+
+test('recordHeartbeat upserts the worker row', async () => {
+  const calls = [];
+  const pool = { query: async (sql, params) => { calls.push({ sql, params }); return { rows: [] }; } };
+  const startedAt = new Date('2026-03-02T10:00:00Z');
+  await recordHeartbeat(pool, 'w1', startedAt, { devicesChecked: 4, maxLagMs: 250 });
+  assert.match(calls[0].sql, /INSERT INTO worker_heartbeats/);
+  assert.match(calls[0].sql, /ON CONFLICT \(worker_id\)/);
+  assert.equal(calls[0].params[0], 'w1');
+  assert.deepEqual(calls[0].params.slice(2), [startedAt, 4, 250]);
+});
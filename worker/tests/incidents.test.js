@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { incidentTransition, summarizeCause, recordIncidentTransition } = require('../incidents');
+
+test('incidentTransition opens on entering down and closes on leaving it', () => {
+  assert.equal(incidentTransition('up', 'down'), 'open');
+  assert.equal(incidentTransition('unknown', 'down'), 'open');
+  assert.equal(incidentTransition('down', 'up'), 'close');
+  assert.equal(incidentTransition('down', 'warning'), 'close');
+  assert.equal(incidentTransition('down', 'down'), null);
+  assert.equal(incidentTransition('up', 'warning'), null);
+});
+
+test('summarizeCause picks the most specific failure detail', () => {
+  assert.equal(summarizeCause({ statusCode: 500, assertions: ['unexpected status 500'] }), 'unexpected status 500');
+  assert.equal(summarizeCause({ timeout: true }), 'timeout');
+  assert.equal(summarizeCause({ port: 443, error: 'connect ECONNREFUSED' }), 'connect ECONNREFUSED');
+  assert.equal(summarizeCause({ ping: 'failed', packets: 3 }), 'no ping replies');
+  assert.equal(summarizeCause({}), null);
+});
+
+test('recordIncidentTransition issues a single insert/update per transition', async () => {
+  const calls = [];
+  const pool = { async query(sql, params) { calls.push({ sql, params }); return { rows: [] }; } };
+  const device = { id: 'd1', user_id: 'u1', store_id: 'store-104' };
+
+  assert.equal(await recordIncidentTransition(pool, device, 'up', 'up', {}), null);
+  assert.equal(calls.length, 0);
+
+  await recordIncidentTransition(pool, device, 'up', 'down', { timeout: true });
+  assert.match(calls[0].sql, /INSERT INTO incidents/);
+  assert.deepEqual(calls[0].params, ['u1', 'd1', 'store-104', 'timeout']);
+
+  await recordIncidentTransition(pool, device, 'down', 'up', {});
+  assert.match(calls[1].sql, /UPDATE incidents/);
+  assert.deepEqual(calls[1].params, ['d1']);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBankTransferExpireDays, downgradeReason, buildLifecycleNotice, runPlanLifecycle } = require('../lifecycle');
+
+// Fake pool: `users` are the premium users due for a downgrade (null = renewed in the meantime),
+// `transfers` the pending bank transfers past their expiry.
+// `routes` are the user's enabled routing rules, each { id, targets }.
+function createPool({ due = [], locked = {}, transfers = [], routes = [] } = {}) {
+  const calls = [];
+  const query = async (sql, params) => {
+    calls.push({ sql, params });
+    if (sql.startsWith('SELECT u.id FROM users u')) return { rows: due.map((id) => ({ id })) };
+    if (sql.includes('FOR UPDATE')) return { rows: locked[params[0]] ? [locked[params[0]]] : [] };
+    if (sql.startsWith('UPDATE devices')) return { rows: [], rowCount: 4 };
+    if (sql.startsWith('UPDATE alerts')) return { rows: [{ type: 'sms' }, { type: 'slack' }] };
+    if (sql.startsWith('UPDATE alert_routes')) {
+      const n = routes.length;
+      routes.forEach((r) => { r.enabled = false; });
+      return { rows: [], rowCount: n };
+    }
+    if (sql.startsWith('UPDATE stores')) return { rows: [], rowCount: 2 };
+    if (sql.startsWith('UPDATE bank_transfer_requests')) return { rows: transfers };
+    if (sql.includes('bank_transfer_reference=NULL')) return { rows: [{ email: 'bank@example.com' }] };
+    return { rows: [], rowCount: 1 };
+  };
+  return { calls, query, async connect() { return { query, release() {} }; } };
+}
+
+test('downgradeReason follows the plan source', () => {
+  assert.equal(downgradeReason({ plan_source: 'demo' }), 'demo_expired');
+  assert.equal(downgradeReason({ plan_source: 'paypal' }), 'subscription_ended');
+  assert.equal(downgradeReason({ paypal_subscription_id: 'I-1' }), 'subscription_ended');
+  assert.equal(downgradeReason({ plan_source: 'bank_transfer' }), 'premium_expired');
+});
+
+test('getBankTransferExpireDays defaults to 14', () => {
+  assert.equal(getBankTransferExpireDays({}), 14);
+  assert.equal(getBankTransferExpireDays({ BANK_TRANSFER_EXPIRE_DAYS: '30' }), 30);
+  assert.equal(getBankTransferExpireDays({ BANK_TRANSFER_EXPIRE_DAYS: '-1' }), 14);
+});
+
+test('buildLifecycleNotice lists the reverted settings', () => {
+  const notice = buildLifecycleNotice({
+    type: 'demo_expired', devicesSlowed: 3, alertsDisabled: ['sms', 'slack'], timezoneReset: true
+  });
+  assert.equal(notice.subject, 'Your Dashmon Premium demo has ended');
+  assert.match(notice.text, /3 device\(s\) are now checked every 2 hours/);
+  assert.match(notice.text, /sms, slack alerts are turned off/);
+  assert.match(notice.text, /Times are shown in UTC/);
+
+  const plain = buildLifecycleNotice({ type: 'premium_expired', devicesSlowed: 0, alertsDisabled: [], timezoneReset: false });
+  assert.doesNotMatch(plain.text, /device\(s\)|alerts are turned off|UTC/);
+
+  const bank = buildLifecycleNotice({ type: 'bank_transfer_expired', reference: 'DM-123', expireDays: 14 });
+  assert.match(bank.subject, /bank transfer request has expired/);
+  assert.match(bank.text, /reference DM-123 within 14 days/);
+});
+
+test('runPlanLifecycle downgrades expired users, reverts premium settings and notifies once', async () => {
+  const pool = createPool({
+    due: ['u1', 'u2'],
+    locked: { u1: { id: 'u1', email: 'a@example.com', plan_source: 'demo', timezone: 'Australia/Adelaide' } }
+  });
+  const sent = [];
+  const events = await runPlanLifecycle(pool, async (msg) => sent.push(msg), {});
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0], {
+    type: 'demo_expired',
+    userId: 'u1',
+    email: 'a@example.com',
+    devicesSlowed: 4,
+    alertsDisabled: ['sms', 'slack'],
+    routesDisabled: 0,
+    escalationsDetached: 2,
+    timezoneReset: true
+  });
+  const sqls = pool.calls.map((c) => c.sql);
+  assert.ok(sqls.some((sql) => sql.includes("SET plan='free'") && sql.includes('timezone=NULL')));
+  const devices = pool.calls.find((c) => c.sql.startsWith('UPDATE devices'));
+  assert.deepEqual(devices.params, ['u1', 7200]);
+  assert.equal(sqls.filter((sql) => sql === 'COMMIT').length, 1);
+  assert.equal(sqls.filter((sql) => sql === 'ROLLBACK').length, 1); // u2 renewed before the lock
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].email, 'a@example.com');
+  assert.equal(sent[0].subject, 'Your Dashmon Premium demo has ended');
+});
+
+test('runPlanLifecycle turns off routing rules that send SMS for a downgraded user', async () => {
+  const route = { id: 5, enabled: true, targets: [{ channel: 'sms', to: '+61400000000' }] };
+  const pool = createPool({
+    due: ['u1'],
+    locked: { u1: { id: 'u1', email: 'a@example.com', plan_source: 'paypal' } },
+    routes: [route]
+  });
+  const sent = [];
+  const [event] = await runPlanLifecycle(pool, async (msg) => sent.push(msg), {});
+
+  assert.equal(event.routesDisabled, 1);
+  assert.equal(route.enabled, false);
+  const sqls = pool.calls.map((c) => c.sql);
+  const routeUpdate = sqls.indexOf(sqls.find((sql) => sql.startsWith('UPDATE alert_routes')));
+  const detach = sqls.indexOf(sqls.find((sql) => sql.startsWith('UPDATE stores') && sql.includes('escalation_policy_id=NULL')));
+  // Same transaction as the downgrade
+  assert.ok(routeUpdate > sqls.indexOf('BEGIN') && routeUpdate < sqls.indexOf('COMMIT'));
+  assert.ok(detach > sqls.indexOf('BEGIN') && detach < sqls.indexOf('COMMIT'));
+  assert.match(sent[0].text, /1 alert routing rule\(s\) are turned off/);
+  assert.match(sent[0].text, /Escalation policies no longer apply to 2 project\(s\)/);
+});
+
+test('runPlanLifecycle expires stale bank transfers; failed notifications do not throw', async () => {
+  const pool = createPool({ transfers: [{ user_id: 'u3', reference_code: 'DM-9' }] });
+  const events = await runPlanLifecycle(pool, async () => { throw new Error('smtp down'); }, { BANK_TRANSFER_EXPIRE_DAYS: '7' });
+
+  assert.deepEqual(events, [
+    { type: 'bank_transfer_expired', userId: 'u3', email: 'bank@example.com', reference: 'DM-9', expireDays: 7 }
+  ]);
+  const expire = pool.calls.find((c) => c.sql.startsWith('UPDATE bank_transfer_requests'));
+  assert.deepEqual(expire.params, [7]);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HISTORY_PARTITIONS_AHEAD, DEFAULT_PARTITION, partitionName, parsePartition, expiredPartitions, ensureHistoryPartitions, dropExpiredPartitions
+} = require('../partitions');
+
+const NOW = new Date('2026-03-02T10:25:00Z');
+
+test('partitionName / parsePartition: one partition per UTC month', () => {
+  assert.equal(partitionName('2026-03-31T23:59:59Z'), 'device_history_p2026_03');
+  assert.equal(partitionName('2026-12-01T00:00:00Z'), 'device_history_p2026_12');
+
+  const p = parsePartition('device_history_p2026_12');
+  assert.equal(p.from.toISOString(), '2026-12-01T00:00:00.000Z');
+  assert.equal(p.to.toISOString(), '2027-01-01T00:00:00.000Z');
+  assert.equal(parsePartition('device_history_hourly'), null);
+  assert.equal(parsePartition('device_history_p2026_3'), null);
+});
+
+test('expiredPartitions: only months entirely before the cutoff, oldest first', () => {
+  const names = ['device_history_p2025_12', 'device_history_p2025_10', 'device_history_p2025_11', 'other_table'];
+  assert.deepEqual(expiredPartitions(names, new Date('2025-12-01T00:00:00Z')), [
+    'device_history_p2025_10',
+    'device_history_p2025_11'
+  ]);
+  assert.deepEqual(expiredPartitions(names, new Date('2025-11-30T23:00:00Z')), ['device_history_p2025_10']);
+});
+
+test('ensureHistoryPartitions creates this month and the months ahead', async () => {
+  const calls = [];
+  await ensureHistoryPartitions({ async query(sql, params) { calls.push({ sql, params }); return { rows: [] }; } }, NOW);
+  assert.equal(calls.length, HISTORY_PARTITIONS_AHEAD + 1);
+  assert.ok(calls.every((c) => c.sql.includes('create_device_history_partition')));
+  assert.deepEqual(calls.map((c) => c.params[0]), ['2026-03-01', '2026-04-01', '2026-05-01']);
+});
+
+test('dropExpiredPartitions drops the months older than the longest retention', async () => {
+  const calls = [];
+  const pool = {
+    async query(sql) {
+      calls.push(sql);
+      if (sql.includes('pg_inherits')) {
+        return {
+          rows: ['device_history_p2025_11', 'device_history_p2025_12', 'device_history_p2026_01', 'device_history_p2026_03']
+            .map((name) => ({ name }))
+        };
+      }
+      return { rows: [] };
+    }
+  };
+
+  // 90 days before NOW is 2025-12-02: November is gone, December still has kept rows
+  const dropped = await dropExpiredPartitions(pool, 90, NOW);
+  assert.deepEqual(dropped, ['device_history_p2025_11']);
+  assert.deepEqual(calls.filter((sql) => sql.startsWith('DROP')), ['DROP TABLE IF EXISTS "device_history_p2025_11"']);
+});
+
+test('dropExpiredPartitions keeps the default partition and deletes its expired rows', async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.includes('pg_inherits')) {
+        return { rows: [DEFAULT_PARTITION, 'device_history_p2025_11', 'device_history_p2026_03'].map((name) => ({ name })) };
+      }
+      return { rows: [] };
+    }
+  };
+
+  const dropped = await dropExpiredPartitions(pool, 90, NOW);
+  assert.deepEqual(dropped, ['device_history_p2025_11']);
+  assert.ok(!calls.some((c) => c.sql.includes(`DROP TABLE IF EXISTS "${DEFAULT_PARTITION}"`)));
+  const prune = calls.find((c) => c.sql.startsWith(`DELETE FROM ${DEFAULT_PARTITION}`));
+  assert.equal(prune.params[0].toISOString(), '2025-12-02T10:25:00.000Z');
+});
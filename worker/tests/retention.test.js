@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRetentionSettings, retentionBounds, applyHistoryRetention } = require('../retention');
+
+function createPool({ overrides = { min: null, max: null }, partitions = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (sql.includes('min(history_days_override)')) return { rows: [overrides] };
+      if (sql.includes('pg_inherits')) return { rows: partitions.map((name) => ({ name })) };
+      if (sql.startsWith('DELETE FROM device_history')) return { rows: [], rowCount: 12 };
+      return { rows: [] };
+    }
+  };
+}
+
+test('getRetentionSettings: env values with safe defaults', () => {
+  assert.deepEqual(getRetentionSettings({}), { freeDays: 7, premiumDays: 90, graceDays: 14 });
+  assert.deepEqual(
+    getRetentionSettings({ FREE_HISTORY_DAYS: '3', PREMIUM_HISTORY_DAYS: 'x', RETENTION_GRACE_DAYS: '0' }),
+    { freeDays: 3, premiumDays: 90, graceDays: 0 }
+  );
+});
+
+test('retentionBounds covers plan defaults and admin overrides', () => {
+  const settings = { freeDays: 7, premiumDays: 90, graceDays: 14 };
+  assert.deepEqual(retentionBounds(settings, { min: null, max: null }), { minDays: 7, maxDays: 90 });
+  assert.deepEqual(retentionBounds(settings, { min: 2, max: 365 }), { minDays: 2, maxDays: 365 });
+});
+
+test('applyHistoryRetention stamps premium users, keeps partitions for overrides and deletes by effective plan', async () => {
+  const pool = createPool({ overrides: { min: 30, max: 365 } });
+  const result = await applyHistoryRetention(pool, { freeDays: 7, premiumDays: 90, graceDays: 14 });
+  assert.deepEqual(result, { dropped: [], deleted: 12 });
+
+  assert.match(pool.calls[0].sql, /UPDATE users u SET premium_seen_at = now\(\)/);
+  assert.match(pool.calls[0].sql, /plan_status/);
+  assert.match(pool.calls[0].sql, /premium_until/);
+
+  const del = pool.calls.find((c) => c.sql.startsWith('DELETE FROM device_history'));
+  assert.match(del.sql, /history_days_override/);
+  assert.match(del.sql, /premium_seen_at > now\(\) - \(\$3/);
+  assert.doesNotMatch(del.sql, /u\.plan = \$1/);
+  assert.deepEqual(del.params, [7, 90, 14, 365, 7]);
+});
+
+test('applyHistoryRetention only drops partitions when every user keeps the same days', async () => {
+  const pool = createPool({ partitions: ['device_history_p2020_01'] });
+  const result = await applyHistoryRetention(pool, { freeDays: 30, premiumDays: 30, graceDays: 14 });
+  assert.deepEqual(result, { dropped: ['device_history_p2020_01'], deleted: 0 });
+  assert.ok(!pool.calls.some((c) => c.sql.startsWith('DELETE FROM device_history')));
+  assert.ok(pool.calls.some((c) => c.sql === 'DROP TABLE IF EXISTS "device_history_p2020_01"'));
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLLUP_CHUNK_HOURS, truncateUtc, rollupWindow, rollupSql, rollupHistory } = require('../rollups');
+
+const NOW = new Date('2026-03-02T10:25:00Z');
+
+test('truncateUtc: start of the UTC hour or day', () => {
+  assert.equal(truncateUtc('2026-03-02T10:25:13Z', 'hour').toISOString(), '2026-03-02T10:00:00.000Z');
+  assert.equal(truncateUtc('2026-03-02T10:25:13Z', 'day').toISOString(), '2026-03-02T00:00:00.000Z');
+});
+
+test('rollupWindow: re-reads the hour before the newest bucket, backfills in chunks, skips gaps', () => {
+  const steady = rollupWindow(new Date('2026-03-02T10:00:00Z'), new Date('2026-03-02T09:00:04Z'), NOW);
+  assert.equal(steady.from.toISOString(), '2026-03-02T09:00:00.000Z');
+  assert.equal(steady.to.toISOString(), NOW.toISOString());
+
+  const backfill = rollupWindow(null, new Date('2025-12-01T07:42:00Z'), NOW);
+  assert.equal(backfill.from.toISOString(), '2025-12-01T07:00:00.000Z');
+  assert.equal(backfill.to.getTime() - backfill.from.getTime(), ROLLUP_CHUNK_HOURS * 3600 * 1000);
+
+  const afterGap = rollupWindow(new Date('2026-02-01T00:00:00Z'), new Date('2026-03-02T08:10:00Z'), NOW);
+  assert.equal(afterGap.from.toISOString(), '2026-03-02T08:00:00.000Z');
+
+  assert.equal(rollupWindow(new Date('2026-03-02T10:00:00Z'), null, NOW), null);
+});
+
+test('rollupSql: one upsert per unit', () => {
+  assert.match(rollupSql('hour'), /INSERT INTO device_history_hourly/);
+  assert.match(rollupSql('day'), /date_trunc\('day', ts\)/);
+  assert.throws(() => rollupSql('week'), /Unknown rollup unit/);
+});
+
+test('rollupHistory: aggregates hours of the window and the days they fall in', async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (/max\(bucket\)/.test(sql)) return { rows: [{ bucket: new Date('2026-03-02T00:00:00Z') }] };
+      if (/min\(timestamp\)/.test(sql)) return { rows: [{ ts: new Date('2026-03-01T23:00:02Z') }] };
+      return { rowCount: 3, rows: [] };
+    }
+  };
+  const window = await rollupHistory(pool, NOW);
+
+  assert.equal(window.from.toISOString(), '2026-03-01T23:00:00.000Z');
+  assert.equal(calls[1].params[0].toISOString(), '2026-03-01T23:00:00.000Z');
+  assert.match(calls[2].sql, /device_history_hourly/);
+  assert.deepEqual(calls[2].params, [window.from, NOW]);
+  assert.match(calls[3].sql, /device_history_daily/);
+  assert.equal(calls[3].params[0].toISOString(), '2026-03-01T00:00:00.000Z');
+});
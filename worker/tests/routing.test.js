@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRoute, transitionOf, inTimeWindow, matchRoute, resolveRouteTargets } = require('../routing');
+
+function route(overrides) {
+  return parseRoute(Object.assign({ id: 1, name: 'r', match: {}, targets: [{ channel: 'email' }] }, overrides));
+}
+
+test('parseRoute drops unknown channels and normalizes match lists', () => {
+  const r = parseRoute({
+    id: 3,
+    name: 'POS team',
+    stop: true,
+    match: { projectIds: ['store-104'], deviceTypes: ['PosServer'], transitions: ['down'] },
+    targets: [{ channel: 'sms', to: ' +61400111222 ' }, { channel: 'pager' }, null]
+  });
+  assert.deepEqual(r.projectIds, ['store-104']);
+  assert.deepEqual(r.deviceTypes, ['posserver']);
+  assert.deepEqual(r.targets, [{ channel: 'sms', to: '+61400111222' }]);
+  assert.equal(r.stop, true);
+});
+
+test('transitionOf uses the event type for non-status alerts', () => {
+  assert.equal(transitionOf('down'), 'down');
+  assert.equal(transitionOf('up', { type: 'cert_expiring' }), 'cert_expiring');
+});
+
+test('inTimeWindow handles same-day and overnight windows in the given timezone', () => {
+  const business = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+  // Monday 2026-03-02 10:00 in Adelaide (UTC+10:30) = 2026-03-01T23:30Z
+  assert.equal(inTimeWindow(business, new Date('2026-03-01T23:30:00Z'), 'Australia/Adelaide'), true);
+  assert.equal(inTimeWindow(business, new Date('2026-03-01T23:30:00Z'), 'UTC'), false);
+
+  const overnight = { start: '22:00', end: '06:00', days: [5] }; // Friday night
+  assert.equal(inTimeWindow(overnight, new Date('2026-03-06T23:00:00Z'), 'UTC'), true); // Fri 23:00
+  assert.equal(inTimeWindow(overnight, new Date('2026-03-07T05:00:00Z'), 'UTC'), true); // Sat 05:00
+  assert.equal(inTimeWindow(overnight, new Date('2026-03-07T23:00:00Z'), 'UTC'), false); // Sat 23:00
+  assert.equal(inTimeWindow(null, new Date(), 'UTC'), true);
+});
+
+test('matchRoute requires every configured criterion', () => {
+  const r = route({ match: { projectIds: ['store-104'], deviceTypes: ['fortigate'], transitions: ['down'] } });
+  const ctx = { storeId: 'store-104', deviceType: 'fortigate', transition: 'down', timeZone: 'UTC' };
+  assert.equal(matchRoute(r, ctx), true);
+  assert.equal(matchRoute(r, Object.assign({}, ctx, { storeId: 'store-105' })), false);
+  assert.equal(matchRoute(r, Object.assign({}, ctx, { deviceType: 'nxwitness' })), false);
+  assert.equal(matchRoute(r, Object.assign({}, ctx, { transition: 'up' })), false);
+  assert.equal(matchRoute(route({}), ctx), true);
+});
+
+test('resolveRouteTargets merges matching rules, de-duplicates and honours stop', () => {
+  const routes = [
+    route({ id: 1, match: { deviceTypes: ['posserver'] }, targets: [{ channel: 'sms', to: '+61400111222' }, { channel: 'email' }] }),
+    route({ id: 2, stop: true, targets: [{ channel: 'email' }, { channel: 'slack' }] }),
+    route({ id: 3, targets: [{ channel: 'webhook' }] })
+  ];
+  const ctx = { storeId: 's', deviceType: 'posserver', transition: 'down', timeZone: 'UTC' };
+  assert.deepEqual(resolveRouteTargets(routes, ctx), {
+    matched: true,
+    targets: [{ channel: 'sms', to: '+61400111222' }, { channel: 'email', to: null }, { channel: 'slack', to: null }]
+  });
+
+  const none = resolveRouteTargets([route({ match: { projectIds: ['other'] } })], ctx);
+  assert.deepEqual(none, { matched: false, targets: [] });
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { leaseDevices, runWithConcurrency, runExclusive, startJobLoop, summarizeLag } = require('../scheduler');
+
+test('leaseDevices claims due devices with SKIP LOCKED and returns their lag', async () => {
+  const calls = [];
+  const pool = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 'd1', lag_ms: '1500' }] };
+    }
+  };
+  const rows = await leaseDevices(pool, { workerId: 'w1', leaseSeconds: 120, limit: 50 });
+  assert.deepEqual(rows, [{ id: 'd1', lag_ms: 1500 }]);
+  assert.match(calls[0].sql, /FOR UPDATE OF d SKIP LOCKED/);
+  assert.match(calls[0].sql, /lease_expires_at IS NULL OR d\.lease_expires_at < now\(\)/);
+  assert.match(calls[0].sql, /d\.last_check <= now\(\)/);
+  assert.deepEqual(calls[0].params, ['w1', 120, 50]);
+});
+
+test('leaseDevices clamps intervals to the owner plan and claims premium devices first', async () => {
+  const calls = [];
+  const pool = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [] };
+    }
+  };
+  await leaseDevices(pool, { workerId: 'w1', leaseSeconds: 120, limit: 50 });
+  assert.match(calls[0].sql, /JOIN users u ON u\.id = d\.user_id/);
+  assert.match(calls[0].sql, /LEAST\(GREATEST\(d\.ping_interval,[\s\S]*THEN 900 ELSE 7200 END\),\s*86400\)/);
+  assert.match(calls[0].sql, /ORDER BY \(lower\(trim\(u\.plan\)\) = 'premium'[\s\S]*\) DESC, COALESCE\(d\.last_check/);
+});
+
+test('leaseDevices schedules heartbeat monitors on their period + grace, not the plan interval', async () => {
+  const calls = [];
+  const pool = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [] };
+    }
+  };
+  await leaseDevices(pool, { workerId: 'w1', leaseSeconds: 120, limit: 50 });
+  assert.match(calls[0].sql, /CASE WHEN d\.check_type = 'heartbeat' THEN CASE WHEN d\.ping_started_at > COALESCE\(d\.last_ping_at/);
+  assert.match(calls[0].sql, /COALESCE\(\(d\.check_config->>'periodSeconds'\)::int, 86400\) \+ COALESCE\(\(d\.check_config->>'graceSeconds'\)::int, 3600\)/);
+});
+
+test('leaseDevices by id ignores the schedule and reports no lag', async () => {
+  const calls = [];
+  const pool = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [{ id: 'd2', lag_ms: null }] };
+    }
+  };
+  const rows = await leaseDevices(pool, { workerId: 'w1', leaseSeconds: 120, deviceIds: ['d2'] });
+  assert.deepEqual(rows, [{ id: 'd2', lag_ms: null }]);
+  assert.doesNotMatch(calls[0].sql, /d\.last_check <= now\(\)/);
+  assert.deepEqual(calls[0].params[3], ['d2']);
+  assert.match(calls[0].sql, /d\.probe = 'worker'/);
+});
+
+test('runWithConcurrency never exceeds the limit and visits every item', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const seen = [];
+  await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (n) => {
+    inFlight += 1;
+    peak = Math.max(peak, inFlight);
+    await new Promise((r) => setTimeout(r, n % 2 ? 5 : 1));
+    seen.push(n);
+    inFlight -= 1;
+  });
+  assert.equal(peak, 3);
+  assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5, 6, 7]);
+  await runWithConcurrency([], 3, async () => assert.fail('not called'));
+});
+
+test('summarizeLag ignores manual checks', () => {
+  assert.deepEqual(summarizeLag([]), { count: 0, avgMs: 0, p95Ms: 0, maxMs: 0 });
+  const lags = Array.from({ length: 20 }, (_, i) => (i + 1) * 100).concat([null]);
+  assert.deepEqual(summarizeLag(lags), { count: 20, avgMs: 1050, p95Ms: 1900, maxMs: 2000 });
+});
+
+test('runExclusive skips the job while another worker holds its lock', async () => {
+  const held = new Set();
+  const released = [];
+  const makePool = () => ({
+    connect: async () => ({
+      query: async (sql, params) => {
+        if (/pg_try_advisory_lock/.test(sql)) {
+          if (held.has(params[0])) return { rows: [{ locked: false }] };
+          held.add(params[0]);
+          return { rows: [{ locked: true }] };
+        }
+        held.delete(params[0]);
+        return { rows: [] };
+      },
+      release: () => released.push(true)
+    })
+  });
+  const pool = makePool();
+  let inner = null;
+  const ran = await runExclusive(pool, 'escalations', async () => {
+    inner = await runExclusive(pool, 'escalations', async () => assert.fail('ran twice'));
+  });
+  assert.equal(ran, true);
+  assert.equal(inner, false);
+  assert.equal(held.size, 0);
+  assert.equal(released.length, 2);
+});
+
+test('startJobLoop keeps a slow delivery off the check loop', async () => {
+  let finishDelivery;
+  let deliveries = 0;
+  const loop = startJobLoop('webhook delivery', 5, async () => {
+    deliveries += 1;
+    await new Promise((resolve) => { finishDelivery = resolve; });
+  });
+
+  // The check loop keeps ticking while the delivery hangs
+  let ticks = 0;
+  const tick = async () => { ticks += 1; };
+  const startedAt = Date.now();
+  for (let i = 0; i < 5; i += 1) {
+    await tick();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.equal(ticks, 5);
+  assert.ok(Date.now() - startedAt < 1000);
+  // ...and the job never overlaps itself
+  assert.equal(deliveries, 1);
+
+  finishDelivery();
+  await loop.stop();
+});
+
+test('startJobLoop carries on after a failing run', async () => {
+  let runs = 0;
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args.join(' '));
+  let loop;
+  try {
+    await new Promise((resolve) => {
+      loop = startJobLoop('digest', 1, async () => {
+        runs += 1;
+        if (runs === 1) throw new Error('smtp down');
+        resolve();
+      });
+    });
+    await loop.stop();
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(runs, 2);
+  assert.match(errors[0], /worker digest error:/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSchedule, scheduleDecision, groupDigestItems, buildDigest } = require('../schedules');
+
+// Monday 2026-03-02 in UTC
+const MON_2330 = new Date('2026-03-02T23:30:00Z');
+const MON_1000 = new Date('2026-03-02T10:00:00Z');
+
+test('scheduleDecision defaults to send without a schedule or windows', () => {
+  assert.equal(scheduleDecision(null, MON_2330, 'UTC'), 'send');
+  assert.equal(scheduleDecision(parseSchedule({ channel: 'sms', mode: 'always' }), MON_2330, 'UTC'), 'send');
+  assert.equal(scheduleDecision(parseSchedule({ channel: 'sms', mode: 'quiet', windows: [] }), MON_2330, 'UTC'), 'send');
+});
+
+test('quiet mode suppresses inside windows, active mode only sends inside them', () => {
+  const quiet = parseSchedule({ channel: 'sms', mode: 'quiet', windows: [{ start: '22:00', end: '07:00' }] });
+  assert.equal(scheduleDecision(quiet, MON_2330, 'UTC'), 'suppress');
+  assert.equal(scheduleDecision(quiet, MON_1000, 'UTC'), 'send');
+  // 23:30 UTC is 10:00 Tuesday in Adelaide
+  assert.equal(scheduleDecision(quiet, MON_2330, 'Australia/Adelaide'), 'send');
+
+  const business = parseSchedule({ channel: 'slack', mode: 'active', windows: [{ start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }] });
+  assert.equal(scheduleDecision(business, MON_1000, 'UTC'), 'send');
+  assert.equal(scheduleDecision(business, MON_2330, 'UTC'), 'suppress');
+  assert.equal(scheduleDecision(business, new Date('2026-03-07T10:00:00Z'), 'UTC'), 'suppress'); // Saturday
+});
+
+test('groupDigestItems groups per user, channel and recipient', () => {
+  const rows = [
+    { id: 1, user_id: 'u1', channel: 'sms', recipient: '+61400111222', summary: 'a', occurred_at: '2026-03-02T23:00:00Z', timezone: 'UTC', mode: 'quiet', windows: [], digest: true },
+    { id: 2, user_id: 'u1', channel: 'sms', recipient: '+61400111222', summary: 'b', occurred_at: '2026-03-02T23:10:00Z', timezone: 'UTC', mode: 'quiet', windows: [], digest: true },
+    { id: 3, user_id: 'u1', channel: 'email', recipient: 'ops@example.com', summary: 'c', occurred_at: '2026-03-02T23:20:00Z', timezone: null, mode: null }
+  ];
+  const groups = groupDigestItems(rows);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[0].items.map((i) => i.id), [1, 2]);
+  assert.equal(groups[0].schedule.mode, 'quiet');
+  assert.equal(groups[1].schedule, null);
+});
+
+test('buildDigest lists alerts in time order in the owner timezone', () => {
+  const items = [
+    { summary: 'POS (store-104): UP → DOWN', occurred_at: '2026-03-02T23:10:00Z' },
+    { summary: 'FW (store-104): DOWN → UP', occurred_at: '2026-03-02T23:40:00Z' },
+    { summary: 'NVR (store-2): UP → DOWN', occurred_at: '2026-03-02T22:50:00Z' }
+  ];
+  const d = buildDigest(items, 'UTC');
+  assert.match(d.subject, /3 alerts/);
+  assert.match(d.lines[0], /22:50  NVR \(store-2\): UP → DOWN$/);
+  assert.ok(d.text.includes('FW (store-104): DOWN → UP'));
+
+  const many = buildDigest(Array.from({ length: 8 }, (_, i) => ({ summary: `d${i}`, occurred_at: `2026-03-02T2${i % 4}:00:00Z` })), 'UTC');
+  assert.ok(many.sms.endsWith('+3 more'));
+});
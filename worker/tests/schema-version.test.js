@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMA_MANIFEST, REQUIRED_SCHEMA_VERSION, assertSchemaVersion } = require('../schema-version');
+
+const manifest = [
+  { version: 1, name: 'a', checksum: 'c1' },
+  { version: 2, name: 'b', checksum: 'c2' }
+];
+
+function poolWith(rows) {
+  return { async query() { return { rows }; } };
+}
+
+test('REQUIRED_SCHEMA_VERSION is the newest migration in the manifest', () => {
+  assert.ok(SCHEMA_MANIFEST.length > 0);
+  assert.equal(REQUIRED_SCHEMA_VERSION, SCHEMA_MANIFEST[SCHEMA_MANIFEST.length - 1].version);
+});
+
+test('assertSchemaVersion: passes when every listed migration is applied unchanged', async () => {
+  const applied = [{ version: 1, checksum: 'c1' }, { version: 2, checksum: 'c2' }];
+  assert.equal(await assertSchemaVersion(poolWith(applied), manifest), 2);
+  // A newer app may have applied migrations this worker does not know yet
+  assert.equal(await assertSchemaVersion(poolWith([...applied, { version: 3, checksum: 'c3' }]), manifest), 3);
+});
+
+test('assertSchemaVersion: refuses a database that is behind or never migrated', async () => {
+  await assert.rejects(assertSchemaVersion(poolWith([{ version: 1, checksum: 'c1' }]), manifest), /pending: 002_b\.sql/);
+
+  const missing = {
+    async query() {
+      const err = new Error('relation "schema_migrations" does not exist');
+      err.code = '42P01';
+      throw err;
+    }
+  };
+  await assert.rejects(assertSchemaVersion(missing, manifest), /pending: 001_a\.sql, 002_b\.sql/);
+});
+
+test('assertSchemaVersion: refuses migrations applied with a different checksum', async () => {
+  const edited = poolWith([{ version: 1, checksum: 'c1' }, { version: 2, checksum: 'other' }]);
+  await assert.rejects(assertSchemaVersion(edited, manifest), /differ from the ones the worker was built for: 002_b\.sql/);
+});
+
+test('assertSchemaVersion: other database errors propagate', async () => {
+  const down = { async query() { throw new Error('connect ECONNREFUSED'); } };
+  await assert.rejects(assertSchemaVersion(down, manifest), /ECONNREFUSED/);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OIDS, snmpQueryOids, evaluateSnmpMetric, evaluateSnmpMetrics, snmpCheck } = require('../snmp');
+
+// Minimal stand-in for the net-snmp module: serves `values` (oid -> value) to session.get.
+function fakeSnmp(values, { fail } = {}) {
+  const calls = { sessions: [], closed: 0 };
+  const session = {
+    on() {},
+    close() { calls.closed += 1; },
+    get(oids, cb) {
+      calls.oids = oids;
+      if (fail) return setImmediate(() => cb(new Error(fail)));
+      const varbinds = oids.map((oid) => (oid in values
+        ? { oid, type: 2, value: values[oid] }
+        : { oid, type: 128, value: null }));
+      setImmediate(() => cb(null, varbinds));
+    }
+  };
+  const lib = {
+    Version2c: 1,
+    Version3: 3,
+    SecurityLevel: { noAuthNoPriv: 1, authNoPriv: 2, authPriv: 3 },
+    AuthProtocols: { md5: 1, sha: 2, sha256: 4 },
+    PrivProtocols: { des: 1, aes: 2 },
+    ObjectType: { Counter64: 70 },
+    isVarbindError: (vb) => vb.type >= 128,
+    createSession: (host, community, options) => {
+      calls.sessions.push({ host, community, options });
+      return session;
+    },
+    createV3Session: (host, user, options) => {
+      calls.sessions.push({ host, user, options });
+      return session;
+    }
+  };
+  return { lib, calls };
+}
+
+test('snmpQueryOids: presets expand to their OIDs, sysUpTime by default', () => {
+  assert.deepEqual(snmpQueryOids({}), [OIDS.sysUpTime]);
+  assert.deepEqual(snmpQueryOids({
+    metrics: [
+      { type: 'ifOperStatus', index: 3 },
+      { type: 'memory', index: 1 },
+      { type: 'supply', index: 2 },
+      { type: 'cpu', oid: '1.3.6.1.4.1.12356.101.4.1.3.0' }
+    ]
+  }), [
+    '1.3.6.1.2.1.2.2.1.8.3',
+    '1.3.6.1.2.1.25.2.3.1.6.1',
+    '1.3.6.1.2.1.25.2.3.1.5.1',
+    '1.3.6.1.2.1.43.11.1.1.9.1.2',
+    '1.3.6.1.2.1.43.11.1.1.8.1.2',
+    '1.3.6.1.4.1.12356.101.4.1.3.0'
+  ]);
+});
+
+test('evaluateSnmpMetric: thresholds map values to up/warning/down', () => {
+  const cpu = { type: 'cpu', index: 196608, warnAbove: 80, downAbove: 95 };
+  const oid = '1.3.6.1.2.1.25.3.3.1.2.196608';
+  assert.equal(evaluateSnmpMetric(cpu, { [oid]: 40 }).state, 'up');
+  assert.equal(evaluateSnmpMetric(cpu, { [oid]: 85 }).state, 'warning');
+  assert.deepEqual(evaluateSnmpMetric(cpu, { [oid]: 99 }), { name: 'cpu', type: 'cpu', value: 99, unit: '%', state: 'down' });
+
+  const uptime = evaluateSnmpMetric({ type: 'sysUpTime', warnBelow: 600 }, { [OIDS.sysUpTime]: 12345 });
+  assert.equal(uptime.value, 123);
+  assert.equal(uptime.state, 'warning');
+
+  const memory = evaluateSnmpMetric({ type: 'memory', index: 1, warnAbove: 90 }, {
+    '1.3.6.1.2.1.25.2.3.1.6.1': 950,
+    '1.3.6.1.2.1.25.2.3.1.5.1': 1000
+  });
+  assert.equal(memory.value, 95);
+  assert.equal(memory.state, 'warning');
+
+  const toner = { type: 'supply', index: 1, label: 'black toner', warnBelow: 15, downBelow: 3 };
+  const level = '1.3.6.1.2.1.43.11.1.1.9.1.1';
+  const max = '1.3.6.1.2.1.43.11.1.1.8.1.1';
+  assert.equal(evaluateSnmpMetric(toner, { [level]: 200, [max]: 2000 }).state, 'warning');
+  assert.equal(evaluateSnmpMetric(toner, { [level]: 20, [max]: 2000 }).state, 'down');
+  // -3: "some remaining" (no level reported) is not treated as empty.
+  assert.deepEqual(evaluateSnmpMetric(toner, { [level]: -3, [max]: -2 }).value, null);
+  assert.equal(evaluateSnmpMetric(toner, { [level]: -3, [max]: -2 }).state, 'up');
+
+  const custom = evaluateSnmpMetric({ type: 'custom', oid: '1.3.6.1.4.1.9.9.1.0', warnAbove: 40 }, { '1.3.6.1.4.1.9.9.1.0': Buffer.from('42') });
+  assert.equal(custom.value, 42);
+  assert.equal(custom.state, 'warning');
+});
+
+test('evaluateSnmpMetrics: a down interface or missing object decides the status', () => {
+  const cfg = { metrics: [{ type: 'ifOperStatus', index: 1, label: 'WAN1' }, { type: 'ifOperStatus', index: 2, severity: 'warning' }] };
+  const up = evaluateSnmpMetrics(cfg, { '1.3.6.1.2.1.2.2.1.8.1': 1, '1.3.6.1.2.1.2.2.1.8.2': 1 });
+  assert.equal(up.status, 'up');
+  assert.equal(up.metrics[0].name, 'WAN1');
+  assert.equal(up.metrics[0].text, 'up');
+
+  assert.equal(evaluateSnmpMetrics(cfg, { '1.3.6.1.2.1.2.2.1.8.1': 1, '1.3.6.1.2.1.2.2.1.8.2': 2 }).status, 'warning');
+  const wanDown = evaluateSnmpMetrics(cfg, { '1.3.6.1.2.1.2.2.1.8.1': 7, '1.3.6.1.2.1.2.2.1.8.2': 1 });
+  assert.equal(wanDown.status, 'down');
+  assert.equal(wanDown.metrics[0].text, 'lowerLayerDown');
+
+  const missing = evaluateSnmpMetrics(cfg, { '1.3.6.1.2.1.2.2.1.8.1': 1 });
+  assert.equal(missing.status, 'warning');
+  assert.match(missing.metrics[1].error, /no such object 1\.3\.6\.1\.2\.1\.2\.2\.1\.8\.2/);
+});
+
+test('snmpCheck: v2c polls the device and records metric values', async () => {
+  const { lib, calls } = fakeSnmp({ [OIDS.sysUpTime]: 8640000, '1.3.6.1.2.1.25.3.3.1.2.1': 12 });
+  const result = await snmpCheck({ ip: '10.0.0.2' }, {
+    version: '2c',
+    community: 'store104',
+    metrics: [{ type: 'sysUpTime' }, { type: 'cpu', index: 1, warnAbove: 80 }]
+  }, lib);
+
+  assert.equal(result.status, 'up');
+  assert.equal(result.packet_loss, 0);
+  assert.deepEqual(result.detail.snmp.map((m) => [m.name, m.value]), [['uptime', 86400], ['cpu', 12]]);
+  assert.equal(calls.sessions[0].host, '10.0.0.2');
+  assert.equal(calls.sessions[0].community, 'store104');
+  assert.equal(calls.sessions[0].options.port, 161);
+  assert.equal(calls.closed, 1);
+});
+
+test('snmpCheck: v3 builds the USM user; request errors are down', async () => {
+  const { lib, calls } = fakeSnmp({}, { fail: 'Request timed out' });
+  const result = await snmpCheck({ ip: '10.0.0.1' }, {
+    version: '3',
+    port: 1161,
+    username: 'dashmon',
+    securityLevel: 'authPriv',
+    authProtocol: 'sha256',
+    authKey: 'authpass123',
+    privProtocol: 'aes',
+    privKey: 'privpass123'
+  }, lib);
+
+  assert.equal(result.status, 'down');
+  assert.equal(result.detail.error, 'Request timed out');
+  assert.deepEqual(calls.sessions[0].user, { name: 'dashmon', level: 3, authProtocol: 4, authKey: 'authpass123', privProtocol: 2, privKey: 'privpass123' });
+  assert.equal(calls.sessions[0].options.version, 3);
+  assert.equal(calls.sessions[0].options.port, 1161);
+  assert.equal(calls.closed, 1);
+});
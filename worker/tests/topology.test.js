@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyParentStatus, isSuppressedByParent, describeDependents } = require('../topology');
+
+const down = { status: 'down', failures: 2, successes: 0, confirming: false };
+
+test('applyParentStatus: a device behind a down parent is unreachable, not down', () => {
+  assert.deepEqual(applyParentStatus(down, 'up', [{ status: 'down' }]), { status: 'unreachable', failures: 2, successes: 0, confirming: false });
+  // chains: the parent is itself unreachable behind the WAN link
+  assert.equal(applyParentStatus(down, 'up', [{ status: 'unreachable' }]).status, 'unreachable');
+  // redundant parents: one link still up means this device really is down
+  assert.equal(applyParentStatus(down, 'up', [{ status: 'down' }, { status: 'up', consecutive_failures: 0 }]).status, 'down');
+  assert.equal(applyParentStatus(down, 'up', []).status, 'down');
+});
+
+test('applyParentStatus: waits while a parent is still confirming its own failure', () => {
+  const held = applyParentStatus(down, 'up', [{ status: 'up', consecutive_failures: 1 }]);
+  assert.deepEqual(held, { status: 'up', failures: 2, successes: 0, confirming: true });
+});
+
+test('applyParentStatus: leaves devices that were already down or are not failing alone', () => {
+  assert.equal(applyParentStatus(down, 'down', [{ status: 'down' }]).status, 'down');
+  const up = { status: 'up', failures: 0, successes: 1, confirming: false };
+  assert.equal(applyParentStatus(up, 'unreachable', [{ status: 'down' }]), up);
+});
+
+test('isSuppressedByParent: no alerts into or out of unreachable, except to down', () => {
+  assert.equal(isSuppressedByParent('up', 'unreachable'), true);
+  assert.equal(isSuppressedByParent('unreachable', 'up'), true);
+  assert.equal(isSuppressedByParent('unreachable', 'down'), false);
+  assert.equal(isSuppressedByParent('up', 'down'), false);
+});
+
+test('describeDependents: counts and names the devices behind a parent', () => {
+  assert.equal(describeDependents([]), null);
+  assert.equal(describeDependents([{ name: 'POS 1' }]), '1 device (POS 1)');
+  const many = Array.from({ length: 8 }, (_, i) => ({ name: `POS ${i + 1}` }));
+  assert.equal(describeDependents(many), '8 devices (POS 1, POS 2, POS 3, POS 4, POS 5, ... +3 more)');
+});
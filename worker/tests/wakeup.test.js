@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { DEVICE_CHECK_CHANNEL, parseWakeupPayload, createWakeupQueue, listenForWakeups } = require('../wakeup');
+
+test('parseWakeupPayload accepts JSON payloads and bare device ids', () => {
+  assert.deepEqual(parseWakeupPayload('{"deviceIds":["d1","d2"]}'), { deviceIds: ['d1', 'd2'], due: false });
+  assert.deepEqual(parseWakeupPayload('{"due":true}'), { deviceIds: [], due: true });
+  assert.deepEqual(parseWakeupPayload('d3'), { deviceIds: ['d3'], due: false });
+  assert.deepEqual(parseWakeupPayload(''), { deviceIds: [], due: true });
+});
+
+test('wakeup queue ends the wait early and de-duplicates device ids', async () => {
+  const queue = createWakeupQueue();
+  const started = Date.now();
+  const waiting = queue.wait(5000);
+  queue.push({ deviceIds: ['d1'] });
+  queue.push({ deviceIds: ['d1', 'd2'], due: true });
+  await waiting;
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(queue.take(), { deviceIds: ['d1', 'd2'], due: true });
+  assert.equal(queue.pending, false);
+
+  const t0 = Date.now();
+  await queue.wait(30);
+  assert.ok(Date.now() - t0 >= 25);
+});
+
+test('listenForWakeups LISTENs and feeds notifications into the queue', async () => {
+  const client = new EventEmitter();
+  const queries = [];
+  client.query = async (sql) => { queries.push(sql); };
+  client.release = () => {};
+  const queue = createWakeupQueue();
+
+  await listenForWakeups({ connect: async () => client }, queue);
+  assert.deepEqual(queries, [`LISTEN ${DEVICE_CHECK_CHANNEL}`]);
+
+  client.emit('notification', { channel: DEVICE_CHECK_CHANNEL, payload: '{"deviceIds":["d9"]}' });
+  client.emit('notification', { channel: 'other', payload: '{"deviceIds":["x"]}' });
+  assert.deepEqual(queue.take(), { deviceIds: ['d9'], due: false });
+});
@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const {
+  MAX_ATTEMPTS,
+  parseEndpoints,
+  nextRetryDelaySeconds,
+  signPayload,
+  buildStatusPayload,
+  postWebhook,
+  enqueueWebhookEvent,
+  deliverPendingWebhooks
+} = require('../webhooks');
+
+test('parseEndpoints keeps enabled http(s) endpoints only', () => {
+  const rules = {
+    endpoints: [
+      { id: 'a', url: 'https://tickets.example.com/hook', secret: 's1' },
+      { id: 'b', url: 'https://other.example.com', secret: 's2', enabled: false },
+      { id: 'c', url: 'ftp://nope', secret: 's3' },
+      null
+    ]
+  };
+  assert.deepEqual(parseEndpoints(rules).map((e) => e.id), ['a']);
+  assert.deepEqual(parseEndpoints(null), []);
+});
+
+test('nextRetryDelaySeconds backs off exponentially and is capped', () => {
+  assert.equal(nextRetryDelaySeconds(1), 30);
+  assert.equal(nextRetryDelaySeconds(2), 60);
+  assert.equal(nextRetryDelaySeconds(4), 240);
+  assert.equal(nextRetryDelaySeconds(20), 6 * 60 * 60);
+});
+
+test('buildStatusPayload carries device, project, statuses, latency and outage start', () => {
+  const device = { id: 'd1', name: 'POS 1', ip: '10.0.0.5', type: 'pos', store_id: 'store-104', store_name: 'Main St' };
+  const at = new Date('2026-03-01T10:05:00Z');
+  const p = buildStatusPayload(device, 'up', 'down', { latency: null, outageStartedAt: '2026-03-01T10:04:00Z', at });
+  assert.equal(p.event, 'device.status_changed');
+  assert.equal(p.occurredAt, '2026-03-01T10:05:00.000Z');
+  assert.deepEqual(p.project, { id: 'store-104', name: 'Main St' });
+  assert.equal(p.oldStatus, 'up');
+  assert.equal(p.newStatus, 'down');
+  assert.equal(p.latencyMs, null);
+  assert.equal(p.outageStartedAt, '2026-03-01T10:04:00.000Z');
+  assert.equal(buildStatusPayload(device, 'down', 'up', { latency: 12 }).latencyMs, 12);
+});
+
+test('enqueueWebhookEvent inserts one delivery per endpoint', async () => {
+  const calls = [];
+  const pool = { async query(sql, params) { calls.push({ sql, params }); return { rows: [] }; } };
+  const n = await enqueueWebhookEvent(pool, 'u1', 'd1', [{ id: 'a' }, { id: 'b' }], { event: 'device.status_changed' });
+  assert.equal(n, 2);
+  assert.match(calls[0].sql, /INSERT INTO webhook_deliveries/);
+  assert.deepEqual(calls.map((c) => c.params[1]), ['a', 'b']);
+});
+
+test('deliverPendingWebhooks signs requests to a local endpoint and marks them delivered', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  const updates = [];
+  const pool = {
+    async query(sql, params) {
+      if (/FROM webhook_deliveries w/.test(sql)) {
+        return {
+          rows: [{
+            id: 7,
+            user_id: 'u1',
+            endpoint_id: 'a',
+            event: 'device.status_changed',
+            payload: { event: 'device.status_changed', newStatus: 'down' },
+            attempts: 0,
+            enabled: true,
+            rules: { endpoints: [{ id: 'a', url, secret: 'topsecret' }] }
+          }]
+        };
+      }
+      updates.push({ sql, params });
+      return { rows: [] };
+    }
+  };
+
+  // The receiver is on loopback, which only self-hosted installs allow
+  const post = (u, b, h) => postWebhook(u, b, h, undefined, { allowPrivateAddresses: true });
+  try {
+    const results = await deliverPendingWebhooks(pool, { post });
+    assert.deepEqual(results, [{ id: 7, status: 'delivered' }]);
+  } finally {
+    server.close();
+  }
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.deepEqual(JSON.parse(body), { event: 'device.status_changed', newStatus: 'down' });
+  assert.equal(headers['x-dashmon-delivery'], '7');
+  const expected = 'sha256=' + crypto.createHmac('sha256', 'topsecret')
+    .update(`${headers['x-dashmon-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-dashmon-signature'], expected);
+  assert.equal(signPayload('topsecret', headers['x-dashmon-timestamp'], body), expected);
+  assert.match(updates[0].sql, /status='delivered'/);
+});
+
+test('deliverPendingWebhooks reschedules failures and gives up after MAX_ATTEMPTS', async () => {
+  const makePool = (attempts, rules, updates) => ({
+    async query(sql, params) {
+      if (/FROM webhook_deliveries w/.test(sql)) {
+        return { rows: [{ id: 1, endpoint_id: 'a', event: 'test', payload: {}, attempts, enabled: true, rules }] };
+      }
+      updates.push({ sql, params });
+      return { rows: [] };
+    }
+  });
+  const rules = { endpoints: [{ id: 'a', url: 'http://127.0.0.1:1/hook', secret: 's' }] };
+  const post = async () => ({ statusCode: 500 });
+
+  const first = [];
+  assert.deepEqual(await deliverPendingWebhooks(makePool(0, rules, first), { post }), [{ id: 1, status: 'pending' }]);
+  assert.deepEqual(first[0].params, [1, 'pending', 1, 500, 'HTTP 500', 30]);
+
+  const last = [];
+  assert.deepEqual(await deliverPendingWebhooks(makePool(MAX_ATTEMPTS - 1, rules, last), { post }), [{ id: 1, status: 'failed' }]);
+
+  const removed = [];
+  assert.deepEqual(await deliverPendingWebhooks(makePool(0, { endpoints: [] }, removed), { post }), [{ id: 1, status: 'failed' }]);
+  assert.match(removed[0].params[1], /removed/);
+});
+
+test('deliverPendingWebhooks drops deliveries once webhook alerts are turned off', async () => {
+  const updates = [];
+  const pool = {
+    async query(sql, params) {
+      if (/FROM webhook_deliveries w/.test(sql)) {
+        assert.match(sql, /a\.enabled/);
+        const rules = { endpoints: [{ id: 'a', url: 'https://hooks.example.com/x', secret: 's' }] };
+        return { rows: [{ id: 3, endpoint_id: 'a', event: 'test', payload: {}, attempts: 0, enabled: false, rules }] };
+      }
+      updates.push({ sql, params });
+      return { rows: [] };
+    }
+  };
+  const post = async () => assert.fail('sent while disabled');
+  assert.deepEqual(await deliverPendingWebhooks(pool, { post }), [{ id: 3, status: 'failed' }]);
+  assert.deepEqual(updates[0].params, [3, 'webhook alerts disabled']);
+});
+
+test('deliverPendingWebhooks sends concurrently and starts nothing after the pass deadline', async () => {
+  const rules = { endpoints: [{ id: 'a', url: 'https://hooks.example.com/x', secret: 's' }] };
+  const due = Array.from({ length: 6 }, (_, i) => ({ id: i + 1, endpoint_id: 'a', event: 'test', payload: {}, attempts: 0, enabled: true, rules }));
+  const pool = {
+    async query(sql) {
+      if (/FROM webhook_deliveries w/.test(sql)) return { rows: due };
+      return { rows: [] };
+    }
+  };
+  let inFlight = 0;
+  let peak = 0;
+  const slowPost = async () => {
+    inFlight += 1;
+    peak = Math.max(peak, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    inFlight -= 1;
+    return { statusCode: 200 };
+  };
+
+  const startedAt = Date.now();
+  const results = await deliverPendingWebhooks(pool, { post: slowPost, concurrency: 3, passMs: 10 });
+  // The first three start at once; the rest would start after the deadline and stay pending
+  assert.equal(peak, 3);
+  assert.deepEqual(results.map((r) => r.id).sort(), [1, 2, 3]);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('postWebhook rejects on connection errors', async () => {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  await assert.rejects(postWebhook(`http://127.0.0.1:${port}/`, '{}', {}, 2000, { allowPrivateAddresses: true }), /ECONNREFUSED/);
+});
+
+test('postWebhook refuses private, loopback and link-local targets', async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    res.writeHead(204);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  try {
+    for (const url of [
+      `http://127.0.0.1:${port}/`,
+      `http://localhost:${port}/`,
+      `http://[::ffff:127.0.0.1]:${port}/`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.5/hook',
+      'http://[::1]/hook'
+    ]) {
+      await assert.rejects(postWebhook(url, '{}', {}, 2000), /private address/, url);
+    }
+  } finally {
+    server.close();
+  }
+  assert.equal(hits, 0);
+});
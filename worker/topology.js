@@ -0,0 +1,78 @@
+// Parent/child topology (device_parents): a device behind a FortiGate, WAN link or switch names it as
+// its upstream parent. When a device would go DOWN while all of its parents are down (or themselves
+// unreachable) it becomes 'unreachable' instead: no incident, no alerts, and no UP alert when it
+// comes back. The parent's own DOWN alert is the root-cause alert and lists the devices behind it.
+// With several parents (redundant links) a device is only unreachable once every parent is down.
+
+const UNREACHABLE = 'unreachable';
+const PARENT_DOWN_STATUSES = ['down', UNREACHABLE];
+const MAX_LISTED_DEPENDENTS = 5;
+
+async function loadParents(pool, deviceId) {
+  const { rows } = await pool.query(
+    `SELECT d.id, d.name, d.status, d.consecutive_failures
+     FROM device_parents p
+     JOIN devices d ON d.id = p.parent_id
+     WHERE p.device_id = $1`,
+    [deviceId]
+  );
+  return rows;
+}
+
+// Every device downstream of deviceId (children, their children, ...).
+async function loadDependents(pool, deviceId) {
+  const { rows } = await pool.query(
+    `WITH RECURSIVE downstream(id) AS (
+       SELECT device_id FROM device_parents WHERE parent_id = $1
+       UNION
+       SELECT p.device_id FROM device_parents p JOIN downstream ds ON p.parent_id = ds.id
+     )
+     SELECT d.id, d.name, d.status FROM devices d JOIN downstream ds ON ds.id = d.id
+     WHERE d.id <> $1
+     ORDER BY d.name`,
+    [deviceId]
+  );
+  return rows;
+}
+
+// Adjusts the flap-damped state of a device with parents:
+// - a new DOWN becomes 'unreachable' when every parent is down/unreachable
+// - a new DOWN is held (confirming, re-checked soon) while a parent that is still up is failing
+//   probes, so the child does not alert in the seconds before its parent is confirmed down
+// A device that was already DOWN before its parent failed stays DOWN.
+function applyParentStatus(state, prevStatus, parents) {
+  if (!parents || !parents.length || state.status !== 'down' || prevStatus === 'down') return state;
+  if (parents.every((p) => PARENT_DOWN_STATUSES.includes(p.status))) {
+    return Object.assign({}, state, { status: UNREACHABLE, confirming: false });
+  }
+  const parentFailing = parents.some((p) => !PARENT_DOWN_STATUSES.includes(p.status) && Number(p.consecutive_failures) > 0);
+  if (parentFailing) {
+    return Object.assign({}, state, { status: prevStatus || 'unknown', confirming: true });
+  }
+  return state;
+}
+
+// Status changes into or out of 'unreachable' send no alerts, except unreachable -> down
+// (the parent is back but this device is not).
+function isSuppressedByParent(prevStatus, newStatus) {
+  if (newStatus === UNREACHABLE) return true;
+  return prevStatus === UNREACHABLE && newStatus !== 'down';
+}
+
+// One line for the parent's root-cause alert, e.g. "14 devices (POS 1, POS 2, ... +9 more)".
+function describeDependents(dependents) {
+  const list = Array.isArray(dependents) ? dependents : [];
+  if (!list.length) return null;
+  const names = list.slice(0, MAX_LISTED_DEPENDENTS).map((d) => d.name);
+  const more = list.length > MAX_LISTED_DEPENDENTS ? `, ... +${list.length - MAX_LISTED_DEPENDENTS} more` : '';
+  return `${list.length} device${list.length === 1 ? '' : 's'} (${names.join(', ')}${more})`;
+}
+
+module.exports = {
+  UNREACHABLE,
+  loadParents,
+  loadDependents,
+  applyParentStatus,
+  isSuppressedByParent,
+  describeDependents
+};
@@ -0,0 +1,114 @@
+// Event-driven wakeups over Postgres LISTEN/NOTIFY.
+// The API notifies DEVICE_CHECK_CHANNEL when devices should be checked now (test-now, new devices,
+// config edits, refresh-all): { deviceIds: [...] } checks those devices, { due: true } runs a normal
+// due-device pass. The worker cuts its sleep short instead of waiting for the next 20s loop, and
+// reports each woken check on DEVICE_RESULT_CHANNEL so test-now can long-poll for the result.
+
+const DEVICE_CHECK_CHANNEL = 'dashmon_device_check';
+const DEVICE_RESULT_CHANNEL = 'dashmon_device_result';
+const RECONNECT_DELAY_MS = 5000;
+
+// Tolerates a bare device id as payload (e.g. NOTIFY from psql).
+function parseWakeupPayload(payload) {
+  const raw = String(payload || '').trim();
+  if (!raw) return { deviceIds: [], due: true };
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch (_) {
+    return { deviceIds: [raw], due: false };
+  }
+  if (typeof obj === 'string') return { deviceIds: [obj], due: false };
+  const deviceIds = Array.isArray(obj?.deviceIds) ? obj.deviceIds.map(String).filter(Boolean) : [];
+  return { deviceIds, due: !!obj?.due };
+}
+
+// Pending wakeups plus a sleep that ends early when one arrives.
+function createWakeupQueue() {
+  const deviceIds = new Set();
+  let due = false;
+  let waiter = null;
+
+  function wake() {
+    if (!waiter) return;
+    const w = waiter;
+    waiter = null;
+    w();
+  }
+
+  return {
+    push({ deviceIds: ids = [], due: isDue = false } = {}) {
+      ids.forEach((id) => deviceIds.add(id));
+      if (isDue) due = true;
+      if (deviceIds.size || due) wake();
+    },
+    // Returns and clears the pending wakeups: { deviceIds, due }.
+    take() {
+      const out = { deviceIds: [...deviceIds], due };
+      deviceIds.clear();
+      due = false;
+      return out;
+    },
+    get pending() {
+      return deviceIds.size > 0 || due;
+    },
+    wait(ms) {
+      if (deviceIds.size || due) return Promise.resolve();
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          waiter = null;
+          resolve();
+        }, Math.max(0, ms));
+        waiter = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  };
+}
+
+// Holds one pool client LISTENing on DEVICE_CHECK_CHANNEL, reconnecting after errors.
+// Wakeups sent while disconnected are lost; those devices wait for their normal ping_interval.
+async function listenForWakeups(pool, queue) {
+  let client = null;
+  let retrying = false;
+  const retry = (e) => {
+    if (retrying) return;
+    retrying = true;
+    console.error(`wakeup listener error: ${e?.message || e}`);
+    if (client) client.release(e);
+    setTimeout(() => listenForWakeups(pool, queue), RECONNECT_DELAY_MS);
+  };
+  try {
+    client = await pool.connect();
+    client.on('notification', (msg) => {
+      if (msg.channel === DEVICE_CHECK_CHANNEL) queue.push(parseWakeupPayload(msg.payload));
+    });
+    client.on('error', retry);
+    await client.query(`LISTEN ${DEVICE_CHECK_CHANNEL}`);
+    console.log(`listening for wakeups on ${DEVICE_CHECK_CHANNEL}`);
+  } catch (e) {
+    retry(e);
+  }
+}
+
+async function notifyDeviceResult(pool, result) {
+  await pool.query('SELECT pg_notify($1, $2)', [DEVICE_RESULT_CHANNEL, JSON.stringify(result)]);
+}
+
+// Asks the workers to check these devices now (e.g. the devices behind a parent that changed status).
+async function requestDeviceChecks(pool, deviceIds) {
+  if (!deviceIds.length) return;
+  await pool.query('SELECT pg_notify($1, $2)', [DEVICE_CHECK_CHANNEL, JSON.stringify({ deviceIds })]);
+}
+
+module.exports = {
+  DEVICE_CHECK_CHANNEL,
+  DEVICE_RESULT_CHANNEL,
+  parseWakeupPayload,
+  createWakeupQueue,
+  listenForWakeups,
+  notifyDeviceResult,
+  requestDeviceChecks
+};
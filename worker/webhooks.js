@@ -0,0 +1,205 @@
+// Outbound webhook alerts: status changes are queued in webhook_deliveries (one row per
+// endpoint) and delivered by the worker with exponential backoff.
+// Each request carries X-Dashmon-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`).
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { runWithConcurrency } = require('./scheduler');
+const { isPrivateAddress, publicOnlyLookup } = require('./address-guard');
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Deliveries in flight at once, and how long one pass may keep starting new ones (the rest stay
+// pending for the next pass).
+const DELIVERY_CONCURRENCY = 5;
+const DELIVERY_PASS_MS = 30000;
+
+// Enabled endpoints from alerts.rules for type='webhook'.
+function parseEndpoints(rules) {
+  const list = Array.isArray(rules?.endpoints) ? rules.endpoints : [];
+  return list.filter((e) => e && e.enabled !== false && e.id && /^https?:\/\//i.test(String(e.url || '')));
+}
+
+// Seconds to wait before the next attempt, given how many attempts have failed so far.
+function nextRetryDelaySeconds(attempts) {
+  const n = Math.max(1, Number(attempts) || 1);
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (n - 1), RETRY_MAX_SECONDS);
+}
+
+function signPayload(secret, timestamp, body) {
+  const mac = crypto.createHmac('sha256', String(secret || '')).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${mac}`;
+}
+
+function buildDeliveryHeaders(secret, body, { event, deliveryId, timestamp }) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Dashmon-Webhook/1.0',
+    'X-Dashmon-Event': event,
+    'X-Dashmon-Delivery': String(deliveryId),
+    'X-Dashmon-Timestamp': String(timestamp),
+    'X-Dashmon-Signature': signPayload(secret, timestamp, body)
+  };
+}
+
+// outageStartedAt: start of the incident that is opening/closing (null for non-outage changes).
+function buildStatusPayload(device, prevStatus, newStatus, { latency, outageStartedAt, at } = {}) {
+  const ms = latency == null ? null : Number(latency);
+  return {
+    event: 'device.status_changed',
+    occurredAt: (at || new Date()).toISOString(),
+    device: { id: device.id, name: device.name, ip: device.ip, type: device.type },
+    project: { id: device.store_id, name: device.store_name || null },
+    oldStatus: prevStatus || null,
+    newStatus,
+    latencyMs: Number.isFinite(ms) ? ms : null,
+    outageStartedAt: outageStartedAt ? new Date(outageStartedAt).toISOString() : null
+  };
+}
+
+// Self-hosted installs that post to receivers on their own network set WEBHOOK_ALLOW_PRIVATE_ADDRESSES=true.
+function privateAddressesAllowed() {
+  return String(process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES || '').trim().toLowerCase() === 'true';
+}
+
+// POSTs body to url; resolves { statusCode } (any HTTP status) or rejects on network errors/timeouts.
+// URLs are user-supplied, so private addresses (address-guard.js) are refused unless allowed.
+function postWebhook(url, body, headers, timeoutMs = DELIVERY_TIMEOUT_MS, { allowPrivateAddresses = privateAddressesAllowed() } = {}) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try { target = new URL(url); } catch (_) { return reject(new Error('invalid url')); }
+    if (!allowPrivateAddresses && isPrivateAddress(target.hostname)) {
+      return reject(new Error(`private address not allowed: ${target.hostname}`));
+    }
+    const lib = target.protocol === 'https:' ? https : http;
+    const req = lib.request(target, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Length': Buffer.byteLength(body) }, headers),
+      timeout: timeoutMs,
+      lookup: allowPrivateAddresses ? undefined : publicOnlyLookup
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function enqueueWebhookEvent(pool, userId, deviceId, endpoints, payload) {
+  for (const endpoint of endpoints) {
+    await pool.query(
+      `INSERT INTO webhook_deliveries(user_id, endpoint_id, device_id, event, payload)
+       VALUES ($1,$2,$3,$4,$5::jsonb)`,
+      [userId, endpoint.id, deviceId || null, payload.event, JSON.stringify(payload)]
+    );
+  }
+  return endpoints.length;
+}
+
+// Due deliveries together with the owner's current webhook settings (enabled, url/secret lookup).
+async function getDueDeliveries(pool, limit = 20) {
+  const { rows } = await pool.query(
+    `SELECT w.id, w.user_id, w.endpoint_id, w.event, w.payload, w.attempts, a.enabled, a.rules
+     FROM webhook_deliveries w
+     LEFT JOIN alerts a ON a.user_id = w.user_id AND a.type = 'webhook'
+     WHERE w.status = 'pending' AND w.next_attempt_at <= now()
+     ORDER BY w.next_attempt_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+async function recordAttempt(pool, delivery, { ok, statusCode, error }) {
+  const attempts = (Number(delivery.attempts) || 0) + 1;
+  if (ok) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status='delivered', attempts=$2, response_status=$3, last_error=NULL,
+           last_attempt_at=now(), delivered_at=now()
+       WHERE id=$1`,
+      [delivery.id, attempts, statusCode]
+    );
+    return 'delivered';
+  }
+  const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status=$2, attempts=$3, response_status=$4, last_error=$5, last_attempt_at=now(),
+         next_attempt_at=now() + ($6 * interval '1 second')
+     WHERE id=$1`,
+    [delivery.id, status, attempts, statusCode ?? null, String(error || '').slice(0, 500), nextRetryDelaySeconds(attempts)]
+  );
+  return status;
+}
+
+// Attempts due deliveries once, `concurrency` at a time; none is started after `passMs`.
+// `post` is injectable for tests.
+async function deliverPendingWebhooks(pool, {
+  post = postWebhook,
+  limit = 20,
+  concurrency = DELIVERY_CONCURRENCY,
+  passMs = DELIVERY_PASS_MS
+} = {}) {
+  const due = await getDueDeliveries(pool, limit);
+  const deadline = Date.now() + passMs;
+  const results = [];
+  await runWithConcurrency(due, concurrency, async (delivery) => {
+    if (Date.now() >= deadline) return;
+    try {
+      results.push({ id: delivery.id, status: await deliverOne(pool, delivery, post) });
+    } catch (e) {
+      console.error(`[WEBHOOK] delivery ${delivery.id} failed: ${e?.message || e}`);
+    }
+  });
+  return results;
+}
+
+async function deliverOne(pool, delivery, post) {
+  const endpoint = (Array.isArray(delivery.rules?.endpoints) ? delivery.rules.endpoints : [])
+    .find((e) => e && String(e.id) === String(delivery.endpoint_id));
+  const reason = !delivery.enabled ? 'webhook alerts disabled'
+    : !endpoint || endpoint.enabled === false ? 'endpoint removed or disabled'
+      : null;
+  if (reason) {
+    // Turned off since the event was queued: no point retrying.
+    await pool.query(
+      `UPDATE webhook_deliveries SET status='failed', last_error=$2, last_attempt_at=now() WHERE id=$1`,
+      [delivery.id, reason]
+    );
+    return 'failed';
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const headers = buildDeliveryHeaders(endpoint.secret, body, {
+    event: delivery.event,
+    deliveryId: delivery.id,
+    timestamp: Math.floor(Date.now() / 1000)
+  });
+  let outcome;
+  try {
+    const r = await post(endpoint.url, body, headers);
+    const ok = r.statusCode >= 200 && r.statusCode < 300;
+    outcome = { ok, statusCode: r.statusCode, error: ok ? null : `HTTP ${r.statusCode}` };
+  } catch (e) {
+    outcome = { ok: false, statusCode: null, error: e?.message || String(e) };
+  }
+  return recordAttempt(pool, delivery, outcome);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  parseEndpoints,
+  nextRetryDelaySeconds,
+  signPayload,
+  buildDeliveryHeaders,
+  buildStatusPayload,
+  postWebhook,
+  enqueueWebhookEvent,
+  deliverPendingWebhooks
+};
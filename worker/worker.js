@@ -1,192 +1,270 @@
 require('dotenv').config();
 const { Pool } = require('pg');
-const http = require('http');
-const https = require('https');
-const net = require('net');
-const { execFile } = require('child_process');
 const { isInMaintenance } = require('./maintenance');
+const { runDeviceCheck, getCheckConfig } = require('./checks');
+const { certFromDetail, parseThresholds, dueThreshold, buildCertExpiringEvent } = require('./cert-expiry');
+const { getThresholds, applyFlapDamping } = require('./flap');
+const { recordIncidentTransition } = require('./incidents');
+const { parseSteps, dueEscalationSteps, resolveStepRecipients, buildEscalationMessage } = require('./escalation');
 const { sendSms } = require('./sms');
+const { isValidE164, resolveSmsRecipient, resolveEmailRecipients } = require('./recipients');
+const { parseEndpoints, buildStatusPayload, enqueueWebhookEvent, deliverPendingWebhooks, postWebhook } = require('./webhooks');
+const { CHAT_PROVIDERS, resolveChatWebhookUrl, buildChatAlert, formatChatMessage, formatChatText } = require('./chat');
+const { parseRoute, transitionOf, resolveRouteTargets } = require('./routing');
+const { parseSchedule, scheduleDecision, groupDigestItems, buildDigest } = require('./schedules');
+const { createWakeupQueue, listenForWakeups, notifyDeviceResult, requestDeviceChecks } = require('./wakeup');
+const {
+  getWorkerId, getLeaseSeconds, getCheckConcurrency, getLagWarnMs,
+  leaseDevices, releaseLease, runWithConcurrency, runExclusive, startJobLoop, summarizeLag
+} = require('./scheduler');
+const { recordHeartbeat, createTickStats } = require('./heartbeat');
+const { claimAgentResults, agentCheckResult, previousStatus, markSilentAgentDevices } = require('./agent-results');
+const { loadParents, loadDependents, applyParentStatus, isSuppressedByParent, describeDependents } = require('./topology');
+const { groupBatchItems, buildBatchAlert } = require('./aggregation');
+const { rollupHistory } = require('./rollups');
+const { assertSchemaVersion } = require('./schema-version');
+const { applyHistoryRetention } = require('./retention');
+const { ensureHistoryPartitions } = require('./partitions');
+const { withCheckSecrets } = require('./check-secrets');
+const { runPlanLifecycle } = require('./lifecycle');
+const { EFFECTIVE_PING_INTERVAL_SQL } = require('./plans');
 
 const pool = new Pool({
   host: process.env.PGHOST || 'postgres',
   port: process.env.PGPORT ? Number(process.env.PGPORT) : 5432,
   database: process.env.POSTGRES_DB,
   user: process.env.POSTGRES_USER,
-  password: process.env.POSTGRES_PASSWORD
+  password: process.env.POSTGRES_PASSWORD,
+  // Concurrent checks plus the job loops started in main()
+  max: getCheckConcurrency() + 10
 });
 
-// Ensure required tables exist (helps when the DB volume already existed before schema was introduced)
-async function ensureAlertEventsTable() {
+const WORKER_ID = getWorkerId();
+const LEASE_BATCH_SIZE = 100;
+const AGENT_RESULT_BATCH_SIZE = 200;
+
+async function executeDeviceCheck(device) {
+  // Dispatch through the check-type registry (devices.check_type / check_config + check_secrets)
+  let checked;
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS public.alert_events (
-        id BIGSERIAL PRIMARY KEY,
-        user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
-        device_id UUID NOT NULL REFERENCES public.devices(id) ON DELETE CASCADE,
-        event_type TEXT NOT NULL,
-        last_sent TIMESTAMPTZ NOT NULL DEFAULT now(),
-        UNIQUE (user_id, device_id, event_type)
-      );
-    `);
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_alert_events_user_device
-      ON public.alert_events(user_id, device_id);
-    `);
+    checked = withCheckSecrets(device);
   } catch (e) {
-    console.error('ensureAlertEventsTable error:', e?.message || e);
+    // A worker misconfiguration, not an outage: leave the device unknown rather than alerting
+    return { status: 'unknown', latency: null, packet_loss: null, detail: { check_type: device.check_type, error: e.message } };
   }
+  return runDeviceCheck(checked);
 }
 
+async function retentionCleanup() {
+  // Raw history per user by effective plan, grace period and admin override (retention.js).
+  // Server stores history in UTC; this is purely about how much history we retain.
+  const { dropped, deleted } = await applyHistoryRetention(pool);
+  if (dropped.length) console.log(`[RETENTION] dropped device_history partitions: ${dropped.join(', ')}`);
+  if (deleted) console.log(`[RETENTION] deleted ${deleted} expired device_history rows`);
+
+  // Rollups outlive raw rows (reports and charts beyond 24h read them)
+  const hourlyDaysRaw = Number(process.env.HOURLY_ROLLUP_DAYS || 400);
+  const dailyDaysRaw = Number(process.env.DAILY_ROLLUP_DAYS || 1825);
+  const hourlyDays = Number.isFinite(hourlyDaysRaw) && hourlyDaysRaw > 0 ? Math.floor(hourlyDaysRaw) : 400;
+  const dailyDays = Number.isFinite(dailyDaysRaw) && dailyDaysRaw > 0 ? Math.floor(dailyDaysRaw) : 1825;
+  await pool.query("DELETE FROM device_history_hourly WHERE bucket < now() - ($1 * interval '1 day')", [hourlyDays]);
+  await pool.query("DELETE FROM device_history_daily WHERE bucket < now() - ($1 * interval '1 day')", [dailyDays]);
+
+  // Webhook delivery log: keep finished deliveries for 30 days
+  await pool.query(
+    `DELETE FROM webhook_deliveries
+     WHERE status IN ('delivered', 'failed') AND created_at < now() - interval '30 days'`
+  );
 
-function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
-
-function httpCheck(url) {
-  const start = Date.now();
-  return new Promise((resolve) => {
-    const lib = url.startsWith('https') ? https : http;
-    const req = lib.get(url, { timeout: 15000 }, (res) => {
-      res.resume();
-      const ms = Date.now() - start;
-      const ok = res.statusCode && res.statusCode < 500;
-      resolve({ status: ok ? 'up' : 'down', latency: ms, packet_loss: ok ? 0 : 100, detail: { statusCode: res.statusCode } });
-    });
-    req.on('timeout', () => { req.destroy(); resolve({ status: 'down', latency: Date.now()-start, packet_loss: 100, detail: { timeout: true } }); });
-    req.on('error', (e) => resolve({ status: 'down', latency: Date.now()-start, packet_loss: 100, detail: { error: e.message } }));
-  });
+  // Heartbeats of workers that stopped (scaled down / redeployed) a week ago
+  await pool.query("DELETE FROM worker_heartbeats WHERE last_tick_at < now() - interval '7 days'");
 }
 
-function tcpCheck(host, port) {
-  const start = Date.now();
-  return new Promise((resolve) => {
-    const socket = new net.Socket();
-    let done = false;
-    const finish = (ok, detail) => {
-      if (done) return;
-      done = true;
-      try { socket.destroy(); } catch (_) {}
-      resolve({ status: ok ? 'up' : 'down', latency: Date.now() - start, packet_loss: ok ? 0 : 100, detail: detail || {} });
-    };
-    socket.setTimeout(8000);
-    socket.once('connect', () => finish(true, {}));
-    socket.once('timeout', () => finish(false, { timeout: true }));
-    socket.once('error', (e) => finish(false, { error: e.message }));
-    socket.connect(port, host);
+const DEVICE_SELECT = `
+  SELECT d.*, u.plan, u.email AS user_email, u.timezone AS user_timezone,
+         u.default_fail_threshold, u.default_recover_threshold,
+         s.maintenance_start AS store_maintenance_start,
+         s.maintenance_end AS store_maintenance_end,
+         s.escalation_policy_id, s.name AS store_name
+  FROM devices d
+  JOIN users u ON u.id = d.user_id
+  JOIN stores s ON s.id = d.store_id AND s.user_id = d.user_id`;
+
+// Leases due devices (or, with deviceIds, those devices) for this worker and loads them,
+// each with its schedule_lag_ms.
+async function leaseDueDevices(deviceIds) {
+  const leased = await leaseDevices(pool, {
+    workerId: WORKER_ID,
+    leaseSeconds: getLeaseSeconds(),
+    limit: LEASE_BATCH_SIZE,
+    deviceIds: deviceIds || null
   });
+  if (!leased.length) return [];
+  const lagById = new Map(leased.map((r) => [r.id, r.lag_ms]));
+  const { rows } = await pool.query(`${DEVICE_SELECT} WHERE d.id = ANY($1::uuid[])`, [[...lagById.keys()]]);
+  return rows.map((d) => Object.assign(d, { schedule_lag_ms: lagById.get(d.id) ?? null }));
 }
 
-// Best-effort ping: if ping isn't present or fails, fall back to TCP 443/80
-function pingCheck(host) {
-  return new Promise((resolve) => {
-    execFile('ping', ['-c', '1', '-W', '2', host], { timeout: 6000 }, (err, stdout, stderr) => {
-      if (err) {
-        resolve({ ok: false, stdout: stdout || '', stderr: (stderr || err.message || '') });
-      } else {
-        resolve({ ok: true, stdout: stdout || '', stderr: stderr || '' });
-      }
-    });
-  });
+// checkedAt: when a probe agent ran the check (defaults to now).
+async function writeHistory(deviceId, status, packetLoss, latency, detail, scheduleLagMs, checkedAt) {
+  await pool.query(
+    `INSERT INTO device_history(device_id, status, packet_loss, latency, detail, schedule_lag_ms, timestamp)
+     VALUES ($1,$2,$3,$4,$5,$6,COALESCE($7::timestamptz, now()))`,
+    [
+      deviceId,
+      status,
+      packetLoss ?? null,
+      latency ?? null,
+      detail ? JSON.stringify(detail) : '{}',
+      scheduleLagMs ?? null,
+      checkedAt ?? null
+    ]
+  );
 }
 
-async function executeDeviceCheck(device) {
-  // Prefer explicit URL
-  if (device.url) return httpCheck(device.url);
-
-  // Prefer port if present
-  if (device.port) return tcpCheck(device.ip, device.port);
-
-  // Try ping, fall back to tcp
-  try {
-    const p = await pingCheck(device.ip);
-    if (p.ok) return { status: 'up', latency: null, packet_loss: 0, detail: { ping: 'ok' } };
-  } catch (_) {}
-
-  // fallback ports
-  const r1 = await tcpCheck(device.ip, 443);
-  if (r1.status === 'up') return r1;
-  const r2 = await tcpCheck(device.ip, 80);
-  return r2;
+// Seconds until a device waiting on flap-damping confirmation is probed again.
+function getRecheckSeconds() {
+  const n = Number(process.env.FLAP_RECHECK_SECONDS || 15);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : 15;
 }
 
-async function retentionCleanup() {
-  // Data retention:
-  // - Free users: keep only N days (default 7)
-  // - Premium users: keep M days (default 90)
-  // Server stores history in UTC; this is purely about how much history we retain.
-  const freeDaysRaw = Number(process.env.FREE_HISTORY_DAYS || 7);
-  const premiumDaysRaw = Number(process.env.PREMIUM_HISTORY_DAYS || 90);
-  const freeDays = Number.isFinite(freeDaysRaw) && freeDaysRaw > 0 ? Math.floor(freeDaysRaw) : 7;
-  const premiumDays = Number.isFinite(premiumDaysRaw) && premiumDaysRaw > 0 ? Math.floor(premiumDaysRaw) : 90;
-
-  // Free users: stricter retention
-  await pool.query(
-    `DELETE FROM device_history h
-     USING devices d, users u
-     WHERE h.device_id = d.id
-       AND d.user_id = u.id
-       AND u.plan = 'free'
-       AND h.timestamp < now() - ($1 * interval '1 day')`,
-    [freeDays]
+// state: { failures, successes, confirming } from applyFlapDamping.
+// While confirming, last_check is back-dated so the device is due again after FLAP_RECHECK_SECONDS.
+// Also releases this worker's lease; returns false when the lease was lost (expired and taken
+// by another worker), in which case that worker owns the result. Probe-agent results are applied
+// with leaseOwner null (agent devices are never leased).
+async function updateDevice(deviceId, userId, status, packetLoss, certInfo, state, leaseOwner = WORKER_ID) {
+  const { rowCount } = await pool.query(
+    `UPDATE devices d
+     SET status=$1, packet_loss=$2, updated_at=now(),
+         last_check = CASE WHEN $8::boolean
+                           THEN now() - (GREATEST(${EFFECTIVE_PING_INTERVAL_SQL} - $9::int, 0) * interval '1 second')
+                           ELSE now() END,
+         cert_info=COALESCE($5::jsonb, d.cert_info),
+         consecutive_failures=$6, consecutive_successes=$7,
+         lease_owner=NULL, lease_expires_at=NULL, status_before_silence=NULL
+     FROM users u
+     WHERE d.id=$3 AND d.user_id=$4 AND u.id = d.user_id AND d.lease_owner IS NOT DISTINCT FROM $10`,
+    [
+      status,
+      packetLoss ?? null,
+      deviceId,
+      userId,
+      certInfo ? JSON.stringify(certInfo) : null,
+      state.failures,
+      state.successes,
+      state.confirming,
+      getRecheckSeconds(),
+      leaseOwner
+    ]
   );
+  return rowCount > 0;
+}
 
-  // Premium users: longer retention (defaults to the historical 90 days)
-  await pool.query(
-    `DELETE FROM device_history h
-     USING devices d, users u
-     WHERE h.device_id = d.id
-       AND d.user_id = u.id
-       AND u.plan = 'premium'
-       AND h.timestamp < now() - ($1 * interval '1 day')`,
-    [premiumDays]
+async function shouldSendEmail(userId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM alerts WHERE user_id=$1 AND type='email' AND enabled=true LIMIT 1`,
+    [userId]
   );
+  return rows[0] || null;
 }
 
-async function getDueDevices() {
+async function shouldSendSms(userId) {
   const { rows } = await pool.query(
-    `SELECT d.*, u.plan, u.email AS user_email,
-            s.maintenance_start AS store_maintenance_start,
-            s.maintenance_end AS store_maintenance_end
-     FROM devices d
-     JOIN users u ON u.id = d.user_id
-     JOIN stores s ON s.id = d.store_id AND s.user_id = d.user_id
-     WHERE d.last_check IS NULL
-        OR d.last_check <= now() - (d.ping_interval * interval '1 second')
-     ORDER BY COALESCE(d.last_check, to_timestamp(0)) ASC
-     LIMIT 100`
+    `SELECT enabled, rules, cooldown_minutes FROM alerts WHERE user_id=$1 AND type='sms' AND enabled=true LIMIT 1`,
+    [userId]
   );
-  return rows;
+  return rows[0] || null;
 }
 
-async function writeHistory(deviceId, status, packetLoss, latency, detail) {
-  await pool.query(
-    `INSERT INTO device_history(device_id, status, packet_loss, latency, detail)
-     VALUES ($1,$2,$3,$4,$5)`,
-    [deviceId, status, packetLoss ?? null, latency ?? null, detail ? JSON.stringify(detail) : '{}']
+async function shouldSendWebhook(userId) {
+  const { rows } = await pool.query(
+    `SELECT enabled, rules FROM alerts WHERE user_id=$1 AND type='webhook' AND enabled=true LIMIT 1`,
+    [userId]
   );
+  return rows[0] || null;
 }
 
-async function updateDevice(deviceId, userId, status, packetLoss) {
-  await pool.query(
-    `UPDATE devices
-     SET status=$1, packet_loss=$2, last_check=now(), updated_at=now()
-     WHERE id=$3 AND user_id=$4`,
-    [status, packetLoss ?? null, deviceId, userId]
+// Channel config row regardless of `enabled` (routing rule targets use its defaults and cooldown).
+async function getAlertConfig(userId, type) {
+  const { rows } = await pool.query(
+    `SELECT enabled, rules, cooldown_minutes FROM alerts WHERE user_id=$1 AND type=$2 LIMIT 1`,
+    [userId, type]
   );
+  return rows[0] || null;
 }
 
-async function shouldSendEmail(userId) {
+async function getAlertRoutes(userId) {
   const { rows } = await pool.query(
-    `SELECT * FROM alerts WHERE user_id=$1 AND type='email' AND enabled=true LIMIT 1`,
+    `SELECT id, name, match, targets, stop
+     FROM alert_routes
+     WHERE user_id=$1 AND enabled=true
+     ORDER BY position ASC, id ASC`,
     [userId]
   );
-  return rows[0] || null;
+  return rows.map(parseRoute);
 }
 
-async function shouldSendSms(userId) {
+async function getAlertSchedule(userId, channel) {
   const { rows } = await pool.query(
-    `SELECT enabled, rules, cooldown_minutes FROM alerts WHERE user_id=$1 AND type='sms' AND enabled=true LIMIT 1`,
-    [userId]
+    'SELECT channel, mode, windows, digest, aggregate_seconds FROM alert_schedules WHERE user_id=$1 AND channel=$2 LIMIT 1',
+    [userId, channel]
   );
-  return rows[0] || null;
+  return parseSchedule(rows[0]);
+}
+
+function alertSummary(device, prevStatus, newStatus, event) {
+  const what = event ? event.subject : `${String(prevStatus || 'unknown').toUpperCase()} → ${String(newStatus).toUpperCase()}`;
+  return `${device.name} (${device.store_id}): ${what}`.slice(0, 500);
+}
+
+// True when the channel's quiet hours / business hours hold this alert back;
+// with digest enabled the alert is queued for runAlertDigests().
+// `batch` ({ newStatus, eventType }, status alerts only): on a channel with an aggregation
+// window the alert is queued for runAlertBatches() instead of being sent now.
+async function heldByAlertSchedule(device, channel, recipient, summary, batch) {
+  const schedule = await getAlertSchedule(device.user_id, channel);
+  if (scheduleDecision(schedule, new Date(), device.user_timezone) === 'send') {
+    if (!batch || !recipient || !schedule?.aggregateSeconds) return false;
+    await queueBatchedAlert(device, channel, recipient, schedule.aggregateSeconds, batch);
+    console.log(`[ALERT] ${channel} queued for aggregation (${schedule.aggregateSeconds}s): ${summary}`);
+    return true;
+  }
+  if (schedule.digest && recipient) {
+    await pool.query(
+      `INSERT INTO alert_digest_queue(user_id, channel, recipient, device_id, summary)
+       VALUES ($1,$2,$3,$4,$5)`,
+      [device.user_id, channel, recipient, device.id, summary]
+    );
+  }
+  console.log(`[ALERT] ${channel} held by schedule${schedule.digest ? ' (queued for digest)' : ''}: ${summary}`);
+  return true;
+}
+
+// A device that comes back (or fails again) while its previous change is still waiting cancels
+// it instead: a blip shorter than the window sends nothing. Cooldowns start when queued.
+async function queueBatchedAlert(device, channel, recipient, aggregateSeconds, { newStatus, eventType }) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM alert_batch_queue
+     WHERE user_id=$1 AND channel=$2 AND recipient=$3 AND device_id=$4 AND status <> $5`,
+    [device.user_id, channel, recipient, device.id, newStatus]
+  );
+  if (!rowCount) {
+    await pool.query(
+      `INSERT INTO alert_batch_queue(user_id, channel, recipient, store_id, store_name, device_id, device_name, status, aggregate_seconds)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [device.user_id, channel, recipient, device.store_id, device.store_name || null, device.id, device.name, newStatus, aggregateSeconds]
+    );
+  }
+  await updateAlertEvent(device.user_id, device.id, eventType);
+}
+
+async function getChatAlertRows(userId) {
+  const { rows } = await pool.query(
+    `SELECT type, rules, cooldown_minutes FROM alerts WHERE user_id=$1 AND type = ANY($2) AND enabled=true`,
+    [userId, CHAT_PROVIDERS]
+  );
+  return rows;
 }
 
 async function updateAlertEvent(userId, deviceId, eventType) {
@@ -209,187 +287,622 @@ async function getLastAlertSent(userId, deviceId, eventType) {
   return rows[0]?.last_sent || null;
 }
 
-async function maybeSendEmailAlert(device, prevStatus, newStatus) {
+function getSmtpConfig() {
+  const host = process.env.SMTP_HOST;
+  const port = process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : 587;
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+  const from = process.env.SMTP_FROM || user;
+  if (!host || !user || !pass || !from) return null;
+  return { host, port, user, pass, from };
+}
+
+async function sendAlertEmail(recipients, subject, text) {
+  const smtp = getSmtpConfig();
+  if (!smtp) throw new Error('SMTP not configured');
+
+  // dynamic import to keep worker light if not configured
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.port === 465,
+    auth: { user: smtp.user, pass: smtp.pass }
+  });
+  await transporter.sendMail({ from: smtp.from, to: recipients.join(','), subject, text });
+}
+
+// Plan lifecycle notices (lifecycle.js) go to the account email; skipped without SMTP.
+async function sendLifecycleEmail({ email, subject, text }) {
+  if (!getSmtpConfig()) return;
+  await sendAlertEmail([email], subject, text);
+}
+
+// `event` (optional) sends a non-status alert such as cert_expiring instead of an up/down notice.
+// `target` (optional) is a routing rule target: { to } overrides the recipients and the
+// channel does not need to be enabled.
+async function maybeSendEmailAlert(device, prevStatus, newStatus, event, target) {
   // Suppress alerts during maintenance windows (store or device)
   if (isInMaintenance(device)) return;
 
-  const cfg = await shouldSendEmail(device.user_id);
+  const cfg = target ? (await getAlertConfig(device.user_id, 'email')) || {} : await shouldSendEmail(device.user_id);
   if (!cfg) return;
 
-  // recipients from rules JSON: {"to":["a@b.com"],"from":"..."}; fallback to user email
-  const rules = cfg.rules || {};
-  const recipients = Array.isArray(rules.to) && rules.to.length ? rules.to : [device.user_email];
+  const recipients = target?.to
+    ? target.to.split(',').map((x) => x.trim()).filter(Boolean)
+    : resolveEmailRecipients(cfg.rules, device.user_email);
 
-  // cooldown
-  const eventType = newStatus === 'down' ? 'email_down' : 'email_up';
+  // cooldown (events are sent once per occurrence instead)
+  const eventType = event ? `email_${event.key}` : newStatus === 'down' ? 'email_down' : 'email_up';
   const last = await getLastAlertSent(device.user_id, device.id, eventType);
-  if (last) {
+  if (event) {
+    if (last && new Date(last) >= event.since) return;
+  } else if (last) {
     const minutes = cfg.cooldown_minutes || 30;
     const ageMs = Date.now() - new Date(last).getTime();
     if (ageMs < minutes * 60 * 1000) return;
   }
 
   // Only alert on change
-  if (prevStatus && prevStatus === newStatus) return;
+  if (!event && prevStatus && prevStatus === newStatus) return;
 
   // SMTP must be configured
-  const host = process.env.SMTP_HOST;
-  const port = process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : 587;
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
-  const from = process.env.SMTP_FROM || user;
-
-  if (!host || !user || !pass || !from) {
+  if (!getSmtpConfig()) {
     console.log(`[ALERT] Email not sent (SMTP not configured). Device=${device.name} Status=${newStatus}`);
     return;
   }
 
-  // dynamic import to keep worker light if not configured
-  const nodemailer = require('nodemailer');
-  const transporter = nodemailer.createTransport({
-    host,
-    port,
-    secure: port === 465,
-    auth: { user, pass }
-  });
+  const summary = alertSummary(device, prevStatus, newStatus, event);
+  if (await heldByAlertSchedule(device, 'email', recipients.join(', '), summary, event ? null : { newStatus, eventType })) return;
 
-  const subject = `Dashmon alert: ${device.name} is ${newStatus.toUpperCase()}`;
+  const subject = event ? event.subject : `Dashmon alert: ${device.name} is ${newStatus.toUpperCase()}`;
   const text = [
     `Device: ${device.name}`,
     `Project: ${device.store_id}`,
     `IP: ${device.ip}`,
     `Type: ${device.type}`,
-    `Status: ${newStatus}`,
+    ...(event ? event.lines : [`Status: ${newStatus}`]),
+    ...(!event && device.dependents?.length ? [`Devices behind it: ${describeDependents(device.dependents)}`] : []),
     `Time: ${new Date().toISOString()}`
   ].join('\n');
 
   try {
-    await transporter.sendMail({
-      from,
-      to: recipients.join(','),
-      subject,
-      text
-    });
+    await sendAlertEmail(recipients, subject, text);
     await updateAlertEvent(device.user_id, device.id, eventType);
-    console.log(`[ALERT] Email sent to ${recipients.join(',')} for ${device.name} (${newStatus})`);
+    console.log(`[ALERT] Email sent to ${recipients.join(',')} for ${device.name} (${event ? event.key : newStatus})`);
   } catch (e) {
     console.error('[ALERT] Email send failed:', e.message);
   }
 }
 
 
-function isValidE164(v) {
-  return /^\+\d{8,15}$/.test(String(v || '').trim());
-}
-
-function resolveSmsRecipient(rules, storeId) {
-  const r = rules || {};
-  const overrides = (r.storeOverrides && typeof r.storeOverrides === 'object') ? r.storeOverrides : {};
-  const ov = overrides[storeId];
-  if (ov && typeof ov === 'object' && ov.enabled) {
-    const ovTo = String(ov.to || '').trim();
-    if (ovTo) return ovTo;
-  }
-  return String(r.to || '').trim();
-}
-
-async function maybeSendSmsAlert(device, prevStatus, newStatus) {
+async function maybeSendSmsAlert(device, prevStatus, newStatus, event, target) {
   // Suppress alerts during maintenance windows (store or device)
   if (isInMaintenance(device)) return;
 
-  // Only alert on status change
-  if (prevStatus && prevStatus === newStatus) return;
+  if (!event) {
+    // Only alert on status change
+    if (prevStatus && prevStatus === newStatus) return;
 
-  // Only on up/down transitions
-  if (!['up', 'down'].includes(newStatus)) return;
+    // Only on up/down transitions
+    if (!['up', 'down'].includes(newStatus)) return;
+  }
 
-  const cfg = await shouldSendSms(device.user_id);
+  const cfg = target ? (await getAlertConfig(device.user_id, 'sms')) || {} : await shouldSendSms(device.user_id);
   if (!cfg) return;
 
   const rules = cfg.rules || {};
-  const to = resolveSmsRecipient(rules, device.store_id);
+  const to = target?.to || resolveSmsRecipient(rules, device.store_id);
   if (!isValidE164(to)) {
     console.log(`[ALERT] SMS not sent (invalid or missing recipient). Store=${device.store_id} Device=${device.name}`);
     return;
   }
 
-  const eventType = newStatus === 'down' ? 'sms_down' : 'sms_up';
+  const eventType = event ? `sms_${event.key}` : newStatus === 'down' ? 'sms_down' : 'sms_up';
   const last = await getLastAlertSent(device.user_id, device.id, eventType);
-  if (last) {
+  if (event) {
+    if (last && new Date(last) >= event.since) return;
+  } else if (last) {
     const minutes = cfg.cooldown_minutes || 30;
     const ageMs = Date.now() - new Date(last).getTime();
     if (ageMs < minutes * 60 * 1000) return;
   }
 
-  const msg = `Dashmon: ${device.name} (${device.store_id}) is ${newStatus.toUpperCase()}`;
+  const summary = alertSummary(device, prevStatus, newStatus, event);
+  if (await heldByAlertSchedule(device, 'sms', to, summary, event ? null : { newStatus, eventType })) return;
+
+  const behind = device.dependents?.length ? ` (+${device.dependents.length} devices behind it)` : '';
+  const msg = event ? event.sms : `Dashmon: ${device.name} (${device.store_id}) is ${newStatus.toUpperCase()}${behind}`;
   try {
     const r = await sendSms({ to, body: msg });
     await updateAlertEvent(device.user_id, device.id, eventType);
-    console.log(`[ALERT] SMS sent: to=${to} sid=${r.sid || '-'} device=${device.name} status=${newStatus}`);
+    console.log(`[ALERT] SMS sent: to=${to} sid=${r.sid || '-'} device=${device.name} status=${event ? event.key : newStatus}`);
   } catch (e) {
     console.error(`[ALERT] SMS send failed: device=${device.name} store=${device.store_id} err=${e?.message || e}`);
   }
 }
 
-async function tick() {
-  const due = await getDueDevices();
-  if (!due.length) return;
+// Slack / Teams / Discord: same change, cooldown and event rules as SMS, one message per enabled provider.
+// With a routing `target` only target.channel is used, posting to target.to or its configured URL.
+async function maybeSendChatAlerts(device, prevStatus, newStatus, event, target) {
+  // Suppress alerts during maintenance windows (store or device)
+  if (isInMaintenance(device)) return;
+
+  if (!event) {
+    if (prevStatus && prevStatus === newStatus) return;
+    if (!['up', 'down'].includes(newStatus)) return;
+  }
+
+  const rows = target
+    ? [Object.assign({ type: target.channel }, await getAlertConfig(device.user_id, target.channel))]
+    : await getChatAlertRows(device.user_id);
+  for (const cfg of rows) {
+    const provider = cfg.type;
+    const url = target?.to || resolveChatWebhookUrl(cfg.rules, device.store_id);
+    if (!/^https?:\/\//i.test(url)) continue;
+
+    const eventType = event ? `${provider}_${event.key}` : `${provider}_${newStatus}`;
+    const last = await getLastAlertSent(device.user_id, device.id, eventType);
+    if (event) {
+      if (last && new Date(last) >= event.since) continue;
+    } else if (last) {
+      const minutes = cfg.cooldown_minutes || 30;
+      const ageMs = Date.now() - new Date(last).getTime();
+      if (ageMs < minutes * 60 * 1000) continue;
+    }
+
+    const summary = alertSummary(device, prevStatus, newStatus, event);
+    if (await heldByAlertSchedule(device, provider, url, summary, event ? null : { newStatus, eventType })) continue;
+
+    const body = JSON.stringify(formatChatMessage(provider, buildChatAlert(device, prevStatus, newStatus, event)));
+    try {
+      const r = await postWebhook(url, body, { 'Content-Type': 'application/json' });
+      if (r.statusCode < 200 || r.statusCode >= 300) throw new Error(`HTTP ${r.statusCode}`);
+      await updateAlertEvent(device.user_id, device.id, eventType);
+      console.log(`[ALERT] ${provider} message sent: device=${device.name} status=${event ? event.key : newStatus}`);
+    } catch (e) {
+      console.error(`[ALERT] ${provider} send failed: device=${device.name} store=${device.store_id} err=${e?.message || e}`);
+    }
+  }
+}
+
+// Webhooks get every up/down transition (no cooldown); delivery happens in deliverPendingWebhooks().
+// A routing `target` may name one endpoint id in target.to.
+async function maybeEnqueueWebhookAlert(device, prevStatus, newStatus, latency, target) {
+  // Suppress alerts during maintenance windows (store or device)
+  if (isInMaintenance(device)) return;
+
+  const cfg = target ? await getAlertConfig(device.user_id, 'webhook') : await shouldSendWebhook(device.user_id);
+  if (!cfg) return;
+  const endpoints = parseEndpoints(cfg.rules).filter((e) => !target?.to || String(e.id) === target.to);
+  if (!endpoints.length) return;
+
+  let outageStartedAt = null;
+  if (newStatus === 'down' || prevStatus === 'down') {
+    const { rows } = await pool.query(
+      'SELECT started_at FROM incidents WHERE device_id=$1 ORDER BY started_at DESC LIMIT 1',
+      [device.id]
+    );
+    outageStartedAt = rows[0]?.started_at || null;
+  }
+
+  const payload = buildStatusPayload(device, prevStatus, newStatus, { latency, outageStartedAt });
+  try {
+    const n = await enqueueWebhookEvent(pool, device.user_id, device.id, endpoints, payload);
+    console.log(`[ALERT] Webhook queued for ${n} endpoint(s): device=${device.name} status=${newStatus}`);
+  } catch (e) {
+    console.error(`[ALERT] Webhook enqueue failed: device=${device.name} err=${e?.message || e}`);
+  }
+}
+
+// Routes one alert through the owner's routing rules, or the per-channel config rows when
+// no rule matches. escalated: DOWN emails/SMS/chat come from runEscalations() instead.
+// Webhooks carry status changes only (cert events are not sent to them).
+async function dispatchAlert(device, prevStatus, newStatus, { event, latency, escalated = false } = {}) {
+  const routes = await getAlertRoutes(device.user_id);
+  const { matched, targets } = resolveRouteTargets(routes, {
+    storeId: device.store_id,
+    deviceType: device.type,
+    transition: transitionOf(newStatus, event),
+    now: new Date(),
+    timeZone: device.user_timezone
+  });
+
+  if (!matched) {
+    if (!escalated) {
+      await maybeSendEmailAlert(device, prevStatus, newStatus, event);
+      await maybeSendSmsAlert(device, prevStatus, newStatus, event);
+      await maybeSendChatAlerts(device, prevStatus, newStatus, event);
+    }
+    if (!event) await maybeEnqueueWebhookAlert(device, prevStatus, newStatus, latency);
+    return;
+  }
+
+  for (const target of targets) {
+    if (target.channel === 'webhook') {
+      if (!event) await maybeEnqueueWebhookAlert(device, prevStatus, newStatus, latency, target);
+      continue;
+    }
+    if (escalated) continue;
+    if (target.channel === 'email') await maybeSendEmailAlert(device, prevStatus, newStatus, event, target);
+    else if (target.channel === 'sms') await maybeSendSmsAlert(device, prevStatus, newStatus, event, target);
+    else await maybeSendChatAlerts(device, prevStatus, newStatus, event, target);
+  }
+}
+
+// cert_expiring: one alert per threshold (CERT_EXPIRY_THRESHOLDS or check_config.certExpiryDays) per certificate.
+async function maybeSendCertExpiryAlert(device, prevStatus, newStatus, cert) {
+  if (!cert) return;
+  const cfg = getCheckConfig(device);
+  const thresholds = parseThresholds(cfg.certExpiryDays || process.env.CERT_EXPIRY_THRESHOLDS);
+  const threshold = dueThreshold(cert.days_remaining, thresholds);
+  if (threshold == null) return;
+  const event = buildCertExpiringEvent(device, cert, threshold);
+  await dispatchAlert(device, prevStatus, newStatus, { event });
+}
+
+// Open, unacknowledged incidents on projects with an escalation policy that still have steps left.
+async function getEscalationCandidates() {
+  const { rows } = await pool.query(
+    `SELECT i.id, i.user_id, i.device_id, i.store_id, i.started_at, i.escalation_step, i.cause,
+            i.acknowledged_at, i.ended_at,
+            d.name AS device_name, d.ip, d.type, d.maintenance_start, d.maintenance_end,
+            s.maintenance_start AS store_maintenance_start,
+            s.maintenance_end AS store_maintenance_end,
+            p.steps, u.email AS user_email
+     FROM incidents i
+     JOIN devices d ON d.id = i.device_id
+     JOIN stores s ON s.id = i.store_id AND s.user_id = i.user_id
+     JOIN escalation_policies p ON p.id = s.escalation_policy_id
+     JOIN users u ON u.id = i.user_id
+     WHERE i.ended_at IS NULL
+       AND i.acknowledged_at IS NULL
+       AND jsonb_array_length(p.steps) > i.escalation_step`
+  );
+  return rows;
+}
+
+async function getAlertRules(userId) {
+  const { rows } = await pool.query('SELECT type, rules FROM alerts WHERE user_id=$1', [userId]);
+  const out = { email: {}, sms: {} };
+  for (const r of rows) if (out[r.type]) out[r.type] = r.rules || {};
+  return out;
+}
 
-  for (const device of due) {
-    const prevStatus = device.status;
+async function sendEscalationStep(incident, step, index, totalSteps) {
+  const rules = await getAlertRules(incident.user_id);
+  const to = resolveStepRecipients(step, {
+    emailRules: rules.email,
+    smsRules: rules.sms,
+    storeId: incident.store_id,
+    userEmail: incident.user_email
+  });
+  const msg = buildEscalationMessage(incident, index, totalSteps);
+
+  if (step.channel === 'sms') {
+    if (!isValidE164(to)) {
+      console.log(`[ESCALATION] SMS step skipped (invalid or missing recipient). incident=${incident.id} step=${index + 1}`);
+      return;
+    }
+    const r = await sendSms({ to, body: msg.sms });
+    console.log(`[ESCALATION] SMS sent: to=${to} sid=${r.sid || '-'} incident=${incident.id} step=${index + 1}`);
+    return;
+  }
 
-    const result = await executeDeviceCheck(device);
-    const newStatus = result.status || 'down';
+  if (!to.length || !getSmtpConfig()) {
+    console.log(`[ESCALATION] Email step skipped (no recipient or SMTP not configured). incident=${incident.id} step=${index + 1}`);
+    return;
+  }
+  await sendAlertEmail(to, msg.subject, msg.text);
+  console.log(`[ESCALATION] Email sent to ${to.join(',')} incident=${incident.id} step=${index + 1}`);
+}
 
-    // IMPORTANT:
-    // If the check failed, we do NOT want to store a "fake" latency (timeout duration).
-    // This was making the sparkline/history look like the device responded with high latency.
-    let latency = (result.latency == null ? null : Number(result.latency));
-    let detail = result.detail || {};
-    if (String(newStatus).toLowerCase() !== 'up') {
-      if (latency != null && Number.isFinite(latency)) {
-        detail = Object.assign({}, detail, { attempt_ms: latency });
+// Each step is attempted once; a failed send is logged and the chain moves on
+// (same as the plain alerts, which do not retry either).
+async function runEscalations() {
+  const candidates = await getEscalationCandidates();
+  for (const incident of candidates) {
+    // Suppress escalation during maintenance windows (store or device)
+    if (isInMaintenance(incident)) continue;
+
+    const steps = parseSteps(incident.steps);
+    const due = dueEscalationSteps(steps, incident);
+    if (!due.length) continue;
+
+    for (const { index, step } of due) {
+      try {
+        await sendEscalationStep(incident, step, index, steps.length);
+      } catch (e) {
+        console.error(`[ESCALATION] step failed: incident=${incident.id} step=${index + 1} err=${e?.message || e}`);
       }
-      latency = null;
     }
+    await pool.query(
+      'UPDATE incidents SET escalation_step=GREATEST(escalation_step, $2) WHERE id=$1',
+      [incident.id, due[due.length - 1].index + 1]
+    );
+  }
+}
+
+async function sendDigest(group, digest) {
+  if (group.channel === 'email') {
+    if (!getSmtpConfig()) throw new Error('SMTP not configured');
+    await sendAlertEmail(group.recipient.split(',').map((x) => x.trim()).filter(Boolean), digest.subject, digest.text);
+  } else if (group.channel === 'sms') {
+    await sendSms({ to: group.recipient, body: digest.sms });
+  } else {
+    const r = await postWebhook(group.recipient, JSON.stringify(formatChatText(group.channel, digest.text)), { 'Content-Type': 'application/json' });
+    if (r.statusCode < 200 || r.statusCode >= 300) throw new Error(`HTTP ${r.statusCode}`);
+  }
+}
+
+// Sends queued quiet-hours alerts once their channel may send again. Like escalation
+// steps, each digest is attempted once and its items are dropped either way.
+async function runAlertDigests() {
+  const { rows } = await pool.query(
+    `SELECT q.id, q.user_id, q.channel, q.recipient, q.summary, q.occurred_at, u.timezone,
+            s.mode, s.windows, s.digest
+     FROM alert_digest_queue q
+     JOIN users u ON u.id = q.user_id
+     LEFT JOIN alert_schedules s ON s.user_id = q.user_id AND s.channel = q.channel
+     ORDER BY q.occurred_at ASC
+     LIMIT 1000`
+  );
+  const now = new Date();
+  for (const group of groupDigestItems(rows)) {
+    if (scheduleDecision(group.schedule, now, group.timezone) !== 'send') continue;
+    const digest = buildDigest(group.items, group.timezone);
+    try {
+      await sendDigest(group, digest);
+      console.log(`[DIGEST] ${group.channel} digest sent: user=${group.user_id} items=${group.items.length}`);
+    } catch (e) {
+      console.error(`[DIGEST] ${group.channel} digest failed: user=${group.user_id} err=${e?.message || e}`);
+    }
+    await pool.query('DELETE FROM alert_digest_queue WHERE id = ANY($1)', [group.items.map((i) => i.id)]);
+  }
+}
+
+// Sends aggregated UP/DOWN alerts whose window has passed, one message per project and status.
+// Like digests, each message is attempted once and its items are dropped either way.
+async function runAlertBatches() {
+  const { rows } = await pool.query(
+    `SELECT id, user_id, channel, recipient, store_id, store_name, device_name, status, aggregate_seconds, occurred_at
+     FROM alert_batch_queue
+     ORDER BY occurred_at ASC
+     LIMIT 1000`
+  );
+  for (const group of groupBatchItems(rows, new Date())) {
+    if (!group.ready) continue;
+    try {
+      await sendDigest(group, buildBatchAlert(group));
+      console.log(`[ALERT] ${group.channel} aggregated alert sent: project=${group.store_id} status=${group.status} devices=${group.items.length}`);
+    } catch (e) {
+      console.error(`[ALERT] ${group.channel} aggregated alert failed: project=${group.store_id} err=${e?.message || e}`);
+    }
+    await pool.query('DELETE FROM alert_batch_queue WHERE id = ANY($1)', [group.items.map((i) => i.id)]);
+  }
+}
+
+function isDegradationOnly(prevStatus, newStatus) {
+  const healthy = ['up', 'warning'];
+  return healthy.includes(prevStatus) && healthy.includes(newStatus);
+}
+
+// reportResult: publish the result for test-now long-polls (wakeup checks).
+async function checkDevice(device, reportResult) {
+  const result = await executeDeviceCheck(device);
+  await applyCheckResult(device, result, { reportResult });
+}
+
+// Records one check result (from this worker or a probe agent) and sends its alerts.
+// agent: { checkedAt } for results pushed by a probe agent.
+async function applyCheckResult(device, result, { reportResult = false, agent = null } = {}) {
+  const prevStatus = previousStatus(device);
+  const observed = result.status || 'down';
+  let state = applyFlapDamping(Object.assign({
+    prevStatus,
+    observed,
+    failures: device.consecutive_failures,
+    successes: device.consecutive_successes
+  }, getThresholds(device)));
+  // Behind a down parent a failing device is 'unreachable' rather than down (see topology.js).
+  if (state.status === 'down' && prevStatus !== 'down') {
+    state = applyParentStatus(state, prevStatus, await loadParents(pool, device.id));
+  }
+  // devices.status (and alerts) follow the damped status; history keeps the raw probe result.
+  const newStatus = state.status;
+
+  // IMPORTANT:
+  // If the check failed, we do NOT want to store a "fake" latency (timeout duration).
+  // This was making the sparkline/history look like the device responded with high latency.
+  let latency = (result.latency == null ? null : Number(result.latency));
+  let detail = result.detail || {};
+  // 'warning' (e.g. slow HTTP response) still has a real latency worth charting.
+  if (String(observed).toLowerCase() === 'down') {
+    if (latency != null && Number.isFinite(latency)) {
+      detail = Object.assign({}, detail, { attempt_ms: latency });
+    }
+    latency = null;
+  }
+
+  if (state.confirming) {
+    detail = Object.assign({}, detail, { confirming: { failures: state.failures, successes: state.successes } });
+  }
+
+  const cert = certFromDetail(detail);
+  if (!(await updateDevice(device.id, device.user_id, newStatus, result.packet_loss, cert, state, agent ? null : WORKER_ID))) {
+    console.warn(`[SCHED] lease lost, dropping result: device=${device.id} worker=${WORKER_ID}`);
+    return;
+  }
+  await writeHistory(device.id, observed, result.packet_loss, latency, detail, device.schedule_lag_ms, agent?.checkedAt);
+  if (reportResult) {
+    try {
+      await notifyDeviceResult(pool, {
+        deviceId: device.id,
+        status: newStatus,
+        observed,
+        latency,
+        packetLoss: result.packet_loss ?? null,
+        error: detail.error || null,
+        checkedAt: new Date().toISOString()
+      });
+    } catch (e) {
+      console.error(`device result notify failed: device=${device.id} err=${e?.message || e}`);
+    }
+  }
+  try {
+    await recordIncidentTransition(pool, device, prevStatus, newStatus, detail);
+  } catch (e) {
+    console.error(`incident update failed: device=${device.id} err=${e?.message || e}`);
+  }
+  // When a parent goes down or comes back, the devices behind it are re-checked right away and
+  // its alert names them (the one root-cause alert instead of one per device).
+  let dependents = [];
+  if (newStatus !== prevStatus && (newStatus === 'down' || prevStatus === 'down')) {
+    try {
+      dependents = await loadDependents(pool, device.id);
+      await requestDeviceChecks(pool, dependents.map((d) => d.id));
+    } catch (e) {
+      console.error(`dependent devices lookup failed: device=${device.id} err=${e?.message || e}`);
+    }
+  }
+  // optional email alert on change (up <-> warning is a degradation, not an outage)
+  // Projects with an escalation policy get DOWN emails/SMS from runEscalations() instead; webhooks always fire.
+  const escalated = Boolean(device.escalation_policy_id) && newStatus === 'down';
+  if (newStatus !== prevStatus && !isDegradationOnly(prevStatus, newStatus) && !isSuppressedByParent(prevStatus, newStatus)) {
+    await dispatchAlert(Object.assign({}, device, { dependents }), prevStatus, newStatus, { latency, escalated });
+  }
+  await maybeSendCertExpiryAlert(device, prevStatus, newStatus, cert);
+}
+
+// Checks leased devices CHECK_CONCURRENCY at a time, so slow timeouts don't hold up other devices.
+// With deviceIds (a wakeup) only those devices are checked and each result is reported on the
+// device result channel. A due pass keeps leasing while full batches come back.
+async function tick(deviceIds) {
+  const lags = [];
+  for (let batch = 0; batch < 10; batch += 1) {
+    const devices = await leaseDueDevices(deviceIds);
+    if (!devices.length) break;
+    await runWithConcurrency(devices, getCheckConcurrency(), async (device) => {
+      lags.push(device.schedule_lag_ms);
+      try {
+        await checkDevice(device, Boolean(deviceIds));
+      } catch (e) {
+        console.error(`device check failed: device=${device.id} err=${e?.message || e}`);
+        await releaseLease(pool, device.id, WORKER_ID).catch(() => {});
+      }
+    });
+    if (deviceIds || devices.length < LEASE_BATCH_SIZE) break;
+  }
 
-    await updateDevice(device.id, device.user_id, newStatus, result.packet_loss);
-    await writeHistory(device.id, newStatus, result.packet_loss, latency, detail);
-// optional email alert on change
-    if (newStatus !== prevStatus) {
-      await maybeSendEmailAlert(device, prevStatus, newStatus);
-      await maybeSendSmsAlert(device, prevStatus, newStatus);
+  const lag = summarizeLag(lags);
+  if (lag.count && lag.p95Ms >= getLagWarnMs()) {
+    console.warn(`[SCHED] checks running late: worker=${WORKER_ID} checked=${lag.count} avg=${lag.avgMs}ms p95=${lag.p95Ms}ms max=${lag.maxMs}ms`);
+  }
+  return { checked: lags.length, lag };
+}
+
+// Applies results pushed by probe agents in arrival order, then marks the devices of silent
+// agents unknown. Runs on one worker at a time (runExclusive).
+async function processAgentResults() {
+  for (let batch = 0; batch < 10; batch += 1) {
+    const results = await claimAgentResults(pool, AGENT_RESULT_BATCH_SIZE);
+    for (const row of results) {
+      try {
+        // Reloaded per result so consecutive results for a device see each other's state.
+        const { rows } = await pool.query(`${DEVICE_SELECT} WHERE d.id = $1 AND d.probe = 'agent'`, [row.device_id]);
+        if (!rows.length) continue;
+        await applyCheckResult(rows[0], agentCheckResult(row), { agent: { checkedAt: row.checked_at } });
+      } catch (e) {
+        console.error(`agent result failed: device=${row.device_id} err=${e?.message || e}`);
+      }
     }
+    if (results.length < AGENT_RESULT_BATCH_SIZE) break;
+  }
 
-    // light pacing
-    await sleep(150);
+  const silenced = await markSilentAgentDevices(pool);
+  if (silenced.length) {
+    const projects = [...new Set(silenced.map((d) => d.store_id))];
+    console.warn(`[AGENT] probe agent silent, ${silenced.length} device(s) now unknown: projects=${projects.join(',')}`);
   }
 }
 
 async function main() {
   console.log('dashmon worker started');
-  await ensureAlertEventsTable();
+  // Throws (fatal) until `npm run migrate -- up` has been run
+  await assertSchemaVersion(pool);
+  // This month's and the next history partitions exist before the first check writes history,
+  // whenever the hourly retention job gets to run.
+  await ensureHistoryPartitions(pool);
+
+  const wakeups = createWakeupQueue();
+  listenForWakeups(pool, wakeups);
+  const startedAt = new Date();
+  const tickStats = createTickStats();
 
   // Retention cleanup can be expensive on large datasets.
   // Run it periodically instead of on every loop.
+  // Alerting and delivery jobs each run on their own loop, so a slow SMTP/SMS provider or webhook
+  // receiver never delays scheduled or wakeup checks.
+  startJobLoop('escalation', 20000, () => runExclusive(pool, 'escalations', runEscalations));
+  startJobLoop('digest', 20000, () => runExclusive(pool, 'digests', runAlertDigests));
+  startJobLoop('alert batch', 20000, () => runExclusive(pool, 'alert-batches', runAlertBatches));
+  startJobLoop('webhook delivery', 20000, () => runExclusive(pool, 'webhooks', () => deliverPendingWebhooks(pool)));
+  // Plan lifecycle (expired premium, pending bank transfers) every 5 minutes.
+  startJobLoop('plan lifecycle', 5 * 60 * 1000, () => runExclusive(pool, 'plan-lifecycle', () => runPlanLifecycle(pool, sendLifecycleEmail)));
+
   let lastRetentionAt = 0;
+  let lastRollupAt = 0;
   while (true) {
     try {
       const now = Date.now();
       if (!lastRetentionAt || (now - lastRetentionAt) > 60 * 60 * 1000) {
-        await retentionCleanup();
+        await runExclusive(pool, 'retention', retentionCleanup);
         lastRetentionAt = now;
       }
-      await tick();
+      tickStats.add(await tick());
     } catch (e) {
       console.error('worker tick error:', e);
     }
-    // run every 20 seconds; per-device schedule is based on ping_interval
-    await sleep(20000);
+    // History rollups every 10 minutes (each pass re-reads the current day of raw rows).
+    if (!lastRollupAt || (Date.now() - lastRollupAt) > 10 * 60 * 1000) {
+      try {
+        await runExclusive(pool, 'rollups', () => rollupHistory(pool));
+        lastRollupAt = Date.now();
+      } catch (e) {
+        console.error('worker rollup error:', e);
+      }
+    }
+    try {
+      await recordHeartbeat(pool, WORKER_ID, startedAt, tickStats.take());
+    } catch (e) {
+      console.error('worker heartbeat error:', e);
+    }
+    try {
+      await runExclusive(pool, 'agent-results', processAgentResults);
+    } catch (e) {
+      console.error('worker agent results error:', e);
+    }
+    // run every 20 seconds; per-device schedule is based on ping_interval (clamped to the plan).
+    // Wakeups (LISTEN/NOTIFY) are handled as they arrive in between.
+    const nextLoopAt = Date.now() + 20000;
+    while (Date.now() < nextLoopAt) {
+      await wakeups.wait(nextLoopAt - Date.now());
+      const { deviceIds, due } = wakeups.take();
+      try {
+        if (deviceIds.length) tickStats.add(await tick(deviceIds));
+        if (due) tickStats.add(await tick());
+      } catch (e) {
+        console.error('worker wakeup tick error:', e);
+      }
+    }
   }
 }
 
-main().catch(e => {
-  console.error('fatal worker error:', e);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(e => {
+    console.error('fatal worker error:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { applyCheckResult };